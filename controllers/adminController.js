@@ -14,6 +14,8 @@ const { sendSms } = require("../utils/sendSms")
 const permissionsList = require('../utils/adminPermissions')
 const logAccess = require('../utils/logAccess')
 const AccessLog = require('../models/accessLogModel')
+const AgentApplication = require("../models/agentApplicationModel");
+const { activateApplication, rejectApplication } = require("../services/agentOnboardingService");
 const { isValidObjectId } = require("mongoose");
 const {uploadOnCloudinary} = require("../utils/cloudinary")
 const fs = require('fs');
@@ -247,10 +249,11 @@ exports.getPendingAgentRequests = async (req, res) => {
   }
 };
 
+// Approve or reject the agent application of a user; approval requires every onboarding step
 exports.approveAgentApplication = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { action } = req.body; // Should be "approve" or "reject"
+    const { action, reason } = req.body; // Should be "approve" or "reject"
 
     if (!["approve", "reject"].includes(action)) {
       return res.status(400).json({ message: "Invalid action. Use 'approve' or 'reject'." });
@@ -259,41 +262,27 @@ exports.approveAgentApplication = async (req, res) => {
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ message: "User not found" });
 
-    if (user.agentApplicationStatus !== "pending") {
+    const application = await AgentApplication.findOne({ userId: user._id }).select("_id");
+    if (!application) {
       return res.status(400).json({ message: "No pending application for this user." });
     }
 
     let agentId = null;
-
-    if (action === "approve") {
-      const newAgent = new Agent({
-        userId: user._id,
-        fullName: user.name,
-        phoneNumber: user.phone,
-        email: user.email,
-        profilePicture: user.profilePicture,
-        documents: {
-          license: user.agentApplicationDocuments.license,
-          insurance: user.agentApplicationDocuments.insurance,
-        },
-        bankDetailsProvided: false,
-        bankAccountDetails: null,
-        isApproved: true
-      });
-
-      await newAgent.save();
-
-      user.agentApplicationStatus = "approved";
-      user.isAgent = true;
-      user.agentId = newAgent._id;
-      user.userType = "agent";
-      agentId = newAgent._id;
-    } else {
-      user.agentApplicationStatus = "rejected";
+    try {
+      if (action === "approve") {
+        const { agent } = await activateApplication(application._id, { reviewedBy: req.user._id });
+        agentId = agent._id;
+      } else {
+        await rejectApplication(application._id, {
+          reason: reason?.trim() || "Rejected by admin",
+          reviewedBy: req.user._id,
+        });
+      }
+    } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+      throw err;
     }
 
-    await user.save();
-
     // For logging this
     await logAccess({
       userId: req.user._id,
@@ -303,7 +292,7 @@ exports.approveAgentApplication = async (req, res) => {
     });
 
     // Send SMS
-    const message = `Hello ${user.name}, your agent application has been ${user.agentApplicationStatus.toUpperCase()}.`;
+    const message = `Hello ${user.name}, your agent application has been ${action === "approve" ? "APPROVED" : "REJECTED"}.`;
     if (user.phone) {
       await sendSms(user.phone, message);
     }
@@ -972,6 +961,7 @@ exports.updateRestaurant = async (req, res) => {
       email,
       openingHours,
       foodType,
+      restaurantType,
       merchantSearchName,
       minOrderAmount,
       paymentMethods,
@@ -984,6 +974,7 @@ exports.updateRestaurant = async (req, res) => {
     if (phone) restaurant.phone = phone;
     if (email) restaurant.email = email;
     if (foodType) restaurant.foodType = foodType;
+    if (restaurantType) restaurant.restaurantType = restaurantType;
     if (merchantSearchName) restaurant.merchantSearchName = merchantSearchName;
     if (minOrderAmount) restaurant.minOrderAmount = minOrderAmount;
     if (paymentMethods) restaurant.paymentMethods = paymentMethods;
@@ -1200,6 +1191,8 @@ exports.createProduct = async (req, res) => {
       restaurantId,
       foodType,
       addOns = [],
+      addOnGroups = [],
+      availabilityWindows = [],
       specialOffer = {},
       attributes = [],
       unit = 'piece',
@@ -1268,6 +1261,8 @@ exports.createProduct = async (req, res) => {
       images: imageUrls,
       foodType,
       addOns,
+      addOnGroups,
+      availabilityWindows,
       attributes,
       unit,
       stock: parseInt(stock),
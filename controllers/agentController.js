@@ -1,6 +1,7 @@
 const Agent = require('../models/agentModel');
 const AgentEarning = require("../models/AgentEarningModel")
 const Order = require('../models/orderModel');
+const Restaurant = require('../models/restaurantModel');
 const User = require("../models/userModel");
 const Session = require("../models/session");
 const jwt = require('jsonwebtoken');
@@ -8,8 +9,17 @@ const bcrypt = require('bcrypt');
 const mongoose = require('mongoose')
 const {addAgentEarnings,addRestaurantEarnings} = require("../services/earningService")
 const { uploadOnCloudinary } = require('../utils/cloudinary');
-const { findAndAssignNearestAgent } = require('../services/findAndAssignNearestAgent');
+const { dispatchToAgents } = require('../services/orderDispatchService');
+const { acceptOrderOffer, declineOrderOffer, getOpenOffers } = require('../services/orderOfferService');
+const { removeOrderFromBatch, recordBatchProgress, getActiveBatch } = require('../services/batchingService');
+const { transitionOrder } = require('../services/orderLifecycle');
 const { sendPushNotification } = require('../utils/sendPushNotification');
+const { emailInvoice } = require('../services/invoiceService');
+const { recordCODCollection } = require('../services/agentPayoutService');
+const { checkStatusPlausibility } = require('../services/geofenceService');
+const { verifyDeliveryProof } = require('../services/deliveryProofService');
+const { clockIn, clockOut } = require('../services/shiftService');
+const { startApplication } = require('../services/agentOnboardingService');
 
 exports.registerAgent = async (req, res) => {
   try {
@@ -96,7 +106,7 @@ exports.registerAgent = async (req, res) => {
       password: hashedPassword,
       userType: "customer",
       isAgent: false,
-      agentApplicationStatus: "pending",
+      agentApplicationStatus: "none", // "pending" once the onboarding steps are submitted
       profilePicture: profilePicUrl || null,
       agentApplicationDocuments: {
         license: licenseUrl || null,
@@ -107,8 +117,25 @@ exports.registerAgent = async (req, res) => {
 
     await newUser.save();
 
+    // Documents uploaded here still need their expiry date and verification
+    const documents = [];
+    if (licenseUrl) {
+      documents.push({ type: "license", url: licenseUrl, expiresAt: req.body.licenseExpiresAt || null });
+    }
+    if (insuranceUrl) {
+      documents.push({ type: "insurance", url: insuranceUrl, expiresAt: req.body.insuranceExpiresAt || null });
+    }
+
+    const application = await startApplication({
+      userId: newUser._id,
+      fullName: name,
+      location,
+      documents,
+    });
+
     res.status(201).json({
-      message: "Agent application submitted. Pending approval.",
+      message: "Agent application started. Complete the onboarding steps to submit it for approval.",
+      applicationId: application._id,
       user: {
         _id: newUser._id,
         name: newUser.name,
@@ -219,29 +246,53 @@ exports.logoutAgent = async (req, res) => {
 
 exports.handleAgentResponse = async (req, res) => {
   try {
-    const { orderId, agentId, response } = req.body;
+    const { orderId, response } = req.body;
+
+    // agents only ever answer for themselves
+    const agentId = req.user.agentId?.toString();
+    if (!agentId) return res.status(403).json({ error: "Your account is not linked to an agent" });
+    if (req.body.agentId && req.body.agentId.toString() !== agentId) {
+      return res.status(403).json({ error: "You can only respond to your own offers" });
+    }
+
     const order = await Order.findById(orderId);
     if (!order) return res.status(404).json({ error: "Order not found" });
 
     const agent = await Agent.findById(agentId);
     if (!agent) return res.status(404).json({ error: "Agent not found" });
 
-    if (order.assignedAgent.toString() !== agentId)
+    const io = req.app.get("io");
+
+    // Broadcast offers: the first agent to accept gets the order
+    if (order.dispatchMode === 'broadcast' && !order.assignedAgent) {
+      if (response === 'accept') {
+        const updated = await acceptOrderOffer({ orderId, agentId, io });
+        return res.json({ message: "Order accepted successfully", orderStatus: updated.orderStatus });
+      }
+      if (response === 'reject') {
+        await declineOrderOffer({ orderId, agentId, reason: req.body.reason, io });
+        return res.json({ message: "Offer declined" });
+      }
+      return res.status(400).json({ error: "Invalid response" });
+    }
+
+    if (order.assignedAgent?.toString() !== agentId)
       return res.status(400).json({ error: "This order is not assigned to you" });
 
     if (order.orderStatus !== 'pending_agent_acceptance')
       return res.status(400).json({ error: "This order doesn't require acceptance" });
 
-    const io = req.app.get("io");
-
     if (response === 'accept') {
-      await Order.findByIdAndUpdate(orderId, {
-        orderStatus: 'assigned_to_agent',
-        agentAcceptedAt: new Date()
+      await transitionOrder(order, 'assigned_to_agent', {
+        role: 'agent',
+        actorId: agentId,
+        reason: 'Accepted by agent',
+        update: { agentAcceptedAt: new Date() }
       });
 
       await Agent.findByIdAndUpdate(agentId, {
         'deliveryStatus.status': 'in_progress',
+        $inc: { 'dispatchStats.accepted': 1 },
         $addToSet: { 'deliveryStatus.currentOrderIds': orderId }
       });
 
@@ -272,31 +323,46 @@ exports.handleAgentResponse = async (req, res) => {
       return res.json({ message: "Order accepted successfully" });
 
     } else if (response === 'reject') {
-      await Order.findByIdAndUpdate(orderId, {
-        assignedAgent: null,
-        orderStatus: 'awaiting_agent_assignment',
-        $push: {
-          rejectionHistory: {
-            agentId,
-            rejectedAt: new Date()
+      await transitionOrder(order, 'awaiting_agent_assignment', {
+        role: 'agent',
+        actorId: agentId,
+        reason: req.body.reason || 'Rejected by agent',
+        update: {
+          assignedAgent: null,
+          $push: {
+            rejectionHistory: {
+              agentId,
+              rejectedAt: new Date(),
+              reason: req.body.reason
+            }
           }
         }
       });
 
       await Agent.findByIdAndUpdate(agentId, {
-        $inc: { 'deliveryStatus.currentOrderCount': -1 },
+        $inc: { 'deliveryStatus.currentOrderCount': -1, 'dispatchStats.rejected': 1 },
         $pull: { 'deliveryStatus.currentOrderIds': orderId },
       });
 
+      if (order.batchId) await removeOrderFromBatch(order._id, { io });
 
-      const newAgent = await findAndAssignNearestAgent(
-        orderId,
+
+      const { agent: newAgent, offers } = await dispatchToAgents(
+        order,
         {
-          longitude: order.location.coordinates[0],
-          latitude: order.location.coordinates[1]
-        }
+          longitude: order.deliveryLocation.coordinates[0],
+          latitude: order.deliveryLocation.coordinates[1]
+        },
+        { io }
       );
 
+      if (offers?.length) {
+        return res.json({
+          message: `Order rejected and offered to ${offers.length} other agents`,
+          orderStatus: 'pending_agent_acceptance'
+        });
+      }
+
       if (!newAgent) {
         return res.json({
           message: "Order rejected. No other agents currently available",
@@ -304,15 +370,11 @@ exports.handleAgentResponse = async (req, res) => {
         });
       }
 
+      // findAndAssignNearestAgent has already moved the order to this status
       const newStatus = newAgent.permissions.canAcceptOrRejectOrders
         ? 'pending_agent_acceptance'
         : 'assigned_to_agent';
 
-      await Order.findByIdAndUpdate(orderId, {
-        assignedAgent: newAgent._id,
-        orderStatus: newStatus
-      });
-
       // If no acceptance needed, start tracking immediately
       if (!newAgent.permissions.canAcceptOrRejectOrders) {
         io.to(`agent_${newAgent._id.toString()}`).emit("startDeliveryTracking", {
@@ -346,10 +408,35 @@ exports.handleAgentResponse = async (req, res) => {
 
   } catch (err) {
     console.error("Error handling agent response:", err);
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     res.status(500).json({ error: "Failed to process agent response" });
   }
 };
 
+// Open broadcast offers for the logged-in agent
+exports.getMyOrderOffers = async (req, res) => {
+  try {
+    const offers = await getOpenOffers(req.user.agentId);
+    res.status(200).json({ message: "Offers fetched successfully", offers });
+  } catch (err) {
+    console.error("Error fetching order offers:", err);
+    res.status(500).json({ error: "Failed to fetch offers" });
+  }
+};
+
+// Current batch of the logged-in agent with the pickup/drop sequence
+exports.getMyActiveBatch = async (req, res) => {
+  try {
+    const batch = await getActiveBatch(req.user.agentId);
+    res.status(200).json({ message: "Active batch fetched successfully", batch });
+  } catch (err) {
+    console.error("Error fetching active batch:", err);
+    res.status(500).json({ error: "Failed to fetch active batch" });
+  }
+};
+
 exports.agentUpdatesOrderStatus = async (req, res) => {
   try {
     const { agentId, orderId } = req.params;
@@ -365,22 +452,39 @@ exports.agentUpdatesOrderStatus = async (req, res) => {
       return res.status(400).json({ error: "Invalid orderId format" });
     }
 
-    const allowedStatuses = ['picked_up', 'in_progress', 'arrived', 'completed', "available"];
+    const allowedStatuses = ['picked_up', 'in_progress', 'arrived', 'completed'];
     if (!allowedStatuses.includes(status)) {
       return res.status(400).json({ error: "Invalid status value" });
     }
 
-    const order = await Order.findById(orderId);
-    if (!order) {
+    const existingOrder = await Order.findById(orderId);
+    if (!existingOrder) {
       return res.status(404).json({ error: "Order not found" });
     }
 
-    if (!order.assignedAgent || order.assignedAgent.toString() !== agentId) {
+    if (!existingOrder.assignedAgent || existingOrder.assignedAgent.toString() !== agentId) {
       return res.status(403).json({ error: "You are not assigned to this order" });
     }
 
-    order.orderStatus = status;
-    await order.save();
+    // Completing needs the customer's OTP, or a doorstep photo for no-contact delivery
+    const proofUpdate = status === "completed"
+      ? await verifyDeliveryProof({ orderId, agentId, otp: req.body.otp, file: req.file })
+      : {};
+
+    const order = await transitionOrder(existingOrder, status, {
+      role: 'agent',
+      actorId: agentId,
+      reason: req.body.reason,
+      update: proofUpdate
+    });
+
+    // Mark the stop done and refresh the ETAs of the other orders in the batch
+    if (order.batchId) await recordBatchProgress(order, { io });
+
+    // Flag statuses set far from the restaurant / drop point for admin review
+    checkStatusPlausibility({ order, agentId, status, io }).catch((err) =>
+      console.error("Failed to check status plausibility:", err)
+    );
 
     // Broadcast order status update to all relevant parties
     io.to(`user_${order.customerId.toString()}`)
@@ -401,8 +505,27 @@ exports.agentUpdatesOrderStatus = async (req, res) => {
         remarks: "Delivery fee for order"
       });
 
+      if (order.tipAmount > 0) {
+        await addAgentEarnings({
+          agentId,
+          orderId,
+          amount: order.tipAmount,
+          type: "tip",
+          remarks: "Customer tip"
+        });
+      }
+
+      // Cash collected from the customer is now held by the agent
+      if (order.paymentMethod === "cash") {
+        await recordCODCollection(agentId, order.totalAmount);
+      }
+
       await addRestaurantEarnings(orderId);
 
+      emailInvoice(order._id).catch((err) =>
+        console.error("Failed to email invoice:", err)
+      );
+
       // Stop live location sharing for the customer
       io.to(`user_${order.customerId.toString()}`).emit("stopLocationSharing");
 
@@ -431,6 +554,9 @@ exports.agentUpdatesOrderStatus = async (req, res) => {
 
   } catch (error) {
     console.error("Error updating order status", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: "Server error while updating order status" });
   }
 };
@@ -438,7 +564,11 @@ exports.agentUpdatesOrderStatus = async (req, res) => {
 // toggle availability and notify nearby restaurants
 exports.toggleAvailability = async (req, res) => {
   try {
-    const { userId } = req.params;
+    // the route carries a userId, but agents only ever change their own availability
+    if (req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({ message: "You can only change your own availability" });
+    }
+    const userId = req.user._id;
     const { status, location } = req.body;
     const io = req.app.get("io"); // Get Socket.IO instance
 
@@ -457,6 +587,33 @@ exports.toggleAvailability = async (req, res) => {
       return res.status(404).json({ message: "Agent not linked to user or user not found" });
     }
 
+    // Going available starts an attendance session if the agent has not clocked in
+    if (status === "Available") {
+      const agent = await Agent.findById(user.agentId).select("attendance.clockedIn compliance");
+      if (agent?.compliance?.blocked) {
+        return res.status(403).json({ message: agent.compliance.reason || "Your account is blocked" });
+      }
+      if (!agent?.attendance?.clockedIn) {
+        try {
+          await clockIn({ agentId: user.agentId });
+        } catch (err) {
+          // e.g. on approved leave
+          if (!err.statusCode) throw err;
+          return res.status(err.statusCode).json({ message: err.message });
+        }
+      }
+    }
+
+    // Going unavailable ends the attendance session, unless the agent still has orders to finish
+    if (status === "Unavailable") {
+      try {
+        await clockOut({ agentId: user.agentId });
+      } catch (err) {
+        // 409: not clocked in, or still carrying orders
+        if (err.statusCode !== 409) throw err;
+      }
+    }
+
     // 2. Update agent availability and location
     const updatedAgent = await Agent.findByIdAndUpdate(
       user.agentId,
@@ -630,6 +787,7 @@ exports.getAgentEarnings = async (req,res)  => {
        const totalEarnings = earnings.reduce((acc, earning) => acc + earning.amount, 0);
  const breakdown = {
       delivery_fee: 0,
+      tip: 0,
       incentive: 0,
       penalty: 0,
       other: 0
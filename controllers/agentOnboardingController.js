@@ -0,0 +1,262 @@
+const mongoose = require("mongoose");
+const AgentApplication = require("../models/agentApplicationModel");
+const logAccess = require("../utils/logAccess");
+const notifyAdmins = require("../utils/notifyAdmins");
+const { sendSms } = require("../utils/sendSms");
+const {
+  getApplication,
+  getApplicationById,
+  updatePersonalDetails,
+  updateVehicleDetails,
+  uploadDocument,
+  getTrainingQuiz,
+  submitTrainingQuiz,
+  submitApplication,
+  reviewDocument,
+  updateBackgroundCheck,
+  activateApplication,
+  rejectApplication,
+} = require("../services/agentOnboardingService");
+
+// Applicant: application with the onboarding checklist
+exports.getMyApplication = async (req, res) => {
+  try {
+    const application = await getApplication(req.user._id);
+    res.status(200).json({ message: "Application fetched successfully", application });
+  } catch (error) {
+    console.error("getMyApplication error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to fetch application" });
+  }
+};
+
+// Applicant: personal details step
+exports.savePersonalDetails = async (req, res) => {
+  try {
+    const application = await updatePersonalDetails(req.user._id, req.body);
+    res.status(200).json({ message: "Personal details saved", application });
+  } catch (error) {
+    console.error("savePersonalDetails error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to save personal details" });
+  }
+};
+
+// Applicant: vehicle details step
+exports.saveVehicleDetails = async (req, res) => {
+  try {
+    const application = await updateVehicleDetails(req.user._id, {
+      ...req.body,
+      maxOrders: Number(req.body.maxOrders),
+    });
+    res.status(200).json({ message: "Vehicle details saved", application });
+  } catch (error) {
+    console.error("saveVehicleDetails error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to save vehicle details" });
+  }
+};
+
+// Applicant or agent: upload a document (multipart "file" with type, number, expiresAt)
+exports.uploadApplicationDocument = async (req, res) => {
+  try {
+    const { type, number, expiresAt } = req.body;
+    const application = await uploadDocument(req.user._id, { type, number, expiresAt, file: req.file });
+    res.status(200).json({ message: "Document uploaded, pending verification", application });
+  } catch (error) {
+    console.error("uploadApplicationDocument error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to upload document" });
+  }
+};
+
+// Applicant: training quiz questions
+exports.getTraining = async (req, res) => {
+  res.status(200).json({ message: "Training quiz fetched successfully", ...getTrainingQuiz() });
+};
+
+// Applicant: submit quiz answers ({ answers: { q1: 0, ... } })
+exports.submitTraining = async (req, res) => {
+  try {
+    const { passed, score, application } = await submitTrainingQuiz(req.user._id, req.body.answers);
+    res.status(200).json({
+      message: passed ? "Training passed" : "Training not passed, please try again",
+      passed,
+      score,
+      application,
+    });
+  } catch (error) {
+    console.error("submitTraining error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to submit training" });
+  }
+};
+
+// Applicant: send the application for review
+exports.submitMyApplication = async (req, res) => {
+  try {
+    const application = await submitApplication(req.user._id);
+
+    await notifyAdmins({
+      io: req.app.get("io"),
+      title: "New agent application",
+      message: `${application.personalDetails?.fullName || "An applicant"} submitted an agent application`,
+      metadata: { applicationId: application._id },
+    });
+
+    res.status(200).json({ message: "Application submitted for review", application });
+  } catch (error) {
+    console.error("submitMyApplication error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to submit application" });
+  }
+};
+
+// Admin: applications (default: submitted)
+exports.getAgentApplications = async (req, res) => {
+  try {
+    const { status = "submitted" } = req.query;
+    const filter = status === "all" ? {} : { status };
+
+    const applications = await AgentApplication.find(filter)
+      .populate("userId", "name email phone")
+      .select("-documents.url")
+      .sort({ submittedAt: 1, createdAt: 1 })
+      .limit(200)
+      .lean();
+
+    res.status(200).json({ message: "Applications fetched successfully", applications });
+  } catch (error) {
+    console.error("getAgentApplications error:", error);
+    res.status(500).json({ message: "Failed to fetch applications" });
+  }
+};
+
+// Admin: one application with documents and checklist
+exports.getAgentApplication = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.applicationId)) {
+      return res.status(400).json({ message: "Invalid applicationId" });
+    }
+
+    const application = await getApplicationById(req.params.applicationId);
+    res.status(200).json({ message: "Application fetched successfully", application });
+  } catch (error) {
+    console.error("getAgentApplication error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to fetch application" });
+  }
+};
+
+// Admin: verify or reject a document
+exports.reviewApplicationDocument = async (req, res) => {
+  try {
+    const { applicationId, documentId } = req.params;
+    const { approve, reason } = req.body;
+
+    if (typeof approve !== "boolean") {
+      return res.status(400).json({ message: "approve must be true or false" });
+    }
+    if (!approve && !reason?.trim()) {
+      return res.status(400).json({ message: "A reason is required to reject a document" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(applicationId) || !mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ message: "Invalid applicationId or documentId" });
+    }
+
+    const { application, document } = await reviewDocument(applicationId, documentId, {
+      approve,
+      reason: reason?.trim(),
+      reviewedBy: req.user._id,
+    });
+
+    await logAccess({
+      userId: req.user._id,
+      action: approve ? "agentDocument.verify" : "agentDocument.reject",
+      description: `${approve ? "Verified" : "Rejected"} ${document.type} of agent application ${applicationId}`,
+      req,
+      metadata: { applicationId, documentId },
+    });
+
+    res.status(200).json({ message: `Document ${document.status}`, application });
+  } catch (error) {
+    console.error("reviewApplicationDocument error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to review document" });
+  }
+};
+
+// Admin: record the background check result
+exports.setBackgroundCheck = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.applicationId)) {
+      return res.status(400).json({ message: "Invalid applicationId" });
+    }
+
+    const { status, reference, notes } = req.body;
+    const application = await updateBackgroundCheck(req.params.applicationId, {
+      status,
+      reference,
+      notes,
+      updatedBy: req.user._id,
+    });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "agentApplication.backgroundCheck",
+      description: `Set background check of agent application ${application._id} to ${status}`,
+      req,
+      metadata: { reference },
+    });
+
+    res.status(200).json({ message: "Background check updated", application });
+  } catch (error) {
+    console.error("setBackgroundCheck error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to update background check" });
+  }
+};
+
+// Admin: activate (every step complete) or reject an application
+exports.decideAgentApplication = async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+
+    if (!["approve", "reject"].includes(action)) {
+      return res.status(400).json({ message: "Invalid action. Use 'approve' or 'reject'." });
+    }
+    if (action === "reject" && !reason?.trim()) {
+      return res.status(400).json({ message: "A reason is required to reject an application" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.applicationId)) {
+      return res.status(400).json({ message: "Invalid applicationId" });
+    }
+
+    let application;
+    let agent = null;
+    if (action === "approve") {
+      ({ application, agent } = await activateApplication(req.params.applicationId, { reviewedBy: req.user._id }));
+    } else {
+      application = await rejectApplication(req.params.applicationId, {
+        reason: reason.trim(),
+        reviewedBy: req.user._id,
+      });
+    }
+
+    await logAccess({
+      userId: req.user._id,
+      action: "agent.approval",
+      description: `${action} agent application ${application._id}`,
+      req,
+      metadata: { agentId: agent?._id, reason },
+    });
+
+    const populated = await AgentApplication.findById(application._id).populate("userId", "name phone").lean();
+    if (populated?.userId?.phone) {
+      await sendSms(
+        populated.userId.phone,
+        `Hello ${populated.userId.name}, your agent application has been ${action === "approve" ? "APPROVED" : "REJECTED"}.`
+      ).catch((err) => console.error("Failed to send application SMS:", err));
+    }
+
+    res.status(200).json({
+      message: `Agent application has been ${action === "approve" ? "approved" : "rejected"}`,
+      application,
+      ...(agent && { agentId: agent._id }),
+    });
+  } catch (error) {
+    console.error("decideAgentApplication error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to decide application" });
+  }
+};
@@ -0,0 +1,290 @@
+const mongoose = require("mongoose");
+const Agent = require("../models/agentModel");
+const AgentPayout = require("../models/agentPayoutModel");
+const CashDrop = require("../models/cashDropModel");
+const logAccess = require("../utils/logAccess");
+const { uploadOnCloudinary } = require("../utils/cloudinary");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+const {
+  isCODBlocked,
+  submitCashDrop,
+  reviewCashDrop,
+  lastWeekPeriod,
+  runAgentPayouts,
+  markAgentPayoutPaid,
+  cancelAgentPayout,
+  buildAgentBankTransferCsv,
+} = require("../services/agentPayoutService");
+
+// Agent: report cash handed over from COD collections
+exports.createCashDrop = async (req, res) => {
+  try {
+    const agentId = req.user.agentId;
+    if (!agentId) return res.status(403).json({ message: "Agent profile not found" });
+
+    const amount = Number(req.body.amount);
+    const { method = "Online", reference, notes } = req.body;
+
+    if (!(amount > 0)) {
+      return res.status(400).json({ message: "amount must be greater than 0" });
+    }
+    if (!["Bank", "Online"].includes(method)) {
+      return res.status(400).json({ message: "method must be Bank or Online" });
+    }
+    if (!reference?.trim() && !req.file) {
+      return res.status(400).json({ message: "A transaction reference or receipt is required" });
+    }
+
+    let receiptUrl;
+    if (req.file) {
+      const uploaded = await uploadOnCloudinary(req.file.path, "orado_cash_drops");
+      if (!uploaded) return res.status(500).json({ message: "Failed to upload receipt" });
+      receiptUrl = uploaded.secure_url;
+    }
+
+    const cashDrop = await submitCashDrop({
+      agentId,
+      amount,
+      method,
+      reference: reference?.trim(),
+      receiptUrl,
+      notes,
+    });
+
+    res.status(201).json({ message: "Cash drop submitted for verification", cashDrop });
+  } catch (error) {
+    console.error("createCashDrop error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to submit cash drop" });
+  }
+};
+
+// Agent: COD holding and cash drop history
+exports.getMyCashDrops = async (req, res) => {
+  try {
+    const agent = await Agent.findById(req.user.agentId).select("codTracking permissions.maxCODAmount");
+    if (!agent) return res.status(404).json({ message: "Agent profile not found" });
+
+    const cashDrops = await CashDrop.find({ agentId: agent._id }).sort({ createdAt: -1 }).limit(50).lean();
+
+    res.status(200).json({
+      message: "Cash drops fetched successfully",
+      codHolding: agent.codTracking?.currentCODHolding || 0,
+      maxCODAmount: agent.permissions?.maxCODAmount,
+      blockedForCOD: isCODBlocked(agent),
+      cashDrops,
+    });
+  } catch (error) {
+    console.error("getMyCashDrops error:", error);
+    res.status(500).json({ message: "Failed to fetch cash drops" });
+  }
+};
+
+// Agent: payout history
+exports.getMyPayouts = async (req, res) => {
+  try {
+    const payouts = await AgentPayout.find({ agentId: req.user.agentId, status: { $ne: "cancelled" } })
+      .select("-createdBy -paidBy")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({ message: "Payouts fetched successfully", payouts });
+  } catch (error) {
+    console.error("getMyPayouts error:", error);
+    res.status(500).json({ message: "Failed to fetch payouts" });
+  }
+};
+
+// Admin: list cash drops (default: pending)
+exports.getCashDrops = async (req, res) => {
+  try {
+    const { status = "pending", agentId } = req.query;
+    const filter = {};
+    if (status !== "all") filter.status = status;
+    if (agentId) filter.agentId = agentId;
+
+    const cashDrops = await CashDrop.find(filter)
+      .populate("agentId", "fullName phoneNumber codTracking.currentCODHolding")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({ message: "Cash drops fetched successfully", cashDrops });
+  } catch (error) {
+    console.error("getCashDrops error:", error);
+    res.status(500).json({ message: "Failed to fetch cash drops" });
+  }
+};
+
+// Admin: verify or reject a cash drop
+exports.verifyCashDrop = async (req, res) => {
+  try {
+    const { approve, reason } = req.body;
+
+    if (typeof approve !== "boolean") {
+      return res.status(400).json({ message: "approve must be true or false" });
+    }
+    if (!approve && !reason?.trim()) {
+      return res.status(400).json({ message: "A reason is required to reject a cash drop" });
+    }
+
+    const cashDrop = await reviewCashDrop(req.params.cashDropId, {
+      approve,
+      reason: reason?.trim(),
+      reviewedBy: req.user._id,
+    });
+
+    await logAccess({
+      userId: req.user._id,
+      action: approve ? "cashDrop.verify" : "cashDrop.reject",
+      description: `${approve ? "Verified" : "Rejected"} cash drop of ${cashDrop.amount} from agent ${cashDrop.agentId}`,
+      req,
+      metadata: { cashDropId: cashDrop._id },
+    });
+
+    const agent = await Agent.findById(cashDrop.agentId).select("userId");
+    if (agent?.userId) {
+      await sendPushNotification(
+        agent.userId,
+        approve ? "Cash drop verified" : "Cash drop rejected",
+        approve
+          ? `Your cash drop of ₹${cashDrop.amount} has been verified.`
+          : `Your cash drop of ₹${cashDrop.amount} was rejected: ${cashDrop.rejectionReason}`,
+        "walletCredits"
+      );
+    }
+
+    res.status(200).json({ message: `Cash drop ${cashDrop.status}`, cashDrop });
+  } catch (error) {
+    console.error("verifyCashDrop error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to review cash drop" });
+  }
+};
+
+// Admin: run agent payouts (defaults to last week)
+exports.createAgentPayoutRun = async (req, res) => {
+  try {
+    const { agentId } = req.body;
+    let { periodStart, periodEnd } = req.body;
+
+    if (!periodStart && !periodEnd) {
+      ({ periodStart, periodEnd } = lastWeekPeriod());
+    } else {
+      periodStart = new Date(periodStart);
+      periodEnd = new Date(periodEnd);
+    }
+
+    if (isNaN(periodStart) || isNaN(periodEnd) || periodStart >= periodEnd || periodEnd > new Date()) {
+      return res.status(400).json({ message: "Valid periodStart and periodEnd in the past are required" });
+    }
+    if (agentId && !mongoose.Types.ObjectId.isValid(agentId)) {
+      return res.status(400).json({ message: "Invalid agentId" });
+    }
+
+    const result = await runAgentPayouts({ periodStart, periodEnd, agentId, createdBy: req.user._id });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "agentPayout.run",
+      description: `Agent payout run ${result.runId}: ${result.payouts.length} payouts`,
+      req,
+      metadata: { runId: result.runId, periodStart, periodEnd },
+    });
+
+    res.status(201).json({
+      message: "Agent payout run completed",
+      runId: result.runId,
+      periodStart,
+      periodEnd,
+      totalPayout: result.payouts.reduce((sum, p) => sum + p.netPayout, 0),
+      totalCODRecovered: result.payouts.reduce((sum, p) => sum + p.codDeducted, 0),
+      payouts: result.payouts,
+      skipped: result.skipped,
+    });
+  } catch (error) {
+    console.error("createAgentPayoutRun error:", error);
+    res.status(500).json({ message: "Failed to run agent payouts" });
+  }
+};
+
+// Admin: list agent payouts
+exports.getAgentPayouts = async (req, res) => {
+  try {
+    const { runId, agentId, status } = req.query;
+    const filter = {};
+    if (runId) filter.runId = runId;
+    if (agentId) filter.agentId = agentId;
+    if (status) filter.status = status;
+
+    const payouts = await AgentPayout.find(filter)
+      .populate("agentId", "fullName phoneNumber")
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.status(200).json({ message: "Agent payouts fetched successfully", payouts });
+  } catch (error) {
+    console.error("getAgentPayouts error:", error);
+    res.status(500).json({ message: "Failed to fetch agent payouts" });
+  }
+};
+
+// Admin: record the transfer for a payout
+exports.markAgentPayoutAsPaid = async (req, res) => {
+  try {
+    const payout = await markAgentPayoutPaid(req.params.payoutId, {
+      payoutReference: req.body.payoutReference?.trim() || null,
+      paidBy: req.user._id,
+    });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "agentPayout.paid",
+      description: `Marked agent payout ${payout._id} paid (${payout.netPayout})`,
+      req,
+      metadata: { payoutId: payout._id, agentId: payout.agentId },
+    });
+
+    res.status(200).json({ message: "Payout marked as paid", payout });
+  } catch (error) {
+    console.error("markAgentPayoutAsPaid error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to update payout" });
+  }
+};
+
+// Admin: cancel a pending payout
+exports.cancelAgentPayoutRun = async (req, res) => {
+  try {
+    const payout = await cancelAgentPayout(req.params.payoutId);
+
+    await logAccess({
+      userId: req.user._id,
+      action: "agentPayout.cancel",
+      description: `Cancelled agent payout ${payout._id}`,
+      req,
+      metadata: { payoutId: payout._id, agentId: payout.agentId },
+    });
+
+    res.status(200).json({ message: "Payout cancelled", payout });
+  } catch (error) {
+    console.error("cancelAgentPayoutRun error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to cancel payout" });
+  }
+};
+
+// Admin: bank transfer CSV for a payout run
+exports.exportAgentBankTransferCsv = async (req, res) => {
+  try {
+    const { runId } = req.query;
+    if (!runId) return res.status(400).json({ message: "runId is required" });
+
+    const csv = await buildAgentBankTransferCsv(runId);
+
+    res.set({
+      "Content-Type": "text/csv",
+      "Content-Disposition": `attachment; filename="${runId}.csv"`,
+    });
+    res.send(csv);
+  } catch (error) {
+    console.error("exportAgentBankTransferCsv error:", error);
+    res.status(500).json({ message: "Failed to export bank transfer file" });
+  }
+};
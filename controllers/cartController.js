@@ -1,9 +1,20 @@
 const Cart = require("../models/cartModel")
 const Product = require('../models/productModel');
 const { calculateOrderCost } = require("../services/orderCostCalculator");
+const { resolveCustomisation, lineKey } = require("../services/customisationService");
 
 const mongoose = require('mongoose')
 
+// Index of a cart line by its _id, or by productId when the product has a single line.
+// -1: not found, -2: productId matches several customised lines
+const findLineIndex = (cart, { itemId, productId }) => {
+  if (itemId) return cart.products.findIndex(p => p._id.toString() === String(itemId));
+
+  const matches = cart.products.filter(p => p.productId?.toString() === String(productId));
+  if (matches.length > 1) return -2;
+  return cart.products.findIndex(p => p.productId?.toString() === String(productId));
+};
+
 exports.addToCart = async (req,res) => {
   const userId = req.user._id; 
   const { restaurantId, products } = req.body
@@ -114,12 +125,19 @@ exports.addToCart = async (req, res) => {
       const productData = await Product.findById(prod.productId);
       if (!productData || productData.restaurantId.toString() !== restaurantId) continue;
 
-      const index = cart.products.findIndex(p => p.productId.toString() === prod.productId);
+      // variant and add-on choices; a different combination is a separate line
+      const { variant, addOns, unitPrice, customisationKey } = resolveCustomisation(productData, {
+        variantId: prod.variantId,
+        addOns: prod.addOns
+      });
+
+      const index = cart.products.findIndex(p => lineKey(p) === customisationKey);
       const newQty = (prod.quantity && prod.quantity > 0) ? prod.quantity : 1;
-      const price = productData.price;
+      const price = unitPrice;
 
       if (index > -1) {
         cart.products[index].quantity = newQty;
+        cart.products[index].price = price;
         cart.products[index].total = newQty * price;
       } else {
         cart.products.push({
@@ -127,7 +145,10 @@ exports.addToCart = async (req, res) => {
           name: productData.name,
           price,
           quantity: newQty,
-          total: price * newQty
+          total: price * newQty,
+          variant,
+          addOns,
+          customisationKey
         });
       }
     }
@@ -142,7 +163,7 @@ exports.addToCart = async (req, res) => {
     return res.status(200).json({ message: "Cart updated successfully", cart });
   } catch (error) {
     console.error("Error inside addToCart service:", error);
-    res.status(error.status || 500).json({ message: error.message || "Something went wrong" });
+    res.status(error.status || error.statusCode || 500).json({ message: error.message || "Something went wrong" });
   }
 };
 // Get user's cart
@@ -162,30 +183,32 @@ exports.getCart = async (req, res) => {
   }
 };
 
-// Update item quantity
+// Update item quantity ({ itemId } of the cart line, or { productId } for a product with one line)
 exports.updateCartItem = async (req, res) => {
   try {
     const userId  = req.user._id;
-    const { productId, quantity } = req.body;
+    const { itemId, productId, quantity } = req.body;
 
-    if (!userId || !productId || quantity == null) {
+    if (!userId || !(itemId || productId) || quantity == null) {
       return res.status(400).json({ message: "Missing required fields" });
     }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: "quantity must be a whole number of at least 1" });
+    }
 
     const cart = await Cart.findOne({ user: userId });
     if (!cart) return res.status(404).json({ message: "Cart not found" });
 
-    const itemIndex = cart.items.findIndex(item => item.product.toString() === productId);
-    if (itemIndex === -1) return res.status(404).json({ message: "Item not found in cart" });
-
-    const pricePerUnit = cart.items[itemIndex].priceAtPurchase;
-    const oldQty = cart.items[itemIndex].quantity;
-
-    cart.items[itemIndex].quantity = quantity;
+    const lineIndex = findLineIndex(cart, { itemId, productId });
+    if (lineIndex === -2) {
+      return res.status(400).json({ message: "This product has several customised lines, pass itemId" });
+    }
+    if (lineIndex === -1) return res.status(404).json({ message: "Item not found in cart" });
 
-    // Update totals
-    cart.totalQuantity += quantity - oldQty;
-    cart.totalPrice += (quantity - oldQty) * pricePerUnit;
+    const line = cart.products[lineIndex];
+    line.quantity = quantity;
+    line.total = line.price * quantity;
+    cart.totalPrice = cart.products.reduce((sum, p) => sum + p.total, 0);
 
     await cart.save();
 
@@ -196,23 +219,23 @@ exports.updateCartItem = async (req, res) => {
   }
 };
 
-// Remove item from cart
+// Remove item from cart ({ itemId } of the cart line, or { productId } for a product with one line)
 exports.removeFromCart = async (req, res) => {
   try {
     const userId  = req.user._id;
-    const { productId } = req.body;
+    const { itemId, productId } = req.body;
 
     const cart = await Cart.findOne({ user: userId });
     if (!cart) return res.status(404).json({ message: "Cart not found" });
 
-    const itemIndex = cart.items.findIndex(item => item.product.toString() === productId);
-    if (itemIndex === -1) return res.status(404).json({ message: "Item not found in cart" });
-
-    const item = cart.items[itemIndex];
-    cart.totalPrice -= item.priceAtPurchase * item.quantity;
-    cart.totalQuantity -= item.quantity;
+    const lineIndex = findLineIndex(cart, { itemId, productId });
+    if (lineIndex === -2) {
+      return res.status(400).json({ message: "This product has several customised lines, pass itemId" });
+    }
+    if (lineIndex === -1) return res.status(404).json({ message: "Item not found in cart" });
 
-    cart.items.splice(itemIndex, 1);
+    cart.products.splice(lineIndex, 1);
+    cart.totalPrice = cart.products.reduce((sum, p) => sum + p.total, 0);
     await cart.save();
 
     res.status(200).json({ message: "Item removed from cart", cart });
@@ -230,10 +253,8 @@ exports.clearCart = async (req, res) => {
     const cart = await Cart.findOne({ user: userId });
     if (!cart) return res.status(404).json({ message: "Cart not found" });
 
-    cart.items = [];
+    cart.products = [];
     cart.totalPrice = 0;
-    cart.totalQuantity = 0;
-    cart.lastUpdated = new Date();
 
     await cart.save();
 
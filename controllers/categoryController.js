@@ -3,11 +3,12 @@ const Restaurant = require('../models/restaurantModel');
 const Category = require('../models/categoryModel')
 const mongoose = require('mongoose');
 const { uploadOnCloudinary } = require('../utils/cloudinary');
+const { parseAvailabilityWindows } = require('../services/businessHoursService');
 
 exports.createCategory = async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    const { name, description } = req.body;
+    const { name, description, autoOnOff } = req.body;
 
     if (!restaurantId || !name || !description) {
       return res.status(400).json({ message: 'All fields are required.' });
@@ -31,6 +32,10 @@ exports.createCategory = async (req, res) => {
       return res.status(400).json({ message: "Category with the same name already exists for this restaurant." });
     }
 
+    const availabilityWindows = req.body.availabilityWindows
+      ? parseAvailabilityWindows(req.body.availabilityWindows)
+      : [];
+
     let imageUrl = "";
     if (req.file) {
       const uploadResult = await uploadOnCloudinary(req.file.path);
@@ -42,6 +47,8 @@ exports.createCategory = async (req, res) => {
       name,
       description,
       images: imageUrl,
+      availabilityWindows,
+      ...(autoOnOff !== undefined && { autoOnOff: String(autoOnOff) === 'true' }),
     });
 
     await newCategory.save();
@@ -49,7 +56,7 @@ exports.createCategory = async (req, res) => {
     res.status(201).json({ message: 'Category created successfully.', category: newCategory });
   } catch (error) {
     console.error("Create Category Error:", error);
-    res.status(500).json({ message: 'Server error.' });
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error.' });
   }
 };
 
@@ -115,6 +122,12 @@ exports.editResturantCategory = async (req, res) => {
     if (description) {
       category.description = description.trim();
     }
+    if (req.body.availabilityWindows !== undefined) {
+      category.availabilityWindows = parseAvailabilityWindows(req.body.availabilityWindows);
+    }
+    if (req.body.autoOnOff !== undefined) {
+      category.autoOnOff = String(req.body.autoOnOff) === 'true';
+    }
 
     if (req.file) {
       const uploadResult = await uploadOnCloudinary(req.file.path);
@@ -128,7 +141,7 @@ exports.editResturantCategory = async (req, res) => {
     res.status(200).json({ message: 'Category updated successfully.', category });
   } catch (error) {
     console.error("Edit Category Error:", error);
-    res.status(500).json({ message: 'Server error.' });
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : 'Server error.' });
   }
 };
 
@@ -1,5 +1,6 @@
 const Coupon = require('../models/couponModel');
 const User = require('../models/userModel'); // optional: for validation if needed
+const { findApplicableCoupon, calculateCouponDiscount } = require('../services/couponService');
 
 // Create Coupon
 exports.createCoupon = async (req, res) => {
@@ -71,66 +72,29 @@ exports.deleteCoupon = async (req, res) => {
 };
 
 // Validate Coupon for an Order
+// Usage is only recorded when the order is placed (see placeOrder)
 exports.validateCoupon = async (req, res) => {
   try {
-    const { code, userId, totalAmount } = req.body;
-    const now = new Date();
+    const { code, restaurantId, totalAmount } = req.body;
 
-    const coupon = await Coupon.findOne({
-      code: code.toUpperCase(),
-      isActive: true,
-      validFrom: { $lte: now },
-      validTill: { $gte: now }
-    });
-
-    if (!coupon) return res.status(404).json({ message: 'Coupon is invalid or expired' });
-
-    if (coupon.minOrderAmount > totalAmount) {
-      return res.status(400).json({ message: `Minimum order amount not met (₹${coupon.minOrderAmount})` });
-    }
-
-    if (
-      coupon.usageLimit > 0 &&
-      coupon.usersUsed.includes(userId)
-    ) {
-      return res.status(403).json({ message: 'Coupon already used by this user' });
-    }
+    if (!code) return res.status(400).json({ message: 'Coupon code is required' });
 
-    if (
-      coupon.globalUsageLimit > 0 &&
-      coupon.usedCount >= coupon.globalUsageLimit
-    ) {
-      return res.status(403).json({ message: 'Coupon usage limit reached' });
-    }
+    const coupon = await findApplicableCoupon({
+      code,
+      userId: req.user._id,
+      restaurantId,
+      orderAmount: Number(totalAmount) || 0,
+    });
 
     res.json({
       message: 'Coupon is valid',
       discountType: coupon.discountType,
       discountValue: coupon.discountValue,
-      maxDiscount: coupon.maxDiscount || null
+      maxDiscount: coupon.maxDiscount || null,
+      discount: calculateCouponDiscount(coupon, Number(totalAmount) || 0)
     });
   } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ message: error.message });
     res.status(500).json({ message: 'Failed to validate coupon', error: error.message });
   }
 };
-
-// Mark Coupon as Used by User
-exports.markCouponAsUsed = async (req, res) => {
-  try {
-    const { code, userId } = req.body;
-    const coupon = await Coupon.findOne({ code: code.toUpperCase() });
-
-    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
-
-    if (!coupon.usersUsed.includes(userId)) {
-      coupon.usersUsed.push(userId);
-    }
-
-    coupon.usedCount += 1;
-    await coupon.save();
-
-    res.json({ message: 'Coupon usage recorded' });
-  } catch (error) {
-    res.status(500).json({ message: 'Error marking coupon as used', error: error.message });
-  }
-};
@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const DeliverySettings = require("../models/deliverySettings");
+const Restaurant = require("../models/restaurantModel");
+const logAccess = require("../utils/logAccess");
+
+const EDITABLE_FIELDS = [
+  "baseCharge",
+  "perKmCharge",
+  "surgeMultiplier",
+  "freeDeliveryAbove",
+  "peakHours",
+  "deliveryOtpEnabled",
+];
+
+// ":restaurantId" is either a restaurant ID or "global"
+const resolveScope = (restaurantId) => {
+  if (restaurantId === "global") return { restaurantId: null };
+  if (!mongoose.Types.ObjectId.isValid(restaurantId)) return null;
+  return { restaurantId };
+};
+
+// List global and per-restaurant delivery settings
+exports.getAllDeliverySettings = async (req, res) => {
+  try {
+    const settings = await DeliverySettings.find()
+      .populate("restaurantId", "name")
+      .sort({ restaurantId: 1 })
+      .lean();
+
+    res.status(200).json({
+      message: "Delivery settings fetched successfully",
+      global: settings.find((s) => !s.restaurantId) || null,
+      overrides: settings.filter((s) => s.restaurantId),
+    });
+  } catch (error) {
+    console.error("getAllDeliverySettings error:", error);
+    res.status(500).json({ message: "Failed to fetch delivery settings" });
+  }
+};
+
+// Get the settings for one restaurant (or "global")
+exports.getDeliverySettings = async (req, res) => {
+  try {
+    const scope = resolveScope(req.params.restaurantId);
+    if (!scope) return res.status(400).json({ message: "Invalid restaurantId" });
+
+    const settings = await DeliverySettings.findOne(scope).lean();
+    if (!settings) return res.status(404).json({ message: "Delivery settings not found" });
+
+    res.status(200).json({ message: "Delivery settings fetched successfully", settings });
+  } catch (error) {
+    console.error("getDeliverySettings error:", error);
+    res.status(500).json({ message: "Failed to fetch delivery settings" });
+  }
+};
+
+// Create or update the settings for one restaurant (or "global")
+exports.upsertDeliverySettings = async (req, res) => {
+  try {
+    const scope = resolveScope(req.params.restaurantId);
+    if (!scope) return res.status(400).json({ message: "Invalid restaurantId" });
+
+    if (scope.restaurantId) {
+      const exists = await Restaurant.exists({ _id: scope.restaurantId });
+      if (!exists) return res.status(404).json({ message: "Restaurant not found" });
+    }
+
+    const update = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ message: `Provide at least one of: ${EDITABLE_FIELDS.join(", ")}` });
+    }
+
+    const settings = await DeliverySettings.findOneAndUpdate(
+      scope,
+      { ...update, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await logAccess({
+      userId: req.user._id,
+      action: "deliverySettings.update",
+      description: `Updated ${scope.restaurantId ? `delivery settings of restaurant ${scope.restaurantId}` : "global delivery settings"}`,
+      req,
+      metadata: { settingsId: settings._id, update },
+    });
+
+    res.status(200).json({ message: "Delivery settings saved successfully", settings });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("upsertDeliverySettings error:", error);
+    res.status(500).json({ message: "Failed to save delivery settings" });
+  }
+};
+
+// Remove a restaurant override (the restaurant falls back to the global settings)
+exports.deleteDeliverySettings = async (req, res) => {
+  try {
+    const scope = resolveScope(req.params.restaurantId);
+    if (!scope) return res.status(400).json({ message: "Invalid restaurantId" });
+
+    const deleted = await DeliverySettings.findOneAndDelete(scope);
+    if (!deleted) return res.status(404).json({ message: "Delivery settings not found" });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "deliverySettings.delete",
+      description: `Deleted ${scope.restaurantId ? `delivery settings of restaurant ${scope.restaurantId}` : "global delivery settings"}`,
+      req,
+      metadata: { settingsId: deleted._id },
+    });
+
+    res.status(200).json({ message: "Delivery settings deleted successfully" });
+  } catch (error) {
+    console.error("deleteDeliverySettings error:", error);
+    res.status(500).json({ message: "Failed to delete delivery settings" });
+  }
+};
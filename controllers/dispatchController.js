@@ -0,0 +1,169 @@
+const mongoose = require("mongoose");
+const DispatchSettings = require("../models/dispatchSettingsModel");
+const DispatchLog = require("../models/dispatchLogModel");
+const logAccess = require("../utils/logAccess");
+const { getDispatchSettings, FACTORS } = require("../services/dispatchScorer");
+
+const BATCHING_FIELDS = [
+  "enabled",
+  "maxOrdersPerBatch",
+  "maxPickupDistanceKm",
+  "maxDirectionDeviationDeg",
+  "maxDetourMinutes",
+  "averageSpeedKmph",
+  "stopMinutes",
+];
+
+const GEOFENCE_FIELDS = [
+  "mode",
+  "restaurantRadiusMeters",
+  "customerRadiusMeters",
+  "statusToleranceMeters",
+  "maxPlausibleSpeedKmph",
+];
+
+// Current dispatch weights (defaults if never saved)
+exports.getDispatchSettingsConfig = async (req, res) => {
+  try {
+    const settings = await getDispatchSettings();
+    res.status(200).json({ message: "Dispatch settings fetched successfully", factors: FACTORS, settings });
+  } catch (error) {
+    console.error("getDispatchSettingsConfig error:", error);
+    res.status(500).json({ message: "Failed to fetch dispatch settings" });
+  }
+};
+
+// Update dispatch weights, search radius, candidate limit, dispatch mode (global or per city), batching and geofences
+exports.updateDispatchSettings = async (req, res) => {
+  try {
+    const {
+      weights,
+      searchRadiusMeters,
+      maxCandidates,
+      mode,
+      broadcastSize,
+      offerTimeoutSeconds,
+      cityOverrides,
+      batching,
+      geofence,
+    } = req.body;
+    const update = {};
+
+    if (weights !== undefined) {
+      if (typeof weights !== "object" || weights === null) {
+        return res.status(400).json({ message: "weights must be an object" });
+      }
+      const unknown = Object.keys(weights).filter((f) => !FACTORS.includes(f));
+      if (unknown.length) {
+        return res.status(400).json({ message: `Unknown weight(s): ${unknown.join(", ")}. Allowed: ${FACTORS.join(", ")}` });
+      }
+      for (const [factor, value] of Object.entries(weights)) {
+        if (typeof value !== "number" || value < 0 || value > 100) {
+          return res.status(400).json({ message: `Weight for ${factor} must be a number between 0 and 100` });
+        }
+        update[`weights.${factor}`] = value;
+      }
+    }
+    if (searchRadiusMeters !== undefined) update.searchRadiusMeters = searchRadiusMeters;
+    if (maxCandidates !== undefined) update.maxCandidates = maxCandidates;
+    if (mode !== undefined) update.mode = mode;
+    if (broadcastSize !== undefined) update.broadcastSize = broadcastSize;
+    if (offerTimeoutSeconds !== undefined) update.offerTimeoutSeconds = offerTimeoutSeconds;
+
+    if (cityOverrides !== undefined) {
+      if (!Array.isArray(cityOverrides)) {
+        return res.status(400).json({ message: "cityOverrides must be an array" });
+      }
+      const cities = cityOverrides.map((o) => String(o?.city || "").trim().toLowerCase());
+      if (cities.some((c) => !c)) {
+        return res.status(400).json({ message: "Each city override needs a city" });
+      }
+      if (new Set(cities).size !== cities.length) {
+        return res.status(400).json({ message: "Each city can only be overridden once" });
+      }
+      update.cityOverrides = cityOverrides;
+    }
+
+    if (batching !== undefined) {
+      if (typeof batching !== "object" || batching === null) {
+        return res.status(400).json({ message: "batching must be an object" });
+      }
+      const unknown = Object.keys(batching).filter((k) => !BATCHING_FIELDS.includes(k));
+      if (unknown.length) {
+        return res.status(400).json({ message: `Unknown batching setting(s): ${unknown.join(", ")}` });
+      }
+      Object.entries(batching).forEach(([key, value]) => (update[`batching.${key}`] = value));
+    }
+
+    if (geofence !== undefined) {
+      if (typeof geofence !== "object" || geofence === null) {
+        return res.status(400).json({ message: "geofence must be an object" });
+      }
+      const unknown = Object.keys(geofence).filter((k) => !GEOFENCE_FIELDS.includes(k));
+      if (unknown.length) {
+        return res.status(400).json({ message: `Unknown geofence setting(s): ${unknown.join(", ")}` });
+      }
+      Object.entries(geofence).forEach(([key, value]) => (update[`geofence.${key}`] = value));
+    }
+
+    if (!Object.keys(update).length) {
+      return res.status(400).json({
+        message: "Provide weights, searchRadiusMeters, maxCandidates, mode, broadcastSize, offerTimeoutSeconds, cityOverrides, batching or geofence",
+      });
+    }
+
+    const current = await getDispatchSettings();
+    const merged = { ...current.weights, ...(weights || {}) };
+    if (!FACTORS.some((f) => merged[f] > 0)) {
+      return res.status(400).json({ message: "At least one weight must be greater than 0" });
+    }
+
+    const settings = await DispatchSettings.findOneAndUpdate(
+      {},
+      { ...update, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await logAccess({
+      userId: req.user._id,
+      action: "dispatchSettings.update",
+      description: "Updated dispatch settings",
+      req,
+      metadata: { update },
+    });
+
+    res.status(200).json({ message: "Dispatch settings saved successfully", settings });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("updateDispatchSettings error:", error);
+    res.status(500).json({ message: "Failed to save dispatch settings" });
+  }
+};
+
+// Dispatch decisions, newest first; filter by order or outcome
+exports.getDispatchLogs = async (req, res) => {
+  try {
+    const { orderId, outcome } = req.query;
+    const filter = {};
+    if (orderId) {
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({ message: "Invalid orderId" });
+      }
+      filter.orderId = orderId;
+    }
+    if (outcome) filter.outcome = outcome;
+
+    const logs = await DispatchLog.find(filter)
+      .populate("selectedAgentId", "fullName phoneNumber")
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.status(200).json({ message: "Dispatch logs fetched successfully", logs });
+  } catch (error) {
+    console.error("getDispatchLogs error:", error);
+    res.status(500).json({ message: "Failed to fetch dispatch logs" });
+  }
+};
@@ -0,0 +1,395 @@
+const mongoose = require("mongoose");
+const Dispute = require("../models/disputeModel");
+const Order = require("../models/orderModel");
+const { uploadOnCloudinary } = require("../utils/cloudinary");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+const logAccess = require("../utils/logAccess");
+const { refundOrder } = require("../services/paymentService");
+const { DELIVERY_PROOF_FIELDS } = require("../services/deliveryProofService");
+const { restaurantOrderValue } = require("../services/settlementService");
+const {
+  addRestaurantRefundAdjustment,
+  addAgentPenalty,
+} = require("../services/earningService");
+
+const DISPUTABLE_STATUSES = ["completed", "cancelled_by_customer", "rejected_by_restaurant"];
+const DISPUTE_WINDOW_HOURS = 72;
+const VALID_REASONS = ["missing_items", "wrong_items", "damaged_items", "quality_issue", "not_delivered", "cancellation_refund", "other"];
+const VALID_ITEM_ISSUES = ["missing", "wrong", "damaged"];
+
+// Customer raises a dispute against a delivered or cancelled order
+exports.createDispute = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { reason, description } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ error: "Invalid orderId format" });
+    }
+
+    if (!VALID_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `Invalid reason. Allowed: ${VALID_REASONS.join(", ")}` });
+    }
+
+    if (!description?.trim()) {
+      return res.status(400).json({ error: "description is required" });
+    }
+
+    // items arrive as a JSON string in multipart requests
+    let items = [];
+    try {
+      if (req.body.items) {
+        items = typeof req.body.items === "string" ? JSON.parse(req.body.items) : req.body.items;
+        if (!Array.isArray(items)) throw new Error();
+      }
+    } catch (err) {
+      return res.status(400).json({ error: "items must be a JSON array" });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    if (order.customerId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "You can only dispute your own orders" });
+    }
+
+    if (!DISPUTABLE_STATUSES.includes(order.orderStatus)) {
+      return res.status(400).json({ error: "Only delivered or cancelled orders can be disputed" });
+    }
+
+    const closedAt = order.statusHistory?.[order.statusHistory.length - 1]?.changedAt || order.updatedAt;
+    if (Date.now() - new Date(closedAt).getTime() > DISPUTE_WINDOW_HOURS * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Disputes must be raised within ${DISPUTE_WINDOW_HOURS} hours` });
+    }
+
+    const existing = await Dispute.findOne({
+      orderId,
+      status: { $in: ["open", "under_review"] },
+    });
+    if (existing) {
+      return res.status(400).json({ error: "There is already an open dispute for this order" });
+    }
+
+    // Validate item-level claims against what was actually ordered
+    const claims = [];
+    for (const item of items) {
+      const orderItem = order.orderItems.find(
+        (oi) => oi._id.toString() === item.orderItemId || oi.productId?.toString() === item.productId
+      );
+      if (!orderItem) {
+        return res.status(400).json({ error: `Item ${item.orderItemId || item.productId} is not part of this order` });
+      }
+
+      if (!VALID_ITEM_ISSUES.includes(item.issue)) {
+        return res.status(400).json({ error: `Invalid item issue. Allowed: ${VALID_ITEM_ISSUES.join(", ")}` });
+      }
+
+      const quantity = parseInt(item.quantity) || orderItem.quantity;
+      if (quantity < 1 || quantity > orderItem.quantity) {
+        return res.status(400).json({ error: `Invalid quantity for ${orderItem.name}` });
+      }
+
+      claims.push({
+        orderItemId: orderItem._id,
+        productId: orderItem.productId,
+        name: orderItem.name,
+        quantity,
+        issue: item.issue,
+        claimedAmount: orderItem.price * quantity,
+      });
+    }
+
+    // Upload photo evidence
+    const evidence = [];
+    for (const file of req.files || []) {
+      const result = await uploadOnCloudinary(file.path, "orado_disputes");
+      if (result?.secure_url) evidence.push(result.secure_url);
+    }
+
+    const claimedAmount = claims.length
+      ? claims.reduce((sum, c) => sum + c.claimedAmount, 0)
+      : order.totalAmount - (order.refundedAmount || 0);
+
+    const dispute = await Dispute.create({
+      orderId,
+      customerId: req.user._id,
+      restaurantId: order.restaurantId,
+      agentId: order.assignedAgent || null,
+      reason,
+      description: description.trim(),
+      items: claims,
+      claimedAmount,
+      evidence,
+    });
+
+    res.status(201).json({ message: "Dispute raised successfully", dispute });
+  } catch (error) {
+    console.error("createDispute error:", error);
+    res.status(500).json({ error: "Failed to raise dispute" });
+  }
+};
+
+// Customer's own disputes
+exports.getMyDisputes = async (req, res) => {
+  try {
+    const disputes = await Dispute.find({ customerId: req.user._id })
+      .populate("orderId", "orderStatus totalAmount createdAt")
+      .populate("restaurantId", "name")
+      .sort({ createdAt: -1 });
+
+    res.json(disputes);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch disputes" });
+  }
+};
+
+// Single dispute (owner or admin)
+exports.getDisputeById = async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(disputeId)) {
+      return res.status(400).json({ error: "Invalid disputeId format" });
+    }
+
+    const dispute = await Dispute.findById(disputeId)
+      // includes the delivery proof (OTP check / doorstep photo) for not_delivered claims
+      .populate("orderId", `orderItems orderStatus paymentMethod paymentStatus totalAmount refundedAmount statusHistory ${DELIVERY_PROOF_FIELDS}`)
+      .populate("restaurantId", "name phone")
+      .populate("agentId", "fullName phoneNumber")
+      .populate("customerId", "name phone email");
+
+    if (!dispute) return res.status(404).json({ error: "Dispute not found" });
+
+    const isAdmin = ["admin", "superAdmin"].includes(req.user.userType);
+    if (!isAdmin && dispute.customerId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Unauthorized access to this dispute" });
+    }
+
+    res.json(dispute);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch dispute" });
+  }
+};
+
+// Add a message to a dispute (customer/admin)
+exports.addDisputeMessage = async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    const { message } = req.body;
+
+    if (!message?.trim()) {
+      return res.status(400).json({ error: "Message is required" });
+    }
+
+    const dispute = await Dispute.findById(disputeId);
+    if (!dispute) return res.status(404).json({ error: "Dispute not found" });
+
+    const isAdmin = ["admin", "superAdmin"].includes(req.user.userType);
+    if (!isAdmin && dispute.customerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Unauthorized access to this dispute" });
+    }
+
+    dispute.messages.push({ sender: isAdmin ? "admin" : "customer", message: message.trim() });
+    await dispute.save();
+
+    res.status(200).json({ message: "Message added", dispute });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to add message" });
+  }
+};
+
+// All disputes (Admin)
+exports.getAllDisputes = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = status ? { status } : {};
+
+    const disputes = await Dispute.find(filter)
+      .populate("customerId", "name phone")
+      .populate("restaurantId", "name")
+      .sort({ createdAt: -1 });
+
+    res.json(disputes);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch disputes" });
+  }
+};
+
+// Pick up a dispute for review (Admin)
+exports.markDisputeUnderReview = async (req, res) => {
+  try {
+    const dispute = await Dispute.findOneAndUpdate(
+      { _id: req.params.disputeId, status: "open" },
+      { status: "under_review" },
+      { new: true }
+    );
+    if (!dispute) return res.status(400).json({ error: "Dispute not found or not open" });
+
+    res.json({ message: "Dispute marked under review", dispute });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to update dispute" });
+  }
+};
+
+// Approve (fully/partially) or reject a dispute (Admin)
+exports.resolveDispute = async (req, res) => {
+  try {
+    const { disputeId } = req.params;
+    const {
+      decision, // "approve" | "reject"
+      refundAmount,
+      refundTo = "original", // "original" | "wallet"
+      restaurantShare,
+      agentShare = 0,
+      note,
+    } = req.body;
+
+    if (!["approve", "reject"].includes(decision)) {
+      return res.status(400).json({ error: "decision must be 'approve' or 'reject'" });
+    }
+
+    if (!["original", "wallet"].includes(refundTo)) {
+      return res.status(400).json({ error: "refundTo must be 'original' or 'wallet'" });
+    }
+
+    // Claim the dispute so two admins cannot resolve it at once
+    const dispute = await Dispute.findOneAndUpdate(
+      {
+        _id: disputeId,
+        status: { $in: ["open", "under_review"] },
+        "resolution.resolvedAt": null,
+      },
+      {
+        status: "under_review",
+        "resolution.resolvedBy": req.user._id,
+        "resolution.resolvedAt": new Date(),
+      },
+      { new: true }
+    );
+    if (!dispute) return res.status(400).json({ error: "Dispute not found or already resolved" });
+
+    const releaseClaim = () => Dispute.updateOne(
+      { _id: dispute._id },
+      { $unset: { "resolution.resolvedBy": 1, "resolution.resolvedAt": 1 } }
+    );
+
+    if (decision === "reject") {
+      dispute.status = "rejected";
+      dispute.resolution = {
+        note,
+        resolvedBy: req.user._id,
+        resolvedAt: new Date(),
+      };
+      await dispute.save();
+
+      await sendPushNotification(
+        dispute.customerId,
+        "Dispute Update",
+        "Your dispute has been reviewed and was not approved.",
+        "orderUpdates"
+      );
+
+      return res.json({ message: "Dispute rejected", dispute });
+    }
+
+    const order = await Order.findById(dispute.orderId);
+    const amount = Number(refundAmount ?? dispute.claimedAmount);
+    const refundable = order.totalAmount - (order.refundedAmount || 0);
+
+    // by default the restaurant pays back the refunded items, at most what it is settled for the order
+    // (only completed orders are settled); delivery, tip and GST were never its money
+    const settledValue = order.orderStatus === "completed" ? restaurantOrderValue(order) : 0;
+    const itemValue = dispute.items?.length
+      ? dispute.items.reduce((sum, item) => sum + (item.claimedAmount || 0), 0)
+      : settledValue;
+    const restaurantDeduction = restaurantShare != null
+      ? Number(restaurantShare)
+      : Number(Math.min(amount, itemValue, settledValue).toFixed(2));
+    const agentDeduction = Number(agentShare);
+
+    const invalid =
+      !(amount > 0) ||
+      amount > refundable ||
+      restaurantDeduction < 0 ||
+      agentDeduction < 0 ||
+      restaurantDeduction + agentDeduction > amount ||
+      (agentDeduction > 0 && !dispute.agentId);
+
+    if (invalid) {
+      await releaseClaim();
+      return res.status(400).json({
+        error: `refundAmount must be between 0 and ${refundable}, and restaurantShare + agentShare cannot exceed it`,
+      });
+    }
+
+    let refund;
+    try {
+      refund = await refundOrder(order, {
+        amount,
+        reason: `Dispute ${dispute._id}: ${dispute.reason}`,
+        toWallet: refundTo === "wallet",
+        walletReason: "refund",
+        performedBy: req.user._id,
+      });
+    } catch (error) {
+      await releaseClaim();
+      throw error;
+    }
+
+    if (!refund) {
+      await releaseClaim();
+      return res.status(400).json({ error: "Nothing has been paid for this order" });
+    }
+
+    if (restaurantDeduction > 0 && dispute.restaurantId) {
+      await addRestaurantRefundAdjustment({
+        restaurantId: dispute.restaurantId,
+        orderId: dispute.orderId,
+        amount: restaurantDeduction,
+        remarks: `Dispute refund (${dispute.reason})`,
+      });
+    }
+
+    if (agentDeduction > 0) {
+      await addAgentPenalty({
+        agentId: dispute.agentId,
+        orderId: dispute.orderId,
+        amount: agentDeduction,
+        remarks: `Dispute refund (${dispute.reason})`,
+      });
+    }
+
+    dispute.status = amount < dispute.claimedAmount ? "partially_approved" : "approved";
+    dispute.resolution = {
+      refundAmount: amount,
+      refundDestination: refund.destination,
+      restaurantDeduction,
+      agentDeduction,
+      note,
+      resolvedBy: req.user._id,
+      resolvedAt: new Date(),
+    };
+    await dispute.save();
+
+    await logAccess({
+      userId: req.user._id,
+      action: "dispute.resolve",
+      description: `Approved refund of ${amount} for dispute ${dispute._id} on order ${dispute.orderId}`,
+      req,
+      metadata: { disputeId: dispute._id, destination: refund.destination },
+    });
+
+    await sendPushNotification(
+      dispute.customerId,
+      "Dispute Resolved",
+      `A refund of ₹${amount} has been approved for your order.`,
+      "orderUpdates"
+    );
+
+    res.json({ message: "Dispute resolved", dispute });
+  } catch (error) {
+    console.error("resolveDispute error:", error);
+    res.status(error.statusCode || 500).json({ error: error.message || "Failed to resolve dispute" });
+  }
+};
@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+const IncentivePlan = require("../models/incentivePlanModel");
+const IncentiveProgress = require("../models/incentiveProgressModel");
+const logAccess = require("../utils/logAccess");
+const { getAgentIncentiveProgress, METRICS } = require("../services/incentiveService");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "conditions",
+  "rewardAmount",
+  "period",
+  "startDate",
+  "endDate",
+  "segment",
+  "active",
+];
+
+// Returns an error message for invalid conditions, or null
+const validateConditions = (conditions) => {
+  if (!Array.isArray(conditions) || !conditions.length) {
+    return "conditions must be a non-empty array";
+  }
+  const unknown = conditions.filter((c) => !METRICS.includes(c?.metric));
+  if (unknown.length) {
+    return `Unknown metric(s). Allowed: ${METRICS.join(", ")}`;
+  }
+  if (new Set(conditions.map((c) => c.metric)).size !== conditions.length) {
+    return "Each metric can only be used once per plan";
+  }
+  if (conditions.some((c) => typeof c.target !== "number" || c.target < 0)) {
+    return "Each condition needs a target of 0 or more";
+  }
+  return null;
+};
+
+// Admin: create an incentive plan
+exports.createIncentivePlan = async (req, res) => {
+  try {
+    const conditionsError = validateConditions(req.body.conditions);
+    if (conditionsError) return res.status(400).json({ message: conditionsError });
+
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    if (!(new Date(data.endDate) > new Date(data.startDate))) {
+      return res.status(400).json({ message: "endDate must be after startDate" });
+    }
+
+    const plan = await IncentivePlan.create({ ...data, createdBy: req.user._id });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "incentivePlan.create",
+      description: `Created incentive plan ${plan.name}`,
+      req,
+      metadata: { planId: plan._id },
+    });
+
+    res.status(201).json({ message: "Incentive plan created successfully", plan });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("createIncentivePlan error:", error);
+    res.status(500).json({ message: "Failed to create incentive plan" });
+  }
+};
+
+// Admin: incentive plans (?active=true|false)
+exports.getIncentivePlans = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.active = req.query.active === "true";
+
+    const plans = await IncentivePlan.find(filter).sort({ startDate: -1 }).lean();
+    res.status(200).json({ message: "Incentive plans fetched successfully", metrics: METRICS, plans });
+  } catch (error) {
+    console.error("getIncentivePlans error:", error);
+    res.status(500).json({ message: "Failed to fetch incentive plans" });
+  }
+};
+
+// Admin: edit, pause or resume a plan
+exports.updateIncentivePlan = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.planId)) {
+      return res.status(400).json({ message: "Invalid planId" });
+    }
+
+    const update = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ message: `Provide at least one of: ${EDITABLE_FIELDS.join(", ")}` });
+    }
+    if (update.conditions !== undefined) {
+      const conditionsError = validateConditions(update.conditions);
+      if (conditionsError) return res.status(400).json({ message: conditionsError });
+    }
+
+    const plan = await IncentivePlan.findById(req.params.planId);
+    if (!plan) return res.status(404).json({ message: "Incentive plan not found" });
+
+    plan.set({ ...update, updatedBy: req.user._id });
+    if (plan.endDate <= plan.startDate) {
+      return res.status(400).json({ message: "endDate must be after startDate" });
+    }
+    await plan.save();
+
+    await logAccess({
+      userId: req.user._id,
+      action: "incentivePlan.update",
+      description: `Updated incentive plan ${plan.name}`,
+      req,
+      metadata: { planId: plan._id, update },
+    });
+
+    res.status(200).json({ message: "Incentive plan updated successfully", plan });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("updateIncentivePlan error:", error);
+    res.status(500).json({ message: "Failed to update incentive plan" });
+  }
+};
+
+// Admin: agents' progress on a plan, most recent period first (?status)
+exports.getIncentivePlanProgress = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.planId)) {
+      return res.status(400).json({ message: "Invalid planId" });
+    }
+
+    const filter = { planId: req.params.planId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const progress = await IncentiveProgress.find(filter)
+      .populate("agentId", "fullName phoneNumber")
+      .sort({ periodStart: -1, status: 1 })
+      .limit(500)
+      .lean();
+
+    res.status(200).json({ message: "Incentive progress fetched successfully", progress });
+  } catch (error) {
+    console.error("getIncentivePlanProgress error:", error);
+    res.status(500).json({ message: "Failed to fetch incentive progress" });
+  }
+};
+
+// Agent: progress toward each running plan
+exports.getMyIncentives = async (req, res) => {
+  try {
+    const incentives = await getAgentIncentiveProgress(req.user.agentId);
+    res.status(200).json({ message: "Incentives fetched successfully", incentives });
+  } catch (error) {
+    console.error("getMyIncentives error:", error);
+    res.status(500).json({ message: "Failed to fetch incentives" });
+  }
+};
@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+const Product = require("../models/productModel");
+const Restaurant = require("../models/restaurantModel");
+const InventoryLog = require("../models/inventoryLogModel");
+const { adjustStock, getLowStock } = require("../services/inventoryService");
+
+const ownsRestaurant = (restaurantId, userId) => Restaurant.exists({ _id: restaurantId, ownerId: userId });
+
+// Merchant: restock, wastage or correction ({ change, reason, variantId, note })
+exports.adjustProductStock = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { variantId, change, reason, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ message: "Invalid productId" });
+    }
+    if (variantId && !mongoose.Types.ObjectId.isValid(variantId)) {
+      return res.status(400).json({ message: "Invalid variantId" });
+    }
+
+    const product = await Product.findById(productId).select("restaurantId").lean();
+    if (!product) return res.status(404).json({ message: "Product not found" });
+    if (!(await ownsRestaurant(product.restaurantId, req.user._id))) {
+      return res.status(403).json({ message: "You can only adjust stock of your own products" });
+    }
+
+    const { product: updated, entry } = await adjustStock({
+      productId,
+      variantId: variantId || null,
+      change,
+      reason,
+      note: note?.trim() || null,
+      actorId: req.user._id,
+      io: req.app.get("io"),
+    });
+
+    res.status(200).json({ message: "Stock updated successfully", product: updated, entry });
+  } catch (error) {
+    console.error("adjustProductStock error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to update stock" });
+  }
+};
+
+// Merchant: products and variants at or below their reorder level
+exports.getLowStockItems = async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({ message: "Invalid restaurantId" });
+    }
+    if (!(await ownsRestaurant(restaurantId, req.user._id))) {
+      return res.status(403).json({ message: "You can only view stock of your own restaurant" });
+    }
+
+    const items = await getLowStock(restaurantId);
+    res.status(200).json({ message: "Low stock items fetched successfully", items });
+  } catch (error) {
+    console.error("getLowStockItems error:", error);
+    res.status(500).json({ message: "Failed to fetch low stock items" });
+  }
+};
+
+// Merchant: inventory adjustment log, newest first (?productId, ?reason, ?from, ?to)
+exports.getInventoryLogs = async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { productId, reason, from, to } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({ message: "Invalid restaurantId" });
+    }
+    if (!(await ownsRestaurant(restaurantId, req.user._id))) {
+      return res.status(403).json({ message: "You can only view stock of your own restaurant" });
+    }
+
+    const filter = { restaurantId };
+    if (productId) {
+      if (!mongoose.Types.ObjectId.isValid(productId)) {
+        return res.status(400).json({ message: "Invalid productId" });
+      }
+      filter.productId = productId;
+    }
+    if (reason) filter.reason = reason;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const logs = await InventoryLog.find(filter)
+      .populate("actorId", "name email")
+      .sort({ createdAt: -1 })
+      .limit(500)
+      .lean();
+
+    res.status(200).json({ message: "Inventory log fetched successfully", logs });
+  } catch (error) {
+    console.error("getInventoryLogs error:", error);
+    res.status(500).json({ message: "Failed to fetch inventory log" });
+  }
+};
@@ -0,0 +1,125 @@
+const ScheduledJob = require("../models/scheduledJobModel");
+const JobRun = require("../models/jobRunModel");
+const logAccess = require("../utils/logAccess");
+const { getRegisteredJobs, runJobNow } = require("../services/jobScheduler");
+// registers the jobs, so they are listed even where the scheduler is not started
+require("../services/scheduledJobs");
+
+// Registered background jobs with their stored state
+exports.getJobs = async (req, res) => {
+  try {
+    const states = await ScheduledJob.find().lean();
+    const byName = new Map(states.map((s) => [s.name, s]));
+
+    const jobs = getRegisteredJobs().map((job) => ({
+      ...job,
+      ...byName.get(job.name),
+      running: Boolean(byName.get(job.name)?.lockedUntil > new Date()),
+    }));
+
+    res.status(200).json({ message: "Jobs fetched successfully", jobs });
+  } catch (error) {
+    console.error("getJobs error:", error);
+    res.status(500).json({ message: "Failed to fetch jobs" });
+  }
+};
+
+// Run history, newest first
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { jobName, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const filter = {};
+    if (jobName) filter.jobName = jobName;
+    if (status) filter.status = status;
+
+    const runs = await JobRun.find(filter)
+      .populate("triggeredBy", "name email")
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.status(200).json({ message: "Job runs fetched successfully", runs });
+  } catch (error) {
+    console.error("getJobRuns error:", error);
+    res.status(500).json({ message: "Failed to fetch job runs" });
+  }
+};
+
+// Enable/disable a job or change its interval and options
+exports.updateJob = async (req, res) => {
+  try {
+    const { enabled, intervalSeconds, options } = req.body;
+
+    if (!getRegisteredJobs().some((job) => job.name === req.params.name)) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    const update = {};
+    if (enabled !== undefined) {
+      if (typeof enabled !== "boolean") return res.status(400).json({ message: "enabled must be true or false" });
+      update.enabled = enabled;
+    }
+    if (intervalSeconds !== undefined) {
+      if (!Number.isInteger(intervalSeconds) || intervalSeconds < 10) {
+        return res.status(400).json({ message: "intervalSeconds must be a whole number of at least 10" });
+      }
+      update.intervalSeconds = intervalSeconds;
+      update.nextRunAt = new Date(Date.now() + intervalSeconds * 1000);
+    }
+    if (options !== undefined) {
+      if (typeof options !== "object" || options === null || Array.isArray(options)) {
+        return res.status(400).json({ message: "options must be an object" });
+      }
+      Object.entries(options).forEach(([key, value]) => (update[`options.${key}`] = value));
+    }
+
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ message: "Provide enabled, intervalSeconds or options" });
+    }
+
+    const job = await ScheduledJob.findOneAndUpdate(
+      { name: req.params.name },
+      { ...update, updatedBy: req.user._id },
+      { new: true }
+    );
+    if (!job) return res.status(404).json({ message: "Job has not been started yet" });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "job.update",
+      description: `Updated job ${job.name}`,
+      req,
+      metadata: { update },
+    });
+
+    res.status(200).json({ message: "Job updated successfully", job });
+  } catch (error) {
+    console.error("updateJob error:", error);
+    res.status(500).json({ message: "Failed to update job" });
+  }
+};
+
+// Run a job now
+exports.runJob = async (req, res) => {
+  try {
+    const run = await runJobNow(req.params.name, {
+      triggeredBy: req.user._id,
+      io: req.app.get("io"),
+    });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "job.run",
+      description: `Ran job ${run.jobName} manually (${run.status})`,
+      req,
+      metadata: { jobRunId: run._id },
+    });
+
+    res.status(200).json({ message: `Job finished with status ${run.status}`, run });
+  } catch (error) {
+    console.error("runJob error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to run job" });
+  }
+};
@@ -0,0 +1,98 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const Restaurant = require("../models/restaurantModel");
+const Permission = require("../models/restaurantPermissionModel");
+const { parseMenuFile, importMenu, exportMenu } = require("../services/menuImportService");
+
+/**
+ * Merchant: bulk import of categories and products, upserted by SKU.
+ *
+ * Send a CSV or JSON file as `file`, or a JSON body { products: [] }.
+ * ?dryRun=true validates and reports what would change without writing.
+ */
+exports.importRestaurantMenu = async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun) === "true";
+
+    if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({ message: "Invalid restaurantId" });
+    }
+
+    const restaurant = await Restaurant.exists({ _id: restaurantId, ownerId: req.user._id });
+    if (!restaurant) {
+      return res.status(404).json({ message: "Restaurant not found" });
+    }
+
+    // a dry run is allowed without menu permission, to prepare the file for the admin
+    if (!dryRun) {
+      const permissionDoc = await Permission.findOne({ restaurantId });
+      if (!permissionDoc?.permissions?.canManageMenu) {
+        return res.status(403).json({ message: "You don't have permission to manage the menu. Ask the admin to import it." });
+      }
+    }
+
+    let format;
+    let content;
+    if (req.file) {
+      const isJson = path.extname(req.file.originalname).toLowerCase() === ".json" || req.file.mimetype === "application/json";
+      format = isJson ? "json" : "csv";
+      content = await fs.promises.readFile(req.file.path, "utf8");
+      await fs.promises.unlink(req.file.path).catch(() => {});
+    } else if (req.body?.products) {
+      format = "json";
+      content = req.body;
+    } else {
+      return res.status(400).json({ message: "Upload a CSV or JSON file as `file`, or send { products: [] }" });
+    }
+
+    const rows = parseMenuFile({ format, content });
+    const report = await importMenu({ restaurantId, rows, dryRun });
+
+    if (!dryRun && report.errors.length) {
+      return res.status(400).json({ message: "The menu has errors, nothing was imported", ...report });
+    }
+
+    res.status(200).json({
+      message: dryRun ? "Menu checked, nothing was imported" : "Menu imported successfully",
+      ...report,
+    });
+  } catch (error) {
+    console.error("importRestaurantMenu error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to import menu" });
+  }
+};
+
+// Merchant: the menu as CSV (default) or JSON (?format=json), in the import format
+exports.exportRestaurantMenu = async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const format = req.query.format === "json" ? "json" : "csv";
+
+    if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({ message: "Invalid restaurantId" });
+    }
+
+    const restaurant = await Restaurant.exists({ _id: restaurantId, ownerId: req.user._id });
+    if (!restaurant) {
+      return res.status(404).json({ message: "Restaurant not found" });
+    }
+
+    const menu = await exportMenu(restaurantId, format);
+
+    if (format === "json") {
+      res.set("Content-Disposition", `attachment; filename="menu-${restaurantId}.json"`);
+      return res.status(200).json({ products: menu });
+    }
+
+    res.set({
+      "Content-Type": "text/csv",
+      "Content-Disposition": `attachment; filename="menu-${restaurantId}.csv"`,
+    });
+    res.send(menu);
+  } catch (error) {
+    console.error("exportRestaurantMenu error:", error);
+    res.status(500).json({ message: "Failed to export menu" });
+  }
+};
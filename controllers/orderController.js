@@ -10,12 +10,33 @@ const { deliveryFeeCalculator } = require("../utils/deliveryFeeCalculator");
 const fs = require("fs");
 
 const firebaseAdmin = require("../config/firebaseAdmin");
+const { dispatchPlacedOrder } = require("../services/orderDispatchService");
+const { createPaymentIntent, refundOrder, onlinePaymentsEnabled } = require("../services/paymentService");
+const { debitWallet, creditWallet } = require("../services/walletService");
+const { redeemCoupon, releaseCoupon } = require("../services/couponService");
+const { isCODBlocked } = require("../services/agentPayoutService");
+const { removeOrderFromBatch } = require("../services/batchingService");
+const { getOrderTracking } = require("../services/trackingService");
+const { createDeliveryProof, getDeliveryOtp } = require("../services/deliveryProofService");
+const { resolveOrderZone, assertOrderingOpen, getOrderingStatus } = require("../services/zoneService");
+const { resolveCustomisation, describeCustomisation } = require("../services/customisationService");
+const { reserveStock, returnStock } = require("../services/inventoryService");
+const { assertCanOrder, getRestaurantStatus } = require("../services/businessHoursService");
 const {
-  findAndAssignNearestAgent,
-} = require("../services/findAndAssignNearestAgent");
+  buildInvoiceData,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  emailInvoice,
+} = require("../services/invoiceService");
 const Permission = require("../models/restaurantPermissionModel");
+const {
+  transitionOrder,
+  roleFromUser,
+  getAllowedTransitions,
+} = require("../services/orderLifecycle");
 
 const Restaurant = require("../models/restaurantModel");
+const Agent = require("../models/agentModel");
 const { sendPushNotification } = require("../utils/sendPushNotification");
 const {NotificationPreference} = require("../models/notificationModel");
 const {
@@ -124,10 +145,16 @@ exports.createOrder = async (req, res) => {
         type: "Point",
         coordinates: [longitude, latitude],
       },
+      statusHistory: [{
+        status: "pending",
+        actorRole: "customer",
+        actorId: req.user._id,
+        reason: "Order created",
+      }],
     };
 
     const newOrder = new Order(orderData);
-    const savedOrder = await newOrder.save();
+    let savedOrder = await newOrder.save();
      // Clear cart after order placed
     await Cart.findOneAndUpdate(
       { userId: userId },
@@ -139,9 +166,10 @@ exports.createOrder = async (req, res) => {
     const canAccept = permission?.permissions?.canAcceptOrder ?? false;
     if (!canAccept) {
       // Auto-accept order
-      savedOrder.orderStatus = "accepted_by_restaurant";
-      savedOrder.autoAccepted = true;
-      await savedOrder.save();
+      savedOrder = await transitionOrder(savedOrder, "accepted_by_restaurant", {
+        role: "system",
+        reason: "Auto-accepted: restaurant does not review orders",
+      });
 
       // Notify customer
       if (io) {
@@ -179,17 +207,66 @@ exports.createOrder = async (req, res) => {
 };
 
 
+// A line's chosen add-ons as the [{ groupId, optionIds }] selection resolveCustomisation takes
+const addOnSelectionOf = (addOns = []) => {
+  const selection = [];
+  addOns.forEach((a) => {
+    const group = selection.find((g) => String(g.groupId) === String(a.groupId));
+    if (group) group.optionIds.push(a.optionId);
+    else selection.push({ groupId: a.groupId, optionIds: [a.optionId] });
+  });
+  return selection;
+};
+
+/**
+ * Prices a cart's lines from the current menu, re-checking each line's
+ * choices, as the cart may hold old prices or choices no longer offered.
+ *
+ * @returns {Object} - { lines, productById }
+ * @throws {Error} - 400 when an item left the menu or a choice is no longer valid.
+ */
+const priceCartLines = async (cart) => {
+  const products = await Product.find({ _id: { $in: cart.products.map((item) => item.productId) } });
+  const productById = new Map(products.map((p) => [p._id.toString(), p]));
+
+  const lines = cart.products.map((item) => {
+    const product = productById.get(item.productId?.toString());
+    if (!product || !product.restaurantId.equals(cart.restaurantId)) {
+      const error = new Error(`${item.name} is no longer on the menu`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const customisation = resolveCustomisation(product, {
+      variantId: item.variant?.variantId,
+      addOns: addOnSelectionOf(item.addOns),
+    });
+    return {
+      itemId: item._id,
+      productId: product._id,
+      name: product.name,
+      price: customisation.unitPrice,
+      quantity: item.quantity,
+      variant: customisation.variant,
+      addOns: customisation.addOns,
+      customisationKey: customisation.customisationKey,
+    };
+  });
+
+  return { lines, productById };
+};
+
 exports.placeOrder = async (req, res) => {
   try {
     const {
       longitude,
       latitude,
       cartId,
-      userId,
       paymentMethod,
       couponCode,
       instructions,
-      tipAmount = 0,
+      tipAmount: rawTipAmount = 0,
+      scheduledTime,
       street,
       area,
       landmark,
@@ -201,10 +278,15 @@ exports.placeOrder = async (req, res) => {
 
     console.log(req.body);
 
+    // the order, cart and wallet are always the caller's own
+    const userId = req.user._id;
+    if (req.body.userId && req.body.userId.toString() !== userId.toString()) {
+      return res.status(403).json({ message: "You can only place orders for yourself", messageType: "failure" });
+    }
+
     // ✅ Basic validation
     if (
       !cartId ||
-      !userId ||
       !paymentMethod ||
       !longitude ||
       !latitude ||
@@ -215,6 +297,26 @@ exports.placeOrder = async (req, res) => {
       return res.status(400).json({ message: "Required fields are missing" ,messageType:"failure" });
     }
 
+    // the tip is added to what is charged, so it must be a real amount
+    const tipAmount = Number(rawTipAmount);
+    if (!Number.isFinite(tipAmount) || tipAmount < 0) {
+      return res.status(400).json({ message: "tipAmount must be a number of 0 or more", messageType: "failure" });
+    }
+
+    if (paymentMethod === "online" && !onlinePaymentsEnabled()) {
+      return res.status(503).json({ message: "Online payments are not available, pay by cash or wallet", messageType: "failure" });
+    }
+
+    // Scheduled orders are held and released to the restaurant ahead of time
+    let scheduledFor = null;
+    if (scheduledTime) {
+      scheduledFor = new Date(scheduledTime);
+      const maxAhead = Date.now() + 7 * 24 * 60 * 60 * 1000;
+      if (isNaN(scheduledFor) || scheduledFor <= new Date() || scheduledFor > maxAhead) {
+        return res.status(400).json({ message: "scheduledTime must be in the next 7 days", messageType: "failure" });
+      }
+    }
+
     // ✅ Find cart and restaurant
     const cart = await Cart.findOne({ _id: cartId, user: userId });
     if (!cart) return res.status(404).json({ message: "Cart not found",messageType:"failure"});
@@ -224,36 +326,129 @@ exports.placeOrder = async (req, res) => {
 
     const userCoords = [parseFloat(longitude), parseFloat(latitude)];
 
+    // ✅ Zone kill switch and active hours (scheduled orders are checked for their time)
+    const zone = await resolveOrderZone(restaurant, userCoords);
+    try {
+      assertOrderingOpen(zone, scheduledFor || new Date());
+    } catch (err) {
+      return res.status(err.statusCode).json({ message: err.message, messageType: "failure", reason: err.reason });
+    }
+
+    // ✅ Restaurant open and items on the menu (scheduled orders: at their time)
+    try {
+      await assertCanOrder(restaurant, cart.products, scheduledFor || new Date());
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ message: err.message, messageType: "failure", nextOpensAt: err.nextOpensAt || null });
+    }
+
+    // ✅ Re-price every line from the current menu
+    let cartLines;
+    let productById;
+    try {
+      ({ lines: cartLines, productById } = await priceCartLines(cart));
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ message: err.message, messageType: "failure" });
+    }
+
     // ✅ Calculate bill summary
-    const billSummary = calculateOrderCost({
-      cartProducts: cart.products,
-      restaurant,
-      userCoords,
-      couponCode,
-    });
+    let billSummary;
+    try {
+      billSummary = await calculateOrderCost({
+        cartProducts: cartLines,
+        restaurant,
+        userCoords,
+        couponCode,
+        userId,
+        customerState: state,
+        zone,
+      });
+    } catch (err) {
+      if (err.statusCode) {
+        return res.status(err.statusCode).json({ message: err.message, messageType: "failure" });
+      }
+      throw err;
+    }
 
     // ✅ Map order items with product images
-    const orderItems = await Promise.all(
-      cart.products.map(async (item) => {
-        const product = await Product.findById(item.productId).select("images");
-        return {
-          productId: item.productId,
-          quantity: item.quantity,
-          price: item.price,
-          name: item.name,
-          totalPrice: item.price * item.quantity,
-          image: product?.images?.[0] || null,
-        };
-      })
-    );
+    const orderItems = cartLines.map((item) => ({
+      productId: item.productId,
+      quantity: item.quantity,
+      price: item.price,
+      name: item.name,
+      totalPrice: item.price * item.quantity,
+      image: productById.get(item.productId.toString())?.images?.[0] || null,
+      variant: item.variant?.variantId ? item.variant : undefined,
+      addOns: item.addOns || [],
+      customisation: describeCustomisation(item) || null,
+    }));
+
+    const initialStatus = paymentMethod === "online" ? "awaiting_payment" : "pending";
+    const orderId = new mongoose.Types.ObjectId();
+    const totalAmount = Number((billSummary.total + tipAmount).toFixed(2));
+    const io = req.app.get("io");
+
+    // ✅ Reserve stock of stock-tracked products
+    let inventoryReservations;
+    try {
+      inventoryReservations = await reserveStock({ orderId, items: cartLines, io });
+    } catch (err) {
+      if (err.statusCode) {
+        return res.status(err.statusCode).json({ message: err.message, messageType: "failure" });
+      }
+      throw err;
+    }
+
+    // ✅ Take one use of the coupon; limits are re-checked atomically
+    if (billSummary.couponId) {
+      try {
+        await redeemCoupon({ couponId: billSummary.couponId, userId });
+      } catch (err) {
+        await returnStock(inventoryReservations, { orderId });
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message, messageType: "failure" });
+        }
+        throw err;
+      }
+    }
+
+    // ✅ Wallet orders are paid up front
+    if (paymentMethod === "wallet") {
+      try {
+        await debitWallet({
+          userId,
+          amount: totalAmount,
+          reason: "order_payment",
+          orderId,
+          description: `Payment for order from ${restaurant.name}`,
+        });
+      } catch (err) {
+        if (billSummary.couponId) {
+          await releaseCoupon({ couponId: billSummary.couponId, userId });
+        }
+        await returnStock(inventoryReservations, { orderId });
+        if (err.statusCode) {
+          return res.status(err.statusCode).json({ message: err.message, messageType: "failure" });
+        }
+        throw err;
+      }
+    }
+
+    // ✅ Delivery OTP, when the restaurant's delivery settings require one
+    const deliveryProof = await createDeliveryProof(cart.restaurantId);
 
     // ✅ Create and save order
     const newOrder = new Order({
+      _id: orderId,
       customerId: userId,
       restaurantId: cart.restaurantId,
+      zoneId: zone?._id || null,
       orderItems,
       paymentMethod,
-      orderStatus: "pending",
+      paymentStatus: paymentMethod === "wallet" ? "completed" : "pending",
+      paidAt: paymentMethod === "wallet" ? new Date() : undefined,
+      orderStatus: initialStatus,
       deliveryLocation: { type: "Point", coordinates: userCoords },
       deliveryAddress: {
         street,
@@ -268,90 +463,79 @@ exports.placeOrder = async (req, res) => {
       },
       subtotal: billSummary.subtotal,
       tax: billSummary.tax,
+      taxBreakdown: billSummary.taxBreakdown,
+      packagingCharge: billSummary.packagingCharge,
       discountAmount: billSummary.discount,
       deliveryCharge: billSummary.deliveryFee,
-      surgeCharge: 0,
+      surgeCharge: billSummary.surgeCharge,
       tipAmount,
-      totalAmount: billSummary.total + tipAmount,
+      totalAmount,
       distanceKm: billSummary.distanceKm,
-      couponCode,
+      couponCode: billSummary.couponCode,
+      couponId: billSummary.couponId || null,
       instructions,
+      scheduledTime: scheduledFor,
+      deliveryProof,
+      inventoryReservations,
+      statusHistory: [{
+        status: initialStatus,
+        actorRole: "customer",
+        actorId: userId,
+        reason: "Order placed",
+      }],
     });
 
-    const savedOrder = await newOrder.save();
-
-    const io = req.app.get("io");
-
-    // ✅ Restaurant permissions check
-    if (restaurant.permissions.canAcceptRejectOrders) {
-      console.log("Notify restaurant for order acceptance");
-      // You can emit socket or notification here if needed
-    } else {
-      // ✅ Auto-assign delivery agent
-      const assignedAgent = await findAndAssignNearestAgent(savedOrder._id, {
-        longitude,
-        latitude,
-      });
-
-      if (assignedAgent) {
-        let updateData = { assignedAgent: assignedAgent._id };
-
-        if (assignedAgent.permissions.canAcceptOrRejectOrders) {
-          updateData.orderStatus = "pending_agent_acceptance";
-          console.log("Order sent to agent for acceptance:", assignedAgent.fullName);
-
-          await sendPushNotification(
-            assignedAgent.userId,
-            "New Delivery Request",
-            "You have a new delivery request. Please accept it."
-          );
-        } else {
-          updateData.orderStatus = "assigned_to_agent";
-          console.log("Order auto-assigned to:", assignedAgent.fullName);
-
-          io.to(`agent_${assignedAgent._id}`).emit("startDeliveryTracking", {
-            orderId: savedOrder._id,
-            customerId: savedOrder.customerId,
-            restaurantId: savedOrder.restaurantId,
-          });
-
-          io.to(`user_${savedOrder.customerId}`).emit("agentAssigned", {
-            agentId: assignedAgent._id,
-            orderId: savedOrder._id,
-          });
-
-          io.to(`restaurant_${savedOrder.restaurantId}`).emit("agentAssigned", {
-            agentId: assignedAgent._id,
-            orderId: savedOrder._id,
-          });
-
-          await sendPushNotification(
-            savedOrder.customerId,
-            "Agent Assigned",
-            "Your order is on the way."
-          );
-          await sendPushNotification(
-            savedOrder.restaurantId,
-            "Agent Assigned",
-            "An agent has been assigned to deliver the order."
-          );
-        }
-
-        await Order.findByIdAndUpdate(savedOrder._id, updateData);
-      } else {
-        console.log("No available agent found for auto-assignment.");
-        await Order.findByIdAndUpdate(savedOrder._id, {
-          orderStatus: "awaiting_agent_assignment",
+    let savedOrder;
+    try {
+      savedOrder = await newOrder.save();
+    } catch (err) {
+      if (paymentMethod === "wallet") {
+        await creditWallet({
+          userId,
+          amount: totalAmount,
+          reason: "refund",
+          orderId,
+          description: "Order could not be placed",
         });
       }
+      if (billSummary.couponId) {
+        await releaseCoupon({ couponId: billSummary.couponId, userId });
+      }
+      await returnStock(inventoryReservations, { orderId });
+      throw err;
     }
 
+    // ✅ Online orders are held back from the restaurant until payment is confirmed
+    if (paymentMethod === "online") {
+      const payment = await createPaymentIntent(savedOrder);
+
+      return res.status(201).json({
+        message: "Order placed, awaiting payment",
+        orderId: savedOrder._id,
+        totalAmount: savedOrder.totalAmount,
+        billSummary,
+        orderStatus: savedOrder.orderStatus,
+        deliveryOtp: deliveryProof.otp || null,
+        payment: {
+          paymentId: payment._id,
+          provider: payment.provider,
+          providerPaymentId: payment.providerPaymentId,
+          clientSecret: payment.clientSecret,
+          amount: payment.amount,
+          currency: payment.currency,
+        },
+      });
+    }
+
+    const dispatchedOrder = await dispatchPlacedOrder(savedOrder, { io, restaurant });
+
     return res.status(201).json({
       message: "Order placed successfully",
       orderId: savedOrder._id,
       totalAmount: savedOrder.totalAmount,
       billSummary,
-      orderStatus: savedOrder.orderStatus,
+      orderStatus: dispatchedOrder.orderStatus,
+      deliveryOtp: deliveryProof.otp || null,
     });
   } catch (err) {
     console.error("Error placing order:", err);
@@ -437,18 +621,38 @@ exports.getOrdersByAgent = async (req, res) => {
 exports.cancelOrder = async (req, res) => {
   const { reason, debtCancellation } = req.body;
   try {
-    const updated = await Order.findByIdAndUpdate(
-      req.params.orderId,
-      {
-        orderStatus: "cancelled_by_customer",
+    const order = await Order.findById(req.params.orderId);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const role = roleFromUser(req.user);
+    if (role !== "admin" && order.customerId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "You can only cancel your own orders" });
+    }
+
+    let updated = await transitionOrder(order, "cancelled_by_customer", {
+      role,
+      actorId: req.user._id,
+      reason: reason || "Cancelled by customer",
+      update: {
         cancellationReason: reason || "",
         debtCancellation: debtCancellation || false,
       },
-      { new: true }
-    );
-    if (!updated) return res.status(404).json({ error: "Order not found" });
+    });
+
+    // Give back anything already paid (wallet credit or gateway refund)
+    const refund = await refundOrder(updated, {
+      reason: "Order cancelled",
+      walletReason: "order_cancellation",
+    });
+    if (refund) updated = refund.order;
+
+    if (updated.batchId) {
+      await removeOrderFromBatch(updated._id, { io: req.app.get("io") });
+    }
+
     res.json(updated);
   } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
     res.status(500).json({ error: "Failed to cancel order" });
   }
 };
@@ -528,6 +732,14 @@ exports.assignAgent = async (req, res) => {
   }
 
   try {
+    const agent = await Agent.findById(agentId).select("codTracking permissions");
+    if (!agent) {
+      return res.status(404).json({ error: "Agent not found" });
+    }
+    if (isCODBlocked(agent)) {
+      return res.status(409).json({ error: "Agent must remit collected cash before taking new orders" });
+    }
+
     const updated = await Order.findByIdAndUpdate(
       req.params.orderId,
       { assignedAgent: agentId },
@@ -557,11 +769,37 @@ exports.updateScheduledTime = async (req, res) => {
   }
 
   try {
-    const updated = await Order.findByIdAndUpdate(
-      req.params.orderId,
-      { scheduledTime },
+    const scheduledFor = new Date(scheduledTime);
+    if (isNaN(scheduledFor) || scheduledFor <= new Date()) {
+      return res.status(400).json({ error: "scheduledTime must be in the future" });
+    }
+
+    const order = await Order.findById(req.params.orderId).select("restaurantId orderItems");
+    if (!order) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    // the new time must fall in an open slot of the restaurant
+    const restaurant = await Restaurant.findById(order.restaurantId);
+    if (!restaurant) {
+      return res.status(404).json({ error: "Restaurant not found" });
+    }
+    try {
+      await assertCanOrder(restaurant, order.orderItems, scheduledFor);
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      return res.status(err.statusCode).json({ error: err.message, nextOpensAt: err.nextOpensAt || null });
+    }
+
+    // only while the order has not been released to the restaurant yet
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, orderStatus: { $in: ["pending", "awaiting_payment"] }, scheduledReleasedAt: null },
+      { scheduledTime: scheduledFor },
       { new: true }
     );
+    if (!updated) {
+      return res.status(409).json({ error: "Order has already been sent to the restaurant" });
+    }
     res.json(updated);
   } catch (err) {
     res.status(500).json({ error: "Failed to update scheduled time" });
@@ -686,25 +924,23 @@ exports.merchantAcceptOrder = async (req, res) => {
       return res.status(404).json({ error: "Order not found" });
     }
 
-    // Validate order status
-    if (order.orderStatus === "cancelled_by_customer") {
-      return res.status(400).json({ error: "Cannot accept a cancelled order" });
-    }
-
-    if (order.orderStatus === "accepted_by_restaurant") {
-      return res.status(400).json({ error: "Order is already accepted" });
+    if (order.restaurantId?.toString() !== restaurant._id.toString()) {
+      return res.status(403).json({ error: "This order does not belong to your restaurant" });
     }
 
     // ✅ Update status to 'accepted_by_restaurant'
-    order.orderStatus = "accepted_by_restaurant";
-    await order.save();
+    const acceptedOrder = await transitionOrder(order, "accepted_by_restaurant", {
+      role: "merchant",
+      actorId: req.user._id,
+      reason: "Accepted by restaurant",
+    });
 
     // ✅ Emit to customer via Socket.IO
     const io = req.app.get("io");
     if (io) {
-      io.to(`user_${order.customerId.toString()}`).emit("order-accepted", {
+      io.to(`user_${acceptedOrder.customerId.toString()}`).emit("order-accepted", {
         message: "Your order has been accepted by the restaurant",
-        order,
+        order: acceptedOrder,
       });
     }
 
@@ -712,10 +948,13 @@ exports.merchantAcceptOrder = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Order accepted successfully",
-      order,
+      order: acceptedOrder,
     });
   } catch (error) {
     console.error("merchantAcceptOrder error:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({
       error: "Failed to accept order",
       details: error.message,
@@ -738,37 +977,44 @@ exports.merchantRejectOrder = async (req, res) => {
       return res.status(404).json({ error: "Order not found" });
     }
 
-    // Prevent rejecting completed or already cancelled orders
-    if (order.orderStatus === "ready") {
-      return res.status(400).json({ error: "Cannot reject a completed order" });
+    if (order.restaurantId?.toString() !== req.restaurant._id.toString()) {
+      return res.status(403).json({ error: "This order does not belong to your restaurant" });
     }
 
-    if (order.orderStatus === "cancelled_by_customer") {
-      return res.status(400).json({ error: "Order is already cancelled" });
-    }
+    // Update order status to 'rejected_by_restaurant'
+    const reason = rejectionReason || "Rejected by merchant";
+    const rejectedOrder = await transitionOrder(order, "rejected_by_restaurant", {
+      role: "merchant",
+      actorId: req.user._id,
+      reason,
+    });
 
-    // Update order status to 'cancelled'
-    order.orderStatus = "rejected_by_restaurant";
-    order.rejectionReason = rejectionReason || "Rejected by merchant";
-    await order.save();
+    // Give back anything already paid (wallet credit or gateway refund)
+    await refundOrder(rejectedOrder, {
+      reason: "Order rejected by restaurant",
+      walletReason: "order_cancellation",
+    });
 
     // Emit event via Socket.IO
     const io = req.app.get("io");
     if (io) {
-      io.to(`user_${order.restaurantId.toString()}`).emit("order-rejected", {
-        orderId: order._id,
+      io.to(`user_${rejectedOrder.customerId.toString()}`).emit("order-rejected", {
+        orderId: rejectedOrder._id,
         message: "Order has been rejected by the merchant",
-        reason: order.rejectionReason,
+        reason,
       });
     }
 
     res.status(200).json({
       success: true,
       message: "Order rejected successfully",
-      order,
+      order: rejectedOrder,
     });
   } catch (error) {
     console.error("merchantRejectOrder error:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({
       error: "Failed to reject order",
       details: error.message,
@@ -776,38 +1022,66 @@ exports.merchantRejectOrder = async (req, res) => {
   }
 };
 
-// Update Order Status (Merchant) agent
+// Update Order Status (Merchant / Admin)
 exports.updateOrderStatus = async (req, res) => {
   const { orderId } = req.params;
-  const { newStatus } = req.body;
+  const { newStatus, reason } = req.body;
 
-  const merchantAllowedStatuses = [
-    "accepted_by_restaurant",
-    "rejected_by_restaurant",
-    "preparing",
-    "ready",
-  ];
+  try {
+    const existingOrder = await Order.findById(orderId);
+    if (!existingOrder) {
+      return res.status(404).json({ error: "Order not found" });
+    }
 
-  // Optionally allow 'completed' for the system or other roles
-  const allowedStatuses = [...merchantAllowedStatuses, "completed"];
+    const role = roleFromUser(req.user);
 
-  if (!allowedStatuses.includes(newStatus)) {
-    return res.status(400).json({
-      error: `Invalid status. Allowed statuses: ${allowedStatuses.join(", ")}`,
-    });
-  }
+    // agents go through the agent status route, which checks the assignment and
+    // the delivery proof; only an admin may complete an order without proof
+    if (role === "agent") {
+      return res.status(403).json({ error: "Agents update their orders through the agent status route" });
+    }
+    if (newStatus === "completed" && role !== "admin") {
+      return res.status(403).json({ error: "Only the assigned agent can complete an order, with delivery proof" });
+    }
+    if (role === "customer" && existingOrder.customerId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "You can only update your own orders" });
+    }
+    if (role === "merchant") {
+      const ownsRestaurant = await Restaurant.exists({ _id: existingOrder.restaurantId, ownerId: req.user._id });
+      if (!ownsRestaurant) {
+        return res.status(403).json({ error: "This order does not belong to your restaurant" });
+      }
+    }
 
-  try {
-    const order = await Order.findById(orderId);
-    if (!order) {
-      return res.status(404).json({ error: "Order not found" });
+    const allowedStatuses = getAllowedTransitions(existingOrder.orderStatus, role);
+
+    if (!allowedStatuses.includes(newStatus)) {
+      return res.status(400).json({
+        error: `Invalid status. Allowed statuses: ${allowedStatuses.join(", ") || "none"}`,
+      });
     }
 
-    order.orderStatus = newStatus;
-    await order.save();
+    let order = await transitionOrder(existingOrder, newStatus, {
+      role,
+      actorId: req.user._id,
+      reason,
+    });
+
+    // Give back anything already paid, as the cancel and reject routes do
+    if (["cancelled_by_customer", "rejected_by_restaurant"].includes(newStatus)) {
+      const refund = await refundOrder(order, {
+        reason: newStatus === "rejected_by_restaurant" ? "Order rejected by restaurant" : "Order cancelled",
+        walletReason: "order_cancellation",
+      });
+      if (refund) order = refund.order;
+    }
 
     // Award points only when status is 'completed'
     if (newStatus === "completed") {
+      emailInvoice(order._id).catch((err) =>
+        console.error("Failed to email invoice:", err)
+      );
+
       // Award delivery points to agent
       if (order.agentId) {
         try {
@@ -846,10 +1120,94 @@ exports.updateOrderStatus = async (req, res) => {
     });
   } catch (error) {
     console.error("Error updating order status:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: "Internal server error" });
   }
 };
 
+// Get Order Status History
+exports.getOrderStatusHistory = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).select(
+      "orderStatus statusHistory customerId restaurantId assignedAgent"
+    );
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const role = roleFromUser(req.user);
+    if (role === "customer" && order.customerId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "You can only view your own orders" });
+    }
+    if (role === "merchant") {
+      const ownsRestaurant = await Restaurant.exists({ _id: order.restaurantId, ownerId: req.user._id });
+      if (!ownsRestaurant) {
+        return res.status(403).json({ error: "This order does not belong to your restaurant" });
+      }
+    }
+    if (role === "agent" && order.assignedAgent?.toString() !== req.user.agentId?.toString()) {
+      return res.status(403).json({ error: "You are not assigned to this order" });
+    }
+
+    res.json({
+      orderId: order._id,
+      currentStatus: order.orderStatus,
+      allowedTransitions: getAllowedTransitions(order.orderStatus, role),
+      history: order.statusHistory,
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch order status history" });
+  }
+};
+
+// Tax invoice for a completed order, as HTML (default) or PDF (?format=pdf)
+exports.getOrderInvoice = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const format = (req.query.format || "html").toLowerCase();
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ error: "Invalid orderId format" });
+    }
+    if (!["html", "pdf"].includes(format)) {
+      return res.status(400).json({ error: "format must be html or pdf" });
+    }
+
+    const order = await Order.findById(orderId).select("customerId restaurantId orderStatus");
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const role = roleFromUser(req.user);
+    if (role === "customer" && order.customerId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "You can only view invoices for your own orders" });
+    }
+    if (role === "merchant") {
+      const ownsRestaurant = await Restaurant.exists({ _id: order.restaurantId, ownerId: req.user._id });
+      if (!ownsRestaurant) {
+        return res.status(403).json({ error: "This order does not belong to your restaurant" });
+      }
+    }
+    if (role === "agent") {
+      return res.status(403).json({ error: "Agents cannot view invoices" });
+    }
+
+    const invoice = await buildInvoiceData(orderId);
+
+    if (format === "pdf") {
+      const pdf = await renderInvoicePdf(invoice);
+      res.set({
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `inline; filename="${invoice.invoiceNumber}.pdf"`,
+      });
+      return res.send(pdf);
+    }
+
+    res.type("html").send(renderInvoiceHtml(invoice));
+  } catch (err) {
+    console.error("getOrderInvoice error:", err);
+    res.status(err.statusCode || 500).json({ error: err.statusCode ? err.message : "Failed to generate invoice" });
+  }
+};
+
 exports.getOrdersByMerchant = async (req, res) => {
   try {
     const { restaurantId } = req.params;
@@ -879,21 +1237,18 @@ exports.getOrdersByMerchant = async (req, res) => {
   }
 };
 
-// Sample coupons object — replace with DB lookup later
-const coupons = {
-  SAVE10: { type: "percentage", value: 10 },
-  FLAT50: { type: "flat", value: 50 },
-};
-
-const TAX_PERCENTAGE = 8; // example 8%
-
 exports.getOrderPriceSummary = async (req, res) => {
   try {
-    const { longitude, latitude, couponCode, cartId, userId } = req.body;
-    console.log("r")
+    const { longitude, latitude, couponCode, cartId, state } = req.body;
 
-    if (!cartId || !userId) {
-      return res.status(400).json({ error: "cartId and userId are required" });
+    // priced for the caller's own cart and coupon use
+    const userId = req.user._id;
+    if (req.body.userId && req.body.userId.toString() !== userId.toString()) {
+      return res.status(403).json({ error: "You can only price your own cart" });
+    }
+
+    if (!cartId) {
+      return res.status(400).json({ error: "cartId is required" });
     }
 
     const cart = await Cart.findOne({ _id: cartId, user:userId });
@@ -915,107 +1270,102 @@ exports.getOrderPriceSummary = async (req, res) => {
 
     // Optional: Validate userCoords are valid numbers here
 
-    const costSummary = calculateOrderCost({
-      cartProducts: cart.products,
+    const zone = await resolveOrderZone(restaurant, userCoords);
+
+    // same prices placeOrder will charge
+    const { lines } = await priceCartLines(cart);
+
+    const costSummary = await calculateOrderCost({
+      cartProducts: lines,
       restaurant,
       userCoords,
       couponCode,
+      userId,
+      customerState: state,
+      zone,
     });
 
     return res.status(200).json({
       message: "Bill summary calculated successfully",
-      data: costSummary,
+      data: {
+        ...costSummary,
+        items: lines.map((item) => ({
+          itemId: item.itemId,
+          productId: item.productId,
+          name: item.name,
+          customisation: describeCustomisation(item) || null,
+          variant: item.variant?.variantId ? item.variant : null,
+          addOns: item.addOns || [],
+          price: item.price,
+          quantity: item.quantity,
+          total: Number((item.price * item.quantity).toFixed(2)),
+        })),
+      },
+      ordering: getOrderingStatus(zone),
+      restaurantStatus: getRestaurantStatus(restaurant),
     });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: err.message });
+    res.status(err.statusCode || 500).json({ error: err.message });
   }
 
 };
 
-exports.reassignExpiredOrders = async () => {
+// Live tracking: agent position, ETA and breadcrumb trail (?since= for new points only)
+exports.getOrderTrackingDetails = async (req, res) => {
   try {
-    const now = new Date();
-    const fiveMinutesAgo = new Date(now - 5 * 60 * 1000);
-    const thirtyMinutesAgo = new Date(now - 30 * 60 * 1000);
-
-    // 1. Reassign orders stuck in 'pending_agent_acceptance'
-    const pendingOrders = await Order.find({
-      orderStatus: "pending_agent_acceptance",
-      $or: [
-        { "agentRespondedAt": { $exists: false } },
-        { "agentRespondedAt": { $lte: fiveMinutesAgo } }
-      ]
-    }).populate("assignedAgent", "permissions.maxCODAmount codTracking.currentCODHolding");
-
-    for (const order of pendingOrders) {
-      // Release the original agent
-      if (order.assignedAgent) {
-        await Agent.findByIdAndUpdate(order.assignedAgent._id, {
-          $inc: { "deliveryStatus.currentOrderCount": -1 },
-          "deliveryStatus.status": "Available"
-        });
-      }
-
-      // Reset order status
-      await Order.findByIdAndUpdate(order._id, {
-        assignedAgent: null,
-        orderStatus: "awaiting_agent_assignment",
-        $push: { 
-          reassignmentHistory: { 
-            timestamp: new Date(),
-            reason: "agent_acceptance_timeout" 
-          } 
-        }
-      });
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ error: "Invalid orderId format" });
+    }
 
-      // Reassign with COD check (using updated findAndAssignNearestAgent)
-      await findAndAssignNearestAgent(
-        order._id,
-        {
-          longitude: order.location.coordinates[0],
-          latitude: order.location.coordinates[1]
-        }
-      );
+    let since;
+    if (req.query.since) {
+      since = new Date(req.query.since);
+      if (isNaN(since)) return res.status(400).json({ error: "since must be a valid date" });
     }
 
-    // 2. Handle orders stuck in 'awaiting_agent_assignment'
-    const unassignedOrders = await Order.find({
-      orderStatus: "awaiting_agent_assignment",
-      createdAt: { $lte: thirtyMinutesAgo }
-    });
+    const order = await Order.findById(orderId).select("customerId restaurantId assignedAgent");
+    if (!order) return res.status(404).json({ error: "Order not found" });
 
-    if (unassignedOrders.length > 0) {
-      
-      // Option 1: Expand search radius gradually
-      for (const order of unassignedOrders) {
-        await findAndAssignNearestAgent(
-          order._id,
-          {
-            longitude: order.location.coordinates[0],
-            latitude: order.location.coordinates[1]
-          },
-          10000 // 10km instead of default 5km
-        );
+    const role = roleFromUser(req.user);
+    if (role === "customer" && order.customerId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "You can only track your own orders" });
+    }
+    if (role === "merchant") {
+      const ownsRestaurant = await Restaurant.exists({ _id: order.restaurantId, ownerId: req.user._id });
+      if (!ownsRestaurant) {
+        return res.status(403).json({ error: "This order does not belong to your restaurant" });
       }
-
-      // Option 2: Notify admin
-      await notifyAdmin({
-        title: "Unassigned Order Alert",
-        message: `${unassignedOrders.length} orders need manual assignment.`,
-        urgency: "high"
-      });
+    }
+    if (role === "agent" && order.assignedAgent?.toString() !== req.user.agentId?.toString()) {
+      return res.status(403).json({ error: "You are not assigned to this order" });
     }
 
-    return {
-      reassigned: pendingOrders.length,
-      longPending: unassignedOrders.length
-    };
-  } catch (error) {
-    console.error("[reassignExpiredOrders] Failed:", error);
-    throw error;
+    const tracking = await getOrderTracking(orderId, { since });
+    res.json(tracking);
+  } catch (err) {
+    console.error("Error fetching order tracking:", err);
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: "Failed to fetch order tracking" });
   }
+};
 
+// Delivery OTP to share with the agent at handover (customer only)
+exports.getOrderDeliveryOtp = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ error: "Invalid orderId format" });
+    }
+
+    const deliveryOtp = await getDeliveryOtp(orderId, req.user._id);
+    res.json(deliveryOtp);
+  } catch (err) {
+    console.error("Error fetching delivery OTP:", err);
+    if (err.statusCode) return res.status(err.statusCode).json({ error: err.message });
+    res.status(500).json({ error: "Failed to fetch delivery OTP" });
+  }
 };
 
 // Reorder previous order
@@ -1044,7 +1394,19 @@ exports.reorder = async (req, res) => {
       const product = await Product.findById(item.productId);
       if (!product || !product.active) continue; // skip deleted/inactive products
 
-      const currentPrice = product.price;
+      // same choices at today's prices; skipped if a choice is no longer offered
+      let customisation;
+      try {
+        customisation = resolveCustomisation(product, {
+          variantId: item.variant?.variantId,
+          addOns: addOnSelectionOf(item.addOns),
+        });
+      } catch (err) {
+        if (err.statusCode) continue;
+        throw err;
+      }
+
+      const currentPrice = customisation.unitPrice;
       const quantity = item.quantity;
 
       products.push({
@@ -1053,6 +1415,9 @@ exports.reorder = async (req, res) => {
         price: currentPrice,
         quantity,
         total: currentPrice * quantity,
+        variant: customisation.variant,
+        addOns: customisation.addOns,
+        customisationKey: customisation.customisationKey,
       });
     }
 
@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+const Order = require("../models/orderModel");
+const Payment = require("../models/paymentModel");
+const {
+  createPaymentIntent,
+  verifyPayment,
+  handleWebhook,
+  refundOrder,
+} = require("../services/paymentService");
+
+// Create (or retry) a payment intent for an order awaiting online payment
+exports.createOrderPaymentIntent = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ error: "Invalid orderId format" });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    if (order.customerId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "You can only pay for your own orders" });
+    }
+
+    if (order.paymentMethod !== "online" || order.orderStatus !== "awaiting_payment") {
+      return res.status(400).json({ error: "This order is not awaiting online payment" });
+    }
+
+    const payment = await createPaymentIntent(order);
+
+    res.status(201).json({
+      message: "Payment intent created",
+      payment: {
+        paymentId: payment._id,
+        provider: payment.provider,
+        providerPaymentId: payment.providerPaymentId,
+        clientSecret: payment.clientSecret,
+        amount: payment.amount,
+        currency: payment.currency,
+      },
+    });
+  } catch (error) {
+    console.error("createOrderPaymentIntent error:", error);
+    res.status(error.statusCode || 500).json({ error: error.message || "Failed to create payment intent" });
+  }
+};
+
+// App reports the payment as done; confirm it with the provider and capture
+exports.verifyOrderPayment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { paymentId, ...payload } = req.body;
+
+    const payment = await Payment.findOne({
+      _id: paymentId,
+      orderId,
+      customerId: req.user._id,
+    });
+    if (!payment) return res.status(404).json({ error: "Payment not found" });
+
+    const updated = await verifyPayment(payment, payload, { io: req.app.get("io") });
+
+    res.status(200).json({
+      message: updated.status === "failed" ? "Payment failed" : "Payment verified",
+      paymentStatus: updated.status,
+      failureReason: updated.failureReason,
+    });
+  } catch (error) {
+    console.error("verifyOrderPayment error:", error);
+    res.status(error.statusCode || 500).json({ error: error.message || "Failed to verify payment" });
+  }
+};
+
+// Signed gateway webhook
+exports.paymentWebhook = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    await handleWebhook(
+      provider,
+      {
+        rawBody: req.rawBody,
+        signature: req.headers["x-payment-signature"],
+        body: req.body,
+      },
+      { io: req.app.get("io") }
+    );
+
+    res.status(200).json({ received: true });
+  } catch (error) {
+    console.error("paymentWebhook error:", error);
+    res.status(error.statusCode || 500).json({ error: error.message || "Failed to process webhook" });
+  }
+};
+
+// Get payments for an order
+exports.getOrderPayments = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId).select("customerId paymentStatus paymentMethod");
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const isAdmin = ["admin", "superAdmin"].includes(req.user.userType);
+    if (!isAdmin && order.customerId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: "Unauthorized access to this order" });
+    }
+
+    const payments = await Payment.find({ orderId })
+      .select("-clientSecret -events")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      paymentMethod: order.paymentMethod,
+      paymentStatus: order.paymentStatus,
+      payments,
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch payments" });
+  }
+};
+
+// Refund a captured payment (Admin)
+exports.refundOrderPayment = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { amount, reason, toWallet = false } = req.body;
+
+    if (amount !== undefined && (typeof amount !== "number" || amount <= 0)) {
+      return res.status(400).json({ error: "amount must be a positive number" });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const result = await refundOrder(order, {
+      amount,
+      reason,
+      toWallet,
+      performedBy: req.user._id,
+    });
+    if (!result) return res.status(400).json({ error: "Nothing has been paid for this order" });
+
+    res.status(200).json({
+      message: "Refund processed",
+      amount: result.amount,
+      destination: result.destination,
+      paymentStatus: result.order.paymentStatus,
+    });
+  } catch (error) {
+    console.error("refundOrderPayment error:", error);
+    res.status(error.statusCode || 500).json({ error: error.message || "Failed to refund payment" });
+  }
+};
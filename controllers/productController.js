@@ -19,16 +19,20 @@ exports.createProduct = async (req, res) => {
 
     const {
       name,
+      sku,
       price,
       description,
       foodType,
       categoryId,
       attributes = [],
       addOns = [],
+      addOnGroups = [],
       specialOffer = {},
       unit = 'piece',
       stock = 0,
-      reorderLevel = 0
+      reorderLevel = 0,
+      trackStock = false,
+      availabilityWindows = []
     } = req.body;
 
     // Mandatory fields validation
@@ -57,16 +61,20 @@ exports.createProduct = async (req, res) => {
           action: "CREATE_PRODUCT",
           payload: {
             name,
+            sku,
             price,
             description,
             foodType,
             categoryId,
             attributes,
             addOns,
+            addOnGroups,
             specialOffer,
             unit,
             stock,
             reorderLevel,
+            trackStock,
+            availabilityWindows,
             images: req.files?.map(file => file.path) || []
           }
         },
@@ -111,6 +119,7 @@ exports.createProduct = async (req, res) => {
     // Create product
     const newProduct = await Product.create({
       name: name.trim(),
+      sku: sku?.trim() || undefined,
       description,
       price,
       foodType,
@@ -119,10 +128,13 @@ exports.createProduct = async (req, res) => {
       images: imageUrls,
       attributes,
       addOns,
+      addOnGroups,
       specialOffer,
       unit,
       stock,
-      reorderLevel
+      reorderLevel,
+      trackStock,
+      availabilityWindows
     });
 
     res.status(201).json({
@@ -131,6 +143,12 @@ exports.createProduct = async (req, res) => {
     });
 
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'Another product of this restaurant already has this SKU' });
+    }
     console.error('Error creating product:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -186,6 +204,7 @@ exports.updateProduct = async (req, res) => {
 
     const updatePayload = {
       ...(req.body.name && { name: req.body.name }),
+      ...(req.body.sku && { sku: req.body.sku.trim() }),
       ...(req.body.price && { price: req.body.price }),
       ...(req.body.description && { description: req.body.description }),
       ...(req.body.foodType && { foodType: req.body.foodType }),
@@ -193,8 +212,11 @@ exports.updateProduct = async (req, res) => {
       ...(req.body.unit && { unit: req.body.unit }),
       ...(req.body.stock && { stock: req.body.stock }),
       ...(req.body.reorderLevel && { reorderLevel: req.body.reorderLevel }),
+      ...(req.body.trackStock !== undefined && { trackStock: req.body.trackStock }),
       ...(req.body.attributes && { attributes: req.body.attributes }),
       ...(req.body.addOns && { addOns: req.body.addOns }),
+      ...(req.body.addOnGroups && { addOnGroups: req.body.addOnGroups }),
+      ...(req.body.availabilityWindows && { availabilityWindows: req.body.availabilityWindows }),
       ...(req.body.specialOffer && { specialOffer: req.body.specialOffer }),
       ...(newImageUrls.length > 0 && { images: newImageUrls }),
     };
@@ -229,6 +251,12 @@ exports.updateProduct = async (req, res) => {
     });
 
   } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'Another product of this restaurant already has this SKU' });
+    }
     console.error('Update error:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
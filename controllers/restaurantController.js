@@ -4,6 +4,9 @@ const Permission = require("../models/restaurantPermissionModel");
 const Order = require("../models/orderModel")
 const Product = require("../models/productModel")
 const Category = require("../models/categoryModel")
+const { transitionOrder, roleFromUser } = require("../services/orderLifecycle");
+const { tagRestaurantZone } = require("../services/zoneService");
+const { isValidTimeZone, getRestaurantStatus, isCategoryAvailable, isProductAvailable } = require("../services/businessHoursService");
 
 
 const mongoose = require("mongoose");
@@ -130,6 +133,7 @@ exports.createRestaurant = async (req, res) => {
     const restaurantData = {
       name: req.body.name.trim(),
       ownerName: req.body.ownerName.trim(),
+      ownerId: req.user?.userType === 'merchant' ? req.user._id : undefined,
       address: {
         street: req.body.address.street.trim(),
         city: req.body.address.city.trim(),
@@ -162,6 +166,7 @@ exports.createRestaurant = async (req, res) => {
       },
     };
 
+    await tagRestaurantZone(restaurantData);
     const newRestaurant = await Restaurant.create(restaurantData);
      await Permission.create({
       restaurantId: newRestaurant._id,// Assuming you have the authenticated user
@@ -244,6 +249,7 @@ exports.updateRestaurant = async (req, res) => {
           type: "Point",
           coordinates: [address.coordinates[1], address.coordinates[0]],
         };
+        await tagRestaurantZone(restaurant);
       }
     }
 
@@ -334,7 +340,7 @@ exports.getRestaurantById = async (req, res) => {
 exports.updateBusinessHours = async (req, res) => {
   try {
     const { restaurantId } = req.params;
-    const { businessHours } = req.body;
+    const { businessHours, timezone } = req.body;
 
     if (!restaurantId || !mongoose.Types.ObjectId.isValid(restaurantId)) {
       return res.status(400).json({ message: 'Invalid or missing restaurantId.' });
@@ -344,6 +350,10 @@ exports.updateBusinessHours = async (req, res) => {
       return res.status(400).json({ message: 'businessHours must be a valid object.' });
     }
 
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ message: 'timezone must be an IANA time zone, e.g. Asia/Kolkata.' });
+    }
+
     const validDays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
     const timeRegex = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
 
@@ -370,12 +380,16 @@ exports.updateBusinessHours = async (req, res) => {
       return res.status(404).json({ message: 'Restaurant not found.' });
     }
 
+    // days left out are closed
     restaurant.businessHours = businessHours;
+    if (timezone) restaurant.timezone = timezone;
     await restaurant.save();
 
     return res.status(200).json({
       message: 'Business hours updated successfully.',
-      businessHours: restaurant.businessHours
+      businessHours: restaurant.businessHours,
+      timezone: restaurant.timezone,
+      status: getRestaurantStatus(restaurant)
     });
 
   } catch (error) {
@@ -384,6 +398,112 @@ exports.updateBusinessHours = async (req, res) => {
   }
 };
 
+// Public: open/closed right now (or at ?at) and when it next opens
+exports.getRestaurantOpenStatus = async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({ message: 'Invalid restaurantId' });
+    }
+
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ message: 'Invalid at' });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId)
+      .select('name openingHours businessHours timezone holidayClosures');
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    res.status(200).json({
+      message: 'Restaurant status fetched successfully',
+      status: getRestaurantStatus(restaurant, at),
+      businessHours: restaurant.businessHours,
+      holidayClosures: restaurant.holidayClosures.filter((h) => h.endsAt > new Date())
+    });
+  } catch (error) {
+    console.error('getRestaurantOpenStatus error:', error);
+    res.status(500).json({ message: 'Failed to fetch restaurant status' });
+  }
+};
+
+// Merchant: close for a holiday ({ startsAt, endsAt, reason })
+exports.addHolidayClosure = async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+    const { startsAt, endsAt, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({ message: 'Invalid restaurantId' });
+    }
+
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (!startsAt || !endsAt || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ message: 'startsAt and endsAt must be valid dates' });
+    }
+    if (end <= start) {
+      return res.status(400).json({ message: 'endsAt must be after startsAt' });
+    }
+    if (end <= new Date()) {
+      return res.status(400).json({ message: 'The closure has already ended' });
+    }
+
+    const restaurant = await Restaurant.findOne({ _id: restaurantId, ownerId: req.user._id });
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    restaurant.holidayClosures.push({ startsAt: start, endsAt: end, reason: reason?.trim() || null });
+    // past closures are of no further use
+    restaurant.holidayClosures = restaurant.holidayClosures.filter((h) => h.endsAt > new Date());
+    await restaurant.save();
+
+    res.status(201).json({
+      message: 'Holiday closure added successfully',
+      holidayClosures: restaurant.holidayClosures,
+      status: getRestaurantStatus(restaurant)
+    });
+  } catch (error) {
+    console.error('addHolidayClosure error:', error);
+    res.status(500).json({ message: 'Failed to add holiday closure' });
+  }
+};
+
+// Merchant: cancel a holiday closure
+exports.removeHolidayClosure = async (req, res) => {
+  try {
+    const { restaurantId, closureId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(restaurantId) || !mongoose.Types.ObjectId.isValid(closureId)) {
+      return res.status(400).json({ message: 'Invalid restaurantId or closureId' });
+    }
+
+    const restaurant = await Restaurant.findOne({ _id: restaurantId, ownerId: req.user._id });
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found' });
+    }
+
+    const closure = restaurant.holidayClosures.id(closureId);
+    if (!closure) {
+      return res.status(404).json({ message: 'Holiday closure not found' });
+    }
+
+    closure.deleteOne();
+    await restaurant.save();
+
+    res.status(200).json({
+      message: 'Holiday closure removed successfully',
+      holidayClosures: restaurant.holidayClosures,
+      status: getRestaurantStatus(restaurant)
+    });
+  } catch (error) {
+    console.error('removeHolidayClosure error:', error);
+    res.status(500).json({ message: 'Failed to remove holiday closure' });
+  }
+};
+
 
 exports.addKyc = async (req, res) => {
   try {
@@ -530,6 +650,19 @@ console.log("hi")
       });
     }
 
+    // menu as of ?at (a scheduled order's time), default now
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({ message: 'Invalid at', messageType: 'failure', data: null });
+    }
+
+    const restaurant = await Restaurant.findById(restaurantId)
+      .select('name openingHours businessHours timezone holidayClosures');
+    if (!restaurant) {
+      return res.status(404).json({ message: 'Restaurant not found', messageType: 'failure', data: null });
+    }
+    const status = getRestaurantStatus(restaurant, at);
+
     // Fetch all active categories for this restaurant
     const categories = await Category.find({ restaurantId, active: true });
 
@@ -547,15 +680,23 @@ console.log("hi")
         const products = await Product.find({
           restaurantId,
           categoryId: category._id,
-        }).select('-revenueShare -costPrice -profitMargin');
+        }).select('-revenueShare -costPrice -profitMargin').lean();
+
+        // orderable at `at`: restaurant open, category and item inside their windows
+        const categoryAvailable = status.open && isCategoryAvailable(category, restaurant, at);
 
         return {
           categoryId: category._id,
           categoryName: category.name,
           description: category.description,
           images: category.images,
+          availabilityWindows: category.availabilityWindows,
+          available: categoryAvailable,
           totalProducts: products.length,
-          items: products
+          items: products.map((product) => ({
+            ...product,
+            available: categoryAvailable && isProductAvailable(product, restaurant, at)
+          }))
         };
       })
     );
@@ -563,6 +704,7 @@ console.log("hi")
     res.status(200).json({
       message: 'Menu fetched successfully',
       messageType: 'success',
+      status,
       data: menu
     });
 
@@ -609,19 +751,21 @@ exports.updateRestaurantOrderStatus = async (req, res) => {
     }
 
     // Update order status
-    order.status = status;
-
-    // If restaurant provides estimated prep time, update it
-   
-
-    await order.save();
+    const updatedOrder = await transitionOrder(order, status, {
+      role: roleFromUser(req.user),
+      actorId: req.user?._id,
+      reason: req.body.reason
+    });
 
     res.status(200).json({
       message: "Order status updated successfully",
-      order
+      order: updatedOrder
     });
   } catch (error) {
     console.error("Error updating order status:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({
       message: "Failed to update order status",
       error: error.message
@@ -643,9 +787,14 @@ exports.updateRestaurantOrderStatus = async (req, res) => {
       (acc, curr) => {
         acc.totalAmount += curr.totalOrderAmount || 0;
         acc.totalRevenue += curr.revenueShareAmount || 0;
+
+        // what the restaurant is owed for this record, after commission
+        const net = (curr.totalOrderAmount || 0) - (curr.type === 'order' ? curr.revenueShareAmount || 0 : 0);
+        if (curr.payoutStatus === 'paid') acc.paidOut += net;
+        else acc.pendingPayout += net;
         return acc;
       },
-      { totalAmount: 0, totalRevenue: 0 }
+      { totalAmount: 0, totalRevenue: 0, paidOut: 0, pendingPayout: 0 }
     );
 
     res.status(200).json({
@@ -0,0 +1,261 @@
+const mongoose = require("mongoose");
+const Settlement = require("../models/settlementModel");
+const Restaurant = require("../models/restaurantModel");
+const logAccess = require("../utils/logAccess");
+const { addRestaurantPenalty } = require("../services/earningService");
+const {
+  runSettlements,
+  getSettlementStatement,
+  markSettlementPaid,
+  cancelSettlement,
+  buildBankTransferCsv,
+} = require("../services/settlementService");
+
+// Run settlements for a period (all restaurants, or one)
+exports.createSettlementRun = async (req, res) => {
+  try {
+    const { periodStart, periodEnd, restaurantId } = req.body;
+
+    const start = new Date(periodStart);
+    const end = new Date(periodEnd);
+
+    if (isNaN(start) || isNaN(end) || start >= end) {
+      return res.status(400).json({ message: "Valid periodStart and periodEnd are required (start before end)" });
+    }
+    if (end > new Date()) {
+      return res.status(400).json({ message: "periodEnd cannot be in the future" });
+    }
+    if (restaurantId && !mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({ message: "Invalid restaurantId" });
+    }
+
+    const result = await runSettlements({
+      periodStart: start,
+      periodEnd: end,
+      restaurantId,
+      createdBy: req.user._id,
+    });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "settlement.run",
+      description: `Settlement run ${result.runId} for ${start.toISOString()} – ${end.toISOString()}: ${result.settlements.length} settlements`,
+      req,
+      metadata: { runId: result.runId, restaurantId: restaurantId || null },
+    });
+
+    res.status(201).json({
+      message: "Settlement run completed",
+      runId: result.runId,
+      totalPayout: result.settlements.reduce((sum, s) => sum + s.netPayout, 0),
+      settlements: result.settlements,
+      skipped: result.skipped,
+    });
+  } catch (error) {
+    console.error("createSettlementRun error:", error);
+    res.status(500).json({ message: "Failed to run settlements" });
+  }
+};
+
+// List settlements (filter by runId, restaurantId, status)
+exports.getSettlements = async (req, res) => {
+  try {
+    const { runId, restaurantId, status, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (runId) filter.runId = runId;
+    if (restaurantId) filter.restaurantId = restaurantId;
+    if (status) filter.status = status;
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [settlements, total] = await Promise.all([
+      Settlement.find(filter)
+        .populate("restaurantId", "name")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .lean(),
+      Settlement.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      message: "Settlements fetched successfully",
+      total,
+      page: Number(page),
+      limit: Number(limit),
+      settlements,
+    });
+  } catch (error) {
+    console.error("getSettlements error:", error);
+    res.status(500).json({ message: "Failed to fetch settlements" });
+  }
+};
+
+// Settlement statement with every earning it covers
+exports.getSettlementById = async (req, res) => {
+  try {
+    const statement = await getSettlementStatement(req.params.settlementId);
+    res.status(200).json({ message: "Settlement statement fetched successfully", ...statement });
+  } catch (error) {
+    console.error("getSettlementById error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to fetch settlement" });
+  }
+};
+
+// Record the bank transfer for a settlement
+exports.markSettlementAsPaid = async (req, res) => {
+  try {
+    const { payoutReference } = req.body;
+    if (!payoutReference?.trim()) {
+      return res.status(400).json({ message: "payoutReference is required" });
+    }
+
+    const settlement = await markSettlementPaid(req.params.settlementId, {
+      payoutReference: payoutReference.trim(),
+      paidBy: req.user._id,
+    });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "settlement.paid",
+      description: `Marked settlement ${settlement._id} paid (${settlement.netPayout}) with reference ${settlement.payoutReference}`,
+      req,
+      metadata: { settlementId: settlement._id, restaurantId: settlement.restaurantId },
+    });
+
+    res.status(200).json({ message: "Settlement marked as paid", settlement });
+  } catch (error) {
+    console.error("markSettlementAsPaid error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to update settlement" });
+  }
+};
+
+// Cancel a pending settlement, releasing its earnings
+exports.cancelSettlementRun = async (req, res) => {
+  try {
+    const settlement = await cancelSettlement(req.params.settlementId);
+
+    await logAccess({
+      userId: req.user._id,
+      action: "settlement.cancel",
+      description: `Cancelled settlement ${settlement._id}`,
+      req,
+      metadata: { settlementId: settlement._id, restaurantId: settlement.restaurantId },
+    });
+
+    res.status(200).json({ message: "Settlement cancelled", settlement });
+  } catch (error) {
+    console.error("cancelSettlementRun error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to cancel settlement" });
+  }
+};
+
+// Bank transfer CSV for the pending settlements of a run
+exports.exportBankTransferCsv = async (req, res) => {
+  try {
+    const { runId } = req.query;
+    if (!runId) return res.status(400).json({ message: "runId is required" });
+
+    const csv = await buildBankTransferCsv({ runId });
+
+    res.set({
+      "Content-Type": "text/csv",
+      "Content-Disposition": `attachment; filename="${runId}.csv"`,
+    });
+    res.send(csv);
+  } catch (error) {
+    console.error("exportBankTransferCsv error:", error);
+    res.status(500).json({ message: "Failed to export bank transfer file" });
+  }
+};
+
+// Penalise a restaurant; deducted from its next settlement
+exports.createRestaurantPenalty = async (req, res) => {
+  try {
+    const { restaurantId, orderId, amount, remarks } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({ message: "Valid restaurantId is required" });
+    }
+    if (!(Number(amount) > 0)) {
+      return res.status(400).json({ message: "amount must be greater than 0" });
+    }
+    if (!remarks?.trim()) {
+      return res.status(400).json({ message: "remarks are required" });
+    }
+
+    const exists = await Restaurant.exists({ _id: restaurantId });
+    if (!exists) return res.status(404).json({ message: "Restaurant not found" });
+
+    const penalty = await addRestaurantPenalty({
+      restaurantId,
+      orderId: orderId || null,
+      amount: Number(amount),
+      remarks: remarks.trim(),
+    });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "restaurant.penalty",
+      description: `Penalty of ${amount} on restaurant ${restaurantId}: ${remarks.trim()}`,
+      req,
+      metadata: { earningId: penalty._id },
+    });
+
+    res.status(201).json({ message: "Penalty recorded", penalty });
+  } catch (error) {
+    console.error("createRestaurantPenalty error:", error);
+    res.status(500).json({ message: "Failed to record penalty" });
+  }
+};
+
+// Merchant: settlement history for their restaurant
+exports.getRestaurantSettlements = async (req, res) => {
+  try {
+    const { restaurantId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(restaurantId)) {
+      return res.status(400).json({ message: "Invalid restaurantId" });
+    }
+
+    const owns = await Restaurant.exists({ _id: restaurantId, ownerId: req.user._id });
+    if (!owns) {
+      return res.status(403).json({ message: "You can only view settlements for your own restaurant" });
+    }
+
+    const settlements = await Settlement.find({ restaurantId, status: { $ne: "cancelled" } })
+      .select("-createdBy -paidBy")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({ message: "Settlements fetched successfully", settlements });
+  } catch (error) {
+    console.error("getRestaurantSettlements error:", error);
+    res.status(500).json({ message: "Failed to fetch settlements" });
+  }
+};
+
+// Merchant: statement for one of their settlements
+exports.getRestaurantSettlementStatement = async (req, res) => {
+  try {
+    const { restaurantId, settlementId } = req.params;
+
+    const owns = await Restaurant.exists({ _id: restaurantId, ownerId: req.user._id });
+    if (!owns) {
+      return res.status(403).json({ message: "You can only view settlements for your own restaurant" });
+    }
+
+    const statement = await getSettlementStatement(settlementId);
+    if (statement.settlement.restaurantId._id.toString() !== restaurantId) {
+      return res.status(404).json({ message: "Settlement not found" });
+    }
+
+    delete statement.settlement.createdBy;
+    delete statement.settlement.paidBy;
+
+    res.status(200).json({ message: "Settlement statement fetched successfully", ...statement });
+  } catch (error) {
+    console.error("getRestaurantSettlementStatement error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to fetch settlement" });
+  }
+};
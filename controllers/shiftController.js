@@ -0,0 +1,343 @@
+const mongoose = require("mongoose");
+const Agent = require("../models/agentModel");
+const ShiftSlot = require("../models/shiftSlotModel");
+const ShiftBooking = require("../models/shiftBookingModel");
+const LeaveRequest = require("../models/leaveRequestModel");
+const logAccess = require("../utils/logAccess");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+const {
+  createShiftSlots,
+  updateShiftSlot,
+  getOpenSlots,
+  bookShift,
+  cancelBooking,
+  clockIn,
+  clockOut,
+  requestLeave,
+  reviewLeave,
+  getRoster,
+} = require("../services/shiftService");
+
+const LEAVE_TYPES = ["Sick", "Personal", "Vacation"];
+
+// Tells agents their bookings were cancelled
+const notifyCancelledBookings = async (agentIds, message) => {
+  if (!agentIds.length) return;
+  const agents = await Agent.find({ _id: { $in: agentIds } }).select("userId").lean();
+  await Promise.all(
+    agents.map((agent) =>
+      sendPushNotification(agent.userId, "Shift cancelled", message, "serviceAlerts").catch((err) =>
+        console.error("Failed to notify agent about cancelled shift:", err)
+      )
+    )
+  );
+};
+
+// Agent: open shifts with free places (?zone&from&to)
+exports.getAvailableShifts = async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if (isNaN(from) || (to && isNaN(to))) {
+      return res.status(400).json({ message: "from and to must be valid dates" });
+    }
+
+    const slots = await getOpenSlots({ zone: req.query.zone, from, to });
+    res.status(200).json({ message: "Shifts fetched successfully", slots });
+  } catch (error) {
+    console.error("getAvailableShifts error:", error);
+    res.status(500).json({ message: "Failed to fetch shifts" });
+  }
+};
+
+// Agent: book a shift
+exports.bookShiftSlot = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.slotId)) {
+      return res.status(400).json({ message: "Invalid slotId" });
+    }
+
+    const booking = await bookShift({ slotId: req.params.slotId, agentId: req.user.agentId });
+    res.status(201).json({ message: "Shift booked successfully", booking });
+  } catch (error) {
+    console.error("bookShiftSlot error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to book shift" });
+  }
+};
+
+// Agent: cancel an upcoming booking
+exports.cancelShiftBooking = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.bookingId)) {
+      return res.status(400).json({ message: "Invalid bookingId" });
+    }
+
+    const booking = await cancelBooking({
+      bookingId: req.params.bookingId,
+      agentId: req.user.agentId,
+      reason: req.body?.reason || null,
+    });
+    res.status(200).json({ message: "Booking cancelled successfully", booking });
+  } catch (error) {
+    console.error("cancelShiftBooking error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to cancel booking" });
+  }
+};
+
+// Agent: own bookings, upcoming first (?status)
+exports.getMyShiftBookings = async (req, res) => {
+  try {
+    const filter = { agentId: req.user.agentId };
+    if (req.query.status) filter.status = req.query.status;
+    else filter.endsAt = { $gt: new Date() };
+
+    const bookings = await ShiftBooking.find(filter).sort({ startsAt: 1 }).limit(100).lean();
+    res.status(200).json({ message: "Bookings fetched successfully", bookings });
+  } catch (error) {
+    console.error("getMyShiftBookings error:", error);
+    res.status(500).json({ message: "Failed to fetch bookings" });
+  }
+};
+
+// Agent: clock in (goes available)
+exports.clockInAgent = async (req, res) => {
+  try {
+    const { log, booking } = await clockIn({ agentId: req.user.agentId });
+    res.status(200).json({ message: "Clocked in successfully", log, booking });
+  } catch (error) {
+    console.error("clockInAgent error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to clock in" });
+  }
+};
+
+// Agent: clock out (goes unavailable)
+exports.clockOutAgent = async (req, res) => {
+  try {
+    const log = await clockOut({ agentId: req.user.agentId });
+    res.status(200).json({ message: "Clocked out successfully", log });
+  } catch (error) {
+    console.error("clockOutAgent error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to clock out" });
+  }
+};
+
+// Agent: attendance summary and recent logs
+exports.getMyAttendance = async (req, res) => {
+  try {
+    const agent = await Agent.findById(req.user.agentId).select("attendance leaveStatus").lean();
+    if (!agent) return res.status(404).json({ message: "Agent profile not found" });
+
+    const { attendanceLogs = [], ...summary } = agent.attendance || {};
+    res.status(200).json({
+      message: "Attendance fetched successfully",
+      attendance: summary,
+      leaveStatus: agent.leaveStatus,
+      logs: attendanceLogs.slice(-60).reverse(),
+    });
+  } catch (error) {
+    console.error("getMyAttendance error:", error);
+    res.status(500).json({ message: "Failed to fetch attendance" });
+  }
+};
+
+// Agent: request leave
+exports.createLeaveRequest = async (req, res) => {
+  try {
+    const { leaveType, reason } = req.body;
+    const startDate = new Date(req.body.startDate);
+    const endDate = new Date(req.body.endDate);
+
+    if (!LEAVE_TYPES.includes(leaveType)) {
+      return res.status(400).json({ message: `leaveType must be one of: ${LEAVE_TYPES.join(", ")}` });
+    }
+
+    const leave = await requestLeave({
+      agentId: req.user.agentId,
+      leaveType,
+      startDate,
+      endDate,
+      reason: reason?.trim(),
+    });
+    res.status(201).json({ message: "Leave requested successfully", leave });
+  } catch (error) {
+    console.error("createLeaveRequest error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to request leave" });
+  }
+};
+
+// Agent: own leave requests
+exports.getMyLeaveRequests = async (req, res) => {
+  try {
+    const leaves = await LeaveRequest.find({ agentId: req.user.agentId }).sort({ startDate: -1 }).limit(50).lean();
+    res.status(200).json({ message: "Leave requests fetched successfully", leaves });
+  } catch (error) {
+    console.error("getMyLeaveRequests error:", error);
+    res.status(500).json({ message: "Failed to fetch leave requests" });
+  }
+};
+
+// Admin: create a shift slot (repeatDays copies it to the following days)
+exports.createShiftSlot = async (req, res) => {
+  try {
+    const { zone, capacity, repeatDays = 0 } = req.body;
+
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      return res.status(400).json({ message: "capacity must be a whole number of at least 1" });
+    }
+
+    const slots = await createShiftSlots({
+      zone,
+      startsAt: new Date(req.body.startsAt),
+      endsAt: new Date(req.body.endsAt),
+      capacity,
+      repeatDays,
+      createdBy: req.user._id,
+    });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "shiftSlot.create",
+      description: `Created ${slots.length} shift slot(s) in ${slots[0].zone}`,
+      req,
+      metadata: { slotIds: slots.map((s) => s._id) },
+    });
+
+    res.status(201).json({ message: "Shift slots created successfully", slots });
+  } catch (error) {
+    console.error("createShiftSlot error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to create shift slot" });
+  }
+};
+
+// Admin: shift slots (?zone&from&to&status)
+exports.getShiftSlots = async (req, res) => {
+  try {
+    const { zone, status } = req.query;
+    const from = req.query.from ? new Date(req.query.from) : new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if (isNaN(from) || (to && isNaN(to))) {
+      return res.status(400).json({ message: "from and to must be valid dates" });
+    }
+
+    const filter = { endsAt: { $gt: from } };
+    if (to) filter.startsAt = { $lt: to };
+    if (zone) filter.zone = zone.trim().toLowerCase();
+    if (status) filter.status = status;
+
+    const slots = await ShiftSlot.find(filter).sort({ startsAt: 1 }).limit(500).lean();
+    res.status(200).json({ message: "Shift slots fetched successfully", slots });
+  } catch (error) {
+    console.error("getShiftSlots error:", error);
+    res.status(500).json({ message: "Failed to fetch shift slots" });
+  }
+};
+
+// Admin: change capacity or cancel a slot
+exports.updateShiftSlotConfig = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.slotId)) {
+      return res.status(400).json({ message: "Invalid slotId" });
+    }
+
+    const { capacity, status } = req.body;
+    const { slot, cancelledBookings } = await updateShiftSlot(req.params.slotId, { capacity, status });
+
+    await notifyCancelledBookings(
+      cancelledBookings.map((b) => b.agentId),
+      `Your shift on ${slot.startsAt.toLocaleString()} was cancelled`
+    );
+
+    await logAccess({
+      userId: req.user._id,
+      action: "shiftSlot.update",
+      description: `Updated shift slot ${slot._id}`,
+      req,
+      metadata: { capacity, status, cancelledBookings: cancelledBookings.length },
+    });
+
+    res.status(200).json({ message: "Shift slot updated successfully", slot });
+  } catch (error) {
+    console.error("updateShiftSlotConfig error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to update shift slot" });
+  }
+};
+
+// Admin: hourly coverage for a day (?date=YYYY-MM-DD&zone)
+exports.getShiftRoster = async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date)) return res.status(400).json({ message: "date must be a valid date" });
+
+    const roster = await getRoster({ date, zone: req.query.zone });
+    res.status(200).json({ message: "Roster fetched successfully", roster });
+  } catch (error) {
+    console.error("getShiftRoster error:", error);
+    res.status(500).json({ message: "Failed to fetch roster" });
+  }
+};
+
+// Admin: leave requests (default: Pending)
+exports.getLeaveRequests = async (req, res) => {
+  try {
+    const { status = "Pending", agentId } = req.query;
+    const filter = {};
+    if (status !== "all") filter.status = status;
+    if (agentId) filter.agentId = agentId;
+
+    const leaves = await LeaveRequest.find(filter)
+      .populate("agentId", "fullName phoneNumber")
+      .populate("reviewedBy", "name email")
+      .sort({ startDate: 1 })
+      .lean();
+
+    res.status(200).json({ message: "Leave requests fetched successfully", leaves });
+  } catch (error) {
+    console.error("getLeaveRequests error:", error);
+    res.status(500).json({ message: "Failed to fetch leave requests" });
+  }
+};
+
+// Admin: approve or reject a leave request
+exports.reviewLeaveRequest = async (req, res) => {
+  try {
+    const { approve, comment } = req.body;
+
+    if (typeof approve !== "boolean") {
+      return res.status(400).json({ message: "approve must be true or false" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.leaveId)) {
+      return res.status(400).json({ message: "Invalid leaveId" });
+    }
+
+    const { leave, cancelledBookings } = await reviewLeave(req.params.leaveId, {
+      approve,
+      comment: comment?.trim() || null,
+      reviewedBy: req.user._id,
+    });
+
+    const agent = await Agent.findById(leave.agentId).select("userId").lean();
+    if (agent) {
+      await sendPushNotification(
+        agent.userId,
+        `Leave ${approve ? "approved" : "rejected"}`,
+        approve
+          ? `Your leave from ${leave.startDate.toDateString()} was approved${cancelledBookings.length ? `; ${cancelledBookings.length} shift(s) were released` : ""}`
+          : `Your leave request was rejected${leave.adminComment ? `: ${leave.adminComment}` : ""}`,
+        "serviceAlerts"
+      ).catch((err) => console.error("Failed to notify agent about leave:", err));
+    }
+
+    await logAccess({
+      userId: req.user._id,
+      action: approve ? "leave.approve" : "leave.reject",
+      description: `${approve ? "Approved" : "Rejected"} leave of agent ${leave.agentId}`,
+      req,
+      metadata: { leaveId: leave._id },
+    });
+
+    res.status(200).json({ message: `Leave request ${approve ? "approved" : "rejected"}`, leave });
+  } catch (error) {
+    console.error("reviewLeaveRequest error:", error);
+    res.status(error.statusCode || 500).json({ message: error.statusCode ? error.message : "Failed to review leave request" });
+  }
+};
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const TaxRule = require("../models/taxRuleModel");
+const logAccess = require("../utils/logAccess");
+const { DEFAULT_RATES } = require("../services/taxService");
+
+const EDITABLE_FIELDS = ["name", "appliesTo", "categoryId", "restaurantType", "rate", "isActive"];
+
+const pickFields = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Category rates only make sense for menu items
+const validateRule = ({ appliesTo, categoryId }) => {
+  if (categoryId && appliesTo !== "item") {
+    return "categoryId can only be set on rules that apply to items";
+  }
+  if (categoryId && !mongoose.Types.ObjectId.isValid(categoryId)) {
+    return "Invalid categoryId";
+  }
+  return null;
+};
+
+// List tax rules
+exports.getTaxRules = async (req, res) => {
+  try {
+    const { appliesTo, restaurantType, isActive } = req.query;
+    const filter = {};
+    if (appliesTo) filter.appliesTo = appliesTo;
+    if (restaurantType) filter.restaurantType = restaurantType.toLowerCase();
+    if (isActive !== undefined) filter.isActive = isActive === "true";
+
+    const rules = await TaxRule.find(filter)
+      .populate("categoryId", "name restaurantId")
+      .sort({ appliesTo: 1, createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      message: "Tax rules fetched successfully",
+      defaultRates: DEFAULT_RATES,
+      rules,
+    });
+  } catch (error) {
+    console.error("getTaxRules error:", error);
+    res.status(500).json({ message: "Failed to fetch tax rules" });
+  }
+};
+
+// Create a tax rule
+exports.createTaxRule = async (req, res) => {
+  try {
+    const fields = pickFields(req.body);
+
+    const invalid = validateRule(fields);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const rule = await TaxRule.create({ ...fields, updatedBy: req.user._id });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "taxRule.create",
+      description: `Created tax rule '${rule.name}' (${rule.appliesTo}, ${rule.rate}%)`,
+      req,
+      metadata: { taxRuleId: rule._id },
+    });
+
+    res.status(201).json({ message: "Tax rule created successfully", rule });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("createTaxRule error:", error);
+    res.status(500).json({ message: "Failed to create tax rule" });
+  }
+};
+
+// Update a tax rule
+exports.updateTaxRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const rule = await TaxRule.findById(ruleId);
+    if (!rule) return res.status(404).json({ message: "Tax rule not found" });
+
+    const fields = pickFields(req.body);
+
+    const invalid = validateRule({
+      appliesTo: fields.appliesTo ?? rule.appliesTo,
+      categoryId: fields.categoryId !== undefined ? fields.categoryId : rule.categoryId,
+    });
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    rule.set({ ...fields, updatedBy: req.user._id });
+    await rule.save();
+
+    await logAccess({
+      userId: req.user._id,
+      action: "taxRule.update",
+      description: `Updated tax rule '${rule.name}'`,
+      req,
+      metadata: { taxRuleId: rule._id, update: fields },
+    });
+
+    res.status(200).json({ message: "Tax rule updated successfully", rule });
+  } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("updateTaxRule error:", error);
+    res.status(500).json({ message: "Failed to update tax rule" });
+  }
+};
+
+// Delete a tax rule
+exports.deleteTaxRule = async (req, res) => {
+  try {
+    const rule = await TaxRule.findByIdAndDelete(req.params.ruleId);
+    if (!rule) return res.status(404).json({ message: "Tax rule not found" });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "taxRule.delete",
+      description: `Deleted tax rule '${rule.name}'`,
+      req,
+      metadata: { taxRuleId: rule._id },
+    });
+
+    res.status(200).json({ message: "Tax rule deleted successfully" });
+  } catch (error) {
+    console.error("deleteTaxRule error:", error);
+    res.status(500).json({ message: "Failed to delete tax rule" });
+  }
+};
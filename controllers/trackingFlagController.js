@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+const TrackingFlag = require("../models/trackingFlagModel");
+const logAccess = require("../utils/logAccess");
+
+const REVIEW_STATUSES = ["dismissed", "confirmed"];
+
+// Suspicious agent locations / statuses, newest first; filter by review status, type or agent
+exports.getTrackingFlags = async (req, res) => {
+  try {
+    const { reviewStatus = "open", type, agentId } = req.query;
+    const filter = {};
+    if (reviewStatus !== "all") filter.reviewStatus = reviewStatus;
+    if (type) filter.type = type;
+    if (agentId) {
+      if (!mongoose.Types.ObjectId.isValid(agentId)) {
+        return res.status(400).json({ message: "Invalid agentId" });
+      }
+      filter.agentId = agentId;
+    }
+
+    const flags = await TrackingFlag.find(filter)
+      .populate("agentId", "fullName phoneNumber")
+      .populate("orderId", "orderStatus restaurantId")
+      .populate("reviewedBy", "name email")
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.status(200).json({ message: "Tracking flags fetched successfully", flags });
+  } catch (error) {
+    console.error("getTrackingFlags error:", error);
+    res.status(500).json({ message: "Failed to fetch tracking flags" });
+  }
+};
+
+// Close a flag as dismissed (false alarm) or confirmed (agent misreported)
+exports.reviewTrackingFlag = async (req, res) => {
+  try {
+    const { flagId } = req.params;
+    const { reviewStatus, notes } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(flagId)) {
+      return res.status(400).json({ message: "Invalid flagId" });
+    }
+    if (!REVIEW_STATUSES.includes(reviewStatus)) {
+      return res.status(400).json({ message: `reviewStatus must be one of: ${REVIEW_STATUSES.join(", ")}` });
+    }
+
+    const flag = await TrackingFlag.findOneAndUpdate(
+      { _id: flagId, reviewStatus: "open" },
+      {
+        reviewStatus,
+        reviewNotes: notes || null,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+      },
+      { new: true }
+    );
+    if (!flag) {
+      return res.status(404).json({ message: "Open flag not found" });
+    }
+
+    await logAccess({
+      userId: req.user._id,
+      action: "trackingFlag.review",
+      description: `Marked ${flag.type} flag on order ${flag.orderId} as ${reviewStatus}`,
+      req,
+      metadata: { flagId: flag._id, agentId: flag.agentId },
+    });
+
+    res.status(200).json({ message: "Tracking flag reviewed successfully", flag });
+  } catch (error) {
+    console.error("reviewTrackingFlag error:", error);
+    res.status(500).json({ message: "Failed to review tracking flag" });
+  }
+};
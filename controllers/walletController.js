@@ -0,0 +1,166 @@
+const mongoose = require("mongoose");
+const Payment = require("../models/paymentModel");
+const logAccess = require("../utils/logAccess");
+const {
+  creditWallet,
+  debitWallet,
+  getWalletStatement,
+} = require("../services/walletService");
+const { createTopUpIntent, verifyPayment, isLiveProvider } = require("../services/paymentService");
+
+const MAX_TOP_UP = 10000;
+
+// Get my wallet balance and statement
+exports.getMyWallet = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const statement = await getWalletStatement(req.user._id, { page, limit });
+
+    res.status(200).json({
+      message: "Wallet statement fetched successfully",
+      ...statement,
+    });
+  } catch (error) {
+    console.error("getMyWallet error:", error);
+    res.status(error.statusCode || 500).json({ message: error.message || "Failed to fetch wallet" });
+  }
+};
+
+// Start a wallet top-up through the payment gateway
+exports.topUpWallet = async (req, res) => {
+  try {
+    // the mock gateway approves anything, top-ups would be free money
+    if (!isLiveProvider()) {
+      return res.status(503).json({ message: "Wallet top-ups are not available" });
+    }
+
+    const amount = Number(req.body.amount);
+
+    if (!amount || amount <= 0 || amount > MAX_TOP_UP) {
+      return res.status(400).json({ message: `Top-up amount must be between 1 and ${MAX_TOP_UP}` });
+    }
+
+    const payment = await createTopUpIntent(req.user._id, amount);
+
+    res.status(201).json({
+      message: "Top-up initiated, complete the payment to credit your wallet",
+      payment: {
+        paymentId: payment._id,
+        provider: payment.provider,
+        providerPaymentId: payment.providerPaymentId,
+        clientSecret: payment.clientSecret,
+        amount: payment.amount,
+        currency: payment.currency,
+      },
+    });
+  } catch (error) {
+    console.error("topUpWallet error:", error);
+    res.status(error.statusCode || 500).json({ message: error.message || "Failed to start top-up" });
+  }
+};
+
+// Confirm a wallet top-up payment
+exports.verifyTopUp = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    if (!isLiveProvider()) {
+      return res.status(503).json({ message: "Wallet top-ups are not available" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json({ message: "Invalid paymentId format" });
+    }
+
+    const payment = await Payment.findOne({
+      _id: paymentId,
+      customerId: req.user._id,
+      purpose: "wallet_topup",
+    });
+    if (!payment) return res.status(404).json({ message: "Top-up not found" });
+
+    const updated = await verifyPayment(payment, req.body, { io: req.app.get("io") });
+
+    res.status(200).json({
+      message: updated.status === "captured" ? "Wallet topped up" : "Top-up payment failed",
+      paymentStatus: updated.status,
+      failureReason: updated.failureReason,
+    });
+  } catch (error) {
+    console.error("verifyTopUp error:", error);
+    res.status(error.statusCode || 500).json({ message: error.message || "Failed to verify top-up" });
+  }
+};
+
+// Get a customer's wallet statement (Admin)
+exports.getUserWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid userId format" });
+    }
+
+    const { page, limit } = req.query;
+    const statement = await getWalletStatement(userId, { page, limit });
+
+    res.status(200).json({
+      message: "Wallet statement fetched successfully",
+      ...statement,
+    });
+  } catch (error) {
+    console.error("getUserWallet error:", error);
+    res.status(error.statusCode || 500).json({ message: error.message || "Failed to fetch wallet" });
+  }
+};
+
+// Manually credit or debit a customer's wallet (Admin)
+exports.adjustUserWallet = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { type, amount, description } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid userId format" });
+    }
+
+    if (!["credit", "debit"].includes(type)) {
+      return res.status(400).json({ message: "type must be 'credit' or 'debit'" });
+    }
+
+    if (typeof amount !== "number" || amount <= 0) {
+      return res.status(400).json({ message: "amount must be a positive number" });
+    }
+
+    if (!description?.trim()) {
+      return res.status(400).json({ message: "description is required for adjustments" });
+    }
+
+    const params = {
+      userId,
+      amount,
+      reason: "admin_adjustment",
+      description: description.trim(),
+      performedBy: req.user._id,
+    };
+    const transaction = type === "credit"
+      ? await creditWallet(params)
+      : await debitWallet(params);
+
+    await logAccess({
+      userId: req.user._id,
+      action: "wallet.adjust",
+      description: `${type} of ${amount} on wallet of user ${userId}: ${params.description}`,
+      req,
+      metadata: { transactionId: transaction._id },
+    });
+
+    res.status(200).json({
+      message: "Wallet adjusted successfully",
+      transaction,
+    });
+  } catch (error) {
+    console.error("adjustUserWallet error:", error);
+    res.status(error.statusCode || 500).json({ message: error.message || "Failed to adjust wallet" });
+  }
+};
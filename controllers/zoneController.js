@@ -0,0 +1,312 @@
+const mongoose = require("mongoose");
+const Zone = require("../models/zoneModel");
+const Agent = require("../models/agentModel");
+const Restaurant = require("../models/restaurantModel");
+const logAccess = require("../utils/logAccess");
+const {
+  findZoneAt,
+  findOverlappingZone,
+  retagZone,
+  getOrderingStatus,
+} = require("../services/zoneService");
+const { isValidTimeZone } = require("../services/businessHoursService");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "city",
+  "boundary",
+  "active",
+  "activeHours",
+  "timezone",
+  "deliveryFee",
+  "dispatch",
+  "minAgentsOnline",
+];
+
+// Returns an error message for an invalid GeoJSON boundary, or null
+const validateBoundary = (boundary) => {
+  if (!["Polygon", "MultiPolygon"].includes(boundary?.type)) {
+    return "boundary must be a GeoJSON Polygon or MultiPolygon";
+  }
+  if (!Array.isArray(boundary.coordinates) || !boundary.coordinates.length) {
+    return "boundary must have coordinates";
+  }
+  return null;
+};
+
+// MongoDB rejects self-intersecting or unclosed polygons
+const isInvalidGeometry = (error) => error.code === 16755 || error.codeName === "BadValue";
+
+// Admin: create a zone and tag the restaurants and agents inside it
+exports.createZone = async (req, res) => {
+  try {
+    const boundaryError = validateBoundary(req.body.boundary);
+    if (boundaryError) return res.status(400).json({ message: boundaryError });
+    if (req.body.timezone !== undefined && !isValidTimeZone(req.body.timezone)) {
+      return res.status(400).json({ message: "timezone must be an IANA time zone, e.g. Asia/Kolkata" });
+    }
+
+    const data = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    if (data.active !== false) {
+      const overlapping = await findOverlappingZone(data.boundary);
+      if (overlapping) {
+        return res.status(409).json({ message: `Zone overlaps ${overlapping.name}` });
+      }
+    }
+
+    const zone = await Zone.create({ ...data, createdBy: req.user._id });
+    const tagged = await retagZone(zone);
+
+    await logAccess({
+      userId: req.user._id,
+      action: "zone.create",
+      description: `Created zone ${zone.name}`,
+      req,
+      metadata: { zoneId: zone._id, tagged },
+    });
+
+    res.status(201).json({ message: "Zone created successfully", zone, tagged });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "A zone with this name already exists" });
+    }
+    if (isInvalidGeometry(error)) {
+      return res.status(400).json({ message: "boundary is not a valid polygon" });
+    }
+    console.error("createZone error:", error);
+    res.status(500).json({ message: "Failed to create zone" });
+  }
+};
+
+// Admin: zones with their restaurant and available agent counts (?city)
+exports.getZones = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.city) {
+      const city = req.query.city.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.city = new RegExp(`^${city}$`, "i");
+    }
+
+    const zones = await Zone.find(filter).sort({ city: 1, name: 1 }).lean();
+
+    const zoneIds = zones.map((z) => z._id);
+    const [restaurantCounts, agentCounts] = await Promise.all([
+      Restaurant.aggregate([
+        { $match: { zoneId: { $in: zoneIds } } },
+        { $group: { _id: "$zoneId", count: { $sum: 1 } } },
+      ]),
+      Agent.aggregate([
+        { $match: { zoneId: { $in: zoneIds }, availabilityStatus: "Available" } },
+        { $group: { _id: "$zoneId", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const countOf = (counts, zoneId) => counts.find((c) => c._id.equals(zoneId))?.count || 0;
+
+    res.status(200).json({
+      message: "Zones fetched successfully",
+      zones: zones.map((zone) => ({
+        ...zone,
+        restaurants: countOf(restaurantCounts, zone._id),
+        agentsOnline: countOf(agentCounts, zone._id),
+        ordering: getOrderingStatus(zone),
+      })),
+    });
+  } catch (error) {
+    console.error("getZones error:", error);
+    res.status(500).json({ message: "Failed to fetch zones" });
+  }
+};
+
+// Admin: edit a zone; a new boundary or switching it on/off re-tags restaurants and agents
+exports.updateZone = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.zoneId)) {
+      return res.status(400).json({ message: "Invalid zoneId" });
+    }
+
+    const update = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ message: `Provide at least one of: ${EDITABLE_FIELDS.join(", ")}` });
+    }
+    if (update.boundary !== undefined) {
+      const boundaryError = validateBoundary(update.boundary);
+      if (boundaryError) return res.status(400).json({ message: boundaryError });
+    }
+    if (update.timezone !== undefined && !isValidTimeZone(update.timezone)) {
+      return res.status(400).json({ message: "timezone must be an IANA time zone, e.g. Asia/Kolkata" });
+    }
+
+    const zone = await Zone.findById(req.params.zoneId);
+    if (!zone) return res.status(404).json({ message: "Zone not found" });
+
+    const retag = update.boundary !== undefined || (update.active !== undefined && update.active !== zone.active);
+    zone.set({ ...update, updatedBy: req.user._id });
+
+    if (zone.active && retag) {
+      const overlapping = await findOverlappingZone(zone.boundary, zone._id);
+      if (overlapping) {
+        return res.status(409).json({ message: `Zone overlaps ${overlapping.name}` });
+      }
+    }
+
+    await zone.save();
+    const tagged = retag ? await retagZone(zone) : null;
+
+    await logAccess({
+      userId: req.user._id,
+      action: "zone.update",
+      description: `Updated zone ${zone.name}`,
+      req,
+      metadata: { zoneId: zone._id, fields: Object.keys(update), tagged },
+    });
+
+    res.status(200).json({ message: "Zone updated successfully", zone, tagged });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: "A zone with this name already exists" });
+    }
+    if (isInvalidGeometry(error)) {
+      return res.status(400).json({ message: "boundary is not a valid polygon" });
+    }
+    console.error("updateZone error:", error);
+    res.status(500).json({ message: "Failed to update zone" });
+  }
+};
+
+// Admin: kill switch ({ active, message, reason, resumeAt })
+exports.setZonePause = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.zoneId)) {
+      return res.status(400).json({ message: "Invalid zoneId" });
+    }
+
+    const { active, message, reason, resumeAt } = req.body;
+    if (typeof active !== "boolean") {
+      return res.status(400).json({ message: "active must be true or false" });
+    }
+
+    let pause = { active: false, message: null, reason: null, pausedBy: null, pausedAt: null, resumeAt: null };
+    if (active) {
+      if (!message?.trim()) {
+        return res.status(400).json({ message: "A customer-facing message is required to pause a zone" });
+      }
+      const resumeDate = resumeAt ? new Date(resumeAt) : null;
+      if (resumeDate && (isNaN(resumeDate) || resumeDate <= new Date())) {
+        return res.status(400).json({ message: "resumeAt must be in the future" });
+      }
+      pause = {
+        active: true,
+        message: message.trim(),
+        reason: reason?.trim() || null,
+        pausedBy: req.user._id,
+        pausedAt: new Date(),
+        resumeAt: resumeDate,
+      };
+    }
+
+    const zone = await Zone.findByIdAndUpdate(
+      req.params.zoneId,
+      { pause, updatedBy: req.user._id },
+      { new: true }
+    );
+    if (!zone) return res.status(404).json({ message: "Zone not found" });
+
+    await logAccess({
+      userId: req.user._id,
+      action: active ? "zone.pause" : "zone.resume",
+      description: `${active ? "Paused" : "Resumed"} ordering in zone ${zone.name}`,
+      req,
+      metadata: { zoneId: zone._id, reason: pause.reason, resumeAt: pause.resumeAt },
+    });
+
+    res.status(200).json({ message: active ? "Ordering paused in zone" : "Ordering resumed in zone", zone });
+  } catch (error) {
+    console.error("setZonePause error:", error);
+    res.status(500).json({ message: "Failed to update zone pause" });
+  }
+};
+
+// Admin: manual surge ({ active, multiplier, reason, until })
+exports.setZoneSurge = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.zoneId)) {
+      return res.status(400).json({ message: "Invalid zoneId" });
+    }
+
+    const { active, multiplier, reason, until } = req.body;
+    if (typeof active !== "boolean") {
+      return res.status(400).json({ message: "active must be true or false" });
+    }
+
+    let surge = { active: false, multiplier: 1, reason: null, until: null };
+    if (active) {
+      if (typeof multiplier !== "number" || multiplier <= 1) {
+        return res.status(400).json({ message: "multiplier must be a number above 1" });
+      }
+      const untilDate = until ? new Date(until) : null;
+      if (untilDate && (isNaN(untilDate) || untilDate <= new Date())) {
+        return res.status(400).json({ message: "until must be in the future" });
+      }
+      surge = { active: true, multiplier, reason: reason?.trim() || null, until: untilDate };
+    }
+
+    const zone = await Zone.findByIdAndUpdate(
+      req.params.zoneId,
+      { surge, updatedBy: req.user._id },
+      { new: true, runValidators: true }
+    );
+    if (!zone) return res.status(404).json({ message: "Zone not found" });
+
+    await logAccess({
+      userId: req.user._id,
+      action: "zone.surge",
+      description: `${active ? `Set surge x${multiplier}` : "Ended surge"} in zone ${zone.name}`,
+      req,
+      metadata: { zoneId: zone._id, surge },
+    });
+
+    res.status(200).json({ message: active ? "Surge enabled in zone" : "Surge ended in zone", zone });
+  } catch (error) {
+    console.error("setZoneSurge error:", error);
+    res.status(500).json({ message: "Failed to update zone surge" });
+  }
+};
+
+// Customer: whether ordering is open at a location, with the message to show when it is not
+exports.getZoneStatus = async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.latitude);
+    const lng = parseFloat(req.query.longitude);
+
+    if (isNaN(lat) || lat < -90 || lat > 90) {
+      return res.status(400).json({ message: "Invalid latitude." });
+    }
+    if (isNaN(lng) || lng < -180 || lng > 180) {
+      return res.status(400).json({ message: "Invalid longitude." });
+    }
+
+    const zone = await findZoneAt([lng, lat]);
+
+    res.status(200).json({
+      message: "Zone status fetched successfully",
+      zone: zone ? { _id: zone._id, name: zone.name, city: zone.city } : null,
+      ordering: getOrderingStatus(zone),
+    });
+  } catch (error) {
+    console.error("getZoneStatus error:", error);
+    res.status(500).json({ message: "Failed to fetch zone status" });
+  }
+};
@@ -18,8 +18,10 @@ app.set("io", io);
 dotenv.config();
 require("./config/dbConfig")();
 
+const { startScheduler } = require("./services/jobScheduler");
+const { recordAgentLocation } = require("./services/trackingService");
+
 // Import models
-const Agent = require("./models/agentModel");
 const Chat = require("./models/chatModel"); 
 
 // Import routes
@@ -36,9 +38,18 @@ const cartRoutes = require("./routes/cartRoutes");
 const chatRouter = require("./routes/chatRoutes");
 const faqRouter = require("./routes/faqRoutes");
 const adminRouter = require("./routes/adminRoutes");
+const paymentRouter = require("./routes/paymentRoutes");
+const walletRouter = require("./routes/walletRoutes");
+const disputeRouter = require("./routes/disputeRoutes");
+const settlementRouter = require("./routes/settlementRoutes");
 
 // Middlewares
-app.use(express.json());
+app.use(express.json({
+  // keep the raw body around for verifying payment webhook signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
+  }
+}));
 app.use(cors());
 
 // Socket.io Connection Handler
@@ -77,13 +88,16 @@ io.on("connection", (socket) => {
     }
 
     try {
-      await Agent.findByIdAndUpdate(agentId, {
+      // also stores the breadcrumb and streams position/ETA for the agent's active orders
+      await recordAgentLocation({
+        agentId,
         availabilityStatus,
-        location: {
-          type: "Point",
-          coordinates: [location.longitude, location.latitude]
-        },
-        updatedAt: new Date()
+        longitude: location.longitude,
+        latitude: location.latitude,
+        speedKmph: location.speed,
+        heading: location.heading,
+        accuracy: location.accuracy,
+        io,
       });
 
       socket.emit("statusUpdateSuccess", { message: "Agent status and location updated" });
@@ -339,14 +353,29 @@ app.use("/agent", agentRouter);
 app.use("/feedback", feedbackRoutes);
 app.use("/cart", cartRoutes);
 app.use("/faq", faqRouter);
+app.use("/payment", paymentRouter);
+app.use("/wallet", walletRouter);
+app.use("/disputes", disputeRouter);
+app.use("/settlements", settlementRouter);
 
 // Default route
 app.get("/", (req, res) => {
   res.send("API is running 🚀");
 });
 
+// Online payments and wallet top-ups stay off until PAYMENT_PROVIDER and its secrets are set
+const paymentConfigProblem = require("./services/paymentService").paymentConfigProblem();
+if (paymentConfigProblem) console.warn(`Online payments disabled: ${paymentConfigProblem}`);
+
 // Start server
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Background jobs (reassignment, scheduled orders, expiries); set
+  // DISABLE_JOB_SCHEDULER=true on instances that should not run them
+  if (process.env.DISABLE_JOB_SCHEDULER !== "true") {
+    require("./services/scheduledJobs");
+    startScheduler({ io }).catch((err) => console.error("Failed to start job scheduler:", err));
+  }
 });
\ No newline at end of file
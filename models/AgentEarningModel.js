@@ -7,7 +7,9 @@ const mongoose = require('mongoose');const agentEarningSchema = new mongoose.Sch
   orderId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Order',
-    required: true
+    required: function () {
+      return ['delivery_fee', 'tip'].includes(this.type);
+    }
   },
   amount: {
     type: Number,
@@ -15,7 +17,7 @@ const mongoose = require('mongoose');const agentEarningSchema = new mongoose.Sch
   },
   type: {
     type: String,
-    enum: ['delivery_fee', 'incentive', 'penalty', 'other'],
+    enum: ['delivery_fee', 'tip', 'incentive', 'penalty', 'other'],
     required: true
   },
   date: {
@@ -25,9 +27,21 @@ const mongoose = require('mongoose');const agentEarningSchema = new mongoose.Sch
   remarks: {
     type: String,
     default: null
+  },
+  payoutStatus: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AgentPayout',
+    default: null // set once the earning is picked up by a payout run
   }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('AgentEarning', agentEarningSchema);
\ No newline at end of file
+agentEarningSchema.index({ agentId: 1, payoutStatus: 1, payoutId: 1, date: 1 });
+
+module.exports = mongoose.model('AgentEarning', agentEarningSchema);
@@ -9,7 +9,9 @@ const restaurantEarningsSchema = new mongoose.Schema({
   orderId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Order',
-    required: true
+    required: function () {
+      return this.type !== 'penalty';
+    }
   },
   totalOrderAmount: {
     type: Number,
@@ -32,6 +34,11 @@ const restaurantEarningsSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  type: {
+    type: String,
+    enum: ['order', 'refund_adjustment', 'penalty'],
+    default: 'order' // refund_adjustment and penalty rows carry a negative totalOrderAmount
+  },
   remarks: {
     type: String,
     default: null
@@ -44,9 +51,16 @@ const restaurantEarningsSchema = new mongoose.Schema({
   payoutDate: {
     type: Date,
     default: null
+  },
+  settlementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement',
+    default: null // set once the earning is picked up by a settlement run
   }
 }, {
   timestamps: true
 });
 
+restaurantEarningsSchema.index({ restaurantId: 1, payoutStatus: 1, settlementId: 1, date: 1 });
+
 module.exports = mongoose.model('RestaurantEarning', restaurantEarningsSchema);
@@ -0,0 +1,99 @@
+const mongoose = require("mongoose");
+
+const DOCUMENT_TYPES = ["license", "insurance", "vehicle_registration", "id_proof"];
+const VEHICLE_TYPES = ["bicycle", "scooter", "motorcycle", "car"];
+
+const agentDocumentSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: DOCUMENT_TYPES, required: true },
+    url: { type: String, required: true },
+    number: { type: String, trim: true }, // licence / policy / ID number
+    expiresAt: { type: Date, default: null },
+    status: {
+      type: String,
+      enum: ["pending", "verified", "rejected", "expired"],
+      default: "pending",
+    },
+    rejectionReason: { type: String, default: null },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date, default: null },
+    uploadedAt: { type: Date, default: Date.now },
+    expiryReminderSentAt: { type: Date, default: null },
+  },
+  { _id: true }
+);
+
+// Onboarding of a delivery agent, step by step; kept after activation for document compliance
+const agentApplicationSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", default: null }, // set on activation
+    status: {
+      type: String,
+      enum: ["in_progress", "submitted", "approving", "approved", "rejected"], // approving: activation under way
+      default: "in_progress",
+    },
+
+    personalDetails: {
+      fullName: { type: String, trim: true },
+      dateOfBirth: { type: Date },
+      address: {
+        street: String,
+        city: String,
+        state: String,
+        pincode: String,
+      },
+      emergencyContact: {
+        name: String,
+        phone: String,
+      },
+      location: {
+        type: { type: String, enum: ["Point"] },
+        coordinates: { type: [Number], default: undefined }, // [lng, lat] of the preferred area
+      },
+      completedAt: { type: Date, default: null },
+    },
+
+    vehicle: {
+      type: { type: String, enum: VEHICLE_TYPES },
+      registrationNumber: { type: String, trim: true, uppercase: true },
+      model: { type: String, trim: true },
+      maxOrders: { type: Number, min: 1 },    // orders the vehicle can carry at once
+      maxWeightKg: { type: Number, min: 0 },
+      completedAt: { type: Date, default: null },
+    },
+
+    documents: [agentDocumentSchema],
+
+    backgroundCheck: {
+      status: {
+        type: String,
+        enum: ["not_started", "pending", "clear", "failed"],
+        default: "not_started",
+      },
+      reference: { type: String, default: null }, // provider case ID
+      notes: { type: String, default: null },
+      updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      updatedAt: { type: Date, default: null },
+    },
+
+    training: {
+      status: { type: String, enum: ["not_started", "passed", "failed"], default: "not_started" },
+      attempts: { type: Number, default: 0 },
+      lastScore: { type: Number, default: null }, // percent
+      lastAttemptAt: { type: Date, default: null },
+      passedAt: { type: Date, default: null },
+    },
+
+    submittedAt: { type: Date, default: null },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date, default: null },
+    rejectionReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+agentApplicationSchema.index({ status: 1, submittedAt: 1 });
+agentApplicationSchema.index({ "documents.status": 1, "documents.expiresAt": 1 });
+
+module.exports = mongoose.model("AgentApplication", agentApplicationSchema);
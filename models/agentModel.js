@@ -62,6 +62,7 @@ const agentSchema = new mongoose.Schema(
         // required: true
       }
     },
+    zoneId: { type: mongoose.Schema.Types.ObjectId, ref: "Zone", default: null }, // zone of the last known location
     leaveStatus: {
       leaveApplied: { type: Boolean, default: false },
       leaveStartDate: { type: Date },
@@ -72,16 +73,21 @@ const agentSchema = new mongoose.Schema(
     attendance: {
       daysWorked: { type: Number, default: 0 },
       daysOff: { type: Number, default: 0 },
+      clockedIn: { type: Boolean, default: false },
       attendanceLogs: [
         {
           date: { type: Date, required: true },
           status: { type: String, enum: ["Present", "Absent"], default: "Present" },
           clockIn: { type: Date },
           clockOut: { type: Date },
+          workedHours: { type: Number, default: 0 },
+          bookingId: { type: mongoose.Schema.Types.ObjectId, ref: "ShiftBooking", default: null },
+          autoClosed: { type: Boolean, default: false }, // clocked out by the system
         }
       ]
     },
     qrCode: { type: String }, // URL or data for generating agent's personal QR code
+    // legacy free-text plans; structured plans live in IncentivePlan
     incentivePlans: [
       {
         planName: { type: String, required: true },
@@ -143,7 +149,24 @@ const agentSchema = new mongoose.Schema(
     ],
 
  
+    dispatchStats: {
+      offered: { type: Number, default: 0 },   // orders sent to the agent by dispatch
+      accepted: { type: Number, default: 0 },
+      rejected: { type: Number, default: 0 },
+      lastAssignedAt: { type: Date, default: null },
+    },
     availabilityStatus: { type: String, enum: ["Available", "Unavailable"], default: "Unavailable" },
+    // set when a required document expires; the agent cannot go available until renewed
+    compliance: {
+      blocked: { type: Boolean, default: false },
+      reason: { type: String, default: null },
+      blockedAt: { type: Date, default: null },
+    },
+    vehicle: {
+      type: { type: String, enum: ["bicycle", "scooter", "motorcycle", "car"] },
+      registrationNumber: { type: String },
+      maxOrders: { type: Number },
+    },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
   },
@@ -151,4 +174,5 @@ const agentSchema = new mongoose.Schema(
   { timestamps: true }
 );
 agentSchema.index({ location: "2dsphere" });
+agentSchema.index({ zoneId: 1, availabilityStatus: 1 });
 module.exports = mongoose.model("Agent", agentSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// One agent's payout for a weekly payout run
+const agentPayoutSchema = new mongoose.Schema(
+  {
+    runId: { type: String, required: true, index: true },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", required: true },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+
+    deliveryFees: { type: Number, default: 0 },
+    tips: { type: Number, default: 0 },
+    incentives: { type: Number, default: 0 },
+    penalties: { type: Number, default: 0 },
+    other: { type: Number, default: 0 },
+    grossEarnings: { type: Number, default: 0 },
+    codDeducted: { type: Number, default: 0 }, // unremitted COD netted against the earnings
+    netPayout: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: ["pending", "paid", "cancelled"],
+      default: "pending",
+    },
+    payoutReference: { type: String, default: null },
+    paidAt: { type: Date, default: null },
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+agentPayoutSchema.index({ agentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AgentPayout", agentPayoutSchema);
@@ -18,9 +18,26 @@ const cartSchema = new mongoose.Schema({
         ref: "Product"
       },
       name: String,
-      price: Number,
+      price: Number, // unit price including variant and add-ons
       quantity: Number,
-      total: Number
+      total: Number,
+      variant: {
+        variantId: { type: mongoose.Schema.Types.ObjectId },
+        name: String,
+        price: Number
+      },
+      addOns: [
+        {
+          _id: false,
+          groupId: { type: mongoose.Schema.Types.ObjectId },
+          groupName: String,
+          optionId: { type: mongoose.Schema.Types.ObjectId },
+          name: String,
+          price: Number
+        }
+      ],
+      // same product with other choices is another line
+      customisationKey: String
     }
   ],
   totalPrice: {
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Cash an agent remits from COD collections, verified by an admin
+const cashDropSchema = new mongoose.Schema(
+  {
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", required: true },
+    amount: { type: Number, required: true, min: 1 },
+    method: { type: String, enum: ["Bank", "Online"], default: "Online" },
+    reference: { type: String, trim: true }, // UTR / UPI transaction ID
+    receiptUrl: { type: String },
+    notes: { type: String },
+    status: {
+      type: String,
+      enum: ["pending", "verified", "rejected"],
+      default: "pending",
+    },
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    verifiedAt: { type: Date, default: null },
+    rejectionReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+cashDropSchema.index({ agentId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("CashDrop", cashDropSchema);
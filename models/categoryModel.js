@@ -6,7 +6,15 @@ const categoriesSchema = mongoose.Schema({
     ref: "Restaurant",
   },
   active: {type:Boolean,default:true},
-  autoOnOff: Boolean,
+  autoOnOff: { type: Boolean, default: true }, // follow availabilityWindows; false keeps it on all day
+  // e.g. breakfast: [{ days: [], startTime: "07:00", endTime: "11:00" }]; no windows = whole day
+  availabilityWindows: [
+    {
+      days: [{ type: String, enum: ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"] }], // empty = every day
+      startTime: { type: String, required: true }, // "HH:mm" in the restaurant's timezone
+      endTime: { type: String, required: true },
+    },
+  ],
   description: String,
   images: [String],
 });
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Several orders carried by one agent, with the pickup and drop sequence
+const deliveryBatchSchema = new mongoose.Schema(
+  {
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", required: true },
+    orderIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }],
+    stops: [
+      {
+        _id: false,
+        sequence: Number,
+        type: { type: String, enum: ["pickup", "drop"], required: true },
+        orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+        restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant" },
+        location: {
+          type: { type: String, enum: ["Point"], default: "Point" },
+          coordinates: [Number], // [lng, lat]
+        },
+        eta: Date,
+        status: { type: String, enum: ["pending", "done"], default: "pending" },
+        completedAt: { type: Date, default: null },
+      },
+    ],
+    totalDistanceKm: Number,
+    status: {
+      type: String,
+      enum: ["active", "completed", "dissolved"],
+      default: "active",
+    },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+deliveryBatchSchema.index({ agentId: 1, status: 1 });
+
+module.exports = mongoose.model("DeliveryBatch", deliveryBatchSchema);
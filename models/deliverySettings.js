@@ -1,29 +1,37 @@
 const mongoose = require("mongoose");
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
 const deliverySettingsSchema = new mongoose.Schema({
   restaurantId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Restaurant",
     default: null // null = global settings
   },
-  baseCharge: Number,              // e.g. ₹30
-  perKmCharge: Number,            // e.g. ₹5/km
+  baseCharge: { type: Number, min: 0 },              // e.g. ₹30
+  perKmCharge: { type: Number, min: 0 },            // e.g. ₹5/km
   surgeMultiplier: {
     type: Number,
-    default: 1
+    default: 1,
+    min: 1
   },
-  freeDeliveryAbove: Number,      // e.g. ₹300
+  freeDeliveryAbove: { type: Number, min: 0 },      // e.g. ₹300
+  // customers get an OTP the agent must enter to complete the order
+  deliveryOtpEnabled: { type: Boolean, default: false },
   peakHours: [
     {
-      start: String,              // "18:00"
-      end: String                 // "21:00"
+      _id: false,
+      start: { type: String, required: true, match: TIME_PATTERN },  // "18:00"
+      end: { type: String, required: true, match: TIME_PATTERN }     // "21:00"
     }
   ],
-  createdAt: {
-    type: Date,
-    default: Date.now
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
   }
-});
+}, { timestamps: true });
 
-module.exports = mongoose.model("deliverySetting",deliverySettingsSchema)
+// one override per restaurant and a single global document (restaurantId: null)
+deliverySettingsSchema.index({ restaurantId: 1 }, { unique: true });
 
+module.exports = mongoose.model("deliverySetting",deliverySettingsSchema)
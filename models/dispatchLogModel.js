@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Every auto-assignment decision with the candidates that were considered
+const dispatchLogSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true, index: true },
+    pickupLocation: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: [Number],
+    },
+    searchRadiusMeters: Number,
+    weights: { type: Object },
+    candidates: [
+      {
+        _id: false,
+        agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent" },
+        fullName: String,
+        distanceKm: Number,
+        currentOrderCount: Number,
+        rating: Number,
+        codHeadroom: Number,
+        acceptanceRate: Number,
+        idleMinutes: Number,
+        scores: { type: Object }, // per factor, 0–1
+        totalScore: Number,
+      },
+    ],
+    mode: { type: String, enum: ["sequential", "broadcast", "batch"], default: "sequential" },
+    selectedAgentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", default: null },
+    offeredAgentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Agent" }],
+    outcome: {
+      type: String,
+      enum: ["assigned", "offered", "no_candidates", "failed"],
+      required: true,
+    },
+    error: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("DispatchLog", dispatchLogSchema);
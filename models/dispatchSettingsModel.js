@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const weight = { type: Number, min: 0, max: 100 };
+
+// How candidate agents are ranked when an order is auto-assigned
+const dispatchSettingsSchema = new mongoose.Schema(
+  {
+    weights: {
+      distance: { ...weight, default: 35 },       // closer to the restaurant
+      load: { ...weight, default: 20 },           // fewer active orders
+      rating: { ...weight, default: 10 },
+      codHeadroom: { ...weight, default: 10 },    // room left under maxCODAmount
+      acceptanceRate: { ...weight, default: 15 },
+      idleTime: { ...weight, default: 10 },       // waiting longest since last assignment
+    },
+    searchRadiusMeters: { type: Number, default: 5000, min: 500 },
+    maxCandidates: { type: Number, default: 20, min: 1, max: 100 },
+    // sequential: one agent at a time; broadcast: top N agents, first to accept wins
+    mode: { type: String, enum: ["sequential", "broadcast"], default: "sequential" },
+    broadcastSize: { type: Number, default: 3, min: 2, max: 10 },
+    offerTimeoutSeconds: { type: Number, default: 60, min: 15, max: 600 },
+    // one agent carrying several orders from nearby restaurants in a similar direction
+    batching: {
+      enabled: { type: Boolean, default: false },
+      maxOrdersPerBatch: { type: Number, default: 3, min: 2, max: 6 },
+      maxPickupDistanceKm: { type: Number, default: 1, min: 0 },       // between the restaurants
+      maxDirectionDeviationDeg: { type: Number, default: 45, min: 0, max: 180 },
+      maxDetourMinutes: { type: Number, default: 10, min: 0 },         // extra wait for orders already in the batch
+      averageSpeedKmph: { type: Number, default: 20, min: 5 },
+      stopMinutes: { type: Number, default: 3, min: 0 },               // time spent at each pickup/drop
+    },
+    // location based status updates and plausibility checks
+    geofence: {
+      // off: nothing; suggest: prompt the agent; auto: apply the status
+      mode: { type: String, enum: ["off", "suggest", "auto"], default: "suggest" },
+      restaurantRadiusMeters: { type: Number, default: 100, min: 20 },
+      customerRadiusMeters: { type: Number, default: 100, min: 20 },
+      // pickup/arrived/completed further than this from the target is flagged
+      statusToleranceMeters: { type: Number, default: 500, min: 50 },
+      // movement faster than this between two pings is flagged as a jump
+      maxPlausibleSpeedKmph: { type: Number, default: 120, min: 30 },
+    },
+    // per-city overrides, matched case-insensitively against the restaurant's city
+    cityOverrides: [
+      {
+        _id: false,
+        city: { type: String, required: true, trim: true },
+        mode: { type: String, enum: ["sequential", "broadcast"], required: true },
+        broadcastSize: { type: Number, min: 2, max: 10 },
+        offerTimeoutSeconds: { type: Number, min: 15, max: 600 },
+      },
+    ],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("DispatchSettings", dispatchSettingsSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const disputeSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant" },
+  agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", default: null },
+
+  reason: {
+    type: String,
+    enum: ["missing_items", "wrong_items", "damaged_items", "quality_issue", "not_delivered", "cancellation_refund", "other"],
+    required: true
+  },
+  description: { type: String, required: true },
+
+  // item-level claims
+  items: [{
+    orderItemId: { type: mongoose.Schema.Types.ObjectId },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+    name: String,
+    quantity: { type: Number, min: 1 },
+    issue: { type: String, enum: ["missing", "wrong", "damaged"], required: true },
+    claimedAmount: Number
+  }],
+  claimedAmount: { type: Number, default: 0 },
+
+  evidence: [String], // Cloudinary URLs
+
+  status: {
+    type: String,
+    enum: ["open", "under_review", "approved", "partially_approved", "rejected"],
+    default: "open"
+  },
+
+  resolution: {
+    refundAmount: { type: Number, default: 0 },
+    refundDestination: { type: String, enum: ["original_payment_method", "wallet", null], default: null },
+    restaurantDeduction: { type: Number, default: 0 },
+    agentDeduction: { type: Number, default: 0 },
+    note: String,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    resolvedAt: Date
+  },
+
+  messages: [{
+    sender: { type: String, enum: ["customer", "admin"], required: true },
+    message: String,
+    timestamp: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+disputeSchema.index({ orderId: 1 });
+disputeSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Dispute", disputeSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Structured agent incentive: reward agents of a segment who meet every condition within a period
+const incentivePlanSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    conditions: {
+      type: [
+        {
+          _id: false,
+          metric: {
+            type: String,
+            enum: ["deliveries", "peak_hour_deliveries", "average_rating", "distance_km"],
+            required: true,
+          },
+          target: { type: Number, required: true, min: 0 },
+        },
+      ],
+      validate: [(conditions) => conditions.length > 0, "At least one condition is required"],
+    },
+    rewardAmount: { type: Number, required: true, min: 1 },
+    // progress resets every day / week (Monday), or runs over the whole plan
+    period: { type: String, enum: ["daily", "weekly", "plan"], default: "plan" },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    // empty segment = every agent
+    segment: {
+      agentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Agent" }],
+      minAverageRating: { type: Number, default: null, min: 0, max: 5 },
+      joinedAfter: { type: Date, default: null }, // e.g. plans for new agents
+    },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+incentivePlanSchema.index({ active: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model("IncentivePlan", incentivePlanSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// An agent's progress on an incentive plan for one period
+const incentiveProgressSchema = new mongoose.Schema(
+  {
+    planId: { type: mongoose.Schema.Types.ObjectId, ref: "IncentivePlan", required: true },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", required: true },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+    metrics: {
+      deliveries: { type: Number, default: 0 },
+      peak_hour_deliveries: { type: Number, default: 0 },
+      average_rating: { type: Number, default: 0 },
+      distance_km: { type: Number, default: 0 },
+    },
+    status: { type: String, enum: ["in_progress", "achieved"], default: "in_progress" },
+    achievedAt: { type: Date, default: null },
+    earningId: { type: mongoose.Schema.Types.ObjectId, ref: "AgentEarning", default: null },
+    evaluatedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// one reward per agent, plan and period
+incentiveProgressSchema.index({ planId: 1, agentId: 1, periodStart: 1 }, { unique: true });
+incentiveProgressSchema.index({ agentId: 1, periodEnd: -1 });
+
+module.exports = mongoose.model("IncentiveProgress", incentiveProgressSchema);
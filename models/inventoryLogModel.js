@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Every stock change of a product or variant, for audits
+const inventoryLogSchema = new mongoose.Schema(
+  {
+    restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: "Restaurant", required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null }, // one of product.attributes
+    name: { type: String },        // product (and variant) name at the time
+    change: { type: Number, required: true }, // negative for stock taken
+    stockAfter: { type: Number, required: true },
+    reason: {
+      type: String,
+      enum: ["order_reserved", "order_released", "restock", "correction", "wastage"],
+      required: true,
+    },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    note: { type: String, default: null },
+    // availability changed by this entry
+    deactivated: { type: Boolean, default: false },
+    reactivated: { type: Boolean, default: false },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+inventoryLogSchema.index({ restaurantId: 1, createdAt: -1 });
+inventoryLogSchema.index({ productId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("InventoryLog", inventoryLogSchema);
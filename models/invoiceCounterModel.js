@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Last invoice sequence issued per restaurant
+const invoiceCounterSchema = new mongoose.Schema({
+  restaurantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Restaurant",
+    required: true,
+    unique: true,
+  },
+  seq: { type: Number, default: 0 },
+});
+
+module.exports = mongoose.model("InvoiceCounter", invoiceCounterSchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// One execution of a scheduled job
+const jobRunSchema = new mongoose.Schema(
+  {
+    jobName: { type: String, required: true },
+    instanceId: { type: String },
+    trigger: { type: String, enum: ["schedule", "manual"], default: "schedule" },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date },
+    durationMs: { type: Number },
+    status: { type: String, enum: ["running", "success", "failed"], default: "running" },
+    result: { type: Object },
+    error: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+// keep 30 days of history
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Agent leave request, approved or rejected by an admin
+const leaveRequestSchema = new mongoose.Schema(
+  {
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", required: true },
+    leaveType: { type: String, enum: ["Sick", "Personal", "Vacation"], required: true },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    reason: { type: String, trim: true },
+    status: { type: String, enum: ["Pending", "Approved", "Rejected"], default: "Pending" },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date, default: null },
+    adminComment: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+leaveRequestSchema.index({ agentId: 1, startDate: -1 });
+leaveRequestSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("LeaveRequest", leaveRequestSchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Agent position recorded while carrying an order (breadcrumb trail)
+const locationPingSchema = new mongoose.Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+  agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", required: true },
+  location: {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    coordinates: { type: [Number], required: true }, // [lng, lat]
+  },
+  speedKmph: { type: Number, default: null },  // as reported by the device
+  heading: { type: Number, default: null },    // degrees from north
+  accuracy: { type: Number, default: null },   // meters
+  recordedAt: { type: Date, default: Date.now },
+});
+
+locationPingSchema.index({ orderId: 1, recordedAt: 1 });
+locationPingSchema.index({ recordedAt: 1 });
+
+module.exports = mongoose.model("LocationPing", locationPingSchema);
@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const orderSchema = mongoose.Schema({
   customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   restaurantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Restaurant' },
+  zoneId: { type: mongoose.Schema.Types.ObjectId, ref: 'Zone', default: null },
 
   orderItems: [{
     productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
@@ -11,6 +12,21 @@ const orderSchema = mongoose.Schema({
     name: String,
     totalPrice: Number, // price * quantity
     image: String, 
+    // customer's choices, priced into `price`
+    variant: {
+      variantId: { type: mongoose.Schema.Types.ObjectId },
+      name: String,
+      price: Number,
+    },
+    addOns: [{
+      _id: false,
+      groupId: { type: mongoose.Schema.Types.ObjectId },
+      groupName: String,
+      optionId: { type: mongoose.Schema.Types.ObjectId },
+      name: String,
+      price: Number,
+    }],
+    customisation: String, // readable summary for the kitchen
 
   }],
 
@@ -23,11 +39,31 @@ const orderSchema = mongoose.Schema({
     enum: [
       'pending', 'pending_agent_acceptance', 'accepted_by_restaurant', 'rejected_by_restaurant',
       'preparing', 'ready', 'assigned_to_agent', 'picked_up', 'in_progress',
-      'arrived', 'completed', 'cancelled_by_customer', "awaiting_agent_assignment", "rejected_by_agent"
+      'arrived', 'completed', 'cancelled_by_customer', "awaiting_agent_assignment", "rejected_by_agent",
+      'awaiting_payment'
     ]
   },
 
+  statusHistory: [{
+    status: { type: String, required: true },
+    previousStatus: { type: String, default: null },
+    actorRole: { type: String, enum: ['customer', 'merchant', 'agent', 'admin', 'system'], required: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    reason: { type: String, default: null },
+    changedAt: { type: Date, default: Date.now }
+  }],
+
   assignedAgent: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent' },
+  // 'broadcast' while the order is offered to several agents at once
+  dispatchMode: { type: String, enum: ['sequential', 'broadcast'], default: 'sequential' },
+  batchId: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryBatch', default: null },
+  estimatedDeliveryAt: { type: Date, default: null },
+  // when the agent's location first crossed each geofence
+  geofence: {
+    restaurantEnteredAt: { type: Date, default: null },
+    restaurantLeftAt: { type: Date, default: null },
+    customerEnteredAt: { type: Date, default: null },
+  },
 
   rejectionHistory: [{
     agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent" },
@@ -40,6 +76,27 @@ const orderSchema = mongoose.Schema({
   subtotal: Number,
   discountAmount: Number,
   tax: Number,
+  taxBreakdown: {
+    gstin: String, // restaurant kyc.gstNumber at the time of the order
+    interState: Boolean,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number,
+    lines: [{
+      _id: false,
+      type: { type: String, enum: ['item', 'packaging', 'delivery'] },
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      name: String,
+      taxableAmount: Number,
+      rate: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number,
+      total: Number,
+    }],
+  },
+  packagingCharge: Number,
   deliveryCharge: Number,
   surgeCharge: Number,
   tipAmount: Number,
@@ -47,14 +104,48 @@ const orderSchema = mongoose.Schema({
   distanceKm: Number,
 
   paymentMethod: { type: String, enum: ['cash', 'online', 'wallet'] },
-  paymentStatus: { type: String, enum: ['pending', 'completed', 'failed'] },
+  paymentStatus: { type: String, enum: ['pending', 'completed', 'failed', 'refunded', 'partially_refunded'] },
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+  refundedAmount: { type: Number, default: 0 },
+  paidAt: Date,
 
   deliveryMode: { type: String, enum: ['contact', 'no_contact', 'do_not_disturb'] },
 
+  // stock taken from stock-tracked products, given back once if the order is cancelled or rejected
+  inventoryReservations: [{
+    _id: false,
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity: Number,
+  }],
+  inventoryReleasedAt: { type: Date, default: null },
+
+  // Handover proof the agent submits to complete the order
+  deliveryProof: {
+    otp: { type: String, select: false }, // shown to the customer only
+    otpRequired: { type: Boolean, default: false },
+    otpAttempts: { type: Number, default: 0 },
+    method: { type: String, enum: ['otp', 'photo', null], default: null },
+    otpVerifiedAt: { type: Date, default: null },
+    photoUrl: { type: String, default: null }, // doorstep photo for no_contact deliveries
+    location: { type: [Number], default: undefined }, // agent [lng, lat] at handover
+    submittedAt: { type: Date, default: null },
+  },
+
   instructions: String,
   orderPreparationDelay: Boolean,
   scheduledTime: Date,
+  scheduledReleasedAt: { type: Date, default: null }, // when a scheduled order was handed to the restaurant
   couponCode: String,
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null }, // redeemed coupon, given back if the order ends unfulfilled
+  couponReleasedAt: { type: Date, default: null },
+
+  invoice: {
+    number: { type: String, default: null }, // e.g. INV-1A2B3C-000042, sequential per restaurant
+    sequence: Number,
+    issuedAt: Date,
+    emailedAt: Date,
+  },
 
   customerReview: String,
   customerReviewImages: [String],
@@ -100,5 +191,7 @@ const orderSchema = mongoose.Schema({
 }, { timestamps: true });
 
 orderSchema.index({ deliveryLocation: '2dsphere' });
+orderSchema.index({ zoneId: 1, createdAt: -1 });
+orderSchema.index({ assignedAgent: 1, orderStatus: 1 }); // an agent's active orders, looked up on every location ping
 
 module.exports = mongoose.model('Order', orderSchema);
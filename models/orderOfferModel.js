@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// An order offered to an agent in broadcast dispatch; the first agent to accept wins
+const orderOfferSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", required: true },
+    rank: { type: Number }, // position in the dispatch ranking, 1 = best
+    totalScore: { type: Number },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "withdrawn", "expired"],
+      default: "pending",
+    },
+    expiresAt: { type: Date, required: true },
+    respondedAt: { type: Date, default: null },
+    declineReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+orderOfferSchema.index({ orderId: 1, agentId: 1 }, { unique: true });
+orderOfferSchema.index({ agentId: 1, status: 1 });
+orderOfferSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("OrderOffer", orderOfferSchema);
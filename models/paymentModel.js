@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  purpose: { type: String, enum: ['order', 'wallet_topup'], default: 'order' },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // set when purpose is 'order'
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  provider: { type: String, required: true },          // e.g. 'mock'
+  providerPaymentId: { type: String, required: true }, // intent / payment id at the gateway
+  clientSecret: { type: String },                      // handed to the app to complete payment
+
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'INR' },
+  capturedAmount: { type: Number, default: 0 },
+  refundedAmount: { type: Number, default: 0 },
+
+  status: {
+    type: String,
+    enum: ['created', 'authorized', 'captured', 'failed', 'refunded', 'partially_refunded'],
+    default: 'created'
+  },
+  failureReason: { type: String, default: null },
+
+  refunds: [{
+    providerRefundId: String,
+    amount: Number,
+    reason: String,
+    status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'succeeded' },
+    createdAt: { type: Date, default: Date.now }
+  }],
+
+  // raw gateway events, kept for audits and idempotency
+  events: [{
+    eventId: String,
+    type: String,
+    source: { type: String, enum: ['webhook', 'verify', 'api'], default: 'api' },
+    receivedAt: { type: Date, default: Date.now }
+  }]
+}, { timestamps: true });
+
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+paymentSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
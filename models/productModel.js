@@ -12,6 +12,11 @@ const product = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // merchant's own product code; menu imports match products on it
+  sku: {
+    type: String,
+    trim: true
+  },
   price: {
     type: Number,
     required: true
@@ -39,10 +44,34 @@ const product = new mongoose.Schema({
     enum: ['veg', 'non-veg'],
     required: true
   },
+  // legacy flat add-on list; customer choices come from addOnGroups
   addOns: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'AddOn'
   }],
+  // e.g. "Choose your crust" (min 1, max 1) or "Extra toppings" (min 0, max 3)
+  addOnGroups: [
+    {
+      name: { type: String, required: true, trim: true },
+      minSelect: { type: Number, default: 0, min: 0 },
+      maxSelect: {
+        type: Number,
+        default: 1,
+        min: 1,
+        validate: {
+          validator: function (value) { return value >= this.minSelect; },
+          message: 'maxSelect must not be less than minSelect'
+        }
+      },
+      options: [
+        {
+          name: { type: String, required: true, trim: true },
+          price: { type: Number, default: 0, min: 0 }, // added to the item price
+          isAvailable: { type: Boolean, default: true }
+        }
+      ]
+    }
+  ],
   specialOffer: {
     discount: {
       type: Number,
@@ -55,6 +84,7 @@ const product = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // variants (size etc.); when present the customer must choose one and its price replaces `price`
    attributes: [
     {
       name: { type: String, required: true },  
@@ -62,7 +92,8 @@ const product = new mongoose.Schema({
       stock: { type: Number, default: 0 },
       calories: Number,
       isAvailable: { type: Boolean, default: true },
-      description: { type: String, default: null }
+      description: { type: String, default: null },
+      soldOut: { type: Boolean, default: false } // made unavailable at zero stock, available again on restock
     }
   ],
   unit: {
@@ -77,6 +108,23 @@ const product = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // when on, orders take from `stock` (or the variant's stock) and are refused once it runs out
+  trackStock: {
+    type: Boolean,
+    default: false
+  },
+  soldOut: {
+    type: Boolean,
+    default: false // deactivated at zero stock, reactivated on restock
+  },
+  // times the item can be ordered, on top of its category's; none = whenever the category is
+  availabilityWindows: [
+    {
+      days: [{ type: String, enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'] }],
+      startTime: { type: String, required: true, match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/ }, // "HH:mm"
+      endTime: { type: String, required: true, match: /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/ }
+    }
+  ],
   revenueShare: {
   type: {
     type: String,
@@ -94,4 +142,9 @@ const product = new mongoose.Schema({
   timestamps: true
 });
 
+product.index(
+  { restaurantId: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+
 module.exports = mongoose.model('Product', product);
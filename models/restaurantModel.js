@@ -4,6 +4,7 @@ const restaurantSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
     ownerName:String,
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // merchant account that manages the restaurant
     images: [String], // URLs of images (e.g. Cloudinary URLs)
 
     address: {
@@ -17,6 +18,7 @@ const restaurantSchema = new mongoose.Schema(
       type: { type: String, enum: ["Point"], default: "Point" },
       coordinates: { type: [Number], default: [0, 0] }, // [lng, lat]
     },
+    zoneId: { type: mongoose.Schema.Types.ObjectId, ref: "Zone", default: null }, // set from location
     phone: { type: String, required: true },
     email: { type: String, required: true },
     // offers-added
@@ -54,6 +56,15 @@ const restaurantSchema = new mongoose.Schema(
       },
       default: {}
     },
+    timezone: { type: String, default: "Asia/Kolkata" }, // IANA zone the hours above are in
+    // one-off closures (festivals, renovation) on top of the weekly hours
+    holidayClosures: [
+      {
+        startsAt: { type: Date, required: true },
+        endsAt: { type: Date, required: true },
+        reason: { type: String, trim: true },
+      },
+    ],
 
     categories: [
       { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
@@ -68,6 +79,12 @@ const restaurantSchema = new mongoose.Schema(
       enum: ["veg", "non-veg", "both"],
       required: true,
     },
+    restaurantType: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: "standalone", // used to pick tax rules, e.g. standalone, hotel, cloud_kitchen
+    },
     banners: [String],
     merchantSearchName: { type: String },
     kyc: {
@@ -129,5 +146,6 @@ const restaurantSchema = new mongoose.Schema(
 // ✅ Create geospatial indexes
 restaurantSchema.index({ location: "2dsphere" });
 restaurantSchema.index({ serviceAreas: "2dsphere" });
+restaurantSchema.index({ zoneId: 1 });
 
 module.exports = mongoose.model("Restaurant", restaurantSchema);
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// Persisted state of a recurring background job; the lock keeps one instance running it at a time
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    description: { type: String },
+    intervalSeconds: { type: Number, required: true, min: 10 },
+    enabled: { type: Boolean, default: true },
+    options: { type: Object, default: {} }, // job specific, e.g. { leadMinutes: 45 }
+    nextRunAt: { type: Date, default: Date.now },
+    lockedBy: { type: String, default: null },   // instance ID holding the lock
+    lockedUntil: { type: Date, default: null },
+    lastRunAt: { type: Date, default: null },
+    lastStatus: { type: String, enum: ["success", "failed", null], default: null },
+    lastError: { type: String, default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("ScheduledJob", scheduledJobSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// One restaurant's payout for a settlement run
+const settlementSchema = new mongoose.Schema(
+  {
+    runId: { type: String, required: true, index: true }, // groups the settlements created together
+    restaurantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Restaurant",
+      required: true,
+    },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+
+    orderCount: { type: Number, default: 0 },
+    grossAmount: { type: Number, default: 0 },       // sum of order amounts
+    commissionAmount: { type: Number, default: 0 },  // platform revenue share
+    refundAdjustments: { type: Number, default: 0 }, // refunds charged back to the restaurant
+    penalties: { type: Number, default: 0 },
+    netPayout: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: ["pending", "paid", "cancelled"],
+      default: "pending",
+    },
+    payoutReference: { type: String, default: null }, // bank UTR / transfer ID
+    paidAt: { type: Date, default: null },
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+settlementSchema.index({ restaurantId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Settlement", settlementSchema);
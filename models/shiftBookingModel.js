@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// An agent's booking of a shift slot
+const shiftBookingSchema = new mongoose.Schema(
+  {
+    slotId: { type: mongoose.Schema.Types.ObjectId, ref: "ShiftSlot", required: true },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", required: true },
+    // copied from the slot for overlap checks and the roster
+    zone: { type: String, required: true },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["booked", "cancelled", "completed", "no_show"],
+      default: "booked",
+    },
+    clockedInAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelReason: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+shiftBookingSchema.index({ slotId: 1, agentId: 1 }, { unique: true });
+shiftBookingSchema.index({ agentId: 1, startsAt: 1 });
+shiftBookingSchema.index({ zone: 1, startsAt: 1, status: 1 });
+
+module.exports = mongoose.model("ShiftBooking", shiftBookingSchema);
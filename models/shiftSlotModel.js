@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// A shift agents can book in a delivery zone
+const shiftSlotSchema = new mongoose.Schema(
+  {
+    zone: { type: String, required: true, trim: true, lowercase: true },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    capacity: { type: Number, required: true, min: 1 }, // agents needed
+    bookedCount: { type: Number, default: 0, min: 0 },
+    status: { type: String, enum: ["open", "cancelled"], default: "open" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+shiftSlotSchema.index({ zone: 1, startsAt: 1 });
+
+module.exports = mongoose.model("ShiftSlot", shiftSlotSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// A GST rate for one kind of charge. Rules without categoryId / restaurantType
+// apply to everything; when several rules match, the most specific one wins.
+const taxRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    appliesTo: {
+      type: String,
+      enum: ["item", "packaging", "delivery"],
+      required: true,
+    },
+    categoryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null, // only meaningful for appliesTo: "item"
+    },
+    restaurantType: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    rate: { type: Number, required: true, min: 0, max: 100 }, // total GST %, split into CGST/SGST or IGST
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+taxRuleSchema.index({ appliesTo: 1, categoryId: 1, restaurantType: 1, isActive: 1 });
+
+module.exports = mongoose.model("TaxRule", taxRuleSchema);
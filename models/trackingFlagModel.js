@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Suspicious agent location or status change, for admin review
+const trackingFlagSchema = new mongoose.Schema(
+  {
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    agentId: { type: mongoose.Schema.Types.ObjectId, ref: "Agent", required: true },
+    type: {
+      type: String,
+      enum: ["status_far_from_target", "location_jump"],
+      required: true,
+    },
+    status: { type: String },          // order status the agent set (status_far_from_target)
+    distanceMeters: { type: Number },  // from the target, or covered by the jump
+    speedKmph: { type: Number },       // implied by the jump
+    location: {
+      type: { type: String, enum: ["Point"], default: "Point" },
+      coordinates: [Number],
+    },
+    reviewStatus: {
+      type: String,
+      enum: ["open", "dismissed", "confirmed"],
+      default: "open",
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewNotes: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+trackingFlagSchema.index({ reviewStatus: 1, createdAt: -1 });
+trackingFlagSchema.index({ agentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("TrackingFlag", trackingFlagSchema);
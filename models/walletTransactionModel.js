@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const walletTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    enum: ['top_up', 'order_payment', 'order_cancellation', 'refund', 'admin_adjustment'],
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // set for admin adjustments
+  }
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
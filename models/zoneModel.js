@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A city or sub-area served as one unit, with its own ordering and dispatch settings
+const zoneSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    city: { type: String, required: true, trim: true },
+    boundary: {
+      type: { type: String, enum: ["Polygon", "MultiPolygon"], required: true },
+      coordinates: { type: Array, required: true }, // GeoJSON [lng, lat] rings
+    },
+    active: { type: Boolean, default: true },
+    // ordering is open during these windows ("HH:mm" in `timezone`); empty = all day
+    activeHours: [
+      {
+        _id: false,
+        start: { type: String, required: true, match: TIME_PATTERN },
+        end: { type: String, required: true, match: TIME_PATTERN },
+      },
+    ],
+    timezone: { type: String, default: "Asia/Kolkata" }, // IANA zone activeHours are in
+    // replace the global delivery pricing for restaurants without their own override
+    deliveryFee: {
+      baseCharge: { type: Number, min: 0 },
+      perKmCharge: { type: Number, min: 0 },
+      freeDeliveryAbove: { type: Number, min: 0 },
+    },
+    // manual surge, applied to every order of the zone until switched off or `until`
+    surge: {
+      active: { type: Boolean, default: false },
+      multiplier: { type: Number, default: 1, min: 1 },
+      reason: { type: String, default: null },
+      until: { type: Date, default: null },
+    },
+    // replaces the global/city dispatch mode for orders of the zone
+    dispatch: {
+      mode: { type: String, enum: ["sequential", "broadcast"] },
+      broadcastSize: { type: Number, min: 2, max: 10 },
+      offerTimeoutSeconds: { type: Number, min: 15, max: 600 },
+      searchRadiusMeters: { type: Number, min: 500 },
+    },
+    // admins are alerted when fewer agents are available
+    minAgentsOnline: { type: Number, default: 0, min: 0 },
+    lowAgentsAlertedAt: { type: Date, default: null },
+    // kill switch: no new orders while paused
+    pause: {
+      active: { type: Boolean, default: false },
+      message: { type: String, default: null }, // shown to customers
+      reason: { type: String, default: null },
+      pausedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      pausedAt: { type: Date, default: null },
+      resumeAt: { type: Date, default: null }, // resumed automatically after this
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+zoneSchema.index({ boundary: "2dsphere" });
+zoneSchema.index({ name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Zone", zoneSchema);
@@ -6,6 +6,70 @@ const { adminLogin, getPendingAgentRequests, approveAgentApplication, getPending
 updatePermissionsRestuarants,getRestaurantsWithPermissions,updateRestaurant,
 getRestaurantCategory ,createCategory,getCategoryProducts
 } = require("../controllers/adminController");
+const {
+  getAllDeliverySettings,
+  getDeliverySettings,
+  upsertDeliverySettings,
+  deleteDeliverySettings
+} = require("../controllers/deliverySettingsController");
+const {
+  getTaxRules,
+  createTaxRule,
+  updateTaxRule,
+  deleteTaxRule
+} = require("../controllers/taxRuleController");
+const {
+  getCashDrops,
+  verifyCashDrop,
+  createAgentPayoutRun,
+  getAgentPayouts,
+  markAgentPayoutAsPaid,
+  cancelAgentPayoutRun,
+  exportAgentBankTransferCsv
+} = require("../controllers/agentPayoutController");
+const {
+  getDispatchSettingsConfig,
+  updateDispatchSettings,
+  getDispatchLogs
+} = require("../controllers/dispatchController");
+const {
+  getJobs,
+  getJobRuns,
+  updateJob,
+  runJob
+} = require("../controllers/jobController");
+const {
+  getTrackingFlags,
+  reviewTrackingFlag
+} = require("../controllers/trackingFlagController");
+const {
+  createShiftSlot,
+  getShiftSlots,
+  updateShiftSlotConfig,
+  getShiftRoster,
+  getLeaveRequests,
+  reviewLeaveRequest
+} = require("../controllers/shiftController");
+const {
+  createIncentivePlan,
+  getIncentivePlans,
+  updateIncentivePlan,
+  getIncentivePlanProgress
+} = require("../controllers/incentiveController");
+const {
+  getAgentApplications,
+  getAgentApplication,
+  reviewApplicationDocument,
+  setBackgroundCheck,
+  decideAgentApplication
+} = require("../controllers/agentOnboardingController");
+const {
+  createZone,
+  getZones,
+  updateZone,
+  setZonePause,
+  setZoneSurge
+} = require("../controllers/zoneController");
 const {protect, checkRole, checkPermission} = require('../middlewares/authMiddleware')
 const  { upload } = require("../middlewares/multer")
 router.post("/login", adminLogin);
@@ -23,6 +87,11 @@ router.get("/admins", protect, checkRole('superAdmin'), getAllAdmins);
 //  requests for agent approval
 router.get("/agent-requests", protect, checkPermission('agents.manage'), getPendingAgentRequests);
 router.post("/agent-application/:userId/approve", protect, checkPermission('agents.manage'), approveAgentApplication);
+router.get("/agent-applications", protect, checkPermission('agents.manage'), getAgentApplications);
+router.get("/agent-applications/:applicationId", protect, checkPermission('agents.manage'), getAgentApplication);
+router.put("/agent-applications/:applicationId/documents/:documentId", protect, checkPermission('agents.manage'), reviewApplicationDocument);
+router.put("/agent-applications/:applicationId/background-check", protect, checkPermission('agents.manage'), setBackgroundCheck);
+router.post("/agent-applications/:applicationId/decision", protect, checkPermission('agents.manage'), decideAgentApplication);
 
 // requests for merchant approval
 router.get("/restaurant-requests", protect, checkPermission('merchants.manage'), getPendingRestaurantApprovals);
@@ -40,6 +109,15 @@ router.put("/permissions/restuarants",protect, checkPermission('merchants.manage
 
 router.get("/getrestuarants/permissions",protect,checkPermission('merchants.manage'),getRestaurantsWithPermissions)
 
+// Agent cash drops and payouts
+router.get("/agent-cash-drops", protect, checkPermission('payouts.manage'), getCashDrops);
+router.post("/agent-cash-drops/:cashDropId/verify", protect, checkPermission('payouts.manage'), verifyCashDrop);
+router.post("/agent-payouts/run", protect, checkPermission('payouts.manage'), createAgentPayoutRun);
+router.get("/agent-payouts", protect, checkPermission('payouts.manage'), getAgentPayouts);
+router.get("/agent-payouts/bank-transfer.csv", protect, checkPermission('payouts.manage'), exportAgentBankTransferCsv);
+router.post("/agent-payouts/:payoutId/paid", protect, checkPermission('payouts.manage'), markAgentPayoutAsPaid);
+router.post("/agent-payouts/:payoutId/cancel", protect, checkPermission('payouts.manage'), cancelAgentPayoutRun);
+
 // Agent Permissions
 router.get('/agent-permissions/requests', protect, checkPermission('agents.manage'), getAllAgentPermissionRequests);
 router.post('/agent-permissions/review', protect, checkPermission('agents.manage'), handleAgentPermissionRequest);
@@ -48,6 +126,54 @@ router.post('/agent-permissions/review', protect, checkPermission('agents.manage
 router.get("/access-logs", protect, checkRole('superAdmin'), getAllAccessLogs);
 router.get("/access-logs/me", protect, checkRole('admin', 'superAdmin'), getMyLogs);
 
+// Delivery pricing (":restaurantId" can be "global")
+router.get("/delivery-settings", protect, checkPermission('settings.manage'), getAllDeliverySettings);
+router.get("/delivery-settings/:restaurantId", protect, checkPermission('settings.manage'), getDeliverySettings);
+router.put("/delivery-settings/:restaurantId", protect, checkPermission('settings.manage'), upsertDeliverySettings);
+router.delete("/delivery-settings/:restaurantId", protect, checkPermission('settings.manage'), deleteDeliverySettings);
+
+// GST rules
+router.get("/tax-rules", protect, checkPermission('settings.manage'), getTaxRules);
+router.post("/tax-rules", protect, checkPermission('settings.manage'), createTaxRule);
+router.put("/tax-rules/:ruleId", protect, checkPermission('settings.manage'), updateTaxRule);
+router.delete("/tax-rules/:ruleId", protect, checkPermission('settings.manage'), deleteTaxRule);
+
+// Agent dispatch scoring
+router.get("/dispatch-settings", protect, checkPermission('settings.manage'), getDispatchSettingsConfig);
+router.put("/dispatch-settings", protect, checkPermission('settings.manage'), updateDispatchSettings);
+router.get("/dispatch-logs", protect, checkPermission('settings.manage'), getDispatchLogs);
+
+// Delivery zones
+router.post("/zones", protect, checkPermission('settings.manage'), createZone);
+router.get("/zones", protect, checkPermission('settings.manage'), getZones);
+router.put("/zones/:zoneId", protect, checkPermission('settings.manage'), updateZone);
+router.put("/zones/:zoneId/pause", protect, checkPermission('settings.manage'), setZonePause);
+router.put("/zones/:zoneId/surge", protect, checkPermission('settings.manage'), setZoneSurge);
+
+// Background jobs
+router.get("/jobs", protect, checkPermission('settings.manage'), getJobs);
+router.get("/jobs/runs", protect, checkPermission('settings.manage'), getJobRuns);
+router.put("/jobs/:name", protect, checkPermission('settings.manage'), updateJob);
+router.post("/jobs/:name/run", protect, checkPermission('settings.manage'), runJob);
+
+// Suspicious agent locations and statuses
+router.get("/tracking-flags", protect, checkPermission('agents.manage'), getTrackingFlags);
+router.put("/tracking-flags/:flagId", protect, checkPermission('agents.manage'), reviewTrackingFlag);
+
+// Agent shifts and leave
+router.post("/shifts", protect, checkPermission('agents.manage'), createShiftSlot);
+router.get("/shifts", protect, checkPermission('agents.manage'), getShiftSlots);
+router.get("/shifts/roster", protect, checkPermission('agents.manage'), getShiftRoster);
+router.put("/shifts/:slotId", protect, checkPermission('agents.manage'), updateShiftSlotConfig);
+router.get("/agent-leaves", protect, checkPermission('agents.manage'), getLeaveRequests);
+router.put("/agent-leaves/:leaveId", protect, checkPermission('agents.manage'), reviewLeaveRequest);
+
+// Agent incentive plans
+router.post("/incentive-plans", protect, checkPermission('payouts.manage'), createIncentivePlan);
+router.get("/incentive-plans", protect, checkPermission('payouts.manage'), getIncentivePlans);
+router.put("/incentive-plans/:planId", protect, checkPermission('payouts.manage'), updateIncentivePlan);
+router.get("/incentive-plans/:planId/progress", protect, checkPermission('payouts.manage'), getIncentivePlanProgress);
+
 
 router.put("/edit/restaurant/:restaurantId",protect,checkRole('admin', 'superAdmin'),updateRestaurant)
 
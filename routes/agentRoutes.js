@@ -1,11 +1,19 @@
 const express = require('express')
 const router = express.Router()
 const { registerAgent,loginAgent, agentUpdatesOrderStatus, toggleAvailability, getAgentReviews, updateAgentBankDetails, logoutAgent, requestPermission,
-   activateUnlockedPermissions, getAgentEarnings, getMyPermissionRequests, handleAgentResponse
+   activateUnlockedPermissions, getAgentEarnings, getMyPermissionRequests, handleAgentResponse, getMyOrderOffers, getMyActiveBatch
 } = require("../controllers/agentController")
 const { upload } = require('../middlewares/multer');
 const { protect, checkRole } = require('../middlewares/authMiddleware');
 const {forgotPassword, resetPassword} = require('../controllers/userControllers')
+const { createCashDrop, getMyCashDrops, getMyPayouts } = require('../controllers/agentPayoutController')
+const { getAvailableShifts, bookShiftSlot, cancelShiftBooking, getMyShiftBookings, clockInAgent, clockOutAgent,
+  getMyAttendance, createLeaveRequest, getMyLeaveRequests
+} = require('../controllers/shiftController')
+const { getMyIncentives } = require('../controllers/incentiveController')
+const { getMyApplication, savePersonalDetails, saveVehicleDetails, uploadApplicationDocument, getTraining,
+  submitTraining, submitMyApplication
+} = require('../controllers/agentOnboardingController')
 
 
 router.post(
@@ -18,6 +26,15 @@ router.post(
   registerAgent
 );
 router.post("/login",loginAgent)
+
+// onboarding steps (applicants are still customers until activation)
+router.get("/onboarding", protect, getMyApplication)
+router.put("/onboarding/personal-details", protect, savePersonalDetails)
+router.put("/onboarding/vehicle", protect, saveVehicleDetails)
+router.post("/onboarding/documents", protect, upload.single('file'), uploadApplicationDocument)
+router.get("/onboarding/training", protect, getTraining)
+router.post("/onboarding/training", protect, submitTraining)
+router.post("/onboarding/submit", protect, submitMyApplication)
 router.post("/forgot-password", protect, checkRole('agent'), forgotPassword)
 router.post("/reset-password/:token", protect, checkRole('agent'), resetPassword)
 router.post("/logout", protect, checkRole('agent'), logoutAgent)
@@ -28,6 +45,17 @@ router.put("/bank-details", protect, checkRole('agent'), updateAgentBankDetails)
 // availability
 router.put('/:userId/availability', protect, checkRole('agent'), toggleAvailability);
 
+// shifts, attendance and leave
+router.get("/shifts", protect, checkRole('agent'), getAvailableShifts)
+router.get("/shifts/bookings", protect, checkRole('agent'), getMyShiftBookings)
+router.post("/shifts/:slotId/book", protect, checkRole('agent'), bookShiftSlot)
+router.delete("/shifts/bookings/:bookingId", protect, checkRole('agent'), cancelShiftBooking)
+router.post("/attendance/clock-in", protect, checkRole('agent'), clockInAgent)
+router.post("/attendance/clock-out", protect, checkRole('agent'), clockOutAgent)
+router.get("/attendance", protect, checkRole('agent'), getMyAttendance)
+router.post("/leaves", protect, checkRole('agent'), createLeaveRequest)
+router.get("/leaves", protect, checkRole('agent'), getMyLeaveRequests)
+
 // delivery routes
 
 
@@ -38,7 +66,14 @@ router.get("/:agentId/reviews", getAgentReviews);
 // agent accepts or rejects an order
 router.post("/orders/response", protect, checkRole('agent'), handleAgentResponse)
 
-router.put("/:agentId/orders/:orderId/status",protect, checkRole('agent'), agentUpdatesOrderStatus)
+// open broadcast offers
+router.get("/orders/offers", protect, checkRole('agent'), getMyOrderOffers)
+
+// current batch with pickup/drop sequence
+router.get("/batches/active", protect, checkRole('agent'), getMyActiveBatch)
+
+// completing takes an optional doorstep photo (no-contact delivery)
+router.put("/:agentId/orders/:orderId/status",protect, checkRole('agent'), upload.single('photo'), agentUpdatesOrderStatus)
 
 // request permission
 router.post("/request-permission", protect, checkRole('agent'), requestPermission);
@@ -53,6 +88,14 @@ router.post('/activate-unlocked-perks', protect, checkRole('agent'), activateUnl
 //get agent earnigs
 router.get("/agent-earnings/:agentId", protect, checkRole('agent'), getAgentEarnings)
 
+// progress toward running incentive plans
+router.get("/incentives", protect, checkRole('agent'), getMyIncentives)
+
+// COD cash drops and payouts
+router.post("/cash-drops", protect, checkRole('agent'), upload.single('receipt'), createCashDrop)
+router.get("/cash-drops", protect, checkRole('agent'), getMyCashDrops)
+router.get("/payouts", protect, checkRole('agent'), getMyPayouts)
+
     
 
 
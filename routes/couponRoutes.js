@@ -5,8 +5,7 @@ const {
   getCouponByCode,
   updateCoupon,
   deleteCoupon,
-  validateCoupon,
-  markCouponAsUsed
+  validateCoupon
 } = require('../controllers/couponController');
 const { protect, checkRole } = require('../middlewares/authMiddleware');
 
@@ -19,7 +18,6 @@ router.put('/:couponId', protect, checkRole('merchant', 'admin', 'superAdmin'),
 router.delete('/:couponId', protect, checkRole('merchant', 'admin', 'superAdmin'), deleteCoupon);
 
 // Validation
-router.post('/validate', validateCoupon);
-router.post('/mark-used', markCouponAsUsed);
+router.post('/validate', protect, checkRole('customer'), validateCoupon);
 
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  createDispute,
+  getMyDisputes,
+  getDisputeById,
+  addDisputeMessage,
+  getAllDisputes,
+  markDisputeUnderReview,
+  resolveDispute
+} = require('../controllers/disputeController');
+const { upload } = require('../middlewares/multer');
+const { protect, checkRole, checkPermission } = require('../middlewares/authMiddleware');
+
+// customer routes
+router.post('/orders/:orderId', protect, checkRole('customer'), upload.array('evidence', 5), createDispute);
+router.get('/my', protect, checkRole('customer'), getMyDisputes);
+
+// admin routes
+router.get('/', protect, checkPermission('disputes.manage'), getAllDisputes);
+router.put('/:disputeId/review', protect, checkPermission('disputes.manage'), markDisputeUnderReview);
+router.post('/:disputeId/resolve', protect, checkPermission('disputes.manage'), resolveDispute);
+
+// shared
+router.get('/:disputeId', protect, getDisputeById);
+router.post('/:disputeId/message', protect, addDisputeMessage);
+
+module.exports = router;
@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const {getRestaurantsInServiceArea,getNearbyCategories,getRestaurantsByLocationAndCategory,getRecommendedRestaurants} = require('../controllers/locationControllers')
+const { getZoneStatus } = require('../controllers/zoneController')
 router.get("/nearby-restaurants",getRestaurantsInServiceArea)
 router.get("/nearby-categories",getNearbyCategories)
 router.get("/restaurants/nearby-by-category",getRestaurantsByLocationAndCategory)
 router.get("/nearby-restaurants/recommended", getRecommendedRestaurants);
+router.get("/zone-status", getZoneStatus);
 module.exports = router;
\ No newline at end of file
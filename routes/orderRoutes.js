@@ -23,7 +23,11 @@ const {
   getOrdersByMerchant,
   getOrderPriceSummary,
   placeOrder,
-  reorder
+  reorder,
+  getOrderStatusHistory,
+  getOrderInvoice,
+  getOrderTrackingDetails,
+  getOrderDeliveryOtp
   
 } = require('../controllers/orderController');
 const { upload } = require('../middlewares/multer');
@@ -41,6 +45,10 @@ router.get('/agent/:agentId', protect, getOrdersByAgent);
 
 // updates and actions on orders
 router.put('/:orderId/status', protect, updateOrderStatus);
+router.get('/:orderId/status-history', protect, getOrderStatusHistory);
+router.get('/:orderId/invoice', protect, getOrderInvoice);
+router.get('/:orderId/tracking', protect, getOrderTrackingDetails);
+router.get('/:orderId/delivery-otp', protect, getOrderDeliveryOtp);
 router.post('/:orderId/cancel', protect, cancelOrder);
 router.post(
   '/:orderId/review',
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  createOrderPaymentIntent,
+  verifyOrderPayment,
+  paymentWebhook,
+  getOrderPayments,
+  refundOrderPayment
+} = require('../controllers/paymentController');
+const { protect, checkRole, checkPermission } = require('../middlewares/authMiddleware');
+
+// gateway webhooks (authenticated by signature, not session)
+router.post('/webhook/:provider', paymentWebhook);
+
+// customer payment flow
+router.post('/orders/:orderId/intent', protect, checkRole('customer'), createOrderPaymentIntent);
+router.post('/orders/:orderId/verify', protect, checkRole('customer'), verifyOrderPayment);
+router.get('/orders/:orderId', protect, getOrderPayments);
+
+// refunds
+router.post('/orders/:orderId/refund', protect, checkPermission('orders.manage'), refundOrderPayment);
+
+module.exports = router;
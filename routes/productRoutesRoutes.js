@@ -1,6 +1,8 @@
 const express = require('express');
 const { upload } = require('../middlewares/multer');
 const { createProduct, getRestaurantProducts, updateProduct, deleteProduct, toggleProductActive } = require('../controllers/productController');
+const { adjustProductStock, getLowStockItems, getInventoryLogs } = require('../controllers/inventoryController');
+const { importRestaurantMenu, exportRestaurantMenu } = require('../controllers/menuImportController');
 const { protect, checkRole } = require('../middlewares/authMiddleware');
 const router = express.Router();
 
@@ -10,5 +12,14 @@ router.put('/products/:productId', protect, checkRole('merchant'),  upload.array
 router.delete('/products/:productId', protect, checkRole('merchant'), deleteProduct);
 router.put('/products/:productId/auto-on-off', protect, checkRole('merchant'), toggleProductActive);
 
+// inventory
+router.post('/products/:productId/stock', protect, checkRole('merchant'), adjustProductStock);
+router.get('/:restaurantId/inventory/low-stock', protect, checkRole('merchant'), getLowStockItems);
+router.get('/:restaurantId/inventory/logs', protect, checkRole('merchant'), getInventoryLogs);
+
+// bulk menu import/export
+router.post('/:restaurantId/menu/import', protect, checkRole('merchant'), upload.single('file'), importRestaurantMenu);
+router.get('/:restaurantId/menu/export', protect, checkRole('merchant'), exportRestaurantMenu);
+
 module.exports = router;
 
@@ -5,8 +5,9 @@ const {registerMerchant, loginMerchant, logoutMerchant, logoutAll} = require('..
 const {protect, checkRole} = require('../middlewares/authMiddleware')
 
 const {upload} = require('../middlewares/multer')
-const {createRestaurant,updateRestaurant,deleteRestaurant,getRestaurantById, updateBusinessHours,addServiceArea, addKyc, getKyc,getRestaurantMenu, getAllApprovedRestaurants, getRestaurantEarningSummary}  = require('../controllers/restaurantController')
+const {createRestaurant,updateRestaurant,deleteRestaurant,getRestaurantById, updateBusinessHours,getRestaurantOpenStatus,addHolidayClosure,removeHolidayClosure,addServiceArea, addKyc, getKyc,getRestaurantMenu, getAllApprovedRestaurants, getRestaurantEarningSummary}  = require('../controllers/restaurantController')
 const {forgotPassword, resetPassword} = require('../controllers/userControllers')
+const {getRestaurantSettlements, getRestaurantSettlementStatement} = require('../controllers/settlementController')
 
 // get all restruants (for users)
 
@@ -43,6 +44,9 @@ router.delete("/:restaurantId", protect, checkRole('merchant'), deleteRestaurant
 router.get("/:restaurantId",getRestaurantById)
 
 router.put("/:restaurantId/business-hours", protect, checkRole('merchant'), updateBusinessHours)
+router.get("/:restaurantId/status", getRestaurantOpenStatus)
+router.post("/:restaurantId/holiday-closures", protect, checkRole('merchant'), addHolidayClosure)
+router.delete("/:restaurantId/holiday-closures/:closureId", protect, checkRole('merchant'), removeHolidayClosure)
 
 
 
@@ -67,6 +71,8 @@ router.get("/:restaurantId/menu",getRestaurantMenu)
 
 // get restaurant earnigs
 router.get("/:restaurantId/earnigs",getRestaurantEarningSummary)
+router.get("/:restaurantId/settlements", protect, checkRole('merchant'), getRestaurantSettlements)
+router.get("/:restaurantId/settlements/:settlementId", protect, checkRole('merchant'), getRestaurantSettlementStatement)
 
 // restaurant order stauts update 
 // router.get("/orders/:id/status",)
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  createSettlementRun,
+  getSettlements,
+  getSettlementById,
+  markSettlementAsPaid,
+  cancelSettlementRun,
+  exportBankTransferCsv,
+  createRestaurantPenalty
+} = require('../controllers/settlementController');
+const { protect, checkPermission } = require('../middlewares/authMiddleware');
+
+// admin routes
+router.post('/run', protect, checkPermission('payouts.manage'), createSettlementRun);
+router.get('/', protect, checkPermission('payouts.manage'), getSettlements);
+router.get('/bank-transfer.csv', protect, checkPermission('payouts.manage'), exportBankTransferCsv);
+router.post('/penalties', protect, checkPermission('payouts.manage'), createRestaurantPenalty);
+router.get('/:settlementId', protect, checkPermission('payouts.manage'), getSettlementById);
+router.post('/:settlementId/paid', protect, checkPermission('payouts.manage'), markSettlementAsPaid);
+router.post('/:settlementId/cancel', protect, checkPermission('payouts.manage'), cancelSettlementRun);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  getMyWallet,
+  topUpWallet,
+  verifyTopUp,
+  getUserWallet,
+  adjustUserWallet
+} = require('../controllers/walletController');
+const { protect, checkRole, checkPermission } = require('../middlewares/authMiddleware');
+
+// customer wallet
+router.get('/', protect, checkRole('customer'), getMyWallet);
+router.post('/top-up', protect, checkRole('customer'), topUpWallet);
+router.post('/top-up/:paymentId/verify', protect, checkRole('customer'), verifyTopUp);
+
+// admin
+router.get('/admin/:userId', protect, checkPermission('users.manage'), getUserWallet);
+router.post('/admin/:userId/adjust', protect, checkPermission('users.manage'), adjustUserWallet);
+
+module.exports = router;
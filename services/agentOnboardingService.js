@@ -0,0 +1,520 @@
+const Agent = require("../models/agentModel");
+const AgentApplication = require("../models/agentApplicationModel");
+const User = require("../models/userModel");
+const { uploadOnCloudinary } = require("../utils/cloudinary");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+
+const DOCUMENT_TYPES = ["license", "insurance", "vehicle_registration", "id_proof"];
+const VEHICLE_TYPES = ["bicycle", "scooter", "motorcycle", "car"];
+const MOTOR_VEHICLE_DOCUMENTS = ["license", "vehicle_registration", "insurance"];
+// these must carry an expiry date
+const EXPIRING_DOCUMENTS = ["license", "insurance", "vehicle_registration"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRAINING_PASS_PERCENT = 80;
+const TRAINING_QUIZ = [
+  {
+    id: "q1",
+    question: "The customer is not answering at the drop point. What should you do first?",
+    options: ["Leave the order at the door", "Call the customer and wait", "Cancel the order", "Return to the restaurant"],
+    answer: 1,
+  },
+  {
+    id: "q2",
+    question: "When may you mark an order as picked up?",
+    options: ["When assigned", "On the way to the restaurant", "After collecting the food", "After delivery"],
+    answer: 2,
+  },
+  {
+    id: "q3",
+    question: "The customer chose no-contact delivery. What proof is needed to complete the order?",
+    options: ["Nothing", "A doorstep photo", "The customer's signature", "A call recording"],
+    answer: 1,
+  },
+  {
+    id: "q4",
+    question: "Your COD cash holding reached your limit. What happens?",
+    options: ["Nothing", "You get no more cash orders until you drop cash", "Your account is closed", "You earn a bonus"],
+    answer: 1,
+  },
+  {
+    id: "q5",
+    question: "A sealed package looks tampered with at pickup. What should you do?",
+    options: ["Deliver it anyway", "Open it to check", "Report it to the restaurant before leaving", "Throw it away"],
+    answer: 2,
+  },
+];
+
+const onboardingError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Documents an applicant must provide for their vehicle
+const requiredDocuments = (application) =>
+  application.vehicle?.type === "bicycle" ? ["id_proof"] : ["id_proof", ...MOTOR_VEHICLE_DOCUMENTS];
+
+const findDocument = (application, type) => application.documents.find((d) => d.type === type);
+
+const isExpired = (document, now = new Date()) => Boolean(document.expiresAt && document.expiresAt <= now);
+
+/**
+ * Onboarding checklist of an application.
+ *
+ * @returns {Array} - [{ step, complete }]
+ */
+const onboardingSteps = (application) => {
+  const required = requiredDocuments(application);
+  const documents = required.map((type) => findDocument(application, type));
+
+  return [
+    { step: "personal_details", complete: Boolean(application.personalDetails?.completedAt) },
+    { step: "vehicle_details", complete: Boolean(application.vehicle?.completedAt) },
+    { step: "documents_uploaded", complete: documents.every((d) => d && d.status !== "rejected") },
+    { step: "documents_verified", complete: documents.every((d) => d?.status === "verified" && !isExpired(d)) },
+    { step: "background_check", complete: application.backgroundCheck?.status === "clear" },
+    { step: "training", complete: application.training?.status === "passed" },
+  ];
+};
+
+// Application with its checklist, as shown to the applicant and admins
+const withSteps = (application) => ({
+  ...application.toObject(),
+  requiredDocuments: requiredDocuments(application),
+  steps: onboardingSteps(application),
+});
+
+const getApplicationForUpdate = async (userId) => {
+  const application = await AgentApplication.findOne({ userId });
+  if (!application) throw onboardingError(404, "No agent application found, please register first");
+  if (["submitted", "approving"].includes(application.status)) {
+    throw onboardingError(409, "Your application is under review");
+  }
+  if (application.status === "rejected") throw onboardingError(409, "Your application was rejected");
+  return application;
+};
+
+// Lifts an agent's block once every required document is verified and valid
+const refreshAgentCompliance = async (application) => {
+  if (!application.agentId) return;
+
+  const now = new Date();
+  const valid = requiredDocuments(application).every((type) => {
+    const document = findDocument(application, type);
+    return document?.status === "verified" && !isExpired(document, now);
+  });
+
+  if (valid) {
+    await Agent.updateOne(
+      { _id: application.agentId, "compliance.blocked": true },
+      { compliance: { blocked: false, reason: null, blockedAt: null } }
+    );
+  }
+};
+
+/**
+ * Starts an application at registration, with the documents uploaded there.
+ */
+exports.startApplication = async ({ userId, fullName, location, documents = [] }) =>
+  AgentApplication.create({
+    userId,
+    personalDetails: { fullName, ...(location && { location }) },
+    documents,
+  });
+
+exports.getApplication = async (userId) => {
+  const application = await AgentApplication.findOne({ userId });
+  if (!application) throw onboardingError(404, "No agent application found, please register first");
+  return withSteps(application);
+};
+
+exports.getApplicationById = async (applicationId) => {
+  const application = await AgentApplication.findById(applicationId)
+    .populate("userId", "name email phone")
+    .populate("documents.reviewedBy", "name email");
+  if (!application) throw onboardingError(404, "Application not found");
+  return withSteps(application);
+};
+
+/**
+ * Step 1: personal details.
+ */
+exports.updatePersonalDetails = async (userId, { fullName, dateOfBirth, address, emergencyContact }) => {
+  const application = await getApplicationForUpdate(userId);
+  if (application.status === "approved") throw onboardingError(409, "Contact support to change your details");
+
+  const birthDate = new Date(dateOfBirth);
+  if (!fullName?.trim() || isNaN(birthDate)) {
+    throw onboardingError(400, "fullName and a valid dateOfBirth are required");
+  }
+  const age = (Date.now() - birthDate) / (365.25 * DAY_MS);
+  if (age < 18) throw onboardingError(400, "Agents must be at least 18 years old");
+  if (!address?.city || !address?.pincode) throw onboardingError(400, "address with city and pincode is required");
+  if (!emergencyContact?.name || !emergencyContact?.phone) {
+    throw onboardingError(400, "emergencyContact with name and phone is required");
+  }
+
+  application.set({
+    "personalDetails.fullName": fullName.trim(),
+    "personalDetails.dateOfBirth": birthDate,
+    "personalDetails.address": address,
+    "personalDetails.emergencyContact": emergencyContact,
+    "personalDetails.completedAt": new Date(),
+  });
+  await application.save();
+  return withSteps(application);
+};
+
+/**
+ * Step 2: vehicle details.
+ */
+exports.updateVehicleDetails = async (userId, { type, registrationNumber, model, maxOrders, maxWeightKg }) => {
+  const application = await getApplicationForUpdate(userId);
+  if (application.status === "approved") throw onboardingError(409, "Contact support to change your vehicle");
+
+  if (!VEHICLE_TYPES.includes(type)) {
+    throw onboardingError(400, `type must be one of: ${VEHICLE_TYPES.join(", ")}`);
+  }
+  if (type !== "bicycle" && !registrationNumber?.trim()) {
+    throw onboardingError(400, "registrationNumber is required for motor vehicles");
+  }
+  if (!Number.isInteger(maxOrders) || maxOrders < 1) {
+    throw onboardingError(400, "maxOrders must be a whole number of at least 1");
+  }
+
+  application.vehicle = {
+    type,
+    registrationNumber: registrationNumber?.trim() || null,
+    model,
+    maxOrders,
+    maxWeightKg,
+    completedAt: new Date(),
+  };
+  await application.save();
+  return withSteps(application);
+};
+
+/**
+ * Step 3: uploads (or replaces) a document. Also used by active agents to
+ * renew an expiring document; the new copy waits for verification.
+ */
+exports.uploadDocument = async (userId, { type, file, number, expiresAt }) => {
+  const application = await AgentApplication.findOne({ userId });
+  if (!application) throw onboardingError(404, "No agent application found, please register first");
+  if (application.status === "rejected") throw onboardingError(409, "Your application was rejected");
+
+  if (!DOCUMENT_TYPES.includes(type)) {
+    throw onboardingError(400, `type must be one of: ${DOCUMENT_TYPES.join(", ")}`);
+  }
+  if (!file) throw onboardingError(400, "A document file is required");
+
+  let expiry = null;
+  if (EXPIRING_DOCUMENTS.includes(type) || expiresAt) {
+    expiry = new Date(expiresAt);
+    if (isNaN(expiry) || expiry <= new Date()) {
+      throw onboardingError(400, "expiresAt must be a future date");
+    }
+  }
+
+  const uploaded = await uploadOnCloudinary(file.path, "orado_agent_documents");
+  if (!uploaded) throw onboardingError(500, "Failed to upload document");
+
+  const document = {
+    type,
+    url: uploaded.secure_url,
+    number: number?.trim(),
+    expiresAt: expiry,
+    status: "pending",
+    rejectionReason: null,
+    reviewedBy: null,
+    reviewedAt: null,
+    uploadedAt: new Date(),
+    expiryReminderSentAt: null,
+  };
+
+  const existing = findDocument(application, type);
+  if (existing) existing.set(document);
+  else application.documents.push(document);
+
+  await application.save();
+  return withSteps(application);
+};
+
+exports.getTrainingQuiz = () => ({
+  passPercent: TRAINING_PASS_PERCENT,
+  questions: TRAINING_QUIZ.map(({ answer, ...question }) => question),
+});
+
+/**
+ * Step 4: training quiz. answers is { questionId: optionIndex }.
+ *
+ * @returns {Object} - { passed, score, application }
+ */
+exports.submitTrainingQuiz = async (userId, answers = {}) => {
+  const application = await getApplicationForUpdate(userId);
+  if (application.training?.status === "passed") throw onboardingError(409, "You have already passed the training");
+
+  const correct = TRAINING_QUIZ.filter((q) => Number(answers[q.id]) === q.answer).length;
+  const score = Math.round((correct / TRAINING_QUIZ.length) * 100);
+  const passed = score >= TRAINING_PASS_PERCENT;
+  const now = new Date();
+
+  application.set({
+    "training.status": passed ? "passed" : "failed",
+    "training.attempts": (application.training?.attempts || 0) + 1,
+    "training.lastScore": score,
+    "training.lastAttemptAt": now,
+    ...(passed && { "training.passedAt": now }),
+  });
+  await application.save();
+
+  return { passed, score, application: withSteps(application) };
+};
+
+/**
+ * Sends a complete application for review and starts the background check.
+ */
+exports.submitApplication = async (userId) => {
+  const application = await getApplicationForUpdate(userId);
+  if (application.status === "approved") throw onboardingError(409, "Your application is already approved");
+
+  const missing = onboardingSteps(application)
+    .filter((s) => ["personal_details", "vehicle_details", "documents_uploaded"].includes(s.step) && !s.complete)
+    .map((s) => s.step);
+  if (missing.length) throw onboardingError(400, `Complete these steps first: ${missing.join(", ")}`);
+
+  application.status = "submitted";
+  application.submittedAt = new Date();
+  if (application.backgroundCheck.status === "not_started") {
+    application.backgroundCheck.status = "pending";
+    application.backgroundCheck.updatedAt = new Date();
+  }
+  await application.save();
+
+  await User.updateOne({ _id: userId }, { agentApplicationStatus: "pending" });
+  return withSteps(application);
+};
+
+/**
+ * Admin: verifies or rejects one document.
+ */
+exports.reviewDocument = async (applicationId, documentId, { approve, reason = null, reviewedBy }) => {
+  const application = await AgentApplication.findById(applicationId);
+  if (!application) throw onboardingError(404, "Application not found");
+
+  const document = application.documents.id(documentId);
+  if (!document) throw onboardingError(404, "Document not found");
+  if (document.status !== "pending") throw onboardingError(409, `Document is already ${document.status}`);
+  if (approve && isExpired(document)) throw onboardingError(409, "Document has expired");
+  if (approve && EXPIRING_DOCUMENTS.includes(document.type) && !document.expiresAt) {
+    throw onboardingError(409, "Document has no expiry date, ask the agent to upload it again");
+  }
+
+  document.set({
+    status: approve ? "verified" : "rejected",
+    rejectionReason: approve ? null : reason,
+    reviewedBy,
+    reviewedAt: new Date(),
+  });
+  await application.save();
+
+  if (approve) await refreshAgentCompliance(application);
+  return { application: withSteps(application), document };
+};
+
+/**
+ * Admin: records the background check result.
+ */
+exports.updateBackgroundCheck = async (applicationId, { status, reference, notes, updatedBy }) => {
+  if (!["pending", "clear", "failed"].includes(status)) {
+    throw onboardingError(400, "status must be pending, clear or failed");
+  }
+
+  const application = await AgentApplication.findByIdAndUpdate(
+    applicationId,
+    {
+      backgroundCheck: {
+        status,
+        reference: reference || null,
+        notes: notes || null,
+        updatedBy,
+        updatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!application) throw onboardingError(404, "Application not found");
+  return withSteps(application);
+};
+
+// Agent profile built from an application
+const createAgentFor = (application, user) => {
+  const documentUrl = (type) => findDocument(application, type)?.url || null;
+  return Agent.create({
+    userId: user._id,
+    fullName: application.personalDetails.fullName || user.name,
+    phoneNumber: user.phone,
+    email: user.email,
+    profilePicture: user.profilePicture,
+    documents: {
+      license: documentUrl("license"),
+      insurance: documentUrl("insurance"),
+    },
+    vehicle: {
+      type: application.vehicle.type,
+      registrationNumber: application.vehicle.registrationNumber,
+      maxOrders: application.vehicle.maxOrders,
+    },
+    ...(application.personalDetails.location?.coordinates?.length === 2 && {
+      location: application.personalDetails.location,
+    }),
+    bankDetailsProvided: false,
+  });
+};
+
+/**
+ * Admin: activates a submitted application once every step is complete,
+ * creating the Agent profile. The application is claimed first (status
+ * "approving"), so two admins activating it at once create one agent; the
+ * claim is given back if activation fails.
+ *
+ * @returns {Object} - { application, agent }
+ * @throws {Error} - 409 listing the incomplete steps, or when already being activated.
+ */
+exports.activateApplication = async (applicationId, { reviewedBy }) => {
+  const existing = await AgentApplication.findById(applicationId);
+  if (!existing) throw onboardingError(404, "Application not found");
+  if (existing.status !== "submitted") {
+    throw onboardingError(409, `Application is ${existing.status.replace("_", " ")}, not submitted`);
+  }
+
+  const incomplete = onboardingSteps(existing).filter((s) => !s.complete).map((s) => s.step);
+  if (incomplete.length) throw onboardingError(409, `Cannot activate yet: ${incomplete.join(", ")} incomplete`);
+
+  const application = await AgentApplication.findOneAndUpdate(
+    { _id: applicationId, status: "submitted" },
+    { status: "approving" },
+    { new: true }
+  );
+  if (!application) throw onboardingError(409, "Application is already being activated");
+
+  let agent = null;
+  try {
+    const user = await User.findById(application.userId);
+    if (!user) throw onboardingError(404, "User not found");
+
+    agent = await createAgentFor(application, user);
+
+    user.agentApplicationStatus = "approved";
+    user.isAgent = true;
+    user.agentId = agent._id;
+    user.userType = "agent";
+    await user.save();
+
+    application.set({ status: "approved", agentId: agent._id, reviewedBy, reviewedAt: new Date() });
+    await application.save();
+  } catch (err) {
+    if (agent) {
+      await Agent.deleteOne({ _id: agent._id }).catch((e) => console.error(`Failed to remove agent ${agent._id}:`, e));
+    }
+    await AgentApplication.updateOne({ _id: applicationId, status: "approving" }, { status: "submitted" });
+    throw err;
+  }
+
+  return { application: withSteps(application), agent };
+};
+
+/**
+ * Admin: rejects an application.
+ */
+exports.rejectApplication = async (applicationId, { reason, reviewedBy }) => {
+  const application = await AgentApplication.findOneAndUpdate(
+    { _id: applicationId, status: { $in: ["in_progress", "submitted"] } },
+    { status: "rejected", rejectionReason: reason, reviewedBy, reviewedAt: new Date() },
+    { new: true }
+  );
+  if (!application) {
+    const existing = await AgentApplication.findById(applicationId).select("status");
+    if (!existing) throw onboardingError(404, "Application not found");
+    throw onboardingError(409, `Application is already ${existing.status}`);
+  }
+
+  await User.updateOne({ _id: application.userId }, { agentApplicationStatus: "rejected" });
+  return withSteps(application);
+};
+
+/**
+ * Reminds agents of documents expiring within reminderDays, marks expired
+ * documents and blocks active agents whose required documents expired.
+ *
+ * @returns {Object} - { reminded, expired, blocked }
+ */
+exports.checkDocumentExpiry = async ({ reminderDays = 7 } = {}) => {
+  const now = new Date();
+  const reminderCutoff = new Date(now.getTime() + reminderDays * DAY_MS);
+  const totals = { reminded: 0, expired: 0, blocked: 0 };
+
+  const applications = await AgentApplication.find({
+    documents: {
+      $elemMatch: {
+        status: { $in: ["pending", "verified"] },
+        expiresAt: { $ne: null, $lte: reminderCutoff },
+      },
+    },
+  });
+
+  for (const application of applications) {
+    const expiredTypes = [];
+    const expiring = [];
+
+    for (const document of application.documents) {
+      if (!["pending", "verified"].includes(document.status) || !document.expiresAt) continue;
+
+      if (isExpired(document, now)) {
+        document.status = "expired";
+        expiredTypes.push(document.type);
+      } else if (document.expiresAt <= reminderCutoff && !document.expiryReminderSentAt) {
+        document.expiryReminderSentAt = now;
+        expiring.push(document);
+      }
+    }
+    if (!expiredTypes.length && !expiring.length) continue;
+    await application.save();
+
+    for (const document of expiring) {
+      await sendPushNotification(
+        application.userId,
+        "Document expiring soon",
+        `Your ${document.type.replace("_", " ")} expires on ${document.expiresAt.toDateString()}. Upload a renewed copy to keep delivering.`,
+        "serviceAlerts"
+      ).catch((err) => console.error("Failed to send document expiry reminder:", err));
+      totals.reminded++;
+    }
+
+    if (!expiredTypes.length) continue;
+    totals.expired += expiredTypes.length;
+
+    const blocking = expiredTypes.filter((type) => requiredDocuments(application).includes(type));
+    if (application.agentId && blocking.length) {
+      const reason = `Expired document: ${blocking.map((t) => t.replace("_", " ")).join(", ")}`;
+      await Agent.updateOne(
+        { _id: application.agentId },
+        {
+          compliance: { blocked: true, reason, blockedAt: now },
+          availabilityStatus: "Unavailable",
+        }
+      );
+      totals.blocked++;
+
+      await sendPushNotification(
+        application.userId,
+        "You cannot go online",
+        `${reason}. Upload a renewed copy to continue delivering.`,
+        "serviceAlerts"
+      ).catch((err) => console.error("Failed to notify agent about expired document:", err));
+    }
+  }
+
+  return totals;
+};
@@ -0,0 +1,320 @@
+const crypto = require("crypto");
+const Agent = require("../models/agentModel");
+const AgentEarning = require("../models/AgentEarningModel");
+const AgentPayout = require("../models/agentPayoutModel");
+const CashDrop = require("../models/cashDropModel");
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+const payoutError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const newRunId = () => {
+  const day = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  return `AP-${day}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+};
+
+const EARNING_BUCKETS = {
+  delivery_fee: "deliveryFees",
+  tip: "tips",
+  incentive: "incentives",
+  penalty: "penalties",
+  other: "other",
+};
+
+/**
+ * Whether an agent holds more unremitted cash than allowed.
+ * Blocked agents are not offered or assigned any orders until they remit.
+ */
+exports.isCODBlocked = (agent) => {
+  const holding = agent?.codTracking?.currentCODHolding || 0;
+  const limit = agent?.permissions?.maxCODAmount ?? 0;
+  return holding > limit;
+};
+
+/**
+ * Query condition matching agents that are NOT over their COD limit.
+ */
+exports.withinCODLimitCondition = () => ({
+  $expr: { $lte: ["$codTracking.currentCODHolding", "$permissions.maxCODAmount"] },
+});
+
+/**
+ * Records cash collected by an agent on delivery of a COD order.
+ */
+exports.recordCODCollection = async (agentId, amount) => {
+  return Agent.findByIdAndUpdate(
+    agentId,
+    {
+      $inc: {
+        "codTracking.currentCODHolding": amount,
+        "codTracking.dailyCollected": amount,
+        "dashboard.totalCollections": amount,
+      },
+      "codTracking.lastUpdated": new Date(),
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Takes up to `amount` off an agent's COD holding (never below zero).
+ *
+ * @returns {Number} - The amount actually deducted.
+ */
+const reduceCODHolding = async (agentId, amount) => {
+  const before = await Agent.findOneAndUpdate(
+    { _id: agentId },
+    [
+      {
+        $set: {
+          "codTracking.currentCODHolding": {
+            $max: [{ $subtract: ["$codTracking.currentCODHolding", amount] }, 0],
+          },
+          "codTracking.lastUpdated": "$$NOW",
+        },
+      },
+    ],
+    { new: false }
+  );
+
+  if (!before) throw payoutError(404, "Agent not found");
+  return round(Math.min(amount, before.codTracking?.currentCODHolding || 0));
+};
+
+/**
+ * Agent reports cash handed over to the company.
+ * The holding only goes down once an admin verifies the drop.
+ *
+ * @throws {Error} - statusCode 400 when the drop exceeds what the agent still owes.
+ */
+exports.submitCashDrop = async ({ agentId, amount, method, reference, receiptUrl, notes }) => {
+  const agent = await Agent.findById(agentId).select("codTracking");
+  if (!agent) throw payoutError(404, "Agent not found");
+
+  const [pending] = await CashDrop.aggregate([
+    { $match: { agentId: agent._id, status: "pending" } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+
+  const outstanding = round((agent.codTracking?.currentCODHolding || 0) - (pending?.total || 0));
+  if (amount > outstanding) {
+    throw payoutError(400, `Cash drop cannot exceed the unremitted COD amount (${outstanding})`);
+  }
+
+  return CashDrop.create({ agentId, amount, method, reference, receiptUrl, notes });
+};
+
+/**
+ * Admin verifies or rejects a cash drop. A verified drop reduces the agent's
+ * COD holding and is added to the agent's cashDropLogs.
+ */
+exports.reviewCashDrop = async (cashDropId, { approve, reason = null, reviewedBy }) => {
+  const cashDrop = await CashDrop.findOneAndUpdate(
+    { _id: cashDropId, status: "pending" },
+    {
+      status: approve ? "verified" : "rejected",
+      verifiedBy: reviewedBy,
+      verifiedAt: new Date(),
+      rejectionReason: approve ? null : reason,
+    },
+    { new: true }
+  );
+
+  if (!cashDrop) {
+    const existing = await CashDrop.findById(cashDropId).select("status");
+    if (!existing) throw payoutError(404, "Cash drop not found");
+    throw payoutError(409, `Cash drop is already ${existing.status}`);
+  }
+
+  if (approve) {
+    await reduceCODHolding(cashDrop.agentId, cashDrop.amount);
+    await Agent.findByIdAndUpdate(cashDrop.agentId, {
+      $push: {
+        cashDropLogs: {
+          amount: cashDrop.amount,
+          droppedAt: cashDrop.createdAt,
+          method: cashDrop.method,
+          notes: cashDrop.reference || cashDrop.notes,
+        },
+      },
+    });
+  }
+
+  return cashDrop;
+};
+
+/**
+ * Previous full week, Monday 00:00 to Monday 00:00 (server time).
+ */
+exports.lastWeekPeriod = (now = new Date()) => {
+  const end = new Date(now);
+  end.setHours(0, 0, 0, 0);
+  end.setDate(end.getDate() - ((end.getDay() + 6) % 7));
+  const start = new Date(end);
+  start.setDate(start.getDate() - 7);
+  return { periodStart: start, periodEnd: end };
+};
+
+/**
+ * Pays out pending agent earnings dated within [periodStart, periodEnd).
+ *
+ * Delivery fees, tips, incentives and penalties are summed per agent, then any
+ * COD cash the agent has not remitted is deducted from that amount (and from
+ * their holding). Agents with nothing positive to pay are skipped and their
+ * earnings stay pending.
+ *
+ * @returns {Object} - { runId, payouts, skipped }
+ */
+exports.runAgentPayouts = async ({ periodStart, periodEnd, agentId = null, createdBy = null }) => {
+  const period = { $gte: periodStart, $lt: periodEnd };
+  const runId = newRunId();
+
+  const agentIds = agentId
+    ? [agentId]
+    : await AgentEarning.distinct("agentId", { payoutStatus: { $ne: "paid" }, payoutId: null, date: period });
+
+  const payouts = [];
+  const skipped = [];
+
+  for (const id of agentIds) {
+    const payout = await AgentPayout.create({ runId, agentId: id, periodStart, periodEnd, createdBy });
+
+    await AgentEarning.updateMany(
+      { agentId: id, payoutStatus: { $ne: "paid" }, payoutId: null, date: period },
+      { payoutId: payout._id }
+    );
+
+    const earnings = await AgentEarning.find({ payoutId: payout._id }).lean();
+    const totals = { deliveryFees: 0, tips: 0, incentives: 0, penalties: 0, other: 0 };
+    earnings.forEach((earning) => {
+      totals[EARNING_BUCKETS[earning.type] || "other"] += earning.amount;
+    });
+    Object.keys(totals).forEach((key) => (totals[key] = round(totals[key])));
+
+    const grossEarnings = round(Object.values(totals).reduce((sum, value) => sum + value, 0));
+
+    if (!earnings.length || grossEarnings <= 0) {
+      await AgentEarning.updateMany({ payoutId: payout._id }, { payoutId: null });
+      await AgentPayout.deleteOne({ _id: payout._id });
+      skipped.push({ agentId: id, grossEarnings });
+      continue;
+    }
+
+    // cash already handed over in a drop awaiting verification is not netted again
+    const agent = await Agent.findById(id).select("codTracking");
+    const [pendingDrops] = await CashDrop.aggregate([
+      { $match: { agentId: agent?._id, status: "pending" } },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]);
+    const unremitted = Math.max((agent?.codTracking?.currentCODHolding || 0) - (pendingDrops?.total || 0), 0);
+    const codDeducted = await reduceCODHolding(id, Math.min(grossEarnings, unremitted));
+
+    payout.set({
+      ...totals,
+      grossEarnings,
+      codDeducted,
+      netPayout: round(grossEarnings - codDeducted),
+    });
+    await payout.save();
+    payouts.push(payout);
+  }
+
+  return { runId, payouts, skipped };
+};
+
+/**
+ * Records the transfer for a payout and marks its earnings paid.
+ * A payout fully absorbed by COD (netPayout 0) needs no reference.
+ */
+exports.markAgentPayoutPaid = async (payoutId, { payoutReference = null, paidBy }) => {
+  const existing = await AgentPayout.findById(payoutId);
+  if (!existing) throw payoutError(404, "Payout not found");
+  if (existing.status !== "pending") throw payoutError(409, `Payout is already ${existing.status}`);
+  if (existing.netPayout > 0 && !payoutReference) {
+    throw payoutError(400, "payoutReference is required");
+  }
+
+  const paidAt = new Date();
+  const payout = await AgentPayout.findOneAndUpdate(
+    { _id: payoutId, status: "pending" },
+    { status: "paid", payoutReference, paidAt, paidBy },
+    { new: true }
+  );
+  if (!payout) throw payoutError(409, "Payout was updated by someone else, please retry");
+
+  await AgentEarning.updateMany({ payoutId: payout._id }, { payoutStatus: "paid" });
+
+  await Agent.findByIdAndUpdate(payout.agentId, {
+    $inc: {
+      "payoutDetails.totalPaid": payout.netPayout,
+      "payoutDetails.pendingPayout": -payout.grossEarnings,
+    },
+  });
+
+  return payout;
+};
+
+/**
+ * Cancels a pending payout: earnings go back to pending and the COD that was
+ * netted is put back on the agent's holding.
+ */
+exports.cancelAgentPayout = async (payoutId) => {
+  const payout = await AgentPayout.findOneAndUpdate(
+    { _id: payoutId, status: "pending" },
+    { status: "cancelled" },
+    { new: true }
+  );
+
+  if (!payout) {
+    const existing = await AgentPayout.findById(payoutId).select("status");
+    if (!existing) throw payoutError(404, "Payout not found");
+    throw payoutError(409, `Payout is already ${existing.status}`);
+  }
+
+  await AgentEarning.updateMany({ payoutId: payout._id }, { payoutId: null });
+
+  if (payout.codDeducted > 0) {
+    await Agent.findByIdAndUpdate(payout.agentId, {
+      $inc: { "codTracking.currentCODHolding": payout.codDeducted },
+    });
+  }
+
+  return payout;
+};
+
+const csvField = (value) => {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Bank transfer file for the pending payouts of a run (payouts with a positive net only).
+ */
+exports.buildAgentBankTransferCsv = async (runId) => {
+  const payouts = await AgentPayout.find({ runId, status: "pending", netPayout: { $gt: 0 } })
+    .populate("agentId", "fullName bankAccountDetails")
+    .lean();
+
+  const header = ["Payout ID", "Agent", "Account Holder", "Account Number", "IFSC", "Bank", "Amount", "Narration", "Remarks"];
+
+  const rows = payouts.map((payout) => {
+    const bank = payout.agentId?.bankAccountDetails || {};
+    return [
+      payout._id,
+      payout.agentId?.fullName,
+      bank.accountHolderName,
+      bank.accountNumber,
+      bank.ifscCode,
+      bank.bankName,
+      payout.netPayout.toFixed(2),
+      `Orado agent payout ${runId}`,
+      !bank.accountNumber || !bank.ifscCode ? "Missing bank details" : "",
+    ];
+  });
+
+  return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n");
+};
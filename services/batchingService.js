@@ -0,0 +1,388 @@
+const Agent = require("../models/agentModel");
+const Order = require("../models/orderModel");
+const Restaurant = require("../models/restaurantModel");
+const DeliveryBatch = require("../models/deliveryBatchModel");
+const DispatchLog = require("../models/dispatchLogModel");
+const { haversineDistance } = require("../utils/distanceCalculator");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+const { transitionOrder } = require("./orderLifecycle");
+const { getDispatchSettings } = require("./dispatchScorer");
+const { capacityConditions } = require("./findAndAssignNearestAgent");
+
+// Orders an agent holds but has not picked up yet; only these can be batched with
+const BATCHABLE_STATUSES = ["assigned_to_agent", "preparing", "ready"];
+// Picked up, still to be dropped
+const ON_BOARD_STATUSES = ["picked_up", "in_progress", "arrived"];
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+// Initial compass bearing from one [lng, lat] point to another, 0–360
+const bearing = ([lng1, lat1], [lng2, lat2]) => {
+  const y = Math.sin(toRad(lng2 - lng1)) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lng2 - lng1));
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+const angleBetween = (a, b) => {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+};
+
+const hasCoords = (coords) => Array.isArray(coords) && coords.length === 2 && (coords[0] || coords[1]);
+
+/**
+ * Plans the stop sequence for an agent: every pickup first, then every drop,
+ * each leg going to the nearest remaining stop.
+ *
+ * @param {Array} start - Agent [lng, lat].
+ * @param {Array} points - [{ orderId, restaurantId, pickup, drop, onBoard }]; onBoard orders need no pickup.
+ * @param {Object} batching - Batching settings (averageSpeedKmph, stopMinutes).
+ * @param {Date} [now]
+ * @returns {Object} - { stops, totalDistanceKm, totalMinutes, etas } where etas maps orderId to { pickupAt, dropAt }.
+ */
+const planRoute = (start, points, batching, now = new Date()) => {
+  const minutesFor = (km) => (km / batching.averageSpeedKmph) * 60;
+
+  const pickups = points.filter((p) => !p.onBoard).map((p) => ({ type: "pickup", point: p, location: p.pickup }));
+  const drops = points.map((p) => ({ type: "drop", point: p, location: p.drop }));
+
+  const stops = [];
+  const etas = new Map();
+  let position = start;
+  let elapsed = 0;
+  let totalDistanceKm = 0;
+
+  const visit = (queue) => {
+    while (queue.length) {
+      let nearest = 0;
+      let nearestKm = Infinity;
+      queue.forEach((stop, index) => {
+        const km = haversineDistance(position, stop.location);
+        if (km < nearestKm) {
+          nearest = index;
+          nearestKm = km;
+        }
+      });
+
+      const [stop] = queue.splice(nearest, 1);
+      elapsed += minutesFor(nearestKm) + batching.stopMinutes;
+      totalDistanceKm += nearestKm;
+      position = stop.location;
+
+      const eta = new Date(now.getTime() + elapsed * 60000);
+      const key = stop.point.orderId.toString();
+      etas.set(key, { ...etas.get(key), [stop.type === "pickup" ? "pickupAt" : "dropAt"]: eta });
+
+      stops.push({
+        sequence: stops.length + 1,
+        type: stop.type,
+        orderId: stop.point.orderId,
+        restaurantId: stop.point.restaurantId,
+        location: { type: "Point", coordinates: stop.location },
+        eta,
+      });
+    }
+  };
+
+  visit(pickups);
+  visit(drops);
+
+  // orders already on board count from now
+  points.filter((p) => p.onBoard).forEach((p) => {
+    const key = p.orderId.toString();
+    etas.set(key, { pickupAt: now, ...etas.get(key) });
+  });
+
+  return { stops, totalDistanceKm: Number(totalDistanceKm.toFixed(3)), totalMinutes: elapsed, etas };
+};
+
+// Pickup/drop points for orders (restaurant location to delivery location)
+const toRoutePoints = async (orders) => {
+  const restaurants = await Restaurant.find({ _id: { $in: orders.map((o) => o.restaurantId) } })
+    .select("location")
+    .lean();
+  const byId = new Map(restaurants.map((r) => [r._id.toString(), r.location?.coordinates]));
+
+  return orders.map((order) => ({
+    orderId: order._id,
+    customerId: order.customerId,
+    restaurantId: order.restaurantId,
+    pickup: byId.get(order.restaurantId.toString()),
+    drop: order.deliveryLocation?.coordinates,
+    onBoard: ON_BOARD_STATUSES.includes(order.orderStatus),
+  }));
+};
+
+/**
+ * Checks whether adding an order to an agent's current orders keeps everyone
+ * within the detour limit: no order already with the agent may be dropped more
+ * than maxDetourMinutes later than planned, nor spend more than maxDetourMinutes
+ * longer between pickup and drop than a direct ride.
+ */
+const withinDetourLimit = (existing, before, after, batching) => {
+  const limit = batching.maxDetourMinutes * 60000;
+
+  return existing.every((point) => {
+    const key = point.orderId.toString();
+    const planned = before.etas.get(key);
+    const batched = after.etas.get(key);
+    if (batched.dropAt - planned.dropAt > limit) return false;
+
+    const directMs = (haversineDistance(point.pickup, point.drop) / batching.averageSpeedKmph) * 3600000;
+    return batched.dropAt - batched.pickupAt <= directMs + limit + batching.stopMinutes * 60000;
+  });
+};
+
+// Saves the planned stops and pushes the new ETAs to the customers
+const applyPlan = async (batch, points, plan, io) => {
+  const doneStops = batch.stops.filter((s) => s.status === "done");
+  batch.stops = [
+    ...doneStops,
+    ...plan.stops.map((stop, index) => ({ ...stop, sequence: doneStops.length + index + 1 })),
+  ];
+  batch.totalDistanceKm = plan.totalDistanceKm;
+  await batch.save();
+
+  for (const point of points) {
+    const eta = plan.etas.get(point.orderId.toString());
+    await Order.findByIdAndUpdate(point.orderId, {
+      batchId: batch._id,
+      estimatedDeliveryAt: eta.dropAt,
+    });
+    io?.to(`user_${point.customerId}`).emit("etaUpdated", {
+      orderId: point.orderId,
+      estimatedDeliveryAt: eta.dropAt,
+    });
+  }
+};
+
+/**
+ * Tries to give an order to an agent who already holds orders from the same or
+ * a nearby restaurant going in a similar direction, within the detour limit.
+ * Among the agents that qualify, the one whose route grows the least wins.
+ *
+ * @param {String} orderId
+ * @param {Object} [options]
+ * @param {Object} [options.io] - Socket.IO server instance.
+ * @returns {Object|null} - The agent the order was batched to, or null (dispatch normally).
+ */
+exports.tryBatchOrder = async (orderId, { io } = {}) => {
+  const settings = await getDispatchSettings();
+  const batching = settings.batching;
+  if (!batching?.enabled) return null;
+
+  const order = await Order.findById(orderId);
+  if (!order || !hasCoords(order.deliveryLocation?.coordinates)) return null;
+
+  const restaurant = await Restaurant.findById(order.restaurantId).select("location").lean();
+  if (!hasCoords(restaurant?.location?.coordinates)) return null;
+
+  const nearbyRestaurants = await Restaurant.find({
+    location: {
+      $near: {
+        $geometry: { type: "Point", coordinates: restaurant.location.coordinates },
+        $maxDistance: batching.maxPickupDistanceKm * 1000,
+      },
+    },
+  })
+    .select("_id")
+    .lean();
+
+  const rejectedAgentIds = (order.rejectionHistory || []).map((r) => r.agentId.toString());
+  const agentIds = await Order.distinct("assignedAgent", {
+    _id: { $ne: order._id },
+    restaurantId: { $in: nearbyRestaurants.map((r) => r._id) },
+    orderStatus: { $in: BATCHABLE_STATUSES },
+    assignedAgent: { $ne: null },
+  });
+
+  const [newPoint] = await toRoutePoints([order]);
+  const newBearing = bearing(newPoint.pickup, newPoint.drop);
+  const now = new Date();
+  let best = null;
+
+  for (const agentId of agentIds) {
+    if (rejectedAgentIds.includes(agentId.toString())) continue;
+
+    const agent = await Agent.findOne({
+      _id: agentId,
+      availabilityStatus: "Available",
+      $and: capacityConditions(order),
+    });
+    if (!agent || !hasCoords(agent.location?.coordinates)) continue;
+
+    // every order the agent still has open; any already picked up rules the agent out
+    const current = await Order.find({
+      _id: { $ne: order._id },
+      assignedAgent: agent._id,
+      orderStatus: { $in: [...BATCHABLE_STATUSES, "pending_agent_acceptance", ...ON_BOARD_STATUSES] },
+    })
+      .select("orderStatus restaurantId customerId deliveryLocation")
+      .lean();
+    if (!current.length || current.length + 1 > batching.maxOrdersPerBatch) continue;
+    if (current.some((o) => !BATCHABLE_STATUSES.includes(o.orderStatus))) continue;
+
+    const existing = await toRoutePoints(current);
+    if (existing.some((p) => !hasCoords(p.pickup) || !hasCoords(p.drop))) continue;
+
+    const sameDirection = existing.every(
+      (p) => angleBetween(bearing(p.pickup, p.drop), newBearing) <= batching.maxDirectionDeviationDeg
+    );
+    if (!sameDirection) continue;
+
+    const before = planRoute(agent.location.coordinates, existing, batching, now);
+    const after = planRoute(agent.location.coordinates, [...existing, newPoint], batching, now);
+    if (!withinDetourLimit(existing, before, after, batching)) continue;
+
+    const addedMinutes = after.totalMinutes - before.totalMinutes;
+    if (!best || addedMinutes < best.addedMinutes) {
+      best = { agent, points: [...existing, newPoint], plan: after, addedMinutes };
+    }
+  }
+
+  if (!best) return null;
+
+  const acceptanceRequired = best.agent.permissions.canAcceptOrRejectOrders;
+  const agent = await Agent.findOneAndUpdate(
+    { _id: best.agent._id, $and: capacityConditions(order) },
+    {
+      $inc: {
+        "deliveryStatus.currentOrderCount": 1,
+        "dispatchStats.offered": 1,
+        ...(!acceptanceRequired && { "dispatchStats.accepted": 1 }),
+      },
+      "dispatchStats.lastAssignedAt": new Date(),
+    },
+    { new: true }
+  );
+  if (!agent) return null;
+
+  try {
+    await transitionOrder(order, acceptanceRequired ? "pending_agent_acceptance" : "assigned_to_agent", {
+      role: "system",
+      reason: `Batched with ${best.points.length - 1} other order(s) of agent ${agent.fullName}`,
+      update: { assignedAgent: agent._id, dispatchMode: "sequential" },
+    });
+  } catch (err) {
+    await Agent.findByIdAndUpdate(agent._id, {
+      $inc: { "deliveryStatus.currentOrderCount": -1 },
+    });
+    if (err.statusCode === 409) return null;
+    throw err;
+  }
+
+  let batch = await DeliveryBatch.findOne({ agentId: agent._id, status: "active" });
+  if (!batch) batch = new DeliveryBatch({ agentId: agent._id });
+  batch.orderIds = best.points.map((p) => p.orderId);
+  await applyPlan(batch, best.points, best.plan, io);
+
+  await DispatchLog.create({
+    orderId: order._id,
+    mode: "batch",
+    pickupLocation: { type: "Point", coordinates: newPoint.pickup },
+    selectedAgentId: agent._id,
+    outcome: "assigned",
+  });
+
+  io?.to(`agent_${agent._id}`).emit("batchUpdated", { batchId: batch._id, stops: batch.stops });
+  await sendPushNotification(
+    agent.userId,
+    "Order Added To Your Route",
+    "A nearby order was added to your current deliveries. Please check the app."
+  );
+
+  return agent;
+};
+
+/**
+ * Re-plans the remaining stops of a batch from the agent's current location.
+ * A batch left with fewer than two orders is dissolved; all drops done completes it.
+ */
+const refreshBatch = async (batch, io) => {
+  const orders = await Order.find({
+    _id: { $in: batch.orderIds },
+    orderStatus: { $in: [...BATCHABLE_STATUSES, "pending_agent_acceptance", ...ON_BOARD_STATUSES] },
+    assignedAgent: batch.agentId,
+  })
+    .select("orderStatus restaurantId customerId deliveryLocation")
+    .lean();
+
+  const dropsDone = batch.stops.some((s) => s.type === "drop" && s.status === "done");
+
+  if (!orders.length) {
+    batch.status = dropsDone ? "completed" : "dissolved";
+    batch.completedAt = new Date();
+    await batch.save();
+    return batch;
+  }
+
+  // a single order left that was never part of a shared ride goes back to normal delivery
+  if (orders.length < 2 && !batch.stops.some((s) => s.status === "done")) {
+    batch.status = "dissolved";
+    await batch.save();
+    await Order.updateMany({ _id: { $in: orders.map((o) => o._id) } }, { batchId: null });
+    return batch;
+  }
+
+  const agent = await Agent.findById(batch.agentId).select("location");
+  const settings = await getDispatchSettings();
+  const points = await toRoutePoints(orders);
+  const start = hasCoords(agent?.location?.coordinates) ? agent.location.coordinates : points[0].pickup;
+  const plan = planRoute(start, points, settings.batching);
+
+  await applyPlan(batch, points, plan, io);
+  io?.to(`agent_${batch.agentId}`).emit("batchUpdated", { batchId: batch._id, stops: batch.stops });
+  return batch;
+};
+
+/**
+ * Takes an order out of its batch (agent rejected it or it was cancelled).
+ */
+exports.removeOrderFromBatch = async (orderId, { io } = {}) => {
+  const batch = await DeliveryBatch.findOne({ orderIds: orderId, status: "active" });
+  if (!batch) return null;
+
+  batch.orderIds = batch.orderIds.filter((id) => !id.equals(orderId));
+  batch.stops = batch.stops.filter((s) => !s.orderId.equals(orderId));
+  await Order.findByIdAndUpdate(orderId, { batchId: null });
+
+  return refreshBatch(batch, io);
+};
+
+/**
+ * Marks the stop for an order status change done and refreshes the ETAs of the
+ * remaining customers in the batch.
+ *
+ * @param {Object} order - Order after the status change.
+ */
+exports.recordBatchProgress = async (order, { io } = {}) => {
+  if (!order.batchId) return null;
+
+  const batch = await DeliveryBatch.findOne({ _id: order.batchId, status: "active" });
+  if (!batch) return null;
+
+  const type = order.orderStatus === "picked_up" ? "pickup" : order.orderStatus === "completed" ? "drop" : null;
+  if (!type) return batch;
+
+  const stop = batch.stops.find((s) => s.orderId.equals(order._id) && s.type === type);
+  if (stop) {
+    stop.status = "done";
+    stop.completedAt = new Date();
+  }
+
+  return refreshBatch(batch, io);
+};
+
+/**
+ * Active batch for an agent with its stop sequence.
+ */
+exports.getActiveBatch = async (agentId) => {
+  return DeliveryBatch.findOne({ agentId, status: "active" })
+    .populate("orderIds", "orderStatus customerId deliveryAddress estimatedDeliveryAt")
+    .populate("stops.restaurantId", "name address phone")
+    .lean();
+};
+
+exports.planRoute = planRoute;
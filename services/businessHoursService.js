@@ -0,0 +1,298 @@
+const Product = require("../models/productModel");
+const Category = require("../models/categoryModel");
+
+// index = Date#getDay()
+const DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const DEFAULT_TIMEZONE = "Asia/Kolkata";
+// how far ahead to look for the next opening
+const LOOKAHEAD_DAYS = 14;
+
+const hoursError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const TIME_PATTERN = /^([01]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+exports.isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const timeZoneOf = (restaurant) => restaurant.timezone || DEFAULT_TIMEZONE;
+
+/**
+ * Wall clock of `date` in a time zone.
+ *
+ * @returns {Object} - { day, year, month, dayOfMonth, minutes }; day is "monday"…, minutes since midnight.
+ */
+const localTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "long",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+
+  return {
+    day: parts.weekday.toLowerCase(),
+    year: Number(parts.year),
+    month: Number(parts.month),
+    dayOfMonth: Number(parts.day),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+// Instant at which the wall clock of `timeZone` shows the given date and time
+const zonedTimeToDate = (year, month, dayOfMonth, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, dayOfMonth, 0, minutes);
+  const offsetAt = (instant) => {
+    const local = localTime(new Date(instant), timeZone);
+    return Date.UTC(local.year, local.month - 1, local.dayOfMonth, 0, local.minutes) - instant;
+  };
+
+  // second pass in case the first guess lands across a DST change
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+};
+
+/**
+ * Opening hours per weekday: `businessHours` when set (days left out are
+ * closed), otherwise the same `openingHours` every day. Null when the
+ * restaurant has no hours, meaning it is always open.
+ */
+const weeklySchedule = (restaurant) => {
+  const businessHours = restaurant.businessHours instanceof Map
+    ? Object.fromEntries(restaurant.businessHours)
+    : restaurant.businessHours || {};
+  if (Object.keys(businessHours).length) return businessHours;
+
+  const { startTime, endTime } = restaurant.openingHours || {};
+  if (startTime && endTime) {
+    return Object.fromEntries(DAYS.map((day) => [day, { startTime, endTime }]));
+  }
+  return null;
+};
+
+const isOpenDay = (hours) => Boolean(hours && !hours.closed && hours.startTime && hours.endTime);
+
+// Whether a day's window covers `minutes` of that same day; an end before the start runs past midnight
+const coversSameDay = (hours, minutes) => {
+  if (!isOpenDay(hours)) return false;
+  const start = toMinutes(hours.startTime);
+  const end = toMinutes(hours.endTime);
+  if (start === end) return true;
+  return start < end ? minutes >= start && minutes < end : minutes >= start;
+};
+
+// Whether the previous day's window runs past midnight into `minutes`
+const coversFromDayBefore = (hours, minutes) =>
+  isOpenDay(hours) && toMinutes(hours.startTime) > toMinutes(hours.endTime) && minutes < toMinutes(hours.endTime);
+
+const previousDay = (day) => DAYS[(DAYS.indexOf(day) + 6) % 7];
+
+/**
+ * Whether a restaurant is open at `date`, from its holiday closures and its
+ * business hours in its own time zone.
+ *
+ * @returns {Object} - { open, reason, closure }; reason is "holiday" or "outside_hours" when closed.
+ */
+exports.isOpenAt = (restaurant, date = new Date()) => {
+  const closure = (restaurant.holidayClosures || []).find(
+    (h) => new Date(h.startsAt) <= date && date < new Date(h.endsAt)
+  );
+  if (closure) return { open: false, reason: "holiday", closure };
+
+  const schedule = weeklySchedule(restaurant);
+  if (!schedule) return { open: true, reason: null, closure: null };
+
+  const { day, minutes } = localTime(date, timeZoneOf(restaurant));
+  const open = coversSameDay(schedule[day], minutes) || coversFromDayBefore(schedule[previousDay(day)], minutes);
+  return open
+    ? { open: true, reason: null, closure: null }
+    : { open: false, reason: "outside_hours", closure: null };
+};
+
+// Opening times of the `days` calendar days starting with the one `from` falls on
+const openingTimesFrom = (restaurant, from, days) => {
+  const timeZone = timeZoneOf(restaurant);
+  const schedule = weeklySchedule(restaurant);
+  const start = localTime(from, timeZone);
+
+  const times = [];
+  for (let offset = 0; offset < days; offset++) {
+    const calendarDay = new Date(Date.UTC(start.year, start.month - 1, start.dayOfMonth + offset));
+    const hours = schedule ? schedule[DAYS[calendarDay.getUTCDay()]] : { startTime: "00:00", endTime: "00:00" };
+    if (!isOpenDay(hours)) continue;
+
+    times.push(zonedTimeToDate(
+      calendarDay.getUTCFullYear(),
+      calendarDay.getUTCMonth() + 1,
+      calendarDay.getUTCDate(),
+      toMinutes(hours.startTime),
+      timeZone
+    ));
+  }
+  return times;
+};
+
+/**
+ * Next time after `from` the restaurant opens, or null if it does not open
+ * within the next two weeks (or the end of a longer closure).
+ */
+exports.nextOpeningAt = (restaurant, from = new Date()) => {
+  const candidates = [
+    ...openingTimesFrom(restaurant, from, LOOKAHEAD_DAYS),
+    ...(restaurant.holidayClosures || []).flatMap((h) => {
+      const endsAt = new Date(h.endsAt);
+      return endsAt > from ? [endsAt, ...openingTimesFrom(restaurant, endsAt, 7)] : [];
+    }),
+  ];
+
+  return candidates
+    .filter((time) => time > from)
+    .sort((a, b) => a - b)
+    .find((time) => exports.isOpenAt(restaurant, time).open) || null;
+};
+
+/**
+ * Open/closed status of a restaurant as shown to customers.
+ *
+ * @returns {Object} - { open, reason, nextOpensAt, timezone, closure }
+ */
+exports.getRestaurantStatus = (restaurant, at = new Date()) => {
+  const { open, reason, closure } = exports.isOpenAt(restaurant, at);
+  return {
+    open,
+    reason,
+    nextOpensAt: open ? null : exports.nextOpeningAt(restaurant, at),
+    timezone: timeZoneOf(restaurant),
+    closure: closure ? { startsAt: closure.startsAt, endsAt: closure.endsAt, reason: closure.reason } : null,
+  };
+};
+
+// e.g. "Mon, 18 Aug, 9:00 am" on the restaurant's clock
+const formatLocal = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-IN", {
+    timeZone,
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  }).format(date);
+
+/**
+ * Whether availability windows allow `date`. No windows means always available.
+ *
+ * @param {Array} windows - [{ days: ["monday", ...] (empty = every day), startTime, endTime }]
+ */
+const windowsAllow = (windows, date, timeZone) => {
+  if (!windows?.length) return true;
+  const { day, minutes } = localTime(date, timeZone);
+  const onDay = (window, weekday) => !window.days?.length || window.days.includes(weekday);
+
+  return windows.some((window) =>
+    (onDay(window, day) && coversSameDay(window, minutes)) ||
+    (onDay(window, previousDay(day)) && coversFromDayBefore(window, minutes))
+  );
+};
+
+/**
+ * Validates availability windows sent by a merchant, as an array or a JSON
+ * string (multipart forms).
+ *
+ * @returns {Array} - [{ days, startTime, endTime }]
+ * @throws {Error} - 400 on an unknown day or a time not in HH:mm.
+ */
+exports.parseAvailabilityWindows = (value) => {
+  let windows = value;
+  if (typeof value === "string") {
+    try {
+      windows = JSON.parse(value);
+    } catch {
+      throw hoursError(400, "availabilityWindows must be a JSON array");
+    }
+  }
+  if (!Array.isArray(windows)) throw hoursError(400, "availabilityWindows must be an array");
+
+  return windows.map((window) => {
+    const days = (window?.days || []).map((d) => String(d).toLowerCase());
+    const unknown = days.find((d) => !DAYS.includes(d));
+    if (unknown) throw hoursError(400, `Invalid day: ${unknown}`);
+    if (!TIME_PATTERN.test(window?.startTime) || !TIME_PATTERN.test(window?.endTime)) {
+      throw hoursError(400, "Availability window times must be HH:mm");
+    }
+    return { days, startTime: window.startTime, endTime: window.endTime };
+  });
+};
+
+/**
+ * Whether a category is on the menu at `date`. Categories with autoOnOff
+ * follow their availability windows; the others only their active flag.
+ */
+exports.isCategoryAvailable = (category, restaurant, date = new Date()) =>
+  category.active !== false &&
+  (category.autoOnOff === false || windowsAllow(category.availabilityWindows, date, timeZoneOf(restaurant)));
+
+exports.isProductAvailable = (product, restaurant, date = new Date()) =>
+  product.active !== false && windowsAllow(product.availabilityWindows, date, timeZoneOf(restaurant));
+
+/**
+ * Checks an order can be placed for `at` (now, or the scheduled time): the
+ * restaurant must be open and every item and its category available.
+ *
+ * @param {Object} restaurant
+ * @param {Array} items - Cart lines with productId and name.
+ * @param {Date} [at]
+ * @throws {Error} - 409; when the restaurant is closed the error carries nextOpensAt.
+ */
+exports.assertCanOrder = async (restaurant, items, at = new Date()) => {
+  const timeZone = timeZoneOf(restaurant);
+  const status = exports.getRestaurantStatus(restaurant, at);
+
+  if (!status.open) {
+    const when = status.nextOpensAt ? `, opens ${formatLocal(status.nextOpensAt, timeZone)}` : "";
+    const error = hoursError(409, `${restaurant.name} is closed at that time${when}`);
+    error.nextOpensAt = status.nextOpensAt;
+    throw error;
+  }
+
+  const products = await Product.find({ _id: { $in: items.map((i) => i.productId) } })
+    .select("name categoryId active availabilityWindows")
+    .lean();
+  const categories = await Category.find({ _id: { $in: products.map((p) => p.categoryId) } })
+    .select("name active autoOnOff availabilityWindows")
+    .lean();
+
+  for (const product of products) {
+    const category = categories.find((c) => c._id.equals(product.categoryId));
+    const available = exports.isProductAvailable(product, restaurant, at) &&
+      (!category || exports.isCategoryAvailable(category, restaurant, at));
+    if (!available) {
+      throw hoursError(409, `${product.name} is not available at that time`);
+    }
+  }
+};
+
+exports.localTime = localTime;
+exports.DAYS = DAYS;
+exports.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
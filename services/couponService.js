@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const Coupon = require("../models/couponModel");
+const Order = require("../models/orderModel");
+
+const couponError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const countUses = (coupon, userId) =>
+  coupon.usersUsed.filter((id) => id.toString() === userId?.toString()).length;
+
+/**
+ * Looks up a coupon by code and checks every rule that applies to this order:
+ * active window, user and restaurant targeting, minimum order amount,
+ * per-user and global usage limits.
+ *
+ * @param {Object} params
+ * @param {String} params.code
+ * @param {String} params.userId
+ * @param {String} params.restaurantId
+ * @param {Number} params.orderAmount - Cart subtotal the coupon applies to.
+ * @returns {Object} - The Coupon document.
+ * @throws {Error} - statusCode 400 with the reason the coupon cannot be used.
+ */
+exports.findApplicableCoupon = async ({ code, userId, restaurantId, orderAmount }) => {
+  const now = new Date();
+
+  const coupon = await Coupon.findOne({
+    code: code.trim().toUpperCase(),
+    isActive: true,
+    validFrom: { $lte: now },
+    validTill: { $gte: now },
+  });
+
+  if (!coupon) throw couponError("Coupon is invalid or expired");
+
+  if (
+    coupon.targetUsers?.length &&
+    !coupon.targetUsers.some((id) => id.toString() === userId?.toString())
+  ) {
+    throw couponError("This coupon is not available for your account");
+  }
+
+  if (
+    coupon.targetRestaurants?.length &&
+    !coupon.targetRestaurants.some((id) => id.toString() === restaurantId?.toString())
+  ) {
+    throw couponError("This coupon is not valid for this restaurant");
+  }
+
+  if (coupon.minOrderAmount > orderAmount) {
+    throw couponError(`Minimum order amount not met (₹${coupon.minOrderAmount})`);
+  }
+
+  if (coupon.usageLimit > 0 && countUses(coupon, userId) >= coupon.usageLimit) {
+    throw couponError("Coupon already used by this user");
+  }
+
+  if (coupon.globalUsageLimit > 0 && coupon.usedCount >= coupon.globalUsageLimit) {
+    throw couponError("Coupon usage limit reached");
+  }
+
+  return coupon;
+};
+
+/**
+ * Discount a coupon gives on an order amount, capped by maxDiscount
+ * (percentage coupons) and never more than the amount itself.
+ */
+exports.calculateCouponDiscount = (coupon, orderAmount) => {
+  let discount = 0;
+
+  if (coupon.discountType === "percentage") {
+    discount = (orderAmount * coupon.discountValue) / 100;
+    if (coupon.maxDiscount > 0) discount = Math.min(discount, coupon.maxDiscount);
+  } else if (coupon.discountType === "fixed") {
+    discount = coupon.discountValue;
+  }
+
+  return Number(Math.min(discount, orderAmount).toFixed(2));
+};
+
+/**
+ * Records one use of a coupon by a user.
+ * The usage limits are re-checked inside the update itself, so two orders
+ * placed at the same time cannot both take the last use.
+ *
+ * @throws {Error} - statusCode 400 when a limit was reached in the meantime.
+ */
+exports.redeemCoupon = async ({ couponId, userId }) => {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $expr: {
+        $and: [
+          {
+            $or: [
+              { $lte: ["$globalUsageLimit", 0] },
+              { $lt: ["$usedCount", "$globalUsageLimit"] },
+            ],
+          },
+          {
+            $or: [
+              { $lte: ["$usageLimit", 0] },
+              {
+                $lt: [
+                  { $size: { $filter: { input: "$usersUsed", cond: { $eq: ["$$this", userObjectId] } } } },
+                  "$usageLimit",
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { usersUsed: userObjectId },
+    },
+    { new: true }
+  );
+
+  if (!redeemed) throw couponError("Coupon usage limit reached");
+  return redeemed;
+};
+
+/**
+ * Gives back one use of a coupon, e.g. when the order it was redeemed for
+ * could not be placed or was cancelled. One update, so it cannot interleave
+ * with a concurrent redeemCoupon; only one of the user's uses is removed.
+ */
+exports.releaseCoupon = async ({ couponId, userId }) => {
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  return Coupon.findOneAndUpdate(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    [
+      {
+        $set: {
+          usedCount: { $subtract: ["$usedCount", 1] },
+          usersUsed: {
+            $let: {
+              vars: { index: { $indexOfArray: ["$usersUsed", userObjectId] } },
+              in: {
+                $cond: [
+                  { $lt: ["$$index", 0] },
+                  "$usersUsed",
+                  {
+                    $map: {
+                      input: {
+                        $filter: {
+                          input: { $range: [0, { $size: "$usersUsed" }] },
+                          cond: { $ne: ["$$this", "$$index"] },
+                        },
+                      },
+                      in: { $arrayElemAt: ["$usersUsed", "$$this"] },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+};
+
+/**
+ * Gives back the coupon use of an order that was cancelled, rejected or never
+ * paid. Runs at most once per order.
+ *
+ * @returns {Object|null} - The coupon, or null if there was nothing to release.
+ */
+exports.releaseOrderCoupon = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, couponId: { $ne: null }, couponReleasedAt: null },
+    { couponReleasedAt: new Date() },
+    { new: true }
+  ).select("couponId customerId");
+  if (!order) return null;
+
+  return exports.releaseCoupon({ couponId: order.couponId, userId: order.customerId });
+};
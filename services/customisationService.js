@@ -0,0 +1,111 @@
+const customisationError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Identifies a product with its chosen variant and add-ons, so the same
+ * product customised differently makes separate cart lines.
+ */
+const customisationKey = (productId, variantId, optionIds = []) =>
+  [String(productId), variantId ? String(variantId) : "", [...optionIds].map(String).sort().join(",")].join("|");
+
+/**
+ * Validates a customer's choices against a product and prices them.
+ *
+ * A product with variants (`attributes`) needs exactly one available variant,
+ * whose price replaces the product price. Every add-on group's selection must
+ * respect its minSelect/maxSelect; chosen options add their price.
+ *
+ * @param {Object} product - Product document.
+ * @param {Object} [selection]
+ * @param {String} [selection.variantId] - _id of one of product.attributes.
+ * @param {Array} [selection.addOns] - [{ groupId, optionIds: [] }]
+ * @returns {Object} - { variant, addOns, unitPrice, customisationKey }
+ * @throws {Error} - 400 when a choice is missing, unknown, unavailable or breaks a group's limits.
+ */
+exports.resolveCustomisation = (product, { variantId, addOns = [] } = {}) => {
+  let variant = null;
+  if (product.attributes?.length) {
+    if (!variantId) throw customisationError(400, `Choose a variant of ${product.name}`);
+
+    const attribute = product.attributes.find((a) => sameId(a._id, variantId));
+    if (!attribute) throw customisationError(400, `Unknown variant for ${product.name}`);
+    if (!attribute.isAvailable) {
+      throw customisationError(400, `${product.name} (${attribute.name}) is not available`);
+    }
+    variant = { variantId: attribute._id, name: attribute.name, price: attribute.price };
+  } else if (variantId) {
+    throw customisationError(400, `${product.name} has no variants`);
+  }
+
+  if (!Array.isArray(addOns)) throw customisationError(400, "addOns must be an array");
+
+  const groups = product.addOnGroups || [];
+  const unknownGroup = addOns.find((s) => !groups.some((g) => sameId(g._id, s?.groupId)));
+  if (unknownGroup) throw customisationError(400, `Unknown add-on group for ${product.name}`);
+
+  const selectedAddOns = [];
+  for (const group of groups) {
+    const optionIds = addOns
+      .filter((s) => sameId(s.groupId, group._id))
+      .flatMap((s) => s.optionIds || []);
+
+    if (new Set(optionIds.map(String)).size !== optionIds.length) {
+      throw customisationError(400, `${group.name}: each option can be chosen once`);
+    }
+    if (optionIds.length < group.minSelect) {
+      throw customisationError(400, `${group.name}: choose at least ${group.minSelect}`);
+    }
+    if (optionIds.length > group.maxSelect) {
+      throw customisationError(400, `${group.name}: choose at most ${group.maxSelect}`);
+    }
+
+    for (const optionId of optionIds) {
+      const option = group.options.find((o) => sameId(o._id, optionId));
+      if (!option) throw customisationError(400, `${group.name}: unknown option`);
+      if (!option.isAvailable) throw customisationError(400, `${group.name}: ${option.name} is not available`);
+
+      selectedAddOns.push({
+        groupId: group._id,
+        groupName: group.name,
+        optionId: option._id,
+        name: option.name,
+        price: option.price,
+      });
+    }
+  }
+
+  const basePrice = variant ? variant.price : product.price;
+  const unitPrice = Number((basePrice + selectedAddOns.reduce((sum, a) => sum + a.price, 0)).toFixed(2));
+
+  return {
+    variant,
+    addOns: selectedAddOns,
+    unitPrice,
+    customisationKey: customisationKey(product._id, variant?.variantId, selectedAddOns.map((a) => a.optionId)),
+  };
+};
+
+/**
+ * Key of an existing cart line; lines saved before customisations existed
+ * count as the plain product.
+ */
+exports.lineKey = (line) => line.customisationKey || customisationKey(line.productId);
+
+/**
+ * One-line description of a line's choices for receipts and the kitchen,
+ * e.g. "Large; Crust: Thin; Toppings: Olives, Jalapeño".
+ */
+exports.describeCustomisation = ({ variant, addOns = [] }) => {
+  const groups = new Map();
+  addOns.forEach((a) => groups.set(a.groupName, [...(groups.get(a.groupName) || []), a.name]));
+
+  return [
+    ...(variant ? [variant.name] : []),
+    ...[...groups].map(([group, names]) => `${group}: ${names.join(", ")}`),
+  ].join("; ");
+};
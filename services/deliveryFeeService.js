@@ -0,0 +1,95 @@
+const DeliverySettings = require("../models/deliverySettings");
+const { deliveryFeeCalculator } = require("../utils/deliveryFeeCalculator");
+const { localTime, DEFAULT_TIMEZONE } = require("./businessHoursService");
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Returns the delivery settings that apply to a restaurant:
+ * its own override if it has one, otherwise the global document.
+ *
+ * @param {String} restaurantId
+ * @returns {Object|null} - DeliverySettings document, or null when nothing is configured.
+ */
+exports.getDeliverySettings = async (restaurantId) => {
+  if (restaurantId) {
+    const override = await DeliverySettings.findOne({ restaurantId }).lean();
+    if (override) return override;
+  }
+  return DeliverySettings.findOne({ restaurantId: null }).lean();
+};
+
+/**
+ * Whether `date` falls in one of the peak windows.
+ * Windows are "HH:mm" on the clock of `timeZone`; an end before the start wraps past midnight.
+ */
+exports.isPeakHour = (peakHours = [], date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  const now = localTime(date, timeZone).minutes;
+
+  return peakHours.some(({ start, end }) => {
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    return from <= to ? now >= from && now < to : now >= from || now < to;
+  });
+};
+
+/**
+ * Whether a zone's manual surge applies at `at`.
+ */
+exports.isZoneSurgeActive = (zone, at = new Date()) =>
+  Boolean(zone?.surge?.active && zone.surge.multiplier > 1 && (!zone.surge.until || zone.surge.until > at));
+
+/**
+ * Delivery fee for an order, priced from the restaurant's delivery settings,
+ * then the zone's fee overrides, then the global default. During peak hours
+ * or a zone surge the surge is returned as its own line so it can be shown
+ * separately in the bill.
+ *
+ * @param {Object} params
+ * @param {Number} params.distanceKm
+ * @param {Number} params.orderAmount - Subtotal used for the free delivery threshold.
+ * @param {String} params.restaurantId
+ * @param {Object} [params.zone] - Zone of the order.
+ * @param {Date} [params.at] - Time of the order, defaults to now.
+ * @param {String} [params.timezone] - Restaurant's time zone, which peak hours are read in.
+ * @returns {Object} - { deliveryFee, surgeCharge, surgeMultiplier, isPeakHour, zoneSurge }
+ */
+exports.calculateDeliveryCharges = async ({ distanceKm, orderAmount, restaurantId, zone = null, at = new Date(), timezone }) => {
+  let settings = await exports.getDeliverySettings(restaurantId);
+
+  // a restaurant's own settings win over its zone's
+  if (zone?.deliveryFee && !settings?.restaurantId) {
+    const zoneFees = Object.fromEntries(
+      Object.entries(zone.deliveryFee).filter(([, value]) => value != null)
+    );
+    settings = { ...settings, ...zoneFees };
+  }
+
+  // packaging is billed (and taxed) separately by the order cost calculator
+  const pricing = {
+    distanceKm,
+    orderAmount,
+    packagingFee: 0,
+    ...(settings?.baseCharge != null && { baseFee: settings.baseCharge }),
+    ...(settings?.perKmCharge != null && { perKmRate: settings.perKmCharge }),
+    ...(settings?.freeDeliveryAbove != null && { freeDeliveryMin: settings.freeDeliveryAbove }),
+  };
+
+  const deliveryFee = deliveryFeeCalculator(pricing);
+
+  const peak = exports.isPeakHour(settings?.peakHours, at, timezone);
+  const zoneSurge = exports.isZoneSurgeActive(zone, at);
+  const surgeMultiplier = Math.max(
+    peak ? settings?.surgeMultiplier || 1 : 1,
+    zoneSurge ? zone.surge.multiplier : 1
+  );
+
+  const surgeCharge = surgeMultiplier > 1
+    ? Number((deliveryFeeCalculator({ ...pricing, surgeMultiplier }) - deliveryFee).toFixed(2))
+    : 0;
+
+  return { deliveryFee, surgeCharge, surgeMultiplier, isPeakHour: peak, zoneSurge };
+};
@@ -0,0 +1,104 @@
+const Agent = require("../models/agentModel");
+const Order = require("../models/orderModel");
+const otpGenerator = require("../utils/otpGenerator");
+const { uploadOnCloudinary } = require("../utils/cloudinary");
+const { getDeliverySettings } = require("./deliveryFeeService");
+
+const OTP_LENGTH = 4;
+const MAX_OTP_ATTEMPTS = 5;
+
+// Proof fields safe to show to admins and in disputes (never the OTP itself)
+exports.DELIVERY_PROOF_FIELDS =
+  "deliveryMode deliveryProof.method deliveryProof.otpRequired deliveryProof.otpVerifiedAt deliveryProof.photoUrl deliveryProof.location deliveryProof.submittedAt";
+
+const proofError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Delivery proof for a new order: an OTP when the restaurant's (or global)
+ * delivery settings require one.
+ *
+ * @returns {Object} - Value for order.deliveryProof.
+ */
+exports.createDeliveryProof = async (restaurantId) => {
+  const settings = await getDeliverySettings(restaurantId);
+  if (!settings?.deliveryOtpEnabled) return { otpRequired: false };
+
+  return { otpRequired: true, otp: otpGenerator(OTP_LENGTH) };
+};
+
+/**
+ * Checks the proof an agent submits to complete an order. no_contact orders
+ * need a doorstep photo instead of the OTP; other orders need the OTP when
+ * one was generated.
+ *
+ * @param {Object} params
+ * @param {String} params.orderId
+ * @param {String} params.agentId
+ * @param {String} [params.otp]
+ * @param {Object} [params.file] - Multer file of the doorstep photo.
+ * @returns {Object} - Update to apply with the completed transition.
+ * @throws {Error} - 400 for missing or wrong proof, 429 after too many wrong OTPs.
+ */
+exports.verifyDeliveryProof = async ({ orderId, agentId, otp, file }) => {
+  const order = await Order.findById(orderId).select("+deliveryProof.otp");
+  if (!order) throw proofError(404, "Order not found");
+
+  const proof = order.deliveryProof || {};
+  const update = {};
+
+  if (order.deliveryMode === "no_contact") {
+    if (!file) throw proofError(400, "A doorstep photo is required for no-contact delivery");
+
+    const uploaded = await uploadOnCloudinary(file.path, "orado_delivery_proofs");
+    if (!uploaded) throw proofError(500, "Failed to upload delivery photo");
+
+    update["deliveryProof.method"] = "photo";
+    update["deliveryProof.photoUrl"] = uploaded.secure_url;
+  } else if (proof.otpRequired) {
+    if (proof.otpAttempts >= MAX_OTP_ATTEMPTS) {
+      throw proofError(429, "Too many wrong OTPs, please contact support");
+    }
+    if (!otp) throw proofError(400, "Delivery OTP is required");
+
+    if (String(otp).trim() !== proof.otp) {
+      await Order.updateOne({ _id: order._id }, { $inc: { "deliveryProof.otpAttempts": 1 } });
+      throw proofError(400, "Invalid delivery OTP");
+    }
+
+    update["deliveryProof.method"] = "otp";
+    update["deliveryProof.otpVerifiedAt"] = new Date();
+  } else {
+    return update;
+  }
+
+  const agent = await Agent.findById(agentId).select("location").lean();
+  if (agent?.location?.coordinates?.length === 2) {
+    update["deliveryProof.location"] = agent.location.coordinates;
+  }
+  update["deliveryProof.submittedAt"] = new Date();
+
+  return update;
+};
+
+/**
+ * The delivery OTP of an order, for its customer.
+ *
+ * @returns {Object} - { otpRequired, otp }
+ */
+exports.getDeliveryOtp = async (orderId, customerId) => {
+  const order = await Order.findById(orderId).select("+deliveryProof.otp");
+  if (!order) throw proofError(404, "Order not found");
+  if (order.customerId?.toString() !== customerId.toString()) {
+    throw proofError(403, "Unauthorized access to this order");
+  }
+
+  const { otpRequired, otp, otpVerifiedAt } = order.deliveryProof || {};
+  return {
+    otpRequired: Boolean(otpRequired),
+    otp: otpRequired && !otpVerifiedAt && order.orderStatus !== "completed" ? otp : null,
+  };
+};
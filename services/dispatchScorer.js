@@ -0,0 +1,99 @@
+const DispatchSettings = require("../models/dispatchSettingsModel");
+const { haversineDistance } = require("../utils/distanceCalculator");
+
+const FACTORS = ["distance", "load", "rating", "codHeadroom", "acceptanceRate", "idleTime"];
+
+// Used for agents without reviews yet, so new agents are not ranked last
+const NEUTRAL_RATING = 4;
+// Idle time stops counting after this long
+const MAX_IDLE_MINUTES = 60;
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1);
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+/**
+ * Dispatch settings, falling back to the schema defaults when none are saved.
+ */
+exports.getDispatchSettings = async () => {
+  const settings = await DispatchSettings.findOne().lean();
+  return settings || new DispatchSettings().toObject();
+};
+
+/**
+ * Scores one candidate agent for an order. Every factor is normalised to 0–1
+ * (higher is better) and combined as a weighted average.
+ *
+ * @param {Object} agent - Agent document.
+ * @param {Object} context
+ * @param {Array} context.pickupCoords - [lng, lat] of the restaurant.
+ * @param {Object} context.order - { paymentMethod, totalAmount }
+ * @param {Object} context.settings - Dispatch settings (weights, searchRadiusMeters).
+ * @param {Date} [context.now]
+ * @returns {Object} - Candidate summary with per-factor scores and totalScore.
+ */
+exports.scoreAgent = (agent, { pickupCoords, order, settings, now = new Date() }) => {
+  const radiusKm = settings.searchRadiusMeters / 1000;
+  const distanceKm = haversineDistance(agent.location.coordinates, pickupCoords);
+
+  const currentOrderCount = agent.deliveryStatus?.currentOrderCount || 0;
+  const maxActiveOrders = agent.permissions?.maxActiveOrders || 0;
+
+  const reviews = agent.feedback?.totalReviews || 0;
+  const rating = reviews > 0 ? agent.feedback.averageRating : NEUTRAL_RATING;
+
+  const maxCOD = agent.permissions?.maxCODAmount || 0;
+  const holding = agent.codTracking?.currentCODHolding || 0;
+  const incomingCOD = order.paymentMethod === "cash" ? order.totalAmount : 0;
+  const codHeadroom = Math.max(maxCOD - holding - incomingCOD, 0);
+
+  // smoothed so a single rejection does not sink a new agent
+  const { offered = 0, accepted = 0, lastAssignedAt = null } = agent.dispatchStats || {};
+  const acceptanceRate = (accepted + 1) / (offered + 1);
+
+  const idleMinutes = lastAssignedAt
+    ? (now - new Date(lastAssignedAt)) / 60000
+    : MAX_IDLE_MINUTES;
+
+  const scores = {
+    distance: clamp(1 - distanceKm / radiusKm),
+    load: maxActiveOrders > 0
+      ? clamp(1 - currentOrderCount / maxActiveOrders)
+      : 1 / (1 + currentOrderCount),
+    rating: clamp(rating / 5),
+    codHeadroom: maxCOD > 0 ? clamp(codHeadroom / maxCOD) : 0,
+    acceptanceRate: clamp(acceptanceRate),
+    idleTime: clamp(idleMinutes / MAX_IDLE_MINUTES),
+  };
+
+  const weights = settings.weights || {};
+  const totalWeight = FACTORS.reduce((sum, f) => sum + (weights[f] || 0), 0);
+  const totalScore = totalWeight > 0
+    ? FACTORS.reduce((sum, f) => sum + scores[f] * (weights[f] || 0), 0) / totalWeight
+    : scores.distance;
+
+  Object.keys(scores).forEach((f) => (scores[f] = round(scores[f])));
+
+  return {
+    agentId: agent._id,
+    fullName: agent.fullName,
+    distanceKm: round(distanceKm, 3),
+    currentOrderCount,
+    rating,
+    codHeadroom: round(codHeadroom, 2),
+    acceptanceRate: round(acceptanceRate),
+    idleMinutes: round(Math.min(idleMinutes, MAX_IDLE_MINUTES), 1),
+    scores,
+    totalScore: round(totalScore),
+  };
+};
+
+/**
+ * Scores and sorts candidates, best first. Ties go to the closer agent.
+ */
+exports.rankAgents = (agents, context) => {
+  return agents
+    .map((agent) => exports.scoreAgent(agent, context))
+    .sort((a, b) => b.totalScore - a.totalScore || a.distanceKm - b.distanceKm);
+};
+
+exports.FACTORS = FACTORS;
@@ -1,9 +1,24 @@
 const AgentEarning = require("../models/AgentEarningModel")
+const Agent = require("../models/agentModel")
 const Order =  require("../models/orderModel")
 const RestaurantEarning = require("../models/RestaurantEarningModel")
 const Product = require("../models/productModel")
 
 
+/**
+ * Keep the agent's running payout totals in step with the earnings ledger.
+ */
+const trackAgentPayout = (agentId, type, amount) => {
+  return Agent.findByIdAndUpdate(agentId, {
+    $inc: {
+      'payoutDetails.totalEarnings': amount,
+      'payoutDetails.pendingPayout': amount,
+      ...(type === 'tip' && { 'payoutDetails.tips': amount }),
+      ...(type === 'incentive' && { 'payoutDetails.incentives': amount }),
+    }
+  });
+};
+
 exports.addAgentEarnings = async ({ agentId, orderId, amount, type, remarks = null }) => {
   try {
     // Check if earning already exists to avoid duplicate
@@ -22,6 +37,7 @@ exports.addAgentEarnings = async ({ agentId, orderId, amount, type, remarks = nu
     });
 
     await earning.save();
+    await trackAgentPayout(agentId, type, amount);
     return earning;
   } catch (error) {
     throw new Error('Error adding agent earning: ' + error.message);
@@ -30,6 +46,16 @@ exports.addAgentEarnings = async ({ agentId, orderId, amount, type, remarks = nu
 
 
 
+/**
+ * Credit an incentive to an agent (not tied to an order). Callers make sure
+ * the same reward is not credited twice.
+ */
+exports.addIncentiveEarning = async ({ agentId, amount, remarks = null }) => {
+  const earning = await AgentEarning.create({ agentId, amount, type: 'incentive', remarks });
+  await trackAgentPayout(agentId, 'incentive', amount);
+  return earning;
+};
+
 /**
  * Add restaurant earnings after order is completed
  */
@@ -70,3 +96,63 @@ exports.addRestaurantEarnings = async (orderId) => {
 
   return earningRecord;
 };
+
+
+/**
+ * Charge part of a customer refund back to the restaurant.
+ * Stored as a negative earning so it nets out of the next payout.
+ */
+exports.addRestaurantRefundAdjustment = async ({ restaurantId, orderId, amount, remarks = null }) => {
+  const adjustment = new RestaurantEarning({
+    restaurantId,
+    orderId,
+    type: 'refund_adjustment',
+    totalOrderAmount: -Math.abs(amount),
+    revenueShareAmount: 0,
+    revenueShareType: 'fixed',
+    revenueShareValue: 0,
+    remarks,
+    payoutStatus: 'pending'
+  });
+
+  await adjustment.save();
+  return adjustment;
+};
+
+/**
+ * Penalise a restaurant (e.g. repeated cancellations, hygiene complaints).
+ * Stored as a negative earning so it nets out of the next payout.
+ */
+exports.addRestaurantPenalty = async ({ restaurantId, orderId = null, amount, remarks = null }) => {
+  const penalty = new RestaurantEarning({
+    restaurantId,
+    orderId,
+    type: 'penalty',
+    totalOrderAmount: -Math.abs(amount),
+    revenueShareAmount: 0,
+    revenueShareType: 'fixed',
+    revenueShareValue: 0,
+    remarks,
+    payoutStatus: 'pending'
+  });
+
+  await penalty.save();
+  return penalty;
+};
+
+/**
+ * Charge part of a customer refund back to the delivery agent as a penalty.
+ */
+exports.addAgentPenalty = async ({ agentId, orderId, amount, remarks = null }) => {
+  const penalty = new AgentEarning({
+    agentId,
+    orderId,
+    amount: -Math.abs(amount),
+    type: 'penalty',
+    remarks
+  });
+
+  await penalty.save();
+  await trackAgentPayout(agentId, 'penalty', penalty.amount);
+  return penalty;
+};
@@ -1,61 +1,32 @@
   const Agent = require("../models/agentModel");
   const Order = require("../models/orderModel")
+  const Restaurant = require("../models/restaurantModel");
+  const DispatchLog = require("../models/dispatchLogModel");
   const { sendPushNotification } = require("../utils/sendPushNotification"); // Adjust path as needed
-
-  /**
-   * Finds the nearest available agent within a specified distance
-   * and assigns them to an order.
-   * 
-   * @param {String} orderId - The ID of the order to assign.
-   * @param {Object} deliveryLocation - { longitude, latitude } of the order delivery point.
-   * @param {Number} maxDistance - Maximum distance in meters to look for an agent (default 5000m).
-   * @returns {Object|null} - The assigned agent document or null if no agent found.
-   */
-exports.findAndAssignNearestAgent = async (orderId, deliveryLocation, maxDistance = 5000) => {
-  try {
-    const { longitude, latitude } = deliveryLocation;
-
-    const order = await Order.findById(orderId)
-      .select("paymentMethod totalAmount rejectionHistory");
-
-    if (!order) throw new Error("Order not found");
-
-    const rejectedAgentIds = order.rejectionHistory?.map(r => r.agentId) || [];
-
-    const agentQuery = {
-      _id: { $nin: rejectedAgentIds },
-      availabilityStatus: "Available",
-      $and: [
-        {
-          $or: [
-            { "permissions.canAcceptOrRejectOrders": false },
-            {
-              "permissions.canAcceptOrRejectOrders": true,
-              "deliveryStatus.status": { $ne: "In Progress" }
-            }
-          ]
-        },
-        {
-          $or: [
-            { "permissions.maxActiveOrders": 0 },
-            {
-              $expr: {
-                $lt: ["$deliveryStatus.currentOrderCount", "$permissions.maxActiveOrders"]
-              }
+  const { transitionOrder } = require("./orderLifecycle");
+  const { withinCODLimitCondition } = require("./agentPayoutService");
+  const { getDispatchSettings, rankAgents } = require("./dispatchScorer");
+  const { getZone } = require("./zoneService");
+
+  // Conditions an agent must still meet at the moment they are given an order
+  const capacityConditions = (order) => {
+    const conditions = [
+      {
+        $or: [
+          { "permissions.maxActiveOrders": 0 },
+          {
+            $expr: {
+              $lt: ["$deliveryStatus.currentOrderCount", "$permissions.maxActiveOrders"]
             }
-          ]
-        }
-      ],
-      location: {
-        $near: {
-          $geometry: { type: "Point", coordinates: [longitude, latitude] },
-          $maxDistance: maxDistance
-        }
-      }
-    };
+          }
+        ]
+      },
+      // agents over their COD limit must remit before taking any order
+      withinCODLimitCondition()
+    ];
 
     if (order.paymentMethod === "cash") {
-      agentQuery.$and.push({
+      conditions.push({
         $expr: {
           $lt: [
             { $add: ["$codTracking.currentCODHolding", order.totalAmount] },
@@ -65,42 +36,151 @@ exports.findAndAssignNearestAgent = async (orderId, deliveryLocation, maxDistanc
       });
     }
 
-    const nearbyAgent = await Agent.findOne(agentQuery);
+    return conditions;
+  };
 
-    if (nearbyAgent) {
-      let orderStatusUpdate;
-      let agentStatusUpdate;
-
-      if (nearbyAgent.permissions.canAcceptOrRejectOrders) {
-        orderStatusUpdate = "pending_agent_acceptance";
-        agentStatusUpdate = "Pending Acceptance";
-      } else {
-        orderStatusUpdate = "assigned_to_agent";
-        agentStatusUpdate = "Assigned";
+  /**
+   * Ranks the available agents around the restaurant for an order.
+   *
+   * Candidates near the pickup point are ranked by the dispatch scorer
+   * (distance, load, rating, COD headroom, acceptance rate, idle time).
+   * Agents who already rejected the order are left out.
+   *
+   * @param {Object} order - Order with paymentMethod, totalAmount, rejectionHistory and restaurantId.
+   * @param {Object} deliveryLocation - { longitude, latitude }, only used if the restaurant has no location.
+   * @param {Number} [maxDistance] - Search radius in meters, defaults to the restaurant's zone, then the dispatch settings.
+   * @returns {Object} - { agents, ranked, settings, pickupCoords, searchRadiusMeters, city }
+   */
+exports.findDispatchCandidates = async (order, deliveryLocation, maxDistance) => {
+  const settings = await getDispatchSettings();
+
+  const restaurant = await Restaurant.findById(order.restaurantId).select("location address.city zoneId");
+  const zone = await getZone(restaurant?.zoneId);
+  const searchRadiusMeters = maxDistance || zone?.dispatch?.searchRadiusMeters || settings.searchRadiusMeters;
+  const restaurantCoords = restaurant?.location?.coordinates;
+  const pickupCoords = restaurantCoords && (restaurantCoords[0] || restaurantCoords[1])
+    ? restaurantCoords
+    : [deliveryLocation.longitude, deliveryLocation.latitude];
+
+  const rejectedAgentIds = order.rejectionHistory?.map(r => r.agentId) || [];
+
+  const agentQuery = {
+    _id: { $nin: rejectedAgentIds },
+    availabilityStatus: "Available",
+    $and: [
+      {
+        $or: [
+          { "permissions.canAcceptOrRejectOrders": false },
+          {
+            "permissions.canAcceptOrRejectOrders": true,
+            "deliveryStatus.status": { $ne: "In Progress" }
+          }
+        ]
+      },
+      ...capacityConditions(order)
+    ],
+    location: {
+      $near: {
+        $geometry: { type: "Point", coordinates: pickupCoords },
+        $maxDistance: searchRadiusMeters
       }
+    }
+  };
 
-      // Update Order
-      await Order.findByIdAndUpdate(orderId, {
-        assignedAgent: nearbyAgent._id,
-        orderStatus: orderStatusUpdate,
-      });
+  const agents = await Agent.find(agentQuery).limit(settings.maxCandidates);
+  const ranked = rankAgents(agents, {
+    pickupCoords,
+    order,
+    settings: { ...settings, searchRadiusMeters },
+  });
 
-      // Update Agent
-      const agentUpdate = {
-        $inc: {
-          "deliveryStatus.currentOrderCount": 1,
-          ...(order.paymentMethod === "cash" && {
-            "codTracking.currentCODHolding": order.totalAmount,
-          }),
-        },
-        "deliveryStatus.status": agentStatusUpdate,
-        $addToSet: {
-          "deliveryStatus.currentOrderIds": orderId, // <-- add to array without duplicates
+  return { agents, ranked, settings, pickupCoords, searchRadiusMeters, city: restaurant?.address?.city };
+};
+
+exports.capacityConditions = capacityConditions;
+
+  /**
+   * Finds the best available agent around the restaurant and assigns them to an order.
+   *
+   * Candidates come from findDispatchCandidates and the decision is written to DispatchLog.
+   *
+   * @param {String} orderId - The ID of the order to assign.
+   * @param {Object} deliveryLocation - { longitude, latitude }, only used if the restaurant has no location.
+   * @param {Number} [maxDistance] - Search radius in meters, defaults to the dispatch settings.
+   * @returns {Object|null} - The assigned agent document or null if no agent found.
+   */
+exports.findAndAssignNearestAgent = async (orderId, deliveryLocation, maxDistance) => {
+  let log;
+  try {
+    const order = await Order.findById(orderId)
+      .select("paymentMethod totalAmount rejectionHistory orderStatus restaurantId");
+
+    if (!order) throw new Error("Order not found");
+
+    const { agents, ranked, settings, pickupCoords, searchRadiusMeters } =
+      await exports.findDispatchCandidates(order, deliveryLocation, maxDistance);
+
+    log = new DispatchLog({
+      orderId: order._id,
+      pickupLocation: { type: "Point", coordinates: pickupCoords },
+      searchRadiusMeters,
+      weights: settings.weights,
+      candidates: ranked,
+      outcome: "no_candidates",
+    });
+
+    // Take the best agent that still has capacity; another order may have
+    // claimed the last slot of a higher ranked agent in the meantime
+    let nearbyAgent = null;
+    for (const candidate of ranked) {
+      const agent = agents.find((a) => a._id.equals(candidate.agentId));
+      const acceptanceRequired = agent.permissions.canAcceptOrRejectOrders;
+
+      nearbyAgent = await Agent.findOneAndUpdate(
+        { _id: agent._id, $and: capacityConditions(order) },
+        {
+          // COD is added to the holding when the cash is collected on delivery
+          $inc: {
+            "deliveryStatus.currentOrderCount": 1,
+            "dispatchStats.offered": 1,
+            ...(!acceptanceRequired && { "dispatchStats.accepted": 1 }),
+          },
+          "deliveryStatus.status": acceptanceRequired ? "Pending Acceptance" : "Assigned",
+          "dispatchStats.lastAssignedAt": new Date(),
+          $addToSet: {
+            "deliveryStatus.currentOrderIds": orderId, // <-- add to array without duplicates
+          },
         },
-      };
+        { new: true }
+      );
 
+      if (nearbyAgent) break;
+    }
 
-      await Agent.findByIdAndUpdate(nearbyAgent._id, agentUpdate);
+    if (nearbyAgent) {
+      const orderStatusUpdate = nearbyAgent.permissions.canAcceptOrRejectOrders
+        ? "pending_agent_acceptance"
+        : "assigned_to_agent";
+
+      // Update Order
+      try {
+        await transitionOrder(order, orderStatusUpdate, {
+          role: "system",
+          reason: `Auto-assigned to agent ${nearbyAgent.fullName}`,
+          update: { assignedAgent: nearbyAgent._id, dispatchMode: "sequential" },
+        });
+      } catch (err) {
+        // give the slot back if the order moved on meanwhile
+        await Agent.findByIdAndUpdate(nearbyAgent._id, {
+          $inc: { "deliveryStatus.currentOrderCount": -1 },
+          $pull: { "deliveryStatus.currentOrderIds": orderId },
+        });
+        throw err;
+      }
+
+      log.selectedAgentId = nearbyAgent._id;
+      log.outcome = "assigned";
+      await log.save();
 
       // ✅ Send FCM Notification
       const title = "New Order Assigned";
@@ -110,9 +190,15 @@ exports.findAndAssignNearestAgent = async (orderId, deliveryLocation, maxDistanc
       return nearbyAgent;
     }
 
+    await log.save();
     return null;
   } catch (error) {
     console.error("Error in findAndAssignNearestAgent:", error);
+    if (log && log.isNew) {
+      log.outcome = "failed";
+      log.error = error.message;
+      await log.save().catch(() => {});
+    }
     throw error;
   }
-};
\ No newline at end of file
+};
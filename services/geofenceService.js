@@ -0,0 +1,203 @@
+const Agent = require("../models/agentModel");
+const Order = require("../models/orderModel");
+const Restaurant = require("../models/restaurantModel");
+const TrackingFlag = require("../models/trackingFlagModel");
+const { haversineDistance } = require("../utils/distanceCalculator");
+const notifyAdmins = require("../utils/notifyAdmins");
+const { transitionOrder } = require("./orderLifecycle");
+const { getDispatchSettings } = require("./dispatchScorer");
+
+const PRE_PICKUP_STATUSES = ["assigned_to_agent", "preparing", "ready"];
+// smaller moves are GPS jitter, not jumps
+const JUMP_MIN_DISTANCE_KM = 0.5;
+
+const metersBetween = (a, b) => Math.round(haversineDistance(a, b) * 1000);
+
+// Records the first time a geofence is crossed; false if it already was
+const markCrossing = async (orderId, field) => {
+  const result = await Order.updateOne(
+    { _id: orderId, [`geofence.${field}`]: null },
+    { [`geofence.${field}`]: new Date() }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Applies the status on the agent's behalf (auto mode) or prompts the agent (suggest mode)
+const applyOrSuggest = async ({ order, agentId, status, reason, mode, io }) => {
+  if (mode !== "auto") {
+    io?.to(`agent_${agentId}`).emit("geofenceSuggestion", { orderId: order._id, suggestedStatus: status, reason });
+    return { orderId: order._id, status, applied: false };
+  }
+
+  try {
+    const updated = await transitionOrder(order._id, status, {
+      role: "agent",
+      actorId: agentId,
+      reason: `Geofence: ${reason}`,
+    });
+
+    io?.to(`user_${updated.customerId}`)
+      .to(`restaurant_${updated.restaurantId}`)
+      .to(`agent_${agentId}`)
+      .emit("orderStatus", { message: "Order status updated", order: updated });
+
+    return { orderId: order._id, status, applied: true };
+  } catch (err) {
+    // the agent changed the status themselves meanwhile
+    if ([400, 403, 409].includes(err.statusCode)) return null;
+    throw err;
+  }
+};
+
+/**
+ * Checks an agent's new position against the restaurant and customer geofences
+ * of an order. Each geofence acts once per order:
+ * - entering the restaurant radius prompts the agent to confirm pickup
+ *   (handing over food is never applied automatically),
+ * - leaving it after pickup moves the order to in_progress,
+ * - entering the customer radius moves it to arrived.
+ * In "suggest" mode the last two are only sent to the agent as suggestions.
+ *
+ * @returns {Array} - [{ orderId, status, applied }]
+ */
+exports.evaluateGeofences = async ({ order, agentId, coordinates, io, settings }) => {
+  const geofence = (settings || (await getDispatchSettings())).geofence;
+  if (!geofence || geofence.mode === "off") return [];
+
+  const events = [];
+  const restaurant = await Restaurant.findById(order.restaurantId).select("location").lean();
+  const pickup = restaurant?.location?.coordinates;
+  const drop = order.deliveryLocation?.coordinates;
+
+  if (pickup) {
+    const toRestaurant = metersBetween(coordinates, pickup);
+
+    if (
+      PRE_PICKUP_STATUSES.includes(order.orderStatus) &&
+      toRestaurant <= geofence.restaurantRadiusMeters &&
+      (await markCrossing(order._id, "restaurantEnteredAt"))
+    ) {
+      io?.to(`agent_${agentId}`).emit("geofenceSuggestion", {
+        orderId: order._id,
+        suggestedStatus: "picked_up",
+        reason: "Arrived at the restaurant",
+      });
+      io?.to(`restaurant_${order.restaurantId}`).emit("agentArrived", { orderId: order._id, agentId });
+      events.push({ orderId: order._id, status: "picked_up", applied: false });
+    }
+
+    if (
+      order.orderStatus === "picked_up" &&
+      toRestaurant > geofence.restaurantRadiusMeters &&
+      (await markCrossing(order._id, "restaurantLeftAt"))
+    ) {
+      const event = await applyOrSuggest({
+        order,
+        agentId,
+        status: "in_progress",
+        reason: "left the restaurant",
+        mode: geofence.mode,
+        io,
+      });
+      if (event) events.push(event);
+    }
+  }
+
+  if (
+    drop &&
+    ["picked_up", "in_progress"].includes(order.orderStatus) &&
+    metersBetween(coordinates, drop) <= geofence.customerRadiusMeters &&
+    (await markCrossing(order._id, "customerEnteredAt"))
+  ) {
+    const event = await applyOrSuggest({
+      order,
+      agentId,
+      status: "arrived",
+      reason: "reached the customer",
+      mode: geofence.mode,
+      io,
+    });
+    if (event?.applied) {
+      io?.to(`user_${order.customerId}`).emit("agentArrived", { orderId: order._id, agentId });
+    }
+    if (event) events.push(event);
+  }
+
+  return events;
+};
+
+/**
+ * Flags a move between two pings that would need an implausible speed.
+ *
+ * @param {Object} last - Previous LocationPing.
+ * @returns {Object|null} - The TrackingFlag, if one was raised.
+ */
+exports.checkLocationJump = async ({ orderId, agentId, last, coordinates, now, settings }) => {
+  const geofence = (settings || (await getDispatchSettings())).geofence;
+  if (!geofence) return null;
+
+  const km = haversineDistance(last.location.coordinates, coordinates);
+  const hours = (now - last.recordedAt) / 3600000;
+  if (km < JUMP_MIN_DISTANCE_KM || hours <= 0) return null;
+
+  const speedKmph = km / hours;
+  if (speedKmph <= geofence.maxPlausibleSpeedKmph) return null;
+
+  return TrackingFlag.create({
+    orderId,
+    agentId,
+    type: "location_jump",
+    distanceMeters: Math.round(km * 1000),
+    speedKmph: Math.round(speedKmph),
+    location: { type: "Point", coordinates },
+  });
+};
+
+/**
+ * Flags a status the agent set far away from where it happens: picked_up away
+ * from the restaurant, arrived/completed away from the drop point. The status
+ * change itself stands; admins review the flag.
+ *
+ * @returns {Object|null} - The TrackingFlag, if one was raised.
+ */
+exports.checkStatusPlausibility = async ({ order, agentId, status, io }) => {
+  const { geofence } = await getDispatchSettings();
+  if (!geofence) return null;
+
+  let target;
+  let targetName;
+  if (status === "picked_up") {
+    const restaurant = await Restaurant.findById(order.restaurantId).select("location").lean();
+    target = restaurant?.location?.coordinates;
+    targetName = "restaurant";
+  } else if (["arrived", "completed"].includes(status)) {
+    target = order.deliveryLocation?.coordinates;
+    targetName = "drop point";
+  }
+  if (!target) return null;
+
+  const agent = await Agent.findById(agentId).select("location").lean();
+  const position = agent?.location?.coordinates;
+  if (!position || (!position[0] && !position[1])) return null;
+
+  const distanceMeters = metersBetween(position, target);
+  if (distanceMeters <= geofence.statusToleranceMeters) return null;
+
+  const flag = await TrackingFlag.create({
+    orderId: order._id,
+    agentId,
+    type: "status_far_from_target",
+    status,
+    distanceMeters,
+    location: { type: "Point", coordinates: position },
+  });
+
+  await notifyAdmins({
+    io,
+    title: "Order status flagged",
+    message: `Order marked ${status} ${(distanceMeters / 1000).toFixed(1)} km from the ${targetName}`,
+    metadata: { flagId: flag._id, orderId: order._id, agentId },
+  });
+
+  return flag;
+};
@@ -0,0 +1,252 @@
+const Agent = require("../models/agentModel");
+const Order = require("../models/orderModel");
+const Restaurant = require("../models/restaurantModel");
+const IncentivePlan = require("../models/incentivePlanModel");
+const IncentiveProgress = require("../models/incentiveProgressModel");
+const { addIncentiveEarning } = require("./earningService");
+const { getDeliverySettings, isPeakHour } = require("./deliveryFeeService");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+
+const METRICS = ["deliveries", "peak_hour_deliveries", "average_rating", "distance_km"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// a finished period is evaluated once more, for deliveries completed after the last run
+const GRACE_MS = DAY_MS;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const emptyMetrics = () => Object.fromEntries(METRICS.map((metric) => [metric, 0]));
+
+/**
+ * The plan period containing `at`: the day, the week (from Monday, server
+ * time) or the whole plan, clipped to the plan's dates.
+ *
+ * @returns {Object} - { periodStart, periodEnd }
+ */
+const periodFor = (plan, at) => {
+  let start = new Date(plan.startDate);
+  let end = new Date(plan.endDate);
+
+  if (plan.period === "daily" || plan.period === "weekly") {
+    start = new Date(at);
+    start.setHours(0, 0, 0, 0);
+    if (plan.period === "weekly") start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    end = new Date(start);
+    end.setDate(end.getDate() + (plan.period === "weekly" ? 7 : 1));
+  }
+
+  return {
+    periodStart: start < plan.startDate ? new Date(plan.startDate) : start,
+    periodEnd: end > plan.endDate ? new Date(plan.endDate) : end,
+  };
+};
+
+// Current period, plus the previous one while it is within the grace window
+const periodsToEvaluate = (plan, now) => {
+  const at = now < plan.endDate ? now : new Date(plan.endDate.getTime() - 1);
+  const current = periodFor(plan, at);
+  const periods = [current];
+
+  if (now < plan.endDate && current.periodStart > plan.startDate && now - current.periodStart < GRACE_MS) {
+    periods.push(periodFor(plan, new Date(current.periodStart.getTime() - 1)));
+  }
+  return periods;
+};
+
+// Agent filter for a plan's segment
+const segmentFilter = (segment = {}) => {
+  const filter = {};
+  if (segment.agentIds?.length) filter._id = { $in: segment.agentIds };
+  if (segment.minAverageRating != null) filter["feedback.averageRating"] = { $gte: segment.minAverageRating };
+  if (segment.joinedAfter) filter.createdAt = { $gte: segment.joinedAfter };
+  return filter;
+};
+
+const conditionsMet = (conditions, metrics) =>
+  conditions.every(({ metric, target }) => (metrics[metric] || 0) >= target);
+
+/**
+ * Delivery metrics of agents for orders completed in [periodStart, periodEnd).
+ * Peak hours come from each restaurant's delivery settings, on its own clock.
+ *
+ * @returns {Map} - agentId -> { deliveries, peak_hour_deliveries, distance_km }
+ */
+const deliveryMetrics = async (agentIds, { periodStart, periodEnd }) => {
+  const orders = await Order.find({
+    assignedAgent: { $in: agentIds },
+    orderStatus: "completed",
+    statusHistory: { $elemMatch: { status: "completed", changedAt: { $gte: periodStart, $lt: periodEnd } } },
+  })
+    .select("assignedAgent restaurantId distanceKm statusHistory")
+    .lean();
+
+  const peakHours = new Map();
+  const byAgent = new Map();
+
+  for (const order of orders) {
+    const completedAt = [...order.statusHistory].reverse().find((h) => h.status === "completed")?.changedAt;
+    const restaurantKey = order.restaurantId?.toString();
+    if (!peakHours.has(restaurantKey)) {
+      const settings = await getDeliverySettings(order.restaurantId);
+      const restaurant = await Restaurant.findById(order.restaurantId).select("timezone").lean();
+      peakHours.set(restaurantKey, { windows: settings?.peakHours || [], timezone: restaurant?.timezone });
+    }
+
+    const key = order.assignedAgent.toString();
+    const metrics = byAgent.get(key) || emptyMetrics();
+    metrics.deliveries += 1;
+    metrics.distance_km = round(metrics.distance_km + (order.distanceKm || 0));
+    const peak = peakHours.get(restaurantKey);
+    if (completedAt && isPeakHour(peak.windows, completedAt, peak.timezone)) {
+      metrics.peak_hour_deliveries += 1;
+    }
+    byAgent.set(key, metrics);
+  }
+
+  return byAgent;
+};
+
+// Marks the progress achieved and credits the reward, once per period
+const creditReward = async (plan, progress, agent) => {
+  const claimed = await IncentiveProgress.findOneAndUpdate(
+    { _id: progress._id, status: "in_progress" },
+    { status: "achieved", achievedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const earning = await addIncentiveEarning({
+    agentId: agent._id,
+    amount: plan.rewardAmount,
+    remarks: `Incentive: ${plan.name}`,
+  });
+  claimed.earningId = earning._id;
+  await claimed.save();
+
+  await sendPushNotification(
+    agent.userId,
+    "Incentive earned",
+    `You earned ₹${plan.rewardAmount} for completing "${plan.name}"`,
+    "walletCredits"
+  ).catch((err) => console.error("Failed to notify agent about incentive:", err));
+
+  return claimed;
+};
+
+/**
+ * Updates every segment agent's progress on a plan for one period and credits
+ * the reward to those who meet all conditions.
+ *
+ * @returns {Object} - { evaluated, achieved }
+ */
+const evaluatePlanPeriod = async (plan, period) => {
+  const agents = await Agent.find(segmentFilter(plan.segment)).select("userId feedback.averageRating").lean();
+  if (!agents.length) return { evaluated: 0, achieved: 0 };
+
+  const metricsByAgent = await deliveryMetrics(agents.map((a) => a._id), period);
+  const now = new Date();
+  let evaluated = 0;
+  let achieved = 0;
+
+  for (const agent of agents) {
+    const metrics = {
+      ...(metricsByAgent.get(agent._id.toString()) || emptyMetrics()),
+      average_rating: round(agent.feedback?.averageRating || 0),
+    };
+    const met = conditionsMet(plan.conditions, metrics);
+    // no activity and nothing earned: nothing to record
+    if (!met && !metrics.deliveries) continue;
+
+    const progress = await IncentiveProgress.findOneAndUpdate(
+      { planId: plan._id, agentId: agent._id, periodStart: period.periodStart },
+      { $set: { metrics, periodEnd: period.periodEnd, evaluatedAt: now } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    evaluated++;
+
+    if (met && progress.status === "in_progress" && (await creditReward(plan, progress, agent))) {
+      achieved++;
+    }
+  }
+
+  return { evaluated, achieved };
+};
+
+/**
+ * Evaluates all active plans (scheduled job).
+ *
+ * @returns {Object} - { plans, evaluated, achieved }
+ */
+exports.evaluateIncentivePlans = async ({ now = new Date() } = {}) => {
+  const plans = await IncentivePlan.find({
+    active: true,
+    startDate: { $lte: now },
+    endDate: { $gt: new Date(now.getTime() - GRACE_MS) },
+  }).lean();
+
+  const totals = { plans: plans.length, evaluated: 0, achieved: 0 };
+  for (const plan of plans) {
+    for (const period of periodsToEvaluate(plan, now)) {
+      const { evaluated, achieved } = await evaluatePlanPeriod(plan, period);
+      totals.evaluated += evaluated;
+      totals.achieved += achieved;
+    }
+  }
+  return totals;
+};
+
+/**
+ * Live progress of an agent on every running plan of their segment.
+ *
+ * @returns {Array}
+ */
+exports.getAgentIncentiveProgress = async (agentId, now = new Date()) => {
+  const agent = await Agent.findById(agentId).select("feedback.averageRating").lean();
+  if (!agent) return [];
+
+  const plans = await IncentivePlan.find({
+    active: true,
+    startDate: { $lte: now },
+    endDate: { $gt: now },
+  })
+    .sort({ endDate: 1 })
+    .lean();
+
+  const result = [];
+  for (const plan of plans) {
+    const inSegment = await Agent.exists({ _id: agent._id, ...segmentFilter(plan.segment) });
+    if (!inSegment) continue;
+
+    const period = periodFor(plan, now);
+    const [metricsByAgent, progress] = await Promise.all([
+      deliveryMetrics([agent._id], period),
+      IncentiveProgress.findOne({ planId: plan._id, agentId: agent._id, periodStart: period.periodStart }).lean(),
+    ]);
+    const metrics = {
+      ...(metricsByAgent.get(agent._id.toString()) || emptyMetrics()),
+      average_rating: round(agent.feedback?.averageRating || 0),
+    };
+
+    result.push({
+      planId: plan._id,
+      name: plan.name,
+      description: plan.description,
+      rewardAmount: plan.rewardAmount,
+      period: plan.period,
+      ...period,
+      conditions: plan.conditions.map(({ metric, target }) => ({
+        metric,
+        target,
+        current: metrics[metric],
+        met: metrics[metric] >= target,
+        percent: target > 0 ? Math.min(100, Math.round((metrics[metric] / target) * 100)) : 100,
+      })),
+      achieved: progress?.status === "achieved",
+      achievedAt: progress?.achievedAt || null,
+      earningId: progress?.earningId || null,
+    });
+  }
+
+  return result;
+};
+
+exports.METRICS = METRICS;
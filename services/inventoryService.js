@@ -0,0 +1,284 @@
+const Product = require("../models/productModel");
+const Restaurant = require("../models/restaurantModel");
+const Order = require("../models/orderModel");
+const InventoryLog = require("../models/inventoryLogModel");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+
+const ADJUSTMENT_REASONS = ["restock", "correction", "wastage"];
+
+const inventoryError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Changes the stock of a stock-tracked product or one of its variants in one
+ * write. A decrease only succeeds while enough stock is left.
+ *
+ * @returns {Object|null} - The updated product, or null if it is not tracked or short of stock.
+ */
+const applyStockChange = ({ productId, variantId, change }) => {
+  const filter = { _id: productId, trackStock: true };
+  const enough = change < 0 ? { stock: { $gte: -change } } : {};
+
+  if (variantId) {
+    filter.attributes = { $elemMatch: { _id: variantId, ...enough } };
+    return Product.findOneAndUpdate(filter, { $inc: { "attributes.$.stock": change } }, { new: true });
+  }
+  Object.assign(filter, enough);
+  return Product.findOneAndUpdate(filter, { $inc: { stock: change } }, { new: true });
+};
+
+/**
+ * Takes a product or variant off the menu when its stock runs out and puts it
+ * back when restocked. Only items taken off for stock are put back, never
+ * ones the merchant switched off. Conditional on the stock so a concurrent
+ * restock or order wins.
+ *
+ * @returns {Object} - { deactivated, reactivated }
+ */
+const syncAvailability = async (product, variantId) => {
+  let deactivated = false;
+  let reactivated = false;
+
+  if (variantId) {
+    const match = (condition) => ({ _id: product._id, attributes: { $elemMatch: { _id: variantId, ...condition } } });
+    deactivated = (await Product.updateOne(
+      match({ stock: { $lte: 0 }, isAvailable: true }),
+      { "attributes.$.isAvailable": false, "attributes.$.soldOut": true }
+    )).modifiedCount > 0;
+    if (!deactivated) {
+      reactivated = (await Product.updateOne(
+        match({ stock: { $gt: 0 }, soldOut: true }),
+        { "attributes.$.isAvailable": true, "attributes.$.soldOut": false }
+      )).modifiedCount > 0;
+    }
+  } else {
+    deactivated = (await Product.updateOne(
+      { _id: product._id, stock: { $lte: 0 }, active: true },
+      { active: false, soldOut: true }
+    )).modifiedCount > 0;
+    if (!deactivated) {
+      reactivated = (await Product.updateOne(
+        { _id: product._id, stock: { $gt: 0 }, soldOut: true },
+        { active: true, soldOut: false }
+      )).modifiedCount > 0;
+    }
+  }
+
+  return { deactivated, reactivated };
+};
+
+const itemName = (product, variant) => (variant ? `${product.name} (${variant.name})` : product.name);
+
+// Alerts the restaurant on its socket room and its owner by push notification
+const notifyLowStock = async ({ product, variant, stock, io }) => {
+  const name = itemName(product, variant);
+  const message = stock > 0 ? `${name} is running low: ${stock} left` : `${name} is out of stock`;
+
+  io?.to(`restaurant_${product.restaurantId}`).emit("lowStock", {
+    productId: product._id,
+    variantId: variant?._id || null,
+    name,
+    stock,
+    reorderLevel: product.reorderLevel,
+  });
+
+  const restaurant = await Restaurant.findById(product.restaurantId).select("ownerId").lean();
+  if (restaurant?.ownerId) {
+    await sendPushNotification(restaurant.ownerId, "Low stock", message, "serviceAlerts");
+  }
+};
+
+/**
+ * Follow-up of a stock change: availability, audit log entry and the low
+ * stock alert when the change took the stock to or below reorderLevel.
+ *
+ * @returns {Object} - The InventoryLog entry.
+ */
+const recordStockChange = async ({ product, variantId, change, reason, orderId = null, actorId = null, note = null, io }) => {
+  const variant = variantId ? product.attributes.id(variantId) : null;
+  const stockAfter = variant ? variant.stock : product.stock;
+
+  const { deactivated, reactivated } = await syncAvailability(product, variantId);
+
+  const entry = await InventoryLog.create({
+    restaurantId: product.restaurantId,
+    productId: product._id,
+    variantId: variant?._id || null,
+    name: itemName(product, variant),
+    change,
+    stockAfter,
+    reason,
+    orderId,
+    actorId,
+    note,
+    deactivated,
+    reactivated,
+  });
+
+  const reorderLevel = product.reorderLevel || 0;
+  if (change < 0 && stockAfter - change > reorderLevel && stockAfter <= reorderLevel) {
+    await notifyLowStock({ product, variant, stock: stockAfter, io }).catch((err) =>
+      console.error("Failed to send low stock alert:", err)
+    );
+  }
+
+  return entry;
+};
+
+/**
+ * Gives reserved stock back, e.g. when placing the order failed after the
+ * reservation.
+ *
+ * @param {Array} reservations - [{ productId, variantId, quantity }]
+ */
+exports.returnStock = async (reservations, { orderId = null, io } = {}) => {
+  for (const { productId, variantId, quantity } of reservations) {
+    const product = await applyStockChange({ productId, variantId, change: quantity });
+    // not tracked any more: nothing to give back
+    if (!product) continue;
+    await recordStockChange({ product, variantId, change: quantity, reason: "order_released", orderId, io });
+  }
+};
+
+/**
+ * Reserves stock for an order's items. Items of products that do not track
+ * stock are ignored. Either every tracked item is reserved or none is.
+ *
+ * @param {Object} params
+ * @param {String} params.orderId
+ * @param {Array} params.items - Cart lines: [{ productId, quantity, variant: { variantId } }]
+ * @param {Object} [params.io] - Socket.IO server instance, for low stock alerts.
+ * @returns {Array} - The reservations, to store on the order: [{ productId, variantId, quantity }]
+ * @throws {Error} - 409 naming the first item that is short of stock.
+ */
+exports.reserveStock = async ({ orderId, items, io }) => {
+  const tracked = await Product.find({
+    _id: { $in: items.map((i) => i.productId) },
+    trackStock: true,
+  }).distinct("_id");
+  const isTracked = (productId) => tracked.some((id) => id.equals(productId));
+
+  // the same product/variant can be on several cart lines with different add-ons
+  const requested = new Map();
+  items.filter((i) => isTracked(i.productId)).forEach((item) => {
+    const variantId = item.variant?.variantId || null;
+    const key = `${item.productId}|${variantId || ""}`;
+    const current = requested.get(key);
+    if (current) current.quantity += item.quantity;
+    else requested.set(key, { productId: item.productId, variantId, quantity: item.quantity });
+  });
+
+  const reserved = [];
+  for (const request of requested.values()) {
+    const product = await applyStockChange({ ...request, change: -request.quantity });
+    if (!product) {
+      // put back what this order already took
+      for (const done of reserved) {
+        await applyStockChange({ ...done, change: done.quantity });
+      }
+
+      const current = await Product.findById(request.productId).select("name attributes stock").lean();
+      const variant = request.variantId
+        ? current?.attributes?.find((a) => a._id.equals(request.variantId))
+        : null;
+      const left = Math.max((variant ? variant.stock : current?.stock) || 0, 0);
+      const name = current ? itemName(current, variant) : "An item";
+      throw inventoryError(409, left > 0 ? `Only ${left} of ${name} left` : `${name} is out of stock`);
+    }
+    reserved.push({ ...request, product });
+  }
+
+  for (const { product, variantId, quantity } of reserved) {
+    await recordStockChange({ product, variantId, change: -quantity, reason: "order_reserved", orderId, io });
+  }
+
+  return reserved.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity }));
+};
+
+/**
+ * Gives an order's reserved stock back. Runs at most once per order.
+ *
+ * @returns {Number} - Reservations released (0 if already released or nothing was reserved).
+ */
+exports.releaseOrderStock = async (orderId, { io } = {}) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, inventoryReleasedAt: null, "inventoryReservations.0": { $exists: true } },
+    { inventoryReleasedAt: new Date() },
+    { new: true }
+  ).select("inventoryReservations");
+  if (!order) return 0;
+
+  await exports.returnStock(order.inventoryReservations, { orderId: order._id, io });
+  return order.inventoryReservations.length;
+};
+
+/**
+ * Merchant stock adjustment: restock (positive), wastage (negative) or a
+ * correction either way.
+ *
+ * @param {Object} params
+ * @param {String} params.productId
+ * @param {String} [params.variantId]
+ * @param {Number} params.change
+ * @param {String} params.reason - restock | correction | wastage
+ * @returns {Object} - { product, entry }
+ */
+exports.adjustStock = async ({ productId, variantId = null, change, reason, note = null, actorId, io }) => {
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    throw inventoryError(400, `reason must be one of: ${ADJUSTMENT_REASONS.join(", ")}`);
+  }
+  if (!Number.isInteger(change) || change === 0) {
+    throw inventoryError(400, "change must be a non-zero whole number");
+  }
+  if (reason === "restock" && change < 0) throw inventoryError(400, "A restock must add stock");
+  if (reason === "wastage" && change > 0) throw inventoryError(400, "Wastage must remove stock");
+
+  const current = await Product.findById(productId).select("trackStock attributes").lean();
+  if (!current) throw inventoryError(404, "Product not found");
+  if (!current.trackStock) throw inventoryError(409, "Turn on stock tracking for this product first");
+  if (variantId && !current.attributes?.some((a) => a._id.equals(variantId))) {
+    throw inventoryError(404, "Variant not found");
+  }
+  if (!variantId && current.attributes?.length) {
+    throw inventoryError(400, "This product has variants, adjust the stock of a variant");
+  }
+
+  const product = await applyStockChange({ productId, variantId, change });
+  if (!product) throw inventoryError(409, "Not enough stock to remove");
+
+  const entry = await recordStockChange({ product, variantId, change, reason, actorId, note, io });
+  return { product: await Product.findById(productId), entry };
+};
+
+/**
+ * Stock-tracked products and variants of a restaurant at or below their reorderLevel.
+ *
+ * @returns {Array} - [{ productId, variantId, name, stock, reorderLevel, available }]
+ */
+exports.getLowStock = async (restaurantId) => {
+  const products = await Product.find({ restaurantId, trackStock: true })
+    .select("name stock reorderLevel active attributes")
+    .lean();
+
+  return products.flatMap((product) => {
+    const reorderLevel = product.reorderLevel || 0;
+    const items = product.attributes?.length
+      ? product.attributes.map((variant) => ({
+          productId: product._id,
+          variantId: variant._id,
+          name: itemName(product, variant),
+          stock: variant.stock,
+          available: variant.isAvailable,
+        }))
+      : [{ productId: product._id, variantId: null, name: product.name, stock: product.stock, available: product.active }];
+
+    return items
+      .filter((item) => item.stock <= reorderLevel)
+      .map((item) => ({ ...item, reorderLevel }));
+  });
+};
+
+exports.ADJUSTMENT_REASONS = ADJUSTMENT_REASONS;
@@ -0,0 +1,415 @@
+const PDFDocument = require("pdfkit");
+const Order = require("../models/orderModel");
+const InvoiceCounter = require("../models/invoiceCounterModel");
+const { sendEmail } = require("../utils/sendEmail");
+
+const money = (value, symbol = "₹") => `${symbol}${Number(value || 0).toFixed(2)}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "2-digit", month: "short", year: "numeric" });
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const joinAddress = (parts) => parts.filter(Boolean).join(", ");
+
+// How long an invoice claim blocks other callers
+const CLAIM_TIMEOUT_MS = 60 * 1000;
+
+// Waits for a concurrent call to finish numbering the order's invoice
+const waitForInvoice = async (orderId) => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const order = await Order.findById(orderId);
+    if (order?.invoice?.number) return order;
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  const error = new Error("The invoice is being issued, please try again");
+  error.statusCode = 409;
+  throw error;
+};
+
+/**
+ * Gives a completed order its invoice number. Numbers are sequential per
+ * restaurant; calling this again for the same order returns the existing number.
+ *
+ * @param {String|Object} orderOrId - Order document or its ID.
+ * @returns {Object} - The order with `invoice` set.
+ * @throws {Error} - statusCode 404 (no order), 400 (order not completed),
+ *   409 (another call is still numbering it).
+ */
+exports.issueInvoice = async (orderOrId) => {
+  const order = typeof orderOrId === "object" && orderOrId.orderStatus
+    ? orderOrId
+    : await Order.findById(orderOrId);
+
+  if (!order) {
+    const error = new Error("Order not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (order.invoice?.number) return order;
+
+  if (order.orderStatus !== "completed") {
+    const error = new Error("Invoices are only available for completed orders");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // claim the order before taking a number, so concurrent callers never burn one;
+  // a claim left behind by a crashed call is taken over after a minute
+  const now = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      "invoice.number": null,
+      $or: [{ "invoice.issuedAt": null }, { "invoice.issuedAt": { $lt: new Date(now - CLAIM_TIMEOUT_MS) } }],
+    },
+    { "invoice.issuedAt": now },
+    { new: true }
+  );
+  if (!claimed) return waitForInvoice(order._id);
+
+  let counter;
+  try {
+    counter = await InvoiceCounter.findOneAndUpdate(
+      { restaurantId: order.restaurantId },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+  } catch (err) {
+    await Order.updateOne({ _id: order._id, "invoice.issuedAt": now }, { "invoice.issuedAt": null });
+    throw err;
+  }
+
+  const restaurantCode = order.restaurantId.toString().slice(-6).toUpperCase();
+  const number = `INV-${restaurantCode}-${String(counter.seq).padStart(6, "0")}`;
+
+  const issued = await Order.findOneAndUpdate(
+    { _id: order._id, "invoice.number": null, "invoice.issuedAt": now },
+    { invoice: { number, sequence: counter.seq, issuedAt: now } },
+    { new: true }
+  );
+  return issued || waitForInvoice(order._id);
+};
+
+/**
+ * Collects everything printed on the invoice.
+ *
+ * @param {String} orderId
+ * @returns {Object} - Plain invoice data used by the HTML and PDF renderers.
+ */
+exports.buildInvoiceData = async (orderId) => {
+  await exports.issueInvoice(orderId);
+
+  const order = await Order.findById(orderId)
+    .populate("restaurantId", "name address phone email kyc.gstNumber kyc.fssaiNumber")
+    .populate("customerId", "name email phone")
+    .lean();
+
+  const restaurant = order.restaurantId || {};
+  const customer = order.customerId || {};
+  const breakdown = order.taxBreakdown || {};
+  const taxByProduct = new Map(
+    (breakdown.lines || [])
+      .filter((line) => line.type === "item" && line.productId)
+      .map((line) => [line.productId.toString(), line])
+  );
+
+  return {
+    invoiceNumber: order.invoice.number,
+    invoiceDate: order.invoice.issuedAt,
+    orderId: order._id.toString(),
+    orderDate: order.orderTime || order.createdAt,
+    restaurant: {
+      name: restaurant.name,
+      address: joinAddress([
+        restaurant.address?.street,
+        restaurant.address?.city,
+        restaurant.address?.state,
+        restaurant.address?.zip,
+      ]),
+      phone: restaurant.phone,
+      email: restaurant.email,
+      gstin: breakdown.gstin || restaurant.kyc?.gstNumber || null,
+      fssai: restaurant.kyc?.fssaiNumber || null,
+    },
+    customer: {
+      name: customer.name || order.guestName,
+      email: customer.email || order.guestEmail,
+      phone: customer.phone || order.guestPhone,
+      address: joinAddress([
+        order.deliveryAddress?.street,
+        order.deliveryAddress?.area,
+        order.deliveryAddress?.city,
+        order.deliveryAddress?.state,
+        order.deliveryAddress?.pincode,
+      ]),
+    },
+    items: order.orderItems.map((item) => {
+      const taxLine = taxByProduct.get(item.productId?.toString());
+      return {
+        name: item.customisation ? `${item.name} (${item.customisation})` : item.name,
+        quantity: item.quantity,
+        price: item.price,
+        amount: item.totalPrice ?? item.price * item.quantity,
+        taxRate: taxLine?.rate ?? null,
+      };
+    }),
+    subtotal: order.subtotal,
+    discount: order.discountAmount || 0,
+    couponCode: order.couponCode || null,
+    packagingCharge: order.packagingCharge || 0,
+    deliveryCharge: order.deliveryCharge || 0,
+    surgeCharge: order.surgeCharge || 0,
+    tipAmount: order.tipAmount || 0,
+    tax: {
+      interState: Boolean(breakdown.interState),
+      cgst: breakdown.cgst || 0,
+      sgst: breakdown.sgst || 0,
+      igst: breakdown.igst || 0,
+      total: breakdown.total ?? order.tax ?? 0,
+      lines: breakdown.lines || [],
+    },
+    totalAmount: order.totalAmount,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+  };
+};
+
+// Bill lines shared by both renderers: [label, amount]
+const summaryRows = (invoice) => {
+  const rows = [["Item total", invoice.subtotal]];
+
+  if (invoice.discount > 0) {
+    rows.push([`Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ""}`, -invoice.discount]);
+  }
+  if (invoice.packagingCharge > 0) rows.push(["Packaging charges", invoice.packagingCharge]);
+  rows.push(["Delivery fee", invoice.deliveryCharge]);
+  if (invoice.surgeCharge > 0) rows.push(["Peak hour surge", invoice.surgeCharge]);
+
+  if (invoice.tax.interState) {
+    rows.push(["IGST", invoice.tax.igst]);
+  } else if (invoice.tax.cgst || invoice.tax.sgst) {
+    rows.push(["CGST", invoice.tax.cgst], ["SGST", invoice.tax.sgst]);
+  } else {
+    rows.push(["Taxes", invoice.tax.total]);
+  }
+
+  if (invoice.tipAmount > 0) rows.push(["Delivery partner tip", invoice.tipAmount]);
+
+  return rows;
+};
+
+/**
+ * Renders the invoice as a standalone HTML page.
+ */
+exports.renderInvoiceHtml = (invoice) => {
+  const e = escapeHtml;
+
+  const itemRows = invoice.items
+    .map(
+      (item) => `
+        <tr>
+          <td>${e(item.name)}</td>
+          <td class="num">${e(item.quantity)}</td>
+          <td class="num">${money(item.price)}</td>
+          <td class="num">${item.taxRate != null ? `${e(item.taxRate)}%` : "-"}</td>
+          <td class="num">${money(item.amount)}</td>
+        </tr>`
+    )
+    .join("");
+
+  const billRows = summaryRows(invoice)
+    .map(([label, amount]) => `
+        <tr><td>${e(label)}</td><td class="num">${amount < 0 ? `-${money(-amount)}` : money(amount)}</td></tr>`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Tax Invoice ${e(invoice.invoiceNumber)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #222; max-width: 760px; margin: 24px auto; font-size: 14px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #e5e5e5; text-align: left; }
+    .num { text-align: right; }
+    .parties { display: flex; justify-content: space-between; margin-top: 16px; }
+    .total td { font-weight: bold; border-top: 2px solid #222; }
+    .muted { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>Tax Invoice</h1>
+  <div class="muted">Invoice No: ${e(invoice.invoiceNumber)} &middot; Date: ${e(formatDate(invoice.invoiceDate))} &middot; Order: ${e(invoice.orderId)}</div>
+
+  <div class="parties">
+    <div>
+      <strong>${e(invoice.restaurant.name)}</strong><br />
+      ${e(invoice.restaurant.address)}<br />
+      ${invoice.restaurant.gstin ? `GSTIN: ${e(invoice.restaurant.gstin)}<br />` : ""}
+      ${invoice.restaurant.fssai ? `FSSAI: ${e(invoice.restaurant.fssai)}<br />` : ""}
+      ${e(invoice.restaurant.phone)}
+    </div>
+    <div>
+      <strong>Billed to</strong><br />
+      ${e(invoice.customer.name)}<br />
+      ${e(invoice.customer.address)}<br />
+      ${e(invoice.customer.phone)}
+    </div>
+  </div>
+
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Qty</th><th class="num">Price</th><th class="num">GST</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${itemRows}
+    </tbody>
+  </table>
+
+  <table>
+    <tbody>${billRows}
+      <tr class="total"><td>Total</td><td class="num">${money(invoice.totalAmount)}</td></tr>
+    </tbody>
+  </table>
+
+  <p class="muted">Paid via ${e(invoice.paymentMethod)} (${e(invoice.paymentStatus)}). Order placed on ${e(formatDate(invoice.orderDate))}.</p>
+</body>
+</html>`;
+};
+
+/**
+ * Renders the invoice as a PDF.
+ *
+ * @returns {Promise<Buffer>}
+ */
+exports.renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    // the built-in PDF fonts have no rupee sign
+    const rs = (value) => (value < 0 ? `-${money(-value, "Rs. ")}` : money(value, "Rs. "));
+
+    const doc = new PDFDocument({ size: "A4", margin: 48 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+
+    doc.font("Helvetica-Bold").fontSize(18).text("Tax Invoice");
+    doc.font("Helvetica").fontSize(9).fillColor("#666")
+      .text(`Invoice No: ${invoice.invoiceNumber}   Date: ${formatDate(invoice.invoiceDate)}   Order: ${invoice.orderId}`);
+    doc.moveDown();
+
+    const partiesTop = doc.y;
+    doc.fillColor("#000").fontSize(10);
+    doc.font("Helvetica-Bold").text(invoice.restaurant.name || "", left, partiesTop, { width: width / 2 - 8 });
+    doc.font("Helvetica").text(invoice.restaurant.address || "", { width: width / 2 - 8 });
+    if (invoice.restaurant.gstin) doc.text(`GSTIN: ${invoice.restaurant.gstin}`);
+    if (invoice.restaurant.fssai) doc.text(`FSSAI: ${invoice.restaurant.fssai}`);
+    if (invoice.restaurant.phone) doc.text(invoice.restaurant.phone);
+    const restaurantBottom = doc.y;
+
+    const customerX = left + width / 2 + 8;
+    doc.font("Helvetica-Bold").text("Billed to", customerX, partiesTop, { width: width / 2 - 8 });
+    doc.font("Helvetica").text(invoice.customer.name || "", customerX);
+    doc.text(invoice.customer.address || "", customerX, doc.y, { width: width / 2 - 8 });
+    if (invoice.customer.phone) doc.text(invoice.customer.phone, customerX);
+
+    doc.y = Math.max(restaurantBottom, doc.y) + 16;
+
+    const columns = [
+      { label: "Item", x: left, width: width * 0.44, align: "left" },
+      { label: "Qty", x: left + width * 0.44, width: width * 0.1, align: "right" },
+      { label: "Price", x: left + width * 0.54, width: width * 0.16, align: "right" },
+      { label: "GST", x: left + width * 0.7, width: width * 0.1, align: "right" },
+      { label: "Amount", x: left + width * 0.8, width: width * 0.2, align: "right" },
+    ];
+
+    const row = (values, font = "Helvetica") => {
+      const top = doc.y;
+      doc.font(font);
+      let bottom = top;
+      values.forEach((value, i) => {
+        doc.text(String(value), columns[i].x, top, { width: columns[i].width, align: columns[i].align });
+        bottom = Math.max(bottom, doc.y);
+      });
+      doc.y = bottom + 4;
+    };
+
+    row(columns.map((c) => c.label), "Helvetica-Bold");
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+    doc.y += 4;
+
+    invoice.items.forEach((item) => {
+      row([
+        item.name,
+        item.quantity,
+        rs(item.price),
+        item.taxRate != null ? `${item.taxRate}%` : "-",
+        rs(item.amount),
+      ]);
+    });
+
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).stroke();
+    doc.y += 8;
+
+    const labelX = left + width * 0.5;
+    const summaryRow = (label, amount, font = "Helvetica") => {
+      const top = doc.y;
+      doc.font(font).text(label, labelX, top, { width: width * 0.3 });
+      doc.text(rs(amount), left + width * 0.8, top, { width: width * 0.2, align: "right" });
+      doc.y = Math.max(doc.y, top) + 2;
+    };
+
+    summaryRows(invoice).forEach(([label, amount]) => summaryRow(label, amount));
+    doc.y += 4;
+    summaryRow("Total", invoice.totalAmount, "Helvetica-Bold");
+
+    doc.moveDown(2);
+    doc.font("Helvetica").fontSize(9).fillColor("#666").text(
+      `Paid via ${invoice.paymentMethod} (${invoice.paymentStatus}). Order placed on ${formatDate(invoice.orderDate)}.`,
+      left,
+      doc.y,
+      { width }
+    );
+
+    doc.end();
+  });
+
+/**
+ * Emails the invoice (HTML body + PDF attachment) to the customer.
+ * Does nothing if it was already sent or the customer has no email address.
+ *
+ * @param {String} orderId
+ * @returns {Boolean} - Whether an email was sent.
+ */
+exports.emailInvoice = async (orderId) => {
+  const invoice = await exports.buildInvoiceData(orderId);
+
+  const order = await Order.findById(orderId).select("invoice.emailedAt");
+  if (order.invoice?.emailedAt || !invoice.customer.email) return false;
+
+  const pdf = await exports.renderInvoicePdf(invoice);
+
+  await sendEmail(
+    invoice.customer.email,
+    `Your Orado invoice ${invoice.invoiceNumber}`,
+    `Hi ${invoice.customer.name || ""}, thanks for ordering from ${invoice.restaurant.name}. ` +
+      `Your invoice ${invoice.invoiceNumber} for ${money(invoice.totalAmount, "Rs. ")} is attached.`,
+    {
+      html: exports.renderInvoiceHtml(invoice),
+      attachments: [{ filename: `${invoice.invoiceNumber}.pdf`, content: pdf, contentType: "application/pdf" }],
+    }
+  );
+
+  await Order.updateOne({ _id: orderId }, { "invoice.emailedAt": new Date() });
+  return true;
+};
@@ -0,0 +1,189 @@
+const os = require("os");
+const crypto = require("crypto");
+const ScheduledJob = require("../models/scheduledJobModel");
+const JobRun = require("../models/jobRunModel");
+
+// Identifies this process in job locks and run history
+const INSTANCE_ID = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+const TICK_MS = 15 * 1000;
+
+const jobs = new Map();
+let timer = null;
+let context = {};
+
+const jobError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Registers a recurring job. Its state (interval, enabled, options, lock) is
+ * kept in ScheduledJob so admins can change it and several instances can share it.
+ *
+ * @param {Object} job
+ * @param {String} job.name - Unique job name.
+ * @param {String} [job.description]
+ * @param {Number} job.intervalSeconds - Default interval, used when the job is first stored.
+ * @param {Object} [job.options] - Default options passed to the handler.
+ * @param {Number} [job.lockSeconds] - How long a run may hold the lock before another instance can take over.
+ * @param {Function} job.handler - async ({ io, options }) => result
+ */
+exports.registerJob = ({ name, description = "", intervalSeconds, options = {}, lockSeconds = 300, handler }) => {
+  jobs.set(name, { name, description, intervalSeconds, options, lockSeconds, handler });
+};
+
+// Creates the state document of every registered job (admin changes are kept)
+const syncJobs = async () => {
+  for (const job of jobs.values()) {
+    await ScheduledJob.updateOne(
+      { name: job.name },
+      {
+        $setOnInsert: {
+          name: job.name,
+          description: job.description,
+          intervalSeconds: job.intervalSeconds,
+          options: job.options,
+          nextRunAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  }
+};
+
+// Claims a job for this instance; a lock left by a crashed instance frees up after lockSeconds
+const acquireLock = (job, filter = {}) => {
+  const now = new Date();
+  return ScheduledJob.findOneAndUpdate(
+    {
+      name: job.name,
+      ...filter,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      lockedBy: INSTANCE_ID,
+      lockedUntil: new Date(now.getTime() + job.lockSeconds * 1000),
+    },
+    { new: true }
+  );
+};
+
+// Runs a locked job, records the run and schedules the next one
+const execute = async (state, { trigger = "schedule", triggeredBy = null, io } = {}) => {
+  const job = jobs.get(state.name);
+  const run = await JobRun.create({
+    jobName: state.name,
+    instanceId: INSTANCE_ID,
+    trigger,
+    triggeredBy,
+    startedAt: new Date(),
+  });
+
+  let status = "success";
+  let result;
+  let error = null;
+  try {
+    result = await job.handler({
+      io: io || context.io,
+      options: { ...job.options, ...state.options },
+    });
+  } catch (err) {
+    console.error(`Job ${state.name} failed:`, err);
+    status = "failed";
+    error = err.message;
+  }
+
+  const finishedAt = new Date();
+  run.set({ finishedAt, durationMs: finishedAt - run.startedAt, status, result, error });
+  await run.save();
+
+  await ScheduledJob.updateOne(
+    { _id: state._id, lockedBy: INSTANCE_ID },
+    {
+      lockedBy: null,
+      lockedUntil: null,
+      lastRunAt: run.startedAt,
+      lastStatus: status,
+      lastError: error,
+      nextRunAt: new Date(finishedAt.getTime() + state.intervalSeconds * 1000),
+    }
+  );
+
+  return run;
+};
+
+const tick = async () => {
+  const due = await ScheduledJob.find({
+    name: { $in: [...jobs.keys()] },
+    enabled: true,
+    nextRunAt: { $lte: new Date() },
+  })
+    .select("name")
+    .lean();
+
+  for (const { name } of due) {
+    // another instance may have taken it since the query
+    const state = await acquireLock(jobs.get(name), { enabled: true, nextRunAt: { $lte: new Date() } });
+    if (state) await execute(state);
+  }
+};
+
+/**
+ * Starts checking for due jobs in this process.
+ *
+ * @param {Object} [ctx]
+ * @param {Object} [ctx.io] - Socket.IO server instance, passed to job handlers.
+ */
+exports.startScheduler = async ({ io } = {}) => {
+  if (timer) return;
+  context = { io };
+  await syncJobs();
+
+  let running = false;
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await tick();
+    } catch (err) {
+      console.error("Job scheduler tick failed:", err);
+    } finally {
+      running = false;
+    }
+  }, TICK_MS);
+
+  console.log(`Job scheduler started on ${INSTANCE_ID} with ${jobs.size} jobs`);
+};
+
+exports.stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Runs a job right away (admin trigger), unless it is already running somewhere.
+ *
+ * @returns {Object} - The JobRun.
+ * @throws {Error} - 404 for an unknown job, 409 when it is already running.
+ */
+exports.runJobNow = async (name, { triggeredBy = null, io } = {}) => {
+  const job = jobs.get(name);
+  if (!job) throw jobError(404, `Unknown job: ${name}`);
+
+  await syncJobs();
+  const state = await acquireLock(job);
+  if (!state) throw jobError(409, "Job is already running");
+
+  return execute(state, { trigger: "manual", triggeredBy, io });
+};
+
+exports.getRegisteredJobs = () =>
+  [...jobs.values()].map(({ name, description, intervalSeconds, options }) => ({
+    name,
+    description,
+    intervalSeconds,
+    options,
+  }));
+
+exports.INSTANCE_ID = INSTANCE_ID;
@@ -0,0 +1,478 @@
+const Product = require("../models/productModel");
+const Category = require("../models/categoryModel");
+
+// CSV columns, in export order
+const COLUMNS = ["sku", "category", "name", "description", "price", "foodType", "unit", "active", "variants", "addOnGroups"];
+const FOOD_TYPES = ["veg", "non-veg"];
+const MAX_ROWS = 2000;
+
+const menuError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const csvField = (value) => {
+  const text = String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // blank lines, e.g. a trailing one from a spreadsheet
+  return rows.filter((r) => r.some((value) => value.trim()));
+};
+
+const toNumber = (value) => (value === "" || value == null ? NaN : Number(value));
+
+/**
+ * Variants cell: "Small=120; Large=180". Names with ; = | , or : need the
+ * JSON format.
+ */
+const parseVariantsCell = (cell) =>
+  cell.split(";").map((s) => s.trim()).filter(Boolean).map((entry) => {
+    const [name, price] = entry.split("=").map((s) => s.trim());
+    return { name, price: toNumber(price) };
+  });
+
+const formatVariantsCell = (variants) => variants.map((v) => `${v.name}=${v.price}`).join("; ");
+
+/**
+ * Add-on groups cell: "Crust (1-1): Thin=0, Thick=20 | Toppings (0-3): Olives=20, Cheese=30",
+ * with (minSelect-maxSelect) after each group name.
+ */
+const parseAddOnGroupsCell = (cell) =>
+  cell.split("|").map((s) => s.trim()).filter(Boolean).map((entry) => {
+    const colon = entry.indexOf(":");
+    const head = colon === -1 ? entry : entry.slice(0, colon);
+    const limits = head.match(/\((\d+)\s*-\s*(\d+)\)\s*$/);
+
+    return {
+      name: head.replace(/\(.*\)\s*$/, "").trim(),
+      minSelect: limits ? Number(limits[1]) : 0,
+      maxSelect: limits ? Number(limits[2]) : 1,
+      options: colon === -1 ? [] : entry.slice(colon + 1).split(",").map((s) => s.trim()).filter(Boolean).map((option) => {
+        const [name, price] = option.split("=").map((s) => s.trim());
+        return { name, price: price === undefined ? 0 : toNumber(price) };
+      }),
+    };
+  });
+
+const formatAddOnGroupsCell = (groups) =>
+  groups
+    .map((g) => `${g.name} (${g.minSelect}-${g.maxSelect}): ${g.options.map((o) => `${o.name}=${o.price}`).join(", ")}`)
+    .join(" | ");
+
+/**
+ * Reads an uploaded or posted menu into rows of the JSON shape.
+ *
+ * @param {Object} params
+ * @param {String} params.format - "csv" | "json"
+ * @param {String|Object|Array} params.content - CSV text, JSON text, { products: [] } or the array.
+ * @returns {Array} - [{ row, sku, category, name, ..., variants: [], addOnGroups: [] }]
+ * @throws {Error} - 400 when the file cannot be read at all.
+ */
+exports.parseMenuFile = ({ format, content }) => {
+  let rows;
+
+  if (format === "csv") {
+    const [header, ...lines] = parseCsv(String(content).replace(/^\uFEFF/, ""));
+    if (!header) throw menuError(400, "The CSV file is empty");
+
+    const columns = header.map((h) => h.trim());
+    const missing = ["sku", "category", "name", "price"].filter((c) => !columns.includes(c));
+    if (missing.length) throw menuError(400, `Missing CSV columns: ${missing.join(", ")}`);
+
+    rows = lines.map((values, index) => {
+      const cell = (column) => (values[columns.indexOf(column)] ?? "").trim();
+      return {
+        // line 1 is the header
+        row: index + 2,
+        sku: cell("sku"),
+        category: cell("category"),
+        name: cell("name"),
+        description: cell("description"),
+        price: cell("price"),
+        foodType: cell("foodType"),
+        unit: cell("unit"),
+        active: cell("active"),
+        variants: parseVariantsCell(cell("variants")),
+        addOnGroups: parseAddOnGroupsCell(cell("addOnGroups")),
+        // usually an unquoted cell that contains commas
+        extraValues: values.slice(columns.length).some((value) => value.trim()),
+      };
+    });
+  } else {
+    let data = content;
+    if (typeof content === "string") {
+      try {
+        data = JSON.parse(content);
+      } catch {
+        throw menuError(400, "The JSON file is not valid JSON");
+      }
+    }
+    const products = Array.isArray(data) ? data : data?.products;
+    if (!Array.isArray(products)) throw menuError(400, "JSON must be an array of products or { products: [] }");
+
+    rows = products.map((product, index) => ({ ...product, row: index + 1 }));
+  }
+
+  if (!rows.length) throw menuError(400, "The file has no products");
+  if (rows.length > MAX_ROWS) throw menuError(400, `At most ${MAX_ROWS} products can be imported at once`);
+  return rows;
+};
+
+const text = (value) => (value == null ? "" : String(value).trim());
+
+const parseActive = (value) => {
+  if (value === "" || value == null) return undefined;
+  if (typeof value === "boolean") return value;
+  const normalised = String(value).trim().toLowerCase();
+  if (["true", "yes", "1"].includes(normalised)) return true;
+  if (["false", "no", "0"].includes(normalised)) return false;
+  return null;
+};
+
+/**
+ * Validates one row and turns it into product fields.
+ *
+ * @returns {Object} - { item, errors: [{ field, message }] }
+ */
+const validateRow = (row) => {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (row.extraValues) fail("row", "More values than columns; put cells that contain commas in quotes");
+
+  const sku = text(row.sku);
+  const category = text(row.category);
+  const name = text(row.name);
+  if (!sku) fail("sku", "sku is required");
+  if (!category) fail("category", "category is required");
+  if (!name) fail("name", "name is required");
+
+  const variants = (Array.isArray(row.variants) ? row.variants : []).map((v) => ({
+    name: text(v?.name),
+    price: toNumber(v?.price),
+  }));
+  variants.forEach((v) => {
+    if (!v.name) fail("variants", "Every variant needs a name");
+    else if (!Number.isFinite(v.price) || v.price < 0) fail("variants", `${v.name}: price must be a number of at least 0`);
+  });
+  if (new Set(variants.map((v) => v.name.toLowerCase())).size !== variants.length) {
+    fail("variants", "Variant names must be unique");
+  }
+
+  // products with variants are priced by them; the product price falls back to the cheapest
+  let price = toNumber(text(row.price));
+  if (!Number.isFinite(price) && variants.length && variants.every((v) => Number.isFinite(v.price))) {
+    price = Math.min(...variants.map((v) => v.price));
+  }
+  if (!Number.isFinite(price) || price < 0) fail("price", "price must be a number of at least 0");
+
+  const foodType = text(row.foodType).toLowerCase() || undefined;
+  if (foodType && !FOOD_TYPES.includes(foodType)) {
+    fail("foodType", `foodType must be one of: ${FOOD_TYPES.join(", ")}`);
+  }
+
+  const active = parseActive(row.active);
+  if (active === null) fail("active", "active must be true or false");
+
+  const addOnGroups = (Array.isArray(row.addOnGroups) ? row.addOnGroups : []).map((g) => ({
+    name: text(g?.name),
+    minSelect: g?.minSelect === undefined ? 0 : Number(g.minSelect),
+    maxSelect: g?.maxSelect === undefined ? 1 : Number(g.maxSelect),
+    options: (Array.isArray(g?.options) ? g.options : []).map((o) => ({
+      name: text(o?.name),
+      price: o?.price === undefined ? 0 : toNumber(o.price),
+    })),
+  }));
+  addOnGroups.forEach((g) => {
+    if (!g.name) return fail("addOnGroups", "Every add-on group needs a name");
+    if (!Number.isInteger(g.minSelect) || !Number.isInteger(g.maxSelect) || g.minSelect < 0 || g.maxSelect < 1) {
+      fail("addOnGroups", `${g.name}: minSelect and maxSelect must be whole numbers, maxSelect at least 1`);
+    } else if (g.maxSelect < g.minSelect) {
+      fail("addOnGroups", `${g.name}: maxSelect must not be less than minSelect`);
+    }
+    if (!g.options.length) fail("addOnGroups", `${g.name}: add at least one option`);
+    if (g.options.length < g.minSelect) fail("addOnGroups", `${g.name}: fewer options than minSelect`);
+    g.options.forEach((o) => {
+      if (!o.name) fail("addOnGroups", `${g.name}: every option needs a name`);
+      else if (!Number.isFinite(o.price) || o.price < 0) fail("addOnGroups", `${g.name}: ${o.name} price must be a number of at least 0`);
+    });
+    if (new Set(g.options.map((o) => o.name.toLowerCase())).size !== g.options.length) {
+      fail("addOnGroups", `${g.name}: option names must be unique`);
+    }
+  });
+  if (new Set(addOnGroups.map((g) => g.name.toLowerCase())).size !== addOnGroups.length) {
+    fail("addOnGroups", "Add-on group names must be unique");
+  }
+
+  return {
+    item: {
+      sku,
+      category,
+      name,
+      description: text(row.description) || undefined,
+      price,
+      foodType,
+      unit: text(row.unit) || undefined,
+      active,
+      variants,
+      addOnGroups,
+    },
+    errors,
+  };
+};
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Keeps the _ids (and stock, availability) of variants that are still there, so carts stay valid
+const mergeVariants = (current, imported) =>
+  imported.map((v) => {
+    const existing = current.find((c) => sameName(c.name, v.name));
+    return existing
+      ? { ...existing.toObject(), name: v.name, price: v.price }
+      : { name: v.name, price: v.price };
+  });
+
+const mergeAddOnGroups = (current, imported) =>
+  imported.map((g) => {
+    const existing = current.find((c) => sameName(c.name, g.name));
+    if (!existing) return g;
+
+    return {
+      _id: existing._id,
+      name: g.name,
+      minSelect: g.minSelect,
+      maxSelect: g.maxSelect,
+      options: g.options.map((o) => {
+        const option = existing.options.find((c) => sameName(c.name, o.name));
+        return option ? { ...option.toObject(), name: o.name, price: o.price } : o;
+      }),
+    };
+  });
+
+/**
+ * Validates menu rows and, unless it is a dry run, upserts them by SKU.
+ *
+ * A row whose SKU is new takes over an existing product of the same name in
+ * the same category that has no SKU yet, so a menu built by hand can be
+ * brought under SKUs; otherwise it creates a product. Categories are matched
+ * by name and created when missing. Nothing is written while any row has an
+ * error. Stock is not imported; it changes through stock adjustments only.
+ *
+ * @param {Object} params
+ * @param {String} params.restaurantId
+ * @param {Array} params.rows - From parseMenuFile.
+ * @param {Boolean} [params.dryRun]
+ * @returns {Object} - { dryRun, committed, summary, errors: [{ row, sku, field, message }], results: [{ row, sku, action, productId }] }
+ */
+exports.importMenu = async ({ restaurantId, rows, dryRun = false }) => {
+  const errors = [];
+  const items = [];
+
+  const seenSkus = new Map();
+  for (const row of rows) {
+    const { item, errors: rowErrors } = validateRow(row);
+    rowErrors.forEach((e) => errors.push({ row: row.row, sku: item.sku || null, ...e }));
+
+    if (item.sku) {
+      const key = item.sku.toLowerCase();
+      if (seenSkus.has(key)) {
+        errors.push({ row: row.row, sku: item.sku, field: "sku", message: `Same SKU as row ${seenSkus.get(key)}` });
+        continue;
+      }
+      seenSkus.set(key, row.row);
+    }
+    if (!rowErrors.length) items.push({ row: row.row, ...item });
+  }
+
+  const [products, categories] = await Promise.all([
+    Product.find({ restaurantId }),
+    Category.find({ restaurantId }),
+  ]);
+  const findCategory = (name) => categories.find((c) => c.name && sameName(c.name, name));
+
+  const adopted = new Set();
+  const plan = items.map((item) => {
+    // products without a SKU are exported with their _id as one, which they then keep
+    let product = products.find((p) => p.sku ? sameName(p.sku, item.sku) : p._id.toString() === item.sku);
+    if (product && !product.sku) adopted.add(product);
+    if (!product) {
+      const category = findCategory(item.category);
+      product = category && products.find(
+        (p) => !p.sku && !adopted.has(p) && p.categoryId?.equals(category._id) && sameName(p.name, item.name)
+      );
+      if (product) adopted.add(product);
+    }
+    return { item, product: product || null };
+  });
+
+  // foodType is required on new products; existing ones keep theirs
+  plan.filter(({ item, product }) => !product && !item.foodType).forEach(({ item }) => {
+    errors.push({ row: item.row, sku: item.sku, field: "foodType", message: "foodType is required for a new product" });
+  });
+
+  const newCategories = [
+    ...new Map(
+      items.filter((i) => !findCategory(i.category)).map((i) => [i.category.toLowerCase(), i.category])
+    ).values(),
+  ];
+
+  const summary = {
+    rows: rows.length,
+    errors: errors.length,
+    create: plan.filter((p) => !p.product).length,
+    update: plan.filter((p) => p.product).length,
+    newCategories,
+  };
+  errors.sort((a, b) => a.row - b.row);
+
+  if (dryRun || errors.length) {
+    return {
+      dryRun,
+      committed: false,
+      summary,
+      errors,
+      results: plan.map(({ item, product }) => ({
+        row: item.row,
+        sku: item.sku,
+        action: product ? "update" : "create",
+        productId: product?._id || null,
+      })),
+    };
+  }
+
+  for (const name of newCategories) {
+    categories.push(await Category.create({ restaurantId, name, active: true }));
+  }
+
+  const results = [];
+  for (const { item, product } of plan) {
+    const fields = {
+      sku: item.sku,
+      name: item.name,
+      categoryId: findCategory(item.category)._id,
+      price: item.price,
+      ...(item.description !== undefined && { description: item.description }),
+      ...(item.foodType && { foodType: item.foodType }),
+      ...(item.unit && { unit: item.unit }),
+      ...(item.active !== undefined && { active: item.active }),
+    };
+
+    try {
+      let saved;
+      if (product) {
+        Object.assign(product, fields, {
+          attributes: mergeVariants(product.attributes, item.variants),
+          addOnGroups: mergeAddOnGroups(product.addOnGroups, item.addOnGroups),
+        });
+        saved = await product.save();
+      } else {
+        saved = await Product.create({
+          ...fields,
+          restaurantId,
+          attributes: item.variants,
+          addOnGroups: item.addOnGroups,
+        });
+      }
+      results.push({ row: item.row, sku: item.sku, action: product ? "updated" : "created", productId: saved._id });
+    } catch (err) {
+      // rows already written stay; the failed ones can be fixed and re-imported
+      results.push({ row: item.row, sku: item.sku, action: "failed", productId: product?._id || null, message: err.message });
+    }
+  }
+
+  return {
+    dryRun: false,
+    committed: true,
+    summary: {
+      ...summary,
+      created: results.filter((r) => r.action === "created").length,
+      updated: results.filter((r) => r.action === "updated").length,
+      failed: results.filter((r) => r.action === "failed").length,
+    },
+    errors: [],
+    results,
+  };
+};
+
+/**
+ * A restaurant's menu in the shape importMenu reads, sorted by category and name.
+ *
+ * @param {String} restaurantId
+ * @param {String} format - "csv" | "json"
+ * @returns {String|Array} - CSV text, or the products for JSON.
+ */
+exports.exportMenu = async (restaurantId, format) => {
+  const [products, categories] = await Promise.all([
+    Product.find({ restaurantId }).lean(),
+    Category.find({ restaurantId }).select("name").lean(),
+  ]);
+
+  const rows = products
+    .map((p) => ({
+      sku: p.sku || p._id.toString(), // so the file re-imports onto the same product
+      category: categories.find((c) => c._id.equals(p.categoryId))?.name || "",
+      name: p.name,
+      description: p.description || "",
+      price: p.price,
+      foodType: p.foodType,
+      unit: p.unit,
+      active: p.active,
+      variants: (p.attributes || []).map((v) => ({ name: v.name, price: v.price })),
+      addOnGroups: (p.addOnGroups || []).map((g) => ({
+        name: g.name,
+        minSelect: g.minSelect,
+        maxSelect: g.maxSelect,
+        options: g.options.map((o) => ({ name: o.name, price: o.price })),
+      })),
+    }))
+    .sort((a, b) => a.category.localeCompare(b.category) || a.name.localeCompare(b.name));
+
+  if (format !== "csv") return rows;
+
+  const lines = rows.map((r) => COLUMNS.map((column) => {
+    if (column === "variants") return formatVariantsCell(r.variants);
+    if (column === "addOnGroups") return formatAddOnGroupsCell(r.addOnGroups);
+    return r[column];
+  }));
+  return [COLUMNS, ...lines].map((line) => line.map(csvField).join(",")).join("\n");
+};
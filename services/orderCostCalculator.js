@@ -1,8 +1,11 @@
 const { haversineDistance } = require("../utils/distanceCalculator");
-const {deliveryFeeCalculator} = require("../utils/deliveryFeeCalculator")
-const TAX_PERCENTAGE = 5;
+const { calculateDeliveryCharges } = require("./deliveryFeeService");
+const { findApplicableCoupon, calculateCouponDiscount } = require("./couponService");
+const { calculateTax } = require("./taxService");
+const Product = require("../models/productModel");
+const PACKAGING_FEE = 10;
 
-exports.calculateOrderCost = ({ cartProducts, restaurant, userCoords, couponCode }) => {
+exports.calculateOrderCost = async ({ cartProducts, restaurant, userCoords, couponCode, userId, customerState, zone = null }) => {
   if (!cartProducts.length) throw new Error("Cart is empty");
 
   // Subtotal
@@ -18,37 +21,65 @@ exports.calculateOrderCost = ({ cartProducts, restaurant, userCoords, couponCode
   const restaurantCoords = restaurant.location.coordinates;
   const distanceKm = haversineDistance(restaurantCoords, userCoords);
 
-  // Delivery Fee
-  const deliveryFee = deliveryFeeCalculator({
+  // Delivery Fee (surge during peak hours or a zone surge is a separate line)
+  const { deliveryFee, surgeCharge, surgeMultiplier } = await calculateDeliveryCharges({
     distanceKm,
     orderAmount: subtotal,
+    restaurantId: restaurant._id,
+    zone,
+    timezone: restaurant.timezone,
   });
 
   // Coupon Discount
   let discount = 0;
+  let coupon = null;
   if (couponCode) {
-    const coupon = coupons[couponCode.toUpperCase()];
-    if (!coupon) throw new Error("Invalid coupon code");
-    if (coupon.type === "percentage") {
-      discount = (subtotal * coupon.value) / 100;
-    } else if (coupon.type === "flat") {
-      discount = coupon.value;
-    }
+    coupon = await findApplicableCoupon({
+      code: couponCode,
+      userId,
+      restaurantId: restaurant._id,
+      orderAmount: subtotal,
+    });
+    discount = calculateCouponDiscount(coupon, subtotal);
   }
 
-  // Tax
-  const taxableAmount = Math.max(subtotal - discount, 0);
-  const tax = (taxableAmount * TAX_PERCENTAGE) / 100;
+  // Tax (GST per line, rates depend on product category and restaurant type)
+  const products = await Product.find({
+    _id: { $in: cartProducts.map((item) => item.productId) },
+  }).select("categoryId").lean();
+  const categoryOf = new Map(products.map((p) => [p._id.toString(), p.categoryId]));
+
+  const taxBreakdown = await calculateTax({
+    items: cartProducts.map((item) => ({
+      productId: item.productId,
+      name: item.name,
+      categoryId: categoryOf.get(item.productId?.toString()) || null,
+      amount: item.price * item.quantity,
+    })),
+    discount,
+    packagingCharge: PACKAGING_FEE,
+    deliveryCharge: deliveryFee + surgeCharge,
+    restaurant,
+    customerState,
+  });
+  const tax = taxBreakdown.total;
 
   // Final total
-  const total = taxableAmount + tax + deliveryFee;
+  const taxableAmount = Math.max(subtotal - discount, 0);
+  const total = Number((taxableAmount + PACKAGING_FEE + deliveryFee + surgeCharge + tax).toFixed(2));
 
   return {
     subtotal,
     discount,
     tax,
+    taxBreakdown,
+    packagingCharge: PACKAGING_FEE,
     deliveryFee,
+    surgeCharge,
+    surgeMultiplier,
     total,
     distanceKm,
+    couponId: coupon?._id || null,
+    couponCode: coupon?.code || null,
   };
-};
\ No newline at end of file
+};
@@ -0,0 +1,295 @@
+const Order = require("../models/orderModel");
+const Agent = require("../models/agentModel");
+const Restaurant = require("../models/restaurantModel");
+const { findAndAssignNearestAgent } = require("./findAndAssignNearestAgent");
+const { transitionOrder } = require("./orderLifecycle");
+const { getDispatchMode, broadcastOrderOffers } = require("./orderOfferService");
+const { tryBatchOrder, removeOrderFromBatch } = require("./batchingService");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+const notifyAdmins = require("../utils/notifyAdmins");
+
+/**
+ * Hands an order to delivery agents. When batching is enabled the order first
+ * tries to join an agent already carrying nearby orders in the same direction;
+ * otherwise the dispatch mode configured for the restaurant's city applies:
+ * one agent at a time (sequential) or several agents at once, first to accept
+ * wins (broadcast).
+ *
+ * @param {Object} order - Order document with _id and restaurantId.
+ * @param {Object} deliveryLocation - { longitude, latitude }
+ * @param {Object} options
+ * @param {Object} [options.io] - Socket.IO server instance.
+ * @param {Number} [options.maxDistance] - Search radius in meters.
+ * @returns {Object} - { mode, agent, offers }; agent is set in sequential/batch mode, offers in broadcast mode.
+ */
+exports.dispatchToAgents = async (order, deliveryLocation, { io, maxDistance } = {}) => {
+  // an agent already heading the same way takes priority when batching is on
+  const batchedAgent = await tryBatchOrder(order._id, { io });
+  if (batchedAgent) return { mode: "batch", agent: batchedAgent, offers: null };
+
+  const { mode, broadcastSize, offerTimeoutSeconds } = await getDispatchMode(order.restaurantId);
+
+  if (mode === "broadcast") {
+    const offers = await broadcastOrderOffers(order._id, deliveryLocation, {
+      io,
+      maxDistance,
+      broadcastSize,
+      offerTimeoutSeconds,
+    });
+    return { mode, agent: null, offers };
+  }
+
+  const agent = await findAndAssignNearestAgent(order._id, deliveryLocation, maxDistance);
+  return { mode, agent, offers: null };
+};
+
+/**
+ * Hands a placed order over to the restaurant and, when the restaurant does not
+ * review orders itself, auto-assigns the nearest delivery agent.
+ *
+ * Called right after placement for cash/wallet orders and after payment
+ * confirmation for online orders. Scheduled orders are held back until the
+ * release_scheduled_orders job releases them ahead of their scheduledTime.
+ *
+ * @param {Object|String} orderOrId - Order document or its ID (must be in 'pending').
+ * @param {Object} options
+ * @param {Object} options.io - Socket.IO server instance.
+ * @param {Object} [options.restaurant] - Restaurant document, fetched if not given.
+ * @returns {Object} - The order as it stands after dispatch.
+ */
+exports.dispatchPlacedOrder = async (orderOrId, { io, restaurant } = {}) => {
+  const order = typeof orderOrId === "object" && orderOrId.orderStatus
+    ? orderOrId
+    : await Order.findById(orderOrId);
+  if (!order) throw new Error("Order not found");
+
+  if (order.scheduledTime && !order.scheduledReleasedAt) {
+    return order;
+  }
+
+  if (!restaurant) {
+    restaurant = await Restaurant.findById(order.restaurantId);
+  }
+
+  // Notify restaurant of the new order
+  io?.to(`restaurant_${order.restaurantId}`).emit("new-order", {
+    orderId: order._id,
+    totalAmount: order.totalAmount,
+    orderItems: order.orderItems,
+  });
+
+  // ✅ Restaurant permissions check
+  if (restaurant?.permissions?.canAcceptRejectOrders) {
+    console.log("Notify restaurant for order acceptance");
+    return order;
+  }
+
+  const [longitude, latitude] = order.deliveryLocation.coordinates;
+
+  // ✅ Auto-assign delivery agent
+  const { agent: assignedAgent, offers } = await exports.dispatchToAgents(
+    order,
+    { longitude, latitude },
+    { io }
+  );
+
+  // Broadcast: the order waits in pending_agent_acceptance until an agent accepts
+  if (offers?.length) {
+    console.log(`Order offered to ${offers.length} agents`);
+    return Order.findById(order._id);
+  }
+
+  if (!assignedAgent) {
+    console.log("No available agent found for auto-assignment.");
+    return transitionOrder(order._id, "awaiting_agent_assignment", {
+      role: "system",
+      reason: "No available agent found for auto-assignment",
+    });
+  }
+
+  // findAndAssignNearestAgent has already moved the order to
+  // pending_agent_acceptance / assigned_to_agent through the lifecycle
+  if (assignedAgent.permissions.canAcceptOrRejectOrders) {
+    console.log("Order sent to agent for acceptance:", assignedAgent.fullName);
+
+    await sendPushNotification(
+      assignedAgent.userId,
+      "New Delivery Request",
+      "You have a new delivery request. Please accept it."
+    );
+  } else {
+    console.log("Order auto-assigned to:", assignedAgent.fullName);
+
+    io?.to(`agent_${assignedAgent._id}`).emit("startDeliveryTracking", {
+      orderId: order._id,
+      customerId: order.customerId,
+      restaurantId: order.restaurantId,
+    });
+
+    io?.to(`user_${order.customerId}`).emit("agentAssigned", {
+      agentId: assignedAgent._id,
+      orderId: order._id,
+    });
+
+    io?.to(`restaurant_${order.restaurantId}`).emit("agentAssigned", {
+      agentId: assignedAgent._id,
+      orderId: order._id,
+    });
+
+    await sendPushNotification(
+      order.customerId,
+      "Agent Assigned",
+      "Your order is on the way."
+    );
+    await sendPushNotification(
+      order.restaurantId,
+      "Agent Assigned",
+      "An agent has been assigned to deliver the order."
+    );
+  }
+
+  return Order.findById(order._id);
+};
+
+// When the order last changed status
+const enteredStatusAt = (order) =>
+  order.statusHistory?.length ? order.statusHistory[order.statusHistory.length - 1].changedAt : order.createdAt;
+
+const deliveryPoint = (order) => ({
+  longitude: order.deliveryLocation.coordinates[0],
+  latitude: order.deliveryLocation.coordinates[1],
+});
+
+/**
+ * Releases scheduled orders to the restaurant (and dispatch) once their
+ * scheduledTime is within leadMinutes. Each order is claimed before it is
+ * dispatched, so it is released exactly once; a failed dispatch drops the
+ * claim so the next run tries again.
+ *
+ * @returns {Object} - { due, released }
+ */
+exports.releaseScheduledOrders = async ({ io, leadMinutes = 45 } = {}) => {
+  const releaseBy = new Date(Date.now() + leadMinutes * 60 * 1000);
+  const due = await Order.find({
+    orderStatus: "pending",
+    scheduledTime: { $lte: releaseBy },
+    scheduledReleasedAt: null,
+  }).select("_id");
+
+  let released = 0;
+  for (const { _id } of due) {
+    const order = await Order.findOneAndUpdate(
+      { _id, orderStatus: "pending", scheduledReleasedAt: null },
+      { scheduledReleasedAt: new Date() },
+      { new: true }
+    );
+    if (!order) continue;
+
+    try {
+      await exports.dispatchPlacedOrder(order, { io });
+      released += 1;
+    } catch (err) {
+      console.error(`Failed to release scheduled order ${order._id}:`, err);
+      // give the claim back so the next run retries it
+      await Order.updateOne(
+        { _id, orderStatus: "pending", scheduledReleasedAt: order.scheduledReleasedAt },
+        { scheduledReleasedAt: null }
+      ).catch((e) => console.error(`Failed to unclaim scheduled order ${_id}:`, e));
+    }
+  }
+
+  return { due: due.length, released };
+};
+
+/**
+ * Handles orders stuck waiting for an agent:
+ * 1. An agent who has not answered a sequential request within
+ *    acceptanceTimeoutMinutes is released and the order goes to the next agent
+ *    (broadcast offers expire on their own, see expireOrderOffers).
+ * 2. Orders without an agent for unassignedAlertMinutes are retried with a
+ *    wider radius, and admins are alerted about the ones still unassigned.
+ *
+ * @returns {Object} - { timedOut, reassigned, longUnassigned, stillUnassigned }
+ */
+exports.reassignExpiredOrders = async ({
+  io,
+  acceptanceTimeoutMinutes = 5,
+  unassignedAlertMinutes = 30,
+  expandedRadiusMeters = 10000,
+} = {}) => {
+  const now = Date.now();
+  const acceptanceCutoff = new Date(now - acceptanceTimeoutMinutes * 60 * 1000);
+  const alertCutoff = new Date(now - unassignedAlertMinutes * 60 * 1000);
+
+  // 1. Requests the agent did not answer in time
+  const pendingOrders = (
+    await Order.find({ orderStatus: "pending_agent_acceptance", dispatchMode: { $ne: "broadcast" } })
+  ).filter((order) => enteredStatusAt(order) <= acceptanceCutoff);
+
+  let reassigned = 0;
+  for (const order of pendingOrders) {
+    const agentId = order.assignedAgent;
+
+    let updated;
+    try {
+      updated = await transitionOrder(order, "awaiting_agent_assignment", {
+        role: "system",
+        reason: "agent_acceptance_timeout",
+        update: {
+          assignedAgent: null,
+          // not offered to the same agent again
+          ...(agentId && {
+            $push: { rejectionHistory: { agentId, rejectedAt: new Date(), reason: "Acceptance timed out" } },
+          }),
+        },
+      });
+    } catch (err) {
+      // the agent answered meanwhile
+      if (err.statusCode === 409) continue;
+      throw err;
+    }
+
+    if (agentId) {
+      await Agent.findByIdAndUpdate(agentId, {
+        $inc: { "deliveryStatus.currentOrderCount": -1 },
+        $pull: { "deliveryStatus.currentOrderIds": order._id },
+        "deliveryStatus.status": "Available",
+      });
+      io?.to(`agent_${agentId}`).emit("offerWithdrawn", { orderId: order._id, reason: "expired" });
+    }
+    if (order.batchId) await removeOrderFromBatch(order._id, { io });
+
+    const { agent, offers } = await exports.dispatchToAgents(updated, deliveryPoint(updated), { io });
+    if (agent || offers?.length) reassigned += 1;
+  }
+
+  // 2. Orders without an agent for too long
+  const unassignedOrders = (
+    await Order.find({ orderStatus: "awaiting_agent_assignment" })
+  ).filter((order) => enteredStatusAt(order) <= alertCutoff);
+
+  let stillUnassigned = 0;
+  for (const order of unassignedOrders) {
+    const { agent, offers } = await exports.dispatchToAgents(order, deliveryPoint(order), {
+      io,
+      maxDistance: expandedRadiusMeters,
+    });
+    if (!agent && !offers?.length) stillUnassigned += 1;
+  }
+
+  if (stillUnassigned > 0) {
+    await notifyAdmins({
+      io,
+      title: "Unassigned Order Alert",
+      message: `${stillUnassigned} orders need manual assignment.`,
+      urgency: "high",
+    });
+  }
+
+  return {
+    timedOut: pendingOrders.length,
+    reassigned,
+    longUnassigned: unassignedOrders.length,
+    stillUnassigned,
+  };
+};
@@ -0,0 +1,199 @@
+const Order = require("../models/orderModel");
+const { releaseOrderStock } = require("./inventoryService");
+const { releaseOrderCoupon } = require("./couponService");
+
+const ROLES = ["customer", "merchant", "agent", "admin", "system"];
+// reserved stock and the redeemed coupon go back when an order ends in one of these
+const STOCK_RELEASE_STATUSES = ["cancelled_by_customer", "rejected_by_restaurant"];
+
+/**
+ * Legal order status transitions.
+ * TRANSITIONS[from][to] lists the roles allowed to move an order from `from` to `to`.
+ * "system" covers automated steps (auto-accept, agent auto-assignment, timeouts).
+ * Statuses without an entry are terminal.
+ */
+const TRANSITIONS = {
+  awaiting_payment: {
+    pending: ["system"],
+    cancelled_by_customer: ["customer", "admin", "system"],
+  },
+  pending: {
+    accepted_by_restaurant: ["merchant", "admin", "system"],
+    rejected_by_restaurant: ["merchant", "admin"],
+    pending_agent_acceptance: ["system", "admin"],
+    assigned_to_agent: ["system", "admin"],
+    awaiting_agent_assignment: ["system", "admin"],
+    cancelled_by_customer: ["customer", "admin"],
+  },
+  accepted_by_restaurant: {
+    preparing: ["merchant", "admin"],
+    ready: ["merchant", "admin"],
+    pending_agent_acceptance: ["system", "admin"],
+    assigned_to_agent: ["system", "admin"],
+    awaiting_agent_assignment: ["system", "admin"],
+    cancelled_by_customer: ["admin"],
+  },
+  awaiting_agent_assignment: {
+    pending_agent_acceptance: ["system", "admin"],
+    assigned_to_agent: ["system", "admin"],
+    preparing: ["merchant", "admin"],
+    ready: ["merchant", "admin"],
+    cancelled_by_customer: ["customer", "admin"],
+  },
+  pending_agent_acceptance: {
+    assigned_to_agent: ["agent", "system", "admin"],
+    awaiting_agent_assignment: ["agent", "system", "admin"],
+    preparing: ["merchant", "admin"],
+    ready: ["merchant", "admin"],
+    cancelled_by_customer: ["admin"],
+  },
+  assigned_to_agent: {
+    preparing: ["merchant", "admin"],
+    ready: ["merchant", "admin"],
+    picked_up: ["agent", "admin"],
+    awaiting_agent_assignment: ["system", "admin"],
+    cancelled_by_customer: ["admin"],
+  },
+  preparing: {
+    ready: ["merchant", "admin"],
+    pending_agent_acceptance: ["system", "admin"],
+    assigned_to_agent: ["system", "admin"],
+    awaiting_agent_assignment: ["system", "admin"],
+    cancelled_by_customer: ["admin"],
+  },
+  ready: {
+    picked_up: ["agent", "admin"],
+    pending_agent_acceptance: ["system", "admin"],
+    assigned_to_agent: ["system", "admin"],
+    awaiting_agent_assignment: ["system", "admin"],
+    cancelled_by_customer: ["admin"],
+  },
+  picked_up: {
+    in_progress: ["agent", "admin"],
+    arrived: ["agent", "admin"],
+    completed: ["admin"],
+  },
+  in_progress: {
+    arrived: ["agent", "admin"],
+    completed: ["agent", "admin"],
+  },
+  arrived: {
+    completed: ["agent", "admin"],
+  },
+};
+
+const transitionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Maps an authenticated user to the lifecycle role used in TRANSITIONS.
+ *
+ * @param {Object} user - req.user
+ * @returns {String} - customer | merchant | agent | admin
+ */
+exports.roleFromUser = (user) => {
+  if (!user) return "customer";
+  if (user.isSuperAdmin || ["admin", "superAdmin"].includes(user.userType)) return "admin";
+  return ROLES.includes(user.userType) ? user.userType : "customer";
+};
+
+/**
+ * Returns the statuses the given role may move an order to from `fromStatus`.
+ */
+exports.getAllowedTransitions = (fromStatus, role) => {
+  const targets = TRANSITIONS[fromStatus] || {};
+  return Object.keys(targets).filter((to) => targets[to].includes(role));
+};
+
+exports.canTransition = (fromStatus, toStatus, role) => {
+  return Boolean(TRANSITIONS[fromStatus]?.[toStatus]?.includes(role));
+};
+
+/**
+ * Moves an order to a new status if the transition is legal for the acting role,
+ * and appends the change to the order's statusHistory. Cancelling or rejecting
+ * an order gives its reserved stock back.
+ *
+ * The write is conditional on the status the check was made against, so two
+ * concurrent transitions cannot both succeed.
+ *
+ * @param {String|Object} orderOrId - Order document or its ID.
+ * @param {String} toStatus - Target orderStatus.
+ * @param {Object} options
+ * @param {String} options.role - customer | merchant | agent | admin | system
+ * @param {String} [options.actorId] - ID of the user/agent making the change.
+ * @param {String} [options.reason] - Free-text reason stored in the history.
+ * @param {Object} [options.update] - Extra fields to set in the same write ($push is merged).
+ * @returns {Object} - The updated order document.
+ * @throws {Error} - With statusCode 404 (no order), 400/403 (illegal transition), 409 (status changed concurrently).
+ */
+exports.transitionOrder = async (orderOrId, toStatus, { role, actorId = null, reason = null, update = {} } = {}) => {
+  if (!ROLES.includes(role)) {
+    throw transitionError(400, `Unknown actor role: ${role}`);
+  }
+
+  const order = typeof orderOrId === "object" && orderOrId.orderStatus
+    ? orderOrId
+    : await Order.findById(orderOrId);
+
+  if (!order) throw transitionError(404, "Order not found");
+
+  const fromStatus = order.orderStatus;
+
+  if (!TRANSITIONS[fromStatus]?.[toStatus]) {
+    throw transitionError(
+      400,
+      `Cannot change order status from '${fromStatus}' to '${toStatus}'`
+    );
+  }
+
+  if (!TRANSITIONS[fromStatus][toStatus].includes(role)) {
+    throw transitionError(
+      403,
+      `A ${role} cannot change order status from '${fromStatus}' to '${toStatus}'`
+    );
+  }
+
+  const { $push = {}, ...set } = update;
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: fromStatus },
+    {
+      $set: { ...set, orderStatus: toStatus },
+      $push: {
+        ...$push,
+        statusHistory: {
+          status: toStatus,
+          previousStatus: fromStatus,
+          actorRole: role,
+          actorId,
+          reason,
+          changedAt: new Date(),
+        },
+      },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!updated) {
+    throw transitionError(409, "Order status was changed by someone else, please retry");
+  }
+
+  if (STOCK_RELEASE_STATUSES.includes(toStatus) && updated.inventoryReservations?.length) {
+    await releaseOrderStock(updated._id).catch((err) =>
+      console.error(`Failed to release stock of order ${updated._id}:`, err)
+    );
+  }
+  if (STOCK_RELEASE_STATUSES.includes(toStatus) && updated.couponId) {
+    await releaseOrderCoupon(updated._id).catch((err) =>
+      console.error(`Failed to release coupon of order ${updated._id}:`, err)
+    );
+  }
+
+  return updated;
+};
+
+exports.TRANSITIONS = TRANSITIONS;
@@ -0,0 +1,341 @@
+const Agent = require("../models/agentModel");
+const Order = require("../models/orderModel");
+const OrderOffer = require("../models/orderOfferModel");
+const Restaurant = require("../models/restaurantModel");
+const DispatchLog = require("../models/dispatchLogModel");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+const { transitionOrder } = require("./orderLifecycle");
+const { getDispatchSettings } = require("./dispatchScorer");
+const { findDispatchCandidates, capacityConditions } = require("./findAndAssignNearestAgent");
+const { getZone } = require("./zoneService");
+
+const offerError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Dispatch mode for a restaurant's orders: the restaurant's zone if it sets a
+ * mode, then the city override matching the restaurant's city, otherwise the
+ * global setting.
+ *
+ * @returns {Object} - { mode, broadcastSize, offerTimeoutSeconds }
+ */
+exports.getDispatchMode = async (restaurantId) => {
+  const settings = await getDispatchSettings();
+  const restaurant = await Restaurant.findById(restaurantId).select("address.city zoneId").lean();
+  const city = restaurant?.address?.city?.trim().toLowerCase();
+
+  const zone = await getZone(restaurant?.zoneId);
+  const override = zone?.dispatch?.mode
+    ? zone.dispatch
+    : city
+      ? (settings.cityOverrides || []).find((o) => o.city.trim().toLowerCase() === city)
+      : null;
+
+  return {
+    mode: override?.mode || settings.mode,
+    broadcastSize: override?.broadcastSize || settings.broadcastSize,
+    offerTimeoutSeconds: override?.offerTimeoutSeconds || settings.offerTimeoutSeconds,
+  };
+};
+
+/**
+ * Offers an order to the top ranked agents at once. The order waits in
+ * pending_agent_acceptance without an assigned agent until one of them accepts.
+ *
+ * @param {String} orderId
+ * @param {Object} deliveryLocation - { longitude, latitude }, only used if the restaurant has no location.
+ * @param {Object} options
+ * @param {Object} [options.io] - Socket.IO server instance.
+ * @param {Number} [options.maxDistance] - Search radius in meters.
+ * @param {Number} options.broadcastSize - How many agents to offer the order to.
+ * @param {Number} options.offerTimeoutSeconds - How long the offers stay open.
+ * @returns {Array} - The offers sent (empty if no agent was available).
+ */
+exports.broadcastOrderOffers = async (
+  orderId,
+  deliveryLocation,
+  { io, maxDistance, broadcastSize, offerTimeoutSeconds }
+) => {
+  const order = await Order.findById(orderId)
+    .select("paymentMethod totalAmount rejectionHistory orderStatus restaurantId");
+  if (!order) throw offerError(404, "Order not found");
+
+  const { ranked, settings, pickupCoords, searchRadiusMeters } =
+    await findDispatchCandidates(order, deliveryLocation, maxDistance);
+
+  const selected = ranked.slice(0, broadcastSize);
+
+  const log = new DispatchLog({
+    orderId: order._id,
+    mode: "broadcast",
+    pickupLocation: { type: "Point", coordinates: pickupCoords },
+    searchRadiusMeters,
+    weights: settings.weights,
+    candidates: ranked,
+    offeredAgentIds: selected.map((c) => c.agentId),
+    outcome: selected.length ? "offered" : "no_candidates",
+  });
+
+  if (!selected.length) {
+    await log.save();
+    return [];
+  }
+
+  try {
+    await transitionOrder(order, "pending_agent_acceptance", {
+      role: "system",
+      reason: `Offered to ${selected.length} agents`,
+      update: { assignedAgent: null, dispatchMode: "broadcast" },
+    });
+  } catch (err) {
+    log.outcome = "failed";
+    log.error = err.message;
+    await log.save();
+    throw err;
+  }
+  await log.save();
+
+  const expiresAt = new Date(Date.now() + offerTimeoutSeconds * 1000);
+
+  // an agent whose earlier offer for this order expired can be offered it again
+  const offers = await Promise.all(
+    selected.map((candidate, index) =>
+      OrderOffer.findOneAndUpdate(
+        { orderId: order._id, agentId: candidate.agentId },
+        {
+          status: "pending",
+          rank: index + 1,
+          totalScore: candidate.totalScore,
+          expiresAt,
+          respondedAt: null,
+          declineReason: null,
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      )
+    )
+  );
+
+  await Agent.updateMany(
+    { _id: { $in: selected.map((c) => c.agentId) } },
+    { $inc: { "dispatchStats.offered": 1 } }
+  );
+
+  const agents = await Agent.find({ _id: { $in: selected.map((c) => c.agentId) } }).select("userId");
+  const userIds = new Map(agents.map((a) => [a._id.toString(), a.userId]));
+
+  for (const candidate of selected) {
+    io?.to(`agent_${candidate.agentId}`).emit("orderOffer", {
+      orderId: order._id,
+      restaurantId: order.restaurantId,
+      paymentMethod: order.paymentMethod,
+      totalAmount: order.totalAmount,
+      distanceKm: candidate.distanceKm,
+      expiresAt,
+    });
+
+    const userId = userIds.get(candidate.agentId.toString());
+    if (userId) {
+      await sendPushNotification(
+        userId,
+        "New Delivery Request",
+        "A new delivery is available near you. Accept it before another agent does."
+      );
+    }
+  }
+
+  return offers;
+};
+
+const withdrawOffers = async (offers, reason, io) => {
+  if (!offers.length) return;
+
+  await OrderOffer.updateMany(
+    { _id: { $in: offers.map((o) => o._id) }, status: "pending" },
+    { status: reason === "expired" ? "expired" : "withdrawn" }
+  );
+
+  offers.forEach((offer) => {
+    io?.to(`agent_${offer.agentId}`).emit("offerWithdrawn", { orderId: offer.orderId, reason });
+  });
+};
+
+/**
+ * Once no offer for a broadcast order is still open, the order goes back to
+ * awaiting_agent_assignment and is offered to the next agents in line.
+ *
+ * @returns {Array|null} - The new offers, or null if the broadcast was still open or already taken.
+ */
+const closeExhaustedBroadcast = async (orderId, io) => {
+  if (await OrderOffer.exists({ orderId, status: "pending" })) return null;
+
+  const order = await Order.findById(orderId);
+  if (
+    !order ||
+    order.orderStatus !== "pending_agent_acceptance" ||
+    order.dispatchMode !== "broadcast" ||
+    order.assignedAgent
+  ) {
+    return null;
+  }
+
+  try {
+    await transitionOrder(order, "awaiting_agent_assignment", {
+      role: "system",
+      reason: "No agent accepted the offer",
+    });
+  } catch (err) {
+    // another decline or expiry closed it first
+    if (err.statusCode === 409) return null;
+    throw err;
+  }
+
+  const { broadcastSize, offerTimeoutSeconds } = await exports.getDispatchMode(order.restaurantId);
+  const [longitude, latitude] = order.deliveryLocation.coordinates;
+
+  return exports.broadcastOrderOffers(order._id, { longitude, latitude }, {
+    io,
+    broadcastSize,
+    offerTimeoutSeconds,
+  });
+};
+
+/**
+ * Agent accepts a broadcast offer. The order moves to assigned_to_agent with a
+ * conditional write, so only the first agent to accept gets it; the other
+ * agents' offers are withdrawn.
+ *
+ * @returns {Object} - The updated order.
+ * @throws {Error} - 404 (no offer), 409 (offer closed, order taken or agent at capacity).
+ */
+exports.acceptOrderOffer = async ({ orderId, agentId, io }) => {
+  const offer = await OrderOffer.findOne({ orderId, agentId });
+  if (!offer) throw offerError(404, "Offer not found");
+  if (offer.status !== "pending") throw offerError(409, `Offer is already ${offer.status}`);
+  if (offer.expiresAt <= new Date()) throw offerError(409, "Offer has expired");
+
+  const order = await Order.findById(orderId);
+  if (!order) throw offerError(404, "Order not found");
+  if (order.orderStatus !== "pending_agent_acceptance" || order.assignedAgent) {
+    throw offerError(409, "Order has already been taken");
+  }
+
+  const agent = await Agent.findOneAndUpdate(
+    { _id: agentId, $and: capacityConditions(order) },
+    {
+      $inc: { "deliveryStatus.currentOrderCount": 1, "dispatchStats.accepted": 1 },
+      "deliveryStatus.status": "in_progress",
+      "dispatchStats.lastAssignedAt": new Date(),
+      $addToSet: { "deliveryStatus.currentOrderIds": order._id },
+    },
+    { new: true }
+  );
+  if (!agent) throw offerError(409, "You cannot take more orders right now");
+
+  let updated;
+  try {
+    updated = await transitionOrder(order, "assigned_to_agent", {
+      role: "agent",
+      actorId: agentId,
+      reason: "Accepted broadcast offer",
+      update: { assignedAgent: agent._id, agentAcceptedAt: new Date() },
+    });
+  } catch (err) {
+    await Agent.findByIdAndUpdate(agent._id, {
+      $inc: { "deliveryStatus.currentOrderCount": -1, "dispatchStats.accepted": -1 },
+      $pull: { "deliveryStatus.currentOrderIds": order._id },
+    });
+    if (err.statusCode === 409) throw offerError(409, "Order has already been taken");
+    throw err;
+  }
+
+  offer.status = "accepted";
+  offer.respondedAt = new Date();
+  await offer.save();
+
+  const others = await OrderOffer.find({ orderId: order._id, status: "pending", agentId: { $ne: agent._id } });
+  await withdrawOffers(others, "accepted_by_another_agent", io);
+
+  io?.to(`agent_${agent._id}`).emit("startDeliveryTracking", {
+    orderId: order._id,
+    customerId: order.customerId,
+    restaurantId: order.restaurantId,
+  });
+  io?.to(`user_${order.customerId}`).emit("agentAssigned", { agentId: agent._id, orderId: order._id });
+  io?.to(`restaurant_${order.restaurantId}`).emit("agentAssigned", { agentId: agent._id, orderId: order._id });
+
+  await sendPushNotification(order.customerId, "Order Accepted", "Your delivery is now on the way!");
+  await sendPushNotification(order.restaurantId, "Agent Accepted", "An agent accepted the order and is on the way.");
+
+  return updated;
+};
+
+/**
+ * Agent declines a broadcast offer. The agent is not offered the order again;
+ * if it was the last open offer the order is offered to the next agents.
+ *
+ * @returns {Object} - { offer, reoffered } where reoffered is the new offers (or null).
+ */
+exports.declineOrderOffer = async ({ orderId, agentId, reason = null, io }) => {
+  const offer = await OrderOffer.findOneAndUpdate(
+    { orderId, agentId, status: "pending" },
+    { status: "declined", respondedAt: new Date(), declineReason: reason },
+    { new: true }
+  );
+
+  if (!offer) {
+    const existing = await OrderOffer.findOne({ orderId, agentId }).select("status");
+    if (!existing) throw offerError(404, "Offer not found");
+    throw offerError(409, `Offer is already ${existing.status}`);
+  }
+
+  await Agent.findByIdAndUpdate(agentId, { $inc: { "dispatchStats.rejected": 1 } });
+  await Order.findByIdAndUpdate(orderId, {
+    $push: { rejectionHistory: { agentId, rejectedAt: new Date(), reason } },
+  });
+
+  const reoffered = await closeExhaustedBroadcast(orderId, io);
+  return { offer, reoffered };
+};
+
+/**
+ * Expires open offers past their deadline and re-offers orders nobody took.
+ *
+ * @returns {Object} - { expired, reoffered } counts.
+ */
+exports.expireOrderOffers = async ({ io } = {}) => {
+  const expired = await OrderOffer.find({ status: "pending", expiresAt: { $lte: new Date() } })
+    .select("orderId agentId");
+  if (!expired.length) return { expired: 0, reoffered: 0 };
+
+  await withdrawOffers(expired, "expired", io);
+
+  let reoffered = 0;
+  const orderIds = [...new Set(expired.map((o) => o.orderId.toString()))];
+  for (const orderId of orderIds) {
+    try {
+      const offers = await closeExhaustedBroadcast(orderId, io);
+      if (offers?.length) reoffered += 1;
+    } catch (err) {
+      console.error(`expireOrderOffers: failed to re-offer order ${orderId}:`, err);
+    }
+  }
+
+  return { expired: expired.length, reoffered };
+};
+
+/**
+ * Open offers for an agent, newest first.
+ */
+exports.getOpenOffers = async (agentId) => {
+  return OrderOffer.find({ agentId, status: "pending", expiresAt: { $gt: new Date() } })
+    .populate({
+      path: "orderId",
+      select: "restaurantId totalAmount paymentMethod deliveryAddress",
+      populate: { path: "restaurantId", select: "name address" },
+    })
+    .sort({ createdAt: -1 })
+    .lean();
+};
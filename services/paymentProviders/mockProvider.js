@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+
+/**
+ * Deterministic, offline payment provider used for development and tests.
+ * Only registered when PAYMENT_PROVIDER=mock outside production.
+ *
+ * It keeps no state: every id is derived from its inputs, and the outcome of a
+ * payment is chosen by the token the app submits:
+ *   - "mock_success"            → authorized
+ *   - "mock_declined"           → failed, "Card declined"
+ *   - "mock_insufficient_funds" → failed, "Insufficient funds"
+ *   - anything else or no token → failed
+ *
+ * Webhooks are signed with HMAC-SHA256 over the raw JSON body using
+ * MOCK_PAYMENT_WEBHOOK_SECRET and sent in the `x-payment-signature` header.
+ */
+
+const WEBHOOK_SECRET = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+
+const FAILURE_TOKENS = {
+  mock_declined: "Card declined",
+  mock_insufficient_funds: "Insufficient funds",
+};
+
+const hash = (value) => crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, 24);
+
+exports.name = "mock";
+exports.requiredEnv = ["MOCK_PAYMENT_WEBHOOK_SECRET"];
+
+exports.createIntent = async ({ amount, currency = "INR", reference }) => {
+  const providerPaymentId = `mock_pi_${hash(`${reference}:${amount}:${currency}`)}`;
+  return {
+    providerPaymentId,
+    clientSecret: `${providerPaymentId}_secret_${hash(providerPaymentId)}`,
+    status: "created",
+  };
+};
+
+exports.verify = async ({ providerPaymentId, amount, payload = {} }) => {
+  const token = payload.token;
+
+  if (FAILURE_TOKENS[token]) {
+    return { status: "failed", reason: FAILURE_TOKENS[token], providerPaymentId };
+  }
+  if (token !== "mock_success") {
+    return { status: "failed", reason: token ? "Invalid payment token" : "Missing payment token", providerPaymentId };
+  }
+
+  return { status: "authorized", amount, providerPaymentId };
+};
+
+exports.capture = async ({ providerPaymentId, amount }) => {
+  return { status: "captured", amount, providerPaymentId };
+};
+
+exports.refund = async ({ providerPaymentId, amount, sequence = 0 }) => {
+  return {
+    status: "succeeded",
+    amount,
+    providerRefundId: `mock_re_${hash(`${providerPaymentId}:${sequence}:${amount}`)}`,
+  };
+};
+
+exports.signPayload = (rawBody) => {
+  return crypto.createHmac("sha256", WEBHOOK_SECRET()).update(rawBody).digest("hex");
+};
+
+exports.verifyWebhookSignature = (rawBody, signature) => {
+  if (!rawBody || !signature || !WEBHOOK_SECRET()) return false;
+
+  const expected = Buffer.from(exports.signPayload(rawBody));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Normalises a webhook body to { eventId, type, providerPaymentId, amount, reason }.
+ * Supported types: payment.succeeded, payment.failed, refund.succeeded
+ */
+exports.parseWebhookEvent = (body = {}) => {
+  return {
+    eventId: body.id,
+    type: body.type,
+    providerPaymentId: body.data?.paymentId,
+    amount: body.data?.amount,
+    reason: body.data?.reason || null,
+  };
+};
+
+/**
+ * Builds a signed webhook request for the mock gateway, handy for driving the
+ * full online payment flow offline.
+ */
+exports.buildWebhook = (type, data) => {
+  const body = JSON.stringify({
+    id: `mock_evt_${hash(`${type}:${data.paymentId}:${data.amount}`)}`,
+    type,
+    data,
+  });
+  return { body, signature: exports.signPayload(body) };
+};
@@ -0,0 +1,558 @@
+const Payment = require("../models/paymentModel");
+const Order = require("../models/orderModel");
+const { transitionOrder } = require("./orderLifecycle");
+const { dispatchPlacedOrder } = require("./orderDispatchService");
+const { creditWallet } = require("./walletService");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+
+const PROVIDER_METHODS = [
+  "createIntent",
+  "verify",
+  "capture",
+  "refund",
+  "verifyWebhookSignature",
+  "parseWebhookEvent",
+];
+
+const providers = {};
+
+const paymentError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Registers a payment gateway. A provider must implement
+ * createIntent, verify, capture, refund, verifyWebhookSignature and parseWebhookEvent.
+ */
+exports.registerProvider = (name, provider) => {
+  const missing = PROVIDER_METHODS.filter((m) => typeof provider[m] !== "function");
+  if (missing.length) {
+    throw new Error(`Payment provider '${name}' is missing: ${missing.join(", ")}`);
+  }
+  providers[name] = provider;
+};
+
+exports.getProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  const provider = providers[name];
+  if (!provider) throw paymentError(400, `Unknown payment provider: ${name}`);
+  return provider;
+};
+
+// The mock gateway approves every payment: only when chosen explicitly, and never in production
+const isMockEnabled = () => process.env.PAYMENT_PROVIDER === "mock" && process.env.NODE_ENV !== "production";
+
+if (isMockEnabled()) {
+  exports.registerProvider("mock", require("./paymentProviders/mockProvider"));
+}
+
+/**
+ * What keeps online payments off: PAYMENT_PROVIDER must name a registered
+ * gateway and the environment variables it needs (webhook secret etc.) must
+ * be set. Cash and wallet orders work either way.
+ *
+ * @returns {String|null} - The problem, or null when online payments can be taken.
+ */
+exports.paymentConfigProblem = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+  if (!name) return "PAYMENT_PROVIDER is not set";
+  if (name === "mock" && !isMockEnabled()) return "The mock payment provider cannot be used in production";
+
+  const provider = providers[name];
+  if (!provider) return `Unknown payment provider: ${name}`;
+
+  const missing = (provider.requiredEnv || []).filter((key) => !process.env[key]);
+  if (missing.length) return `Payment provider '${name}' needs: ${missing.join(", ")}`;
+  return null;
+};
+
+exports.onlinePaymentsEnabled = () => !exports.paymentConfigProblem();
+
+// Whether payments go through a real gateway, i.e. money is actually collected
+exports.isLiveProvider = () => exports.onlinePaymentsEnabled() && process.env.PAYMENT_PROVIDER !== "mock";
+
+/**
+ * Creates a payment intent at the gateway for an order awaiting online payment.
+ *
+ * @param {Object} order - Order document.
+ * @returns {Object} - The Payment document (includes clientSecret for the app).
+ */
+exports.createPaymentIntent = async (order) => {
+  if (!exports.onlinePaymentsEnabled()) throw paymentError(503, "Online payments are not available");
+  const providerName = process.env.PAYMENT_PROVIDER;
+  const provider = exports.getProvider(providerName);
+
+  const attempts = await Payment.countDocuments({ orderId: order._id });
+  const intent = await provider.createIntent({
+    amount: order.totalAmount,
+    currency: "INR",
+    reference: `${order._id}:${attempts}`,
+    customerId: order.customerId,
+  });
+
+  const payment = await Payment.create({
+    orderId: order._id,
+    customerId: order.customerId,
+    provider: providerName,
+    providerPaymentId: intent.providerPaymentId,
+    clientSecret: intent.clientSecret,
+    amount: order.totalAmount,
+    status: intent.status || "created",
+  });
+
+  await Order.findByIdAndUpdate(order._id, {
+    paymentId: payment._id,
+    paymentStatus: "pending",
+  });
+
+  return payment;
+};
+
+/**
+ * Creates a payment intent for a customer topping up their wallet.
+ *
+ * @param {String} userId
+ * @param {Number} amount
+ * @returns {Object} - The Payment document (includes clientSecret for the app).
+ */
+exports.createTopUpIntent = async (userId, amount) => {
+  const providerName = process.env.PAYMENT_PROVIDER;
+  const provider = exports.getProvider(providerName);
+
+  const attempts = await Payment.countDocuments({ customerId: userId, purpose: "wallet_topup" });
+  const intent = await provider.createIntent({
+    amount,
+    currency: "INR",
+    reference: `topup:${userId}:${attempts}`,
+    customerId: userId,
+  });
+
+  return Payment.create({
+    purpose: "wallet_topup",
+    customerId: userId,
+    provider: providerName,
+    providerPaymentId: intent.providerPaymentId,
+    clientSecret: intent.clientSecret,
+    amount,
+    status: intent.status || "created",
+  });
+};
+
+const UNFULFILLED_STATUSES = ["cancelled_by_customer", "rejected_by_restaurant"];
+
+// Gives back a payment captured for an order that was cancelled or rejected while the customer paid
+const refundCancelledOrderPayment = async (captured) => {
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: captured.orderId,
+      orderStatus: { $in: UNFULFILLED_STATUSES },
+      paymentStatus: { $nin: ["completed", "refunded", "partially_refunded"] },
+    },
+    { paymentStatus: "completed", paidAt: new Date() },
+    { new: true }
+  ) || await Order.findById(captured.orderId);
+  if (!UNFULFILLED_STATUSES.includes(order?.orderStatus)) return;
+
+  console.log(`Payment captured for order ${captured.orderId} in status ${order.orderStatus}, refunding`);
+  await exports.refundOrder(order, { reason: "Order no longer awaiting payment" });
+};
+
+/**
+ * Releases a paid order to the restaurant, or refunds the payment when the
+ * order was cancelled meanwhile. Safe to run again for the same payment.
+ */
+const releasePaidOrder = async (captured, { io }) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: captured.orderId, orderStatus: "awaiting_payment" },
+    { paymentStatus: "completed", paidAt: new Date() },
+    { new: true }
+  );
+  if (!order) return refundCancelledOrderPayment(captured);
+
+  let releasedOrder;
+  try {
+    releasedOrder = await transitionOrder(order, "pending", {
+      role: "system",
+      reason: `Payment confirmed via ${captured.provider}`,
+    });
+  } catch (err) {
+    // released by a concurrent call, or cancelled since the read above
+    if (err.statusCode === 409) return refundCancelledOrderPayment(captured);
+    throw err;
+  }
+
+  try {
+    await dispatchPlacedOrder(releasedOrder, { io });
+  } catch (err) {
+    // the order is paid and pending; don't fail the payment over it
+    console.error(`Failed to dispatch paid order ${releasedOrder._id}:`, err);
+  }
+};
+
+const capturedInFull = (payment) => Math.abs(payment.capturedAmount - payment.amount) < 0.01;
+
+// Refunds a capture for a different amount than the order's; the customer can pay again
+const refundMismatchedCapture = async (captured) => {
+  console.error(`Payment ${captured._id} captured ${captured.capturedAmount} of ${captured.amount}, refunding`);
+  const { payment } = await exports.refundPayment(captured, { reason: "Captured amount does not match the order" });
+  await Order.updateOne({ _id: captured.orderId, orderStatus: "awaiting_payment" }, { paymentStatus: "failed" });
+  return payment;
+};
+
+/**
+ * Marks a payment as captured, then either credits the wallet (top-ups)
+ * or releases the order to the restaurant. A capture for a different amount
+ * than the order's is refunded and the order's payment marked failed.
+ * Safe to call more than once for the same payment (webhook retries, verify + webhook);
+ * a repeat call finishes an order release that failed half-way.
+ */
+const markPaymentCaptured = async (payment, { io, source, eventId, amount }) => {
+  const captured = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["created", "authorized"] } },
+    {
+      status: "captured",
+      capturedAmount: amount ?? payment.amount,
+      $push: { events: { eventId, type: "payment.succeeded", source } },
+    },
+    { new: true }
+  );
+
+  // already processed
+  if (!captured) {
+    const existing = await Payment.findById(payment._id);
+    if (existing?.status !== "captured" || existing.purpose === "wallet_topup") return existing;
+    if (!capturedInFull(existing)) return refundMismatchedCapture(existing);
+    await releasePaidOrder(existing, { io });
+    return existing;
+  }
+
+  if (captured.purpose === "wallet_topup") {
+    await creditWallet({
+      userId: captured.customerId,
+      amount: captured.capturedAmount,
+      reason: "top_up",
+      paymentId: captured._id,
+      description: `Wallet top-up via ${captured.provider}`,
+    });
+    return captured;
+  }
+
+  if (!capturedInFull(captured)) return refundMismatchedCapture(captured);
+
+  await releasePaidOrder(captured, { io });
+  return captured;
+};
+
+const markPaymentFailed = async (payment, { source, eventId, reason }) => {
+  const failed = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $in: ["created", "authorized"] } },
+    {
+      status: "failed",
+      failureReason: reason,
+      $push: { events: { eventId, type: "payment.failed", source } },
+    },
+    { new: true }
+  );
+
+  if (failed?.orderId) {
+    await Order.findByIdAndUpdate(failed.orderId, { paymentStatus: "failed" });
+  }
+
+  return failed || Payment.findById(payment._id);
+};
+
+/**
+ * Verifies a payment the app reports as completed, and captures it.
+ *
+ * @param {Object} payment - Payment document.
+ * @param {Object} payload - Provider-specific confirmation data from the app.
+ * @param {Object} options.io - Socket.IO server instance.
+ * @returns {Object} - The updated Payment document.
+ */
+exports.verifyPayment = async (payment, payload, { io } = {}) => {
+  const provider = exports.getProvider(payment.provider);
+
+  const result = await provider.verify({
+    providerPaymentId: payment.providerPaymentId,
+    amount: payment.amount,
+    payload,
+  });
+
+  if (result.status === "failed") {
+    return markPaymentFailed(payment, { source: "verify", reason: result.reason });
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id, status: "created" },
+    { status: "authorized" }
+  );
+
+  const capture = await provider.capture({
+    providerPaymentId: payment.providerPaymentId,
+    amount: payment.amount,
+  });
+
+  if (capture.status !== "captured") {
+    return markPaymentFailed(payment, { source: "verify", reason: "Capture failed" });
+  }
+
+  return markPaymentCaptured(payment, { io, source: "verify", amount: capture.amount });
+};
+
+/**
+ * Handles a signed gateway webhook.
+ *
+ * @throws {Error} - statusCode 401 on a bad signature, 404 when the payment is unknown.
+ */
+exports.handleWebhook = async (providerName, { rawBody, signature, body }, { io } = {}) => {
+  const provider = exports.getProvider(providerName);
+
+  if (!provider.verifyWebhookSignature(rawBody, signature)) {
+    throw paymentError(401, "Invalid webhook signature");
+  }
+
+  const event = provider.parseWebhookEvent(body);
+
+  const payment = await Payment.findOne({
+    provider: providerName,
+    providerPaymentId: event.providerPaymentId,
+  });
+  if (!payment) throw paymentError(404, "Payment not found");
+
+  if (event.eventId && payment.events.some((e) => e.eventId === event.eventId)) {
+    return payment; // duplicate delivery
+  }
+
+  switch (event.type) {
+    case "payment.succeeded":
+      return markPaymentCaptured(payment, {
+        io,
+        source: "webhook",
+        eventId: event.eventId,
+        amount: event.amount,
+      });
+    case "payment.failed":
+      return markPaymentFailed(payment, {
+        source: "webhook",
+        eventId: event.eventId,
+        reason: event.reason,
+      });
+    default:
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $push: { events: { eventId: event.eventId, type: event.type, source: "webhook" } } }
+      );
+      return payment;
+  }
+};
+
+/**
+ * Refunds all or part of a captured payment back to the original payment method.
+ *
+ * @param {Object} payment - Payment document.
+ * @param {Object} options
+ * @param {Number} [options.amount] - Defaults to the full refundable amount.
+ * @param {String} [options.reason]
+ * @returns {Object} - { payment, refund }
+ */
+exports.refundPayment = async (payment, { amount, reason = null } = {}) => {
+  if (!["captured", "partially_refunded"].includes(payment.status)) {
+    throw paymentError(400, `Cannot refund a payment in status '${payment.status}'`);
+  }
+
+  const refundable = payment.capturedAmount - payment.refundedAmount;
+  const refundAmount = amount ?? refundable;
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw paymentError(400, `Refund amount must be between 0 and ${refundable}`);
+  }
+
+  // claim the amount first, so concurrent refunds cannot exceed what was captured
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ["captured", "partially_refunded"] },
+      $expr: { $gte: [{ $round: [{ $subtract: ["$capturedAmount", "$refundedAmount"] }, 2] }, refundAmount] },
+    },
+    { $inc: { refundedAmount: refundAmount } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw paymentError(409, "The payment was refunded meanwhile, not enough is left to refund");
+  }
+
+  const provider = exports.getProvider(payment.provider);
+  let refund;
+  try {
+    refund = await provider.refund({
+      providerPaymentId: payment.providerPaymentId,
+      amount: refundAmount,
+      reason,
+      // what was refunded before this one, unique per refund of the payment
+      sequence: Number((claimed.refundedAmount - refundAmount).toFixed(2)),
+    });
+  } catch (err) {
+    refund = null;
+    console.error("Payment provider refund error:", err);
+  }
+
+  if (!refund || refund.status === "failed") {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refundAmount } });
+    throw paymentError(502, "Refund was declined by the payment provider");
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    {
+      $push: {
+        refunds: {
+          providerRefundId: refund.providerRefundId,
+          amount: refundAmount,
+          reason,
+          status: refund.status,
+        },
+      },
+    }
+  );
+  // from the stored amounts, whichever of several concurrent refunds writes last
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id },
+    [{ $set: { status: { $cond: [{ $gte: ["$refundedAmount", "$capturedAmount"] }, "refunded", "partially_refunded"] } } }],
+    { new: true }
+  );
+
+  return { payment: updated, refund: updated.refunds[updated.refunds.length - 1] };
+};
+
+/**
+ * Cancels online orders that were never paid: left in awaiting_payment for
+ * unpaidMinutes, or whose payment failed failedGraceMinutes ago without a
+ * successful retry. Cancelling gives back their reserved stock and coupon,
+ * and anything paid meanwhile is refunded; a payment captured afterwards is
+ * refunded by markPaymentCaptured.
+ *
+ * @returns {Object} - { cancelled }
+ */
+exports.expireUnpaidOrders = async ({ unpaidMinutes = 15, failedGraceMinutes = 5, io } = {}) => {
+  const now = Date.now();
+  const orders = await Order.find({
+    orderStatus: "awaiting_payment",
+    paymentStatus: { $ne: "completed" }, // paid, release still under way
+    $or: [
+      { createdAt: { $lt: new Date(now - unpaidMinutes * 60000) } },
+      { paymentStatus: "failed", updatedAt: { $lt: new Date(now - failedGraceMinutes * 60000) } },
+    ],
+  }).limit(200);
+
+  let cancelled = 0;
+  for (const order of orders) {
+    try {
+      let updated = await transitionOrder(order, "cancelled_by_customer", {
+        role: "system",
+        reason: order.paymentStatus === "failed" ? "Payment failed" : "Payment not completed in time",
+        update: { cancellationReason: "Payment not completed" },
+      });
+      cancelled++;
+
+      // the payment may have been captured between the query and the cancel
+      const refund = await exports.refundOrder(updated, { reason: "Order cancelled, payment not completed in time" });
+      if (refund) updated = refund.order;
+
+      io?.to(`user_${updated.customerId}`).emit("orderStatus", { message: "Order cancelled, payment not completed", order: updated });
+      await sendPushNotification(
+        updated.customerId,
+        "Order Cancelled",
+        "Your order was cancelled because the payment was not completed."
+      );
+    } catch (err) {
+      // paid or cancelled meanwhile
+      if (err.statusCode === 409 || err.statusCode === 400) continue;
+      console.error(`Failed to expire unpaid order ${order._id}:`, err);
+    }
+  }
+
+  return { cancelled };
+};
+
+/**
+ * Whether money has actually been collected for an order.
+ * Cash is only collected once the order is delivered.
+ */
+const isOrderPaid = (order) => {
+  if (["completed", "partially_refunded"].includes(order.paymentStatus)) return true;
+  return order.paymentMethod === "cash" && order.orderStatus === "completed";
+};
+
+/**
+ * Refunds all or part of what the customer paid for an order.
+ *
+ * Online payments go back through the gateway unless `toWallet` is set;
+ * wallet and cash payments are always credited to the wallet.
+ *
+ * @param {Object} order - Order document.
+ * @param {Object} options
+ * @param {Number} [options.amount] - Defaults to everything not yet refunded.
+ * @param {String} [options.reason]
+ * @param {Boolean} [options.toWallet] - Credit the wallet instead of the original method.
+ * @param {String} [options.walletReason] - Ledger reason: order_cancellation | refund
+ * @param {String} [options.performedBy] - Admin issuing the refund.
+ * @returns {Object|null} - { amount, destination, order } or null when nothing was paid.
+ */
+exports.refundOrder = async (order, { amount, reason = null, toWallet = false, walletReason = "refund", performedBy = null } = {}) => {
+  if (!isOrderPaid(order)) return null;
+
+  const refundable = Number((order.totalAmount - (order.refundedAmount || 0)).toFixed(2));
+  const refundAmount = amount ?? refundable;
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw paymentError(400, `Refund amount must be between 0 and ${refundable}`);
+  }
+
+  // claim the amount first, so concurrent refunds (dispute + cancellation) cannot exceed the total
+  const claimed = await Order.updateOne(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $round: [{ $add: [{ $ifNull: ["$refundedAmount", 0] }, refundAmount] }, 2] }, "$totalAmount"] },
+    },
+    { $inc: { refundedAmount: refundAmount } }
+  );
+  if (!claimed.modifiedCount) {
+    throw paymentError(409, "The order was refunded meanwhile, not enough is left to refund");
+  }
+
+  let destination;
+  try {
+    if (order.paymentMethod === "online" && !toWallet) {
+      const payment = await Payment.findOne({
+        orderId: order._id,
+        status: { $in: ["captured", "partially_refunded"] },
+      });
+      if (!payment) throw paymentError(404, "No captured payment found for this order");
+
+      await exports.refundPayment(payment, { amount: refundAmount, reason });
+      destination = "original_payment_method";
+    } else {
+      await creditWallet({
+        userId: order.customerId,
+        amount: refundAmount,
+        reason: walletReason,
+        orderId: order._id,
+        description: reason,
+        performedBy,
+      });
+      destination = "wallet";
+    }
+  } catch (err) {
+    await Order.updateOne({ _id: order._id }, { $inc: { refundedAmount: -refundAmount } });
+    throw err;
+  }
+
+  const updatedOrder = await Order.findOneAndUpdate(
+    { _id: order._id },
+    [{ $set: { paymentStatus: { $cond: [{ $gte: ["$refundedAmount", "$totalAmount"] }, "refunded", "partially_refunded"] } } }],
+    { new: true }
+  );
+
+  return { amount: refundAmount, destination, order: updatedOrder };
+};
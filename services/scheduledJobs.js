@@ -0,0 +1,111 @@
+const Coupon = require("../models/couponModel");
+const Offer = require("../models/offer");
+const { registerJob } = require("./jobScheduler");
+const { reassignExpiredOrders, releaseScheduledOrders } = require("./orderDispatchService");
+const { expireOrderOffers } = require("./orderOfferService");
+const { purgeBreadcrumbs } = require("./trackingService");
+const { settleShiftAttendance } = require("./shiftService");
+const { evaluateIncentivePlans } = require("./incentiveService");
+const { checkDocumentExpiry } = require("./agentOnboardingService");
+const { monitorZones } = require("./zoneService");
+const { expireUnpaidOrders } = require("./paymentService");
+
+// Background jobs run by the job scheduler. Intervals and options here are the
+// defaults stored the first time; admins can change them afterwards.
+
+registerJob({
+  name: "reassign_expired_orders",
+  description: "Reassigns orders whose agent did not respond and alerts admins about long unassigned orders",
+  intervalSeconds: 60,
+  options: { acceptanceTimeoutMinutes: 5, unassignedAlertMinutes: 30, expandedRadiusMeters: 10000 },
+  handler: ({ io, options }) => reassignExpiredOrders({ io, ...options }),
+});
+
+registerJob({
+  name: "release_scheduled_orders",
+  description: "Hands scheduled orders to the restaurant leadMinutes before their scheduled time",
+  intervalSeconds: 60,
+  options: { leadMinutes: 45 },
+  handler: ({ io, options }) => releaseScheduledOrders({ io, leadMinutes: options.leadMinutes }),
+});
+
+registerJob({
+  name: "expire_order_offers",
+  description: "Expires unanswered broadcast offers and re-offers the orders",
+  intervalSeconds: 15,
+  lockSeconds: 60,
+  handler: ({ io }) => expireOrderOffers({ io }),
+});
+
+registerJob({
+  name: "expire_unpaid_orders",
+  description: "Cancels online orders left unpaid for unpaidMinutes, or failedGraceMinutes after a failed payment, releasing their stock and coupon",
+  intervalSeconds: 60,
+  options: { unpaidMinutes: 15, failedGraceMinutes: 5 },
+  handler: ({ io, options }) => expireUnpaidOrders({ io, ...options }),
+});
+
+registerJob({
+  name: "expire_coupons",
+  description: "Deactivates coupons past their validTill date",
+  intervalSeconds: 60 * 60,
+  handler: async () => {
+    const result = await Coupon.updateMany(
+      { isActive: true, validTill: { $lt: new Date() } },
+      { isActive: false }
+    );
+    return { deactivated: result.modifiedCount };
+  },
+});
+
+registerJob({
+  name: "expire_offers",
+  description: "Deactivates restaurant offers past their end date",
+  intervalSeconds: 60 * 60,
+  handler: async () => {
+    const result = await Offer.updateMany(
+      { active: true, endDate: { $lt: new Date() } },
+      { active: false }
+    );
+    return { deactivated: result.modifiedCount };
+  },
+});
+
+registerJob({
+  name: "purge_tracking_breadcrumbs",
+  description: "Deletes agent location breadcrumbs older than retentionDays",
+  intervalSeconds: 24 * 60 * 60,
+  options: { retentionDays: 7 },
+  handler: ({ options }) => purgeBreadcrumbs({ retentionDays: options.retentionDays }),
+});
+
+registerJob({
+  name: "settle_shift_attendance",
+  description: "Marks missed shift bookings as no-shows and clocks out agents left clocked in for maxSessionHours",
+  intervalSeconds: 15 * 60,
+  options: { maxSessionHours: 16 },
+  handler: ({ options }) => settleShiftAttendance({ maxSessionHours: options.maxSessionHours }),
+});
+
+registerJob({
+  name: "evaluate_incentive_plans",
+  description: "Updates agents' incentive progress and credits rewards for met targets",
+  intervalSeconds: 15 * 60,
+  lockSeconds: 600,
+  handler: () => evaluateIncentivePlans(),
+});
+
+registerJob({
+  name: "check_agent_document_expiry",
+  description: "Reminds agents of documents expiring within reminderDays and blocks agents whose documents expired",
+  intervalSeconds: 6 * 60 * 60,
+  options: { reminderDays: 7 },
+  handler: ({ options }) => checkDocumentExpiry({ reminderDays: options.reminderDays }),
+});
+
+registerJob({
+  name: "monitor_zones",
+  description: "Ends zone pauses and surges past their end time and alerts admins about zones below their minimum agents online",
+  intervalSeconds: 5 * 60,
+  handler: ({ io }) => monitorZones({ io }),
+});
@@ -0,0 +1,266 @@
+const crypto = require("crypto");
+const Settlement = require("../models/settlementModel");
+const RestaurantEarning = require("../models/RestaurantEarningModel");
+const Restaurant = require("../models/restaurantModel");
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+const settlementError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const newRunId = () => {
+  const day = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  return `SR-${day}-${crypto.randomBytes(3).toString("hex").toUpperCase()}`;
+};
+
+// Order fields the restaurant's share is worked out from
+const ORDER_VALUE_FIELDS = "subtotal discountAmount packagingCharge";
+
+/**
+ * What an order is worth to the restaurant: the food after discount plus
+ * packaging. Tip, delivery, surge and GST go to the agent, platform and tax
+ * authority, not to the restaurant.
+ */
+exports.restaurantOrderValue = (order) =>
+  round((order.subtotal || 0) - (order.discountAmount || 0) + (order.packagingCharge || 0));
+
+// Value of an order earning; needs orderId populated with ORDER_VALUE_FIELDS, else the recorded amount
+const orderValueOf = (earning) => {
+  const order = earning.orderId;
+  if (!order || order.subtotal == null) return earning.totalOrderAmount;
+  return exports.restaurantOrderValue(order);
+};
+
+/**
+ * Totals for a set of earnings:
+ * net = orders - commission - refund adjustments - penalties
+ */
+const totalsFor = (earnings) => {
+  const totals = {
+    orderCount: 0,
+    grossAmount: 0,
+    commissionAmount: 0,
+    refundAdjustments: 0,
+    penalties: 0,
+  };
+
+  earnings.forEach((earning) => {
+    if (earning.type === "refund_adjustment") {
+      totals.refundAdjustments += Math.abs(earning.totalOrderAmount);
+    } else if (earning.type === "penalty") {
+      totals.penalties += Math.abs(earning.totalOrderAmount);
+    } else {
+      totals.orderCount += 1;
+      totals.grossAmount += orderValueOf(earning);
+      totals.commissionAmount += earning.revenueShareAmount;
+    }
+  });
+
+  Object.keys(totals).forEach((key) => (totals[key] = round(totals[key])));
+  totals.netPayout = round(
+    totals.grossAmount - totals.commissionAmount - totals.refundAdjustments - totals.penalties
+  );
+
+  return totals;
+};
+
+/**
+ * Settles pending restaurant earnings dated within [periodStart, periodEnd).
+ *
+ * Creates one pending Settlement per restaurant. Earnings are claimed with a
+ * conditional update, so an earning can never end up in two settlements.
+ * Restaurants whose net comes out at zero or below are skipped and their
+ * earnings stay pending for the next run.
+ *
+ * @param {Object} params
+ * @param {Date} params.periodStart
+ * @param {Date} params.periodEnd
+ * @param {String} [params.restaurantId] - Settle a single restaurant only.
+ * @param {String} [params.createdBy] - Admin running the settlement.
+ * @returns {Object} - { runId, settlements, skipped }
+ */
+exports.runSettlements = async ({ periodStart, periodEnd, restaurantId = null, createdBy = null }) => {
+  const period = { $gte: periodStart, $lt: periodEnd };
+  const runId = newRunId();
+
+  const restaurantIds = restaurantId
+    ? [restaurantId]
+    : await RestaurantEarning.distinct("restaurantId", {
+        payoutStatus: "pending",
+        settlementId: null,
+        date: period,
+      });
+
+  const settlements = [];
+  const skipped = [];
+
+  for (const id of restaurantIds) {
+    const settlement = await Settlement.create({
+      runId,
+      restaurantId: id,
+      periodStart,
+      periodEnd,
+      createdBy,
+    });
+
+    await RestaurantEarning.updateMany(
+      { restaurantId: id, payoutStatus: "pending", settlementId: null, date: period },
+      { settlementId: settlement._id }
+    );
+
+    const earnings = await RestaurantEarning.find({ settlementId: settlement._id })
+      .populate("orderId", ORDER_VALUE_FIELDS)
+      .lean();
+    const totals = totalsFor(earnings);
+
+    if (!earnings.length || totals.netPayout <= 0) {
+      await RestaurantEarning.updateMany({ settlementId: settlement._id }, { settlementId: null });
+      await Settlement.deleteOne({ _id: settlement._id });
+      skipped.push({ restaurantId: id, netPayout: totals.netPayout });
+      continue;
+    }
+
+    settlement.set(totals);
+    await settlement.save();
+    settlements.push(settlement);
+  }
+
+  return { runId, settlements, skipped };
+};
+
+/**
+ * Settlement with every earning it covers, for the statement view.
+ */
+exports.getSettlementStatement = async (settlementId) => {
+  const settlement = await Settlement.findById(settlementId)
+    .populate("restaurantId", "name address kyc.gstNumber")
+    .lean();
+  if (!settlement) throw settlementError(404, "Settlement not found");
+
+  const earnings = await RestaurantEarning.find({ settlementId })
+    .populate("orderId", `orderTime totalAmount ${ORDER_VALUE_FIELDS}`)
+    .sort({ date: 1 })
+    .lean();
+
+  const lines = earnings.map((earning) => {
+    const type = earning.type || "order";
+    const commission = type === "order" ? earning.revenueShareAmount : 0;
+    const amount = type === "order" ? orderValueOf(earning) : earning.totalOrderAmount;
+    return {
+      earningId: earning._id,
+      orderId: earning.orderId?._id || earning.orderId || null,
+      date: earning.date,
+      type,
+      amount,
+      commission,
+      net: round(amount - commission),
+      remarks: earning.remarks,
+    };
+  });
+
+  return { settlement, lines };
+};
+
+/**
+ * Records the bank transfer for a settlement and marks its earnings paid.
+ */
+exports.markSettlementPaid = async (settlementId, { payoutReference, paidBy }) => {
+  const paidAt = new Date();
+
+  const settlement = await Settlement.findOneAndUpdate(
+    { _id: settlementId, status: "pending" },
+    { status: "paid", payoutReference, paidAt, paidBy },
+    { new: true }
+  );
+
+  if (!settlement) {
+    const existing = await Settlement.findById(settlementId).select("status");
+    if (!existing) throw settlementError(404, "Settlement not found");
+    throw settlementError(409, `Settlement is already ${existing.status}`);
+  }
+
+  await RestaurantEarning.updateMany(
+    { settlementId: settlement._id },
+    { payoutStatus: "paid", payoutDate: paidAt }
+  );
+
+  return settlement;
+};
+
+/**
+ * Cancels a pending settlement; its earnings go back to pending for the next run.
+ */
+exports.cancelSettlement = async (settlementId) => {
+  const settlement = await Settlement.findOneAndUpdate(
+    { _id: settlementId, status: "pending" },
+    { status: "cancelled" },
+    { new: true }
+  );
+
+  if (!settlement) {
+    const existing = await Settlement.findById(settlementId).select("status");
+    if (!existing) throw settlementError(404, "Settlement not found");
+    throw settlementError(409, `Settlement is already ${existing.status}`);
+  }
+
+  await RestaurantEarning.updateMany({ settlementId: settlement._id }, { settlementId: null });
+
+  return settlement;
+};
+
+const csvField = (value) => {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Bank transfer file for pending settlements, one row per restaurant.
+ * Bank details come from the restaurant owner's account.
+ *
+ * @param {Object} filter - Settlement filter, e.g. { runId }.
+ * @returns {String} - CSV text.
+ */
+exports.buildBankTransferCsv = async (filter) => {
+  const settlements = await Settlement.find({ ...filter, status: "pending" }).lean();
+
+  const restaurants = await Restaurant.find({
+    _id: { $in: settlements.map((s) => s.restaurantId) },
+  })
+    .select("name ownerId")
+    .populate("ownerId", "bankDetails")
+    .lean();
+  const byId = new Map(restaurants.map((r) => [r._id.toString(), r]));
+
+  const header = [
+    "Settlement ID",
+    "Restaurant",
+    "Account Holder",
+    "Account Number",
+    "IFSC",
+    "Amount",
+    "Narration",
+    "Remarks",
+  ];
+
+  const rows = settlements.map((settlement) => {
+    const restaurant = byId.get(settlement.restaurantId.toString());
+    const bank = restaurant?.ownerId?.bankDetails || {};
+    const missingBank = !bank.accountNumber || !bank.ifscCode;
+
+    return [
+      settlement._id,
+      restaurant?.name,
+      bank.accountHolderName,
+      bank.accountNumber,
+      bank.ifscCode,
+      settlement.netPayout.toFixed(2),
+      `Orado payout ${settlement.runId}`,
+      missingBank ? "Missing bank details" : "",
+    ];
+  });
+
+  return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n");
+};
@@ -0,0 +1,474 @@
+const Agent = require("../models/agentModel");
+const ShiftSlot = require("../models/shiftSlotModel");
+const ShiftBooking = require("../models/shiftBookingModel");
+const LeaveRequest = require("../models/leaveRequestModel");
+
+const MAX_SHIFT_HOURS = 12;
+// agents may clock in this early for a booked shift
+const EARLY_CLOCK_IN_MINUTES = 15;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const shiftError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+// Approved leave of the agent overlapping [from, to)
+const findApprovedLeave = (agentId, from, to) =>
+  LeaveRequest.findOne({
+    agentId,
+    status: "Approved",
+    startDate: { $lt: to },
+    endDate: { $gt: from },
+  }).lean();
+
+/**
+ * Creates a shift slot, optionally repeated at the same time on the following days.
+ *
+ * @param {Object} params
+ * @param {String} params.zone
+ * @param {Date} params.startsAt
+ * @param {Date} params.endsAt
+ * @param {Number} params.capacity - Agents needed.
+ * @param {Number} [params.repeatDays] - Extra daily copies.
+ * @returns {Array} - The created ShiftSlots.
+ */
+exports.createShiftSlots = async ({ zone, startsAt, endsAt, capacity, repeatDays = 0, createdBy }) => {
+  if (!zone?.trim()) throw shiftError(400, "zone is required");
+  if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+    throw shiftError(400, "endsAt must be after startsAt");
+  }
+  if (endsAt - startsAt > MAX_SHIFT_HOURS * HOUR_MS) {
+    throw shiftError(400, `A shift can be at most ${MAX_SHIFT_HOURS} hours`);
+  }
+  if (startsAt <= new Date()) throw shiftError(400, "Shifts must start in the future");
+  if (!Number.isInteger(repeatDays) || repeatDays < 0 || repeatDays > 30) {
+    throw shiftError(400, "repeatDays must be between 0 and 30");
+  }
+
+  const slots = Array.from({ length: repeatDays + 1 }, (_, day) => ({
+    zone,
+    startsAt: new Date(startsAt.getTime() + day * DAY_MS),
+    endsAt: new Date(endsAt.getTime() + day * DAY_MS),
+    capacity,
+    createdBy,
+  }));
+
+  return ShiftSlot.insertMany(slots);
+};
+
+/**
+ * Changes a slot's capacity or cancels it. Cancelling also cancels its bookings.
+ *
+ * @returns {Object} - { slot, cancelledBookings }
+ */
+exports.updateShiftSlot = async (slotId, { capacity, status }) => {
+  const slot = await ShiftSlot.findById(slotId);
+  if (!slot) throw shiftError(404, "Shift slot not found");
+  if (slot.status === "cancelled") throw shiftError(409, "Shift slot is already cancelled");
+
+  if (capacity !== undefined) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw shiftError(400, "capacity must be a whole number of at least 1");
+    }
+    if (capacity < slot.bookedCount) {
+      throw shiftError(409, `${slot.bookedCount} agents have already booked this shift`);
+    }
+    slot.capacity = capacity;
+  }
+
+  let cancelledBookings = [];
+  if (status === "cancelled") {
+    slot.status = "cancelled";
+    cancelledBookings = await ShiftBooking.find({ slotId: slot._id, status: "booked" }).select("agentId").lean();
+    await ShiftBooking.updateMany(
+      { slotId: slot._id, status: "booked" },
+      { status: "cancelled", cancelledAt: new Date(), cancelReason: "Shift cancelled" }
+    );
+    slot.bookedCount = 0;
+  } else if (status !== undefined) {
+    throw shiftError(400, "status can only be set to cancelled");
+  }
+
+  await slot.save();
+  return { slot, cancelledBookings };
+};
+
+/**
+ * Open future slots with free places.
+ */
+exports.getOpenSlots = ({ zone, from = new Date(), to }) => {
+  const filter = {
+    status: "open",
+    startsAt: { $gt: from, ...(to && { $lt: to }) },
+    $expr: { $lt: ["$bookedCount", "$capacity"] },
+  };
+  if (zone) filter.zone = zone.trim().toLowerCase();
+
+  return ShiftSlot.find(filter).sort({ startsAt: 1 }).limit(200).lean();
+};
+
+/**
+ * Books a slot for an agent. Places are claimed atomically so a slot is never
+ * overbooked; overlapping bookings and shifts during approved leave are refused.
+ *
+ * @returns {Object} - The ShiftBooking.
+ */
+exports.bookShift = async ({ slotId, agentId }) => {
+  const slot = await ShiftSlot.findById(slotId).lean();
+  if (!slot || slot.status !== "open") throw shiftError(404, "Shift slot not found");
+  if (slot.startsAt <= new Date()) throw shiftError(409, "This shift has already started");
+
+  if (await findApprovedLeave(agentId, slot.startsAt, slot.endsAt)) {
+    throw shiftError(409, "You are on leave during this shift");
+  }
+
+  const overlapping = await ShiftBooking.exists({
+    agentId,
+    status: "booked",
+    startsAt: { $lt: slot.endsAt },
+    endsAt: { $gt: slot.startsAt },
+  });
+  if (overlapping) throw shiftError(409, "You already have a shift at this time");
+
+  const claimed = await ShiftSlot.findOneAndUpdate(
+    { _id: slot._id, status: "open", $expr: { $lt: ["$bookedCount", "$capacity"] } },
+    { $inc: { bookedCount: 1 } }
+  );
+  if (!claimed) throw shiftError(409, "This shift is full");
+
+  try {
+    // re-books a previously cancelled booking of the same slot
+    return await ShiftBooking.findOneAndUpdate(
+      { slotId: slot._id, agentId, status: { $ne: "booked" } },
+      {
+        zone: slot.zone,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        status: "booked",
+        clockedInAt: null,
+        cancelledAt: null,
+        cancelReason: null,
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    await ShiftSlot.updateOne({ _id: slot._id }, { $inc: { bookedCount: -1 } });
+    if (err.code === 11000) throw shiftError(409, "You have already booked this shift");
+    throw err;
+  }
+};
+
+/**
+ * Cancels a booking before its shift starts and frees the place.
+ *
+ * @param {Object} params
+ * @param {String} params.bookingId
+ * @param {String} [params.agentId] - Restricts to the agent's own booking.
+ * @param {String} [params.reason]
+ */
+exports.cancelBooking = async ({ bookingId, agentId, reason = null }) => {
+  const filter = { _id: bookingId, status: "booked", startsAt: { $gt: new Date() } };
+  if (agentId) filter.agentId = agentId;
+
+  const booking = await ShiftBooking.findOneAndUpdate(
+    filter,
+    { status: "cancelled", cancelledAt: new Date(), cancelReason: reason },
+    { new: true }
+  );
+  if (!booking) {
+    throw shiftError(404, "No upcoming booking found");
+  }
+
+  await ShiftSlot.updateOne({ _id: booking.slotId, bookedCount: { $gt: 0 } }, { $inc: { bookedCount: -1 } });
+  return booking;
+};
+
+/**
+ * Clocks an agent in: makes them available for dispatch, opens an attendance
+ * log and links it to the shift they booked for now, if any.
+ *
+ * @returns {Object} - { log, booking }
+ * @throws {Error} - 409 when already clocked in or on approved leave.
+ */
+exports.clockIn = async ({ agentId }) => {
+  const now = new Date();
+  const agent = await Agent.findById(agentId).select("attendance compliance").lean();
+  if (!agent) throw shiftError(404, "Agent not found");
+  if (agent.attendance?.clockedIn) throw shiftError(409, "You are already clocked in");
+  if (agent.compliance?.blocked) throw shiftError(403, agent.compliance.reason || "Your account is blocked");
+
+  if (await findApprovedLeave(agentId, now, new Date(now.getTime() + 1))) {
+    throw shiftError(409, "You are on approved leave");
+  }
+
+  const booking = await ShiftBooking.findOne({
+    agentId,
+    status: "booked",
+    startsAt: { $lte: new Date(now.getTime() + EARLY_CLOCK_IN_MINUTES * 60000) },
+    endsAt: { $gt: now },
+  });
+
+  const today = startOfDay(now);
+  const firstToday = !(agent.attendance?.attendanceLogs || []).some(
+    (log) => log.date?.getTime() === today.getTime()
+  );
+
+  const updated = await Agent.findOneAndUpdate(
+    { _id: agentId, "attendance.clockedIn": { $ne: true } },
+    {
+      $set: { "attendance.clockedIn": true, availabilityStatus: "Available", updatedAt: now },
+      $push: {
+        "attendance.attendanceLogs": {
+          date: today,
+          status: "Present",
+          clockIn: now,
+          bookingId: booking?._id || null,
+        },
+      },
+      $inc: { "attendance.daysWorked": firstToday ? 1 : 0 },
+    },
+    { new: true }
+  ).select("attendance.attendanceLogs");
+  if (!updated) throw shiftError(409, "You are already clocked in");
+
+  if (booking && !booking.clockedInAt) {
+    booking.clockedInAt = now;
+    await booking.save();
+  }
+
+  const logs = updated.attendance.attendanceLogs;
+  return { log: logs[logs.length - 1], booking };
+};
+
+/**
+ * Clocks an agent out: closes the open attendance log with the hours worked,
+ * makes them unavailable and completes the linked shift booking.
+ *
+ * @param {Object} params
+ * @param {String} params.agentId
+ * @param {Boolean} [params.auto] - Closed by the system; skips the active order check.
+ * @returns {Object} - The closed attendance log.
+ * @throws {Error} - 409 when not clocked in or still carrying orders.
+ */
+exports.clockOut = async ({ agentId, auto = false }) => {
+  const now = new Date();
+  const agent = await Agent.findById(agentId).select("attendance deliveryStatus.currentOrderCount").lean();
+  if (!agent) throw shiftError(404, "Agent not found");
+  if (!agent.attendance?.clockedIn) throw shiftError(409, "You are not clocked in");
+  if (!auto && agent.deliveryStatus?.currentOrderCount > 0) {
+    throw shiftError(409, "Finish your active orders before clocking out");
+  }
+
+  const log = [...(agent.attendance.attendanceLogs || [])].reverse().find((l) => l.clockIn && !l.clockOut);
+  const workedHours = log ? round((now - log.clockIn) / HOUR_MS) : 0;
+
+  const update = {
+    "attendance.clockedIn": false,
+    availabilityStatus: "Unavailable",
+    updatedAt: now,
+  };
+  const filter = { _id: agentId, "attendance.clockedIn": true };
+  if (log) {
+    filter["attendance.attendanceLogs._id"] = log._id;
+    update["attendance.attendanceLogs.$.clockOut"] = now;
+    update["attendance.attendanceLogs.$.workedHours"] = workedHours;
+    update["attendance.attendanceLogs.$.autoClosed"] = auto;
+  }
+
+  const result = await Agent.updateOne(filter, { $set: update });
+  if (!result.modifiedCount) throw shiftError(409, "You are not clocked in");
+
+  if (log?.bookingId) {
+    await ShiftBooking.updateOne({ _id: log.bookingId, status: "booked" }, { status: "completed" });
+  }
+
+  return { ...log, clockOut: now, workedHours, autoClosed: auto };
+};
+
+/**
+ * Files a leave request for admin approval.
+ */
+exports.requestLeave = async ({ agentId, leaveType, startDate, endDate, reason }) => {
+  if (isNaN(startDate) || isNaN(endDate) || endDate <= startDate) {
+    throw shiftError(400, "endDate must be after startDate");
+  }
+  if (endDate <= new Date()) throw shiftError(400, "Leave must end in the future");
+
+  const overlapping = await LeaveRequest.exists({
+    agentId,
+    status: { $in: ["Pending", "Approved"] },
+    startDate: { $lt: endDate },
+    endDate: { $gt: startDate },
+  });
+  if (overlapping) throw shiftError(409, "You already requested leave for these dates");
+
+  const leave = await LeaveRequest.create({ agentId, leaveType, startDate, endDate, reason });
+
+  await Agent.updateOne(
+    { _id: agentId },
+    {
+      leaveStatus: {
+        leaveApplied: true,
+        leaveStartDate: startDate,
+        leaveEndDate: endDate,
+        leaveType,
+        status: "Pending",
+      },
+    }
+  );
+
+  return leave;
+};
+
+/**
+ * Approves or rejects a pending leave request. Approval cancels the agent's
+ * shift bookings during the leave and counts the days off.
+ *
+ * @returns {Object} - { leave, cancelledBookings }
+ */
+exports.reviewLeave = async (leaveId, { approve, comment = null, reviewedBy }) => {
+  const leave = await LeaveRequest.findOneAndUpdate(
+    { _id: leaveId, status: "Pending" },
+    {
+      status: approve ? "Approved" : "Rejected",
+      reviewedBy,
+      reviewedAt: new Date(),
+      adminComment: comment,
+    },
+    { new: true }
+  );
+
+  if (!leave) {
+    const existing = await LeaveRequest.findById(leaveId).select("status");
+    if (!existing) throw shiftError(404, "Leave request not found");
+    throw shiftError(409, `Leave request is already ${existing.status.toLowerCase()}`);
+  }
+
+  const agentUpdate = {
+    "leaveStatus.status": leave.status,
+    "leaveStatus.leaveApplied": approve,
+  };
+
+  let cancelledBookings = [];
+  if (approve) {
+    const bookings = await ShiftBooking.find({
+      agentId: leave.agentId,
+      status: "booked",
+      startsAt: { $lt: leave.endDate, $gt: new Date() },
+      endsAt: { $gt: leave.startDate },
+    }).select("_id");
+
+    for (const booking of bookings) {
+      cancelledBookings.push(
+        await exports.cancelBooking({ bookingId: booking._id, reason: "On approved leave" })
+      );
+    }
+
+    const days = Math.ceil((leave.endDate - leave.startDate) / DAY_MS);
+    await Agent.updateOne({ _id: leave.agentId }, { $set: agentUpdate, $inc: { "attendance.daysOff": days } });
+  } else {
+    await Agent.updateOne({ _id: leave.agentId }, { $set: agentUpdate });
+  }
+
+  return { leave, cancelledBookings };
+};
+
+/**
+ * Hour-by-hour coverage for one day: agents needed (slot capacity), booked
+ * and clocked in, with the hours that are short of agents.
+ *
+ * @param {Object} params
+ * @param {Date} params.date - Any time on the day.
+ * @param {String} [params.zone] - All zones when omitted.
+ * @returns {Object} - { date, zone, hours, gaps }
+ */
+exports.getRoster = async ({ date, zone }) => {
+  const dayStart = startOfDay(date);
+  const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+  const zoneFilter = zone ? { zone: zone.trim().toLowerCase() } : {};
+
+  const [slots, bookings] = await Promise.all([
+    ShiftSlot.find({ ...zoneFilter, status: "open", startsAt: { $lt: dayEnd }, endsAt: { $gt: dayStart } })
+      .select("startsAt endsAt capacity")
+      .lean(),
+    ShiftBooking.find({
+      ...zoneFilter,
+      status: { $in: ["booked", "completed"] },
+      startsAt: { $lt: dayEnd },
+      endsAt: { $gt: dayStart },
+    })
+      .select("startsAt endsAt clockedInAt")
+      .lean(),
+  ]);
+
+  const overlaps = (item, from, to) => item.startsAt < to && item.endsAt > from;
+
+  const hours = Array.from({ length: 24 }, (_, hour) => {
+    const from = new Date(dayStart.getTime() + hour * HOUR_MS);
+    const to = new Date(from.getTime() + HOUR_MS);
+
+    const needed = slots.filter((s) => overlaps(s, from, to)).reduce((sum, s) => sum + s.capacity, 0);
+    const booked = bookings.filter((b) => overlaps(b, from, to));
+
+    return {
+      hour,
+      from,
+      to,
+      needed,
+      booked: booked.length,
+      clockedIn: booked.filter((b) => b.clockedInAt && b.clockedInAt < to).length,
+      shortfall: Math.max(needed - booked.length, 0),
+    };
+  });
+
+  return {
+    date: dayStart,
+    zone: zoneFilter.zone || null,
+    hours,
+    gaps: hours.filter((h) => h.shortfall > 0).map(({ hour, shortfall }) => ({ hour, shortfall })),
+  };
+};
+
+/**
+ * Marks past bookings nobody clocked in for as no-shows and clocks out
+ * agents whose session has been open for longer than maxSessionHours.
+ *
+ * @returns {Object} - { noShows, autoClockedOut }
+ */
+exports.settleShiftAttendance = async ({ maxSessionHours = 16 } = {}) => {
+  const now = new Date();
+
+  const noShows = await ShiftBooking.updateMany(
+    { status: "booked", endsAt: { $lt: now }, clockedInAt: null },
+    { status: "no_show" }
+  );
+
+  const cutoff = new Date(now.getTime() - maxSessionHours * HOUR_MS);
+  const stale = await Agent.find({
+    "attendance.clockedIn": true,
+    "attendance.attendanceLogs": { $elemMatch: { clockIn: { $lt: cutoff }, clockOut: null } },
+  }).select("_id");
+
+  let autoClockedOut = 0;
+  for (const agent of stale) {
+    try {
+      await exports.clockOut({ agentId: agent._id, auto: true });
+      autoClockedOut++;
+    } catch (err) {
+      if (!err.statusCode) throw err;
+    }
+  }
+
+  return { noShows: noShows.modifiedCount, autoClockedOut };
+};
@@ -0,0 +1,141 @@
+const TaxRule = require("../models/taxRuleModel");
+
+// Used when no active rule matches
+const DEFAULT_RATES = {
+  item: 5,
+  packaging: 18,
+  delivery: 18,
+};
+
+const round = (value) => Number(value.toFixed(2));
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+
+/**
+ * Picks the rate for one charge from the active rules.
+ * Specificity: category + restaurant type > category > restaurant type > catch-all.
+ */
+const resolveRate = (rules, { appliesTo, categoryId = null, restaurantType = null }) => {
+  let best = null;
+  let bestScore = -1;
+
+  rules.forEach((rule) => {
+    if (rule.appliesTo !== appliesTo) return;
+    if (rule.categoryId && !sameId(rule.categoryId, categoryId)) return;
+    if (rule.restaurantType && rule.restaurantType !== restaurantType) return;
+
+    const score = (rule.categoryId ? 2 : 0) + (rule.restaurantType ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  });
+
+  return best ? best.rate : DEFAULT_RATES[appliesTo];
+};
+
+const taxLine = ({ type, productId = null, name, taxableAmount, rate, interState }) => {
+  const amount = round((taxableAmount * rate) / 100);
+  const half = round(amount / 2);
+
+  return {
+    type,
+    productId,
+    name,
+    taxableAmount: round(taxableAmount),
+    rate,
+    cgst: interState ? 0 : half,
+    sgst: interState ? 0 : round(amount - half),
+    igst: interState ? amount : 0,
+    total: amount,
+  };
+};
+
+/**
+ * Supply is inter-state (IGST) when the restaurant and delivery address are in
+ * different states. Unknown states are treated as intra-state (CGST + SGST).
+ */
+const isInterState = (restaurantState, customerState) => {
+  if (!restaurantState || !customerState) return false;
+  return restaurantState.trim().toLowerCase() !== customerState.trim().toLowerCase();
+};
+
+/**
+ * Calculates GST for an order, line by line.
+ *
+ * The order discount is spread over the items in proportion to their value
+ * before tax is applied. Packaging and delivery are taxed at their own rates.
+ *
+ * @param {Object} params
+ * @param {Array} params.items - [{ productId, name, categoryId, amount }]
+ * @param {Number} [params.discount] - Order level discount on the items.
+ * @param {Number} [params.packagingCharge]
+ * @param {Number} [params.deliveryCharge] - Delivery fee including surge.
+ * @param {Object} params.restaurant - Restaurant document (restaurantType, address.state, kyc.gstNumber).
+ * @param {String} [params.customerState] - State of the delivery address.
+ * @returns {Object} - { gstin, interState, lines, cgst, sgst, igst, total }
+ */
+exports.calculateTax = async ({
+  items,
+  discount = 0,
+  packagingCharge = 0,
+  deliveryCharge = 0,
+  restaurant,
+  customerState = null,
+}) => {
+  const restaurantType = restaurant.restaurantType || null;
+
+  const rules = await TaxRule.find({
+    isActive: true,
+    $or: [{ restaurantType: null }, { restaurantType }],
+  }).lean();
+
+  const interState = isInterState(restaurant.address?.state, customerState);
+  const itemsTotal = items.reduce((sum, item) => sum + item.amount, 0);
+  const discountRatio = itemsTotal > 0 ? Math.min(discount / itemsTotal, 1) : 0;
+
+  const lines = items.map((item) =>
+    taxLine({
+      type: "item",
+      productId: item.productId,
+      name: item.name,
+      taxableAmount: item.amount * (1 - discountRatio),
+      rate: resolveRate(rules, { appliesTo: "item", categoryId: item.categoryId, restaurantType }),
+      interState,
+    })
+  );
+
+  if (packagingCharge > 0) {
+    lines.push(taxLine({
+      type: "packaging",
+      name: "Packaging charges",
+      taxableAmount: packagingCharge,
+      rate: resolveRate(rules, { appliesTo: "packaging", restaurantType }),
+      interState,
+    }));
+  }
+
+  if (deliveryCharge > 0) {
+    lines.push(taxLine({
+      type: "delivery",
+      name: "Delivery charges",
+      taxableAmount: deliveryCharge,
+      rate: resolveRate(rules, { appliesTo: "delivery", restaurantType }),
+      interState,
+    }));
+  }
+
+  const sum = (key) => round(lines.reduce((total, line) => total + line[key], 0));
+
+  return {
+    gstin: restaurant.kyc?.gstNumber || null,
+    interState,
+    lines,
+    cgst: sum("cgst"),
+    sgst: sum("sgst"),
+    igst: sum("igst"),
+    total: sum("total"),
+  };
+};
+
+exports.DEFAULT_RATES = DEFAULT_RATES;
@@ -0,0 +1,255 @@
+const Agent = require("../models/agentModel");
+const Order = require("../models/orderModel");
+const Restaurant = require("../models/restaurantModel");
+const DeliveryBatch = require("../models/deliveryBatchModel");
+const LocationPing = require("../models/locationPingModel");
+const { haversineDistance } = require("../utils/distanceCalculator");
+const { getDispatchSettings } = require("./dispatchScorer");
+const { evaluateGeofences, checkLocationJump } = require("./geofenceService");
+const { findZoneAt } = require("./zoneService");
+
+// Orders an agent is carrying or heading to pick up
+const TRACKED_STATUSES = ["assigned_to_agent", "preparing", "ready", "picked_up", "in_progress", "arrived"];
+const ON_BOARD_STATUSES = ["picked_up", "in_progress", "arrived"];
+
+const DEFAULT_SPEED_KMPH = 20;
+const MIN_SPEED_KMPH = 5;    // below this the agent is waiting, not travelling
+const MAX_SPEED_KMPH = 60;
+const SPEED_WINDOW_MS = 5 * 60 * 1000;
+// straight-line distance to expected road distance
+const ROUTE_FACTOR = 1.3;
+const STOP_MINUTES = 3;
+
+// Pings closer together than this are not stored
+const MIN_PING_INTERVAL_MS = 5 * 1000;
+// A stationary agent is still recorded this often
+const IDLE_PING_INTERVAL_MS = 60 * 1000;
+const MIN_PING_DISTANCE_KM = 0.01;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const trackingError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const pathKm = (points) =>
+  points.slice(1).reduce((km, point, i) => km + haversineDistance(points[i], point), 0);
+
+// Average speed over the order's pings of the last few minutes
+const recentSpeed = async (orderId, now) => {
+  const pings = await LocationPing.find({
+    orderId,
+    recordedAt: { $gte: new Date(now - SPEED_WINDOW_MS) },
+  })
+    .sort({ recordedAt: 1 })
+    .select("location recordedAt")
+    .lean();
+  if (pings.length < 2) return null;
+
+  const km = pathKm(pings.map((p) => p.location.coordinates));
+  const hours = (pings[pings.length - 1].recordedAt - pings[0].recordedAt) / 3600000;
+  return hours > 0 ? km / hours : null;
+};
+
+/**
+ * Distance the agent still has to travel before reaching the customer:
+ * through the remaining batch stops, via the restaurant if the order is not
+ * picked up yet, or straight to the customer.
+ *
+ * @returns {Object} - { km, stops }
+ */
+const remainingRoute = async (order, agentCoords) => {
+  const drop = order.deliveryLocation.coordinates;
+
+  if (order.batchId) {
+    const batch = await DeliveryBatch.findOne({ _id: order.batchId, status: "active" }).lean();
+    const pending = (batch?.stops || [])
+      .filter((s) => s.status === "pending")
+      .sort((a, b) => a.sequence - b.sequence);
+    const dropIndex = pending.findIndex((s) => s.type === "drop" && s.orderId.equals(order._id));
+
+    if (dropIndex >= 0) {
+      const path = [agentCoords, ...pending.slice(0, dropIndex + 1).map((s) => s.location.coordinates)];
+      return { km: pathKm(path) * ROUTE_FACTOR, stops: dropIndex + 1 };
+    }
+  }
+
+  if (ON_BOARD_STATUSES.includes(order.orderStatus)) {
+    return { km: haversineDistance(agentCoords, drop) * ROUTE_FACTOR, stops: 1 };
+  }
+
+  const restaurant = await Restaurant.findById(order.restaurantId).select("location").lean();
+  const pickup = restaurant?.location?.coordinates;
+  const path = pickup ? [agentCoords, pickup, drop] : [agentCoords, drop];
+  return { km: pathKm(path) * ROUTE_FACTOR, stops: path.length - 1 };
+};
+
+/**
+ * Records an agent's position: updates agent.location, stores a breadcrumb for
+ * every active order of the agent, recomputes each order's ETA from the
+ * remaining distance and recent speed, and streams it to the customer. Every
+ * ping is checked for geofence crossings and every stored breadcrumb for
+ * implausible jumps.
+ *
+ * @param {Object} params
+ * @param {String} params.agentId
+ * @param {Number} params.longitude
+ * @param {Number} params.latitude
+ * @param {String} [params.availabilityStatus]
+ * @param {Number} [params.speedKmph] - Device reported speed.
+ * @param {Number} [params.heading]
+ * @param {Number} [params.accuracy]
+ * @param {Object} [params.io] - Socket.IO server instance.
+ * @returns {Array} - The tracking updates sent, one per order.
+ */
+exports.recordAgentLocation = async ({
+  agentId,
+  longitude,
+  latitude,
+  availabilityStatus,
+  speedKmph = null,
+  heading = null,
+  accuracy = null,
+  io,
+}) => {
+  const coordinates = [Number(longitude), Number(latitude)];
+  if (coordinates.some((c) => !Number.isFinite(c))) {
+    throw trackingError(400, "Invalid coordinates");
+  }
+
+  // agents blocked for expired documents cannot go available
+  if (availabilityStatus === "Available" && (await Agent.exists({ _id: agentId, "compliance.blocked": true }))) {
+    availabilityStatus = undefined;
+  }
+
+  const zone = await findZoneAt(coordinates);
+
+  const agent = await Agent.findByIdAndUpdate(
+    agentId,
+    {
+      ...(availabilityStatus && { availabilityStatus }),
+      location: { type: "Point", coordinates },
+      zoneId: zone?._id || null,
+      updatedAt: new Date(),
+    },
+    { new: true }
+  ).select("_id");
+  if (!agent) throw trackingError(404, "Agent not found");
+
+  const orders = await Order.find({
+    assignedAgent: agent._id,
+    orderStatus: { $in: TRACKED_STATUSES },
+  }).select("customerId restaurantId orderStatus deliveryLocation batchId");
+
+  const now = new Date();
+  const updates = [];
+  const settings = orders.length ? await getDispatchSettings() : null;
+
+  for (const order of orders) {
+    // geofences on every ping, so a short visit is not missed between stored breadcrumbs
+    await evaluateGeofences({ order, agentId: agent._id, coordinates, io, settings });
+
+    const last = await LocationPing.findOne({ orderId: order._id }).sort({ recordedAt: -1 }).lean();
+    if (last) {
+      const sinceLast = now - last.recordedAt;
+      const moved = haversineDistance(last.location.coordinates, coordinates);
+      if (sinceLast < MIN_PING_INTERVAL_MS) continue;
+      if (moved < MIN_PING_DISTANCE_KM && sinceLast < IDLE_PING_INTERVAL_MS) continue;
+
+      await checkLocationJump({ orderId: order._id, agentId: agent._id, last, coordinates, now, settings });
+    }
+
+    await LocationPing.create({
+      orderId: order._id,
+      agentId: agent._id,
+      location: { type: "Point", coordinates },
+      speedKmph,
+      heading,
+      accuracy,
+      recordedAt: now,
+    });
+
+    const measured = (await recentSpeed(order._id, now)) ?? speedKmph;
+    const speed = measured >= MIN_SPEED_KMPH ? Math.min(measured, MAX_SPEED_KMPH) : DEFAULT_SPEED_KMPH;
+
+    const route = await remainingRoute(order, coordinates);
+    const minutes = (route.km / speed) * 60 + route.stops * STOP_MINUTES;
+    const estimatedDeliveryAt = new Date(now.getTime() + minutes * 60000);
+
+    await Order.updateOne({ _id: order._id }, { estimatedDeliveryAt });
+
+    const update = {
+      orderId: order._id,
+      location: { latitude: coordinates[1], longitude: coordinates[0] },
+      heading,
+      speedKmph: round(speed, 1),
+      remainingKm: round(route.km),
+      estimatedDeliveryAt,
+      recordedAt: now,
+    };
+    io?.to(`user_${order.customerId}`).emit("agentLocation", update);
+    updates.push(update);
+  }
+
+  return updates;
+};
+
+/**
+ * Tracking view of an order: current agent position, ETA and the breadcrumb
+ * trail (optionally only the part after `since`, for incremental replay).
+ */
+exports.getOrderTracking = async (orderId, { since } = {}) => {
+  const order = await Order.findById(orderId)
+    .select("orderStatus assignedAgent restaurantId deliveryLocation estimatedDeliveryAt")
+    .populate("assignedAgent", "fullName phoneNumber profilePicture location")
+    .lean();
+  if (!order) throw trackingError(404, "Order not found");
+
+  const restaurant = await Restaurant.findById(order.restaurantId).select("name location").lean();
+
+  const filter = { orderId: order._id };
+  if (since) filter.recordedAt = { $gt: since };
+  const pings = await LocationPing.find(filter)
+    .sort({ recordedAt: 1 })
+    .select("location speedKmph heading recordedAt")
+    .lean();
+
+  const toPoint = (coords) => (coords ? { latitude: coords[1], longitude: coords[0] } : null);
+  const agent = order.assignedAgent;
+
+  return {
+    orderId: order._id,
+    orderStatus: order.orderStatus,
+    estimatedDeliveryAt: order.estimatedDeliveryAt,
+    agent: agent
+      ? {
+          _id: agent._id,
+          fullName: agent.fullName,
+          phoneNumber: agent.phoneNumber,
+          profilePicture: agent.profilePicture,
+          location: TRACKED_STATUSES.includes(order.orderStatus) ? toPoint(agent.location?.coordinates) : null,
+        }
+      : null,
+    restaurant: restaurant ? { _id: restaurant._id, name: restaurant.name, location: toPoint(restaurant.location?.coordinates) } : null,
+    deliveryLocation: toPoint(order.deliveryLocation?.coordinates),
+    breadcrumbs: pings.map((ping) => ({
+      ...toPoint(ping.location.coordinates),
+      speedKmph: ping.speedKmph,
+      heading: ping.heading,
+      recordedAt: ping.recordedAt,
+    })),
+  };
+};
+
+/**
+ * Deletes breadcrumbs older than the retention window.
+ *
+ * @returns {Object} - { deleted }
+ */
+exports.purgeBreadcrumbs = async ({ retentionDays = 7 } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const result = await LocationPing.deleteMany({ recordedAt: { $lt: cutoff } });
+  return { deleted: result.deletedCount };
+};
@@ -0,0 +1,126 @@
+const User = require("../models/userModel");
+const WalletTransaction = require("../models/walletTransactionModel");
+const { sendPushNotification } = require("../utils/sendPushNotification");
+
+const walletError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundAmount = (amount) => Number(Number(amount).toFixed(2));
+
+/**
+ * Credits a customer's wallet and records it in the ledger.
+ * Every credit sends a 'walletCredits' notification.
+ *
+ * @param {Object} params
+ * @param {String} params.userId
+ * @param {Number} params.amount - Positive amount to add.
+ * @param {String} params.reason - top_up | order_cancellation | refund | admin_adjustment
+ * @param {String} [params.orderId]
+ * @param {String} [params.paymentId]
+ * @param {String} [params.description]
+ * @param {String} [params.performedBy] - Admin making a manual adjustment.
+ * @returns {Object} - The WalletTransaction document.
+ */
+exports.creditWallet = async ({ userId, amount, reason, orderId = null, paymentId = null, description = null, performedBy = null }) => {
+  amount = roundAmount(amount);
+  if (!(amount > 0)) throw walletError(400, "Credit amount must be greater than 0");
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { walletBalance: amount } },
+    { new: true }
+  ).select("walletBalance");
+
+  if (!user) throw walletError(404, "User not found");
+
+  const transaction = await WalletTransaction.create({
+    userId,
+    type: "credit",
+    amount,
+    reason,
+    orderId,
+    paymentId,
+    balanceAfter: user.walletBalance,
+    description,
+    performedBy,
+  });
+
+  await sendPushNotification(
+    userId,
+    "Wallet Credited",
+    `₹${amount} has been added to your wallet. Balance: ₹${user.walletBalance}`,
+    "walletCredits"
+  );
+
+  return transaction;
+};
+
+/**
+ * Debits a customer's wallet and records it in the ledger.
+ * The balance check and the deduction happen in a single conditional update,
+ * so concurrent debits can never take the balance below zero.
+ *
+ * @returns {Object} - The WalletTransaction document.
+ * @throws {Error} - statusCode 400 when the balance is insufficient.
+ */
+exports.debitWallet = async ({ userId, amount, reason, orderId = null, description = null, performedBy = null }) => {
+  amount = roundAmount(amount);
+  if (!(amount > 0)) throw walletError(400, "Debit amount must be greater than 0");
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, walletBalance: { $gte: amount } },
+    { $inc: { walletBalance: -amount } },
+    { new: true }
+  ).select("walletBalance");
+
+  if (!user) {
+    const exists = await User.exists({ _id: userId });
+    if (!exists) throw walletError(404, "User not found");
+    throw walletError(400, "Insufficient wallet balance");
+  }
+
+  try {
+    return await WalletTransaction.create({
+      userId,
+      type: "debit",
+      amount,
+      reason,
+      orderId,
+      balanceAfter: user.walletBalance,
+      description,
+      performedBy,
+    });
+  } catch (error) {
+    // keep balance and ledger in step
+    await User.findByIdAndUpdate(userId, { $inc: { walletBalance: amount } });
+    throw error;
+  }
+};
+
+/**
+ * Returns a page of the customer's wallet statement, newest first.
+ */
+exports.getWalletStatement = async (userId, { page = 1, limit = 20 } = {}) => {
+  page = Math.max(parseInt(page) || 1, 1);
+  limit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [user, transactions, total] = await Promise.all([
+    User.findById(userId).select("walletBalance"),
+    WalletTransaction.find({ userId })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WalletTransaction.countDocuments({ userId }),
+  ]);
+
+  if (!user) throw walletError(404, "User not found");
+
+  return {
+    balance: user.walletBalance,
+    transactions,
+    pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+  };
+};
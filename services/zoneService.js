@@ -0,0 +1,167 @@
+const Zone = require("../models/zoneModel");
+const Agent = require("../models/agentModel");
+const Restaurant = require("../models/restaurantModel");
+const notifyAdmins = require("../utils/notifyAdmins");
+const { isPeakHour } = require("./deliveryFeeService");
+
+// Low agent alerts for a zone are repeated at most this often
+const LOW_AGENTS_ALERT_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_PAUSE_MESSAGE = "We have paused orders in your area for a while. Please try again later.";
+const OUTSIDE_HOURS_MESSAGE = "We are not delivering in your area right now.";
+
+const zoneError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Active zone containing a point, or null.
+ *
+ * @param {Array} coordinates - [lng, lat]
+ */
+exports.findZoneAt = (coordinates) =>
+  Zone.findOne({
+    active: true,
+    boundary: { $geoIntersects: { $geometry: { type: "Point", coordinates } } },
+  }).lean();
+
+/**
+ * Active zone by ID, or null when the ID is empty or the zone is disabled.
+ */
+exports.getZone = async (zoneId) => {
+  if (!zoneId) return null;
+  return Zone.findOne({ _id: zoneId, active: true }).lean();
+};
+
+/**
+ * Whether customers can order in a zone at `at`. A zone is closed while its
+ * kill switch is on or outside its active hours. Orders outside every zone
+ * are not restricted.
+ *
+ * @param {Object|null} zone
+ * @param {Date} [at]
+ * @returns {Object} - { open, reason, message }; reason is "paused" or "outside_hours" when closed.
+ */
+exports.getOrderingStatus = (zone, at = new Date()) => {
+  if (!zone) return { open: true, reason: null, message: null };
+
+  const { pause } = zone;
+  if (pause?.active && (!pause.resumeAt || pause.resumeAt > at)) {
+    return { open: false, reason: "paused", message: pause.message || DEFAULT_PAUSE_MESSAGE };
+  }
+  // active hours use the same "HH:mm" windows as peak hours
+  if (zone.activeHours?.length && !isPeakHour(zone.activeHours, at, zone.timezone)) {
+    return { open: false, reason: "outside_hours", message: OUTSIDE_HOURS_MESSAGE };
+  }
+  return { open: true, reason: null, message: null };
+};
+
+/**
+ * Throws a 503 with the customer-facing message when ordering is closed in the zone.
+ */
+exports.assertOrderingOpen = (zone, at = new Date()) => {
+  const status = exports.getOrderingStatus(zone, at);
+  if (!status.open) {
+    const error = zoneError(503, status.message);
+    error.reason = status.reason;
+    throw error;
+  }
+};
+
+/**
+ * Another active zone overlapping the boundary, or null. Zones may not
+ * overlap so every restaurant and agent belongs to at most one.
+ */
+exports.findOverlappingZone = (boundary, excludeZoneId = null) =>
+  Zone.findOne({
+    ...(excludeZoneId && { _id: { $ne: excludeZoneId } }),
+    active: true,
+    boundary: { $geoIntersects: { $geometry: boundary } },
+  })
+    .select("name")
+    .lean();
+
+/**
+ * Re-tags restaurants and agents after a zone's boundary changed or it was
+ * switched on or off.
+ *
+ * @returns {Object} - { restaurants, agents } tagged with the zone.
+ */
+exports.retagZone = async (zone) => {
+  await Promise.all([
+    Restaurant.updateMany({ zoneId: zone._id }, { zoneId: null }),
+    Agent.updateMany({ zoneId: zone._id }, { zoneId: null }),
+  ]);
+  if (!zone.active) return { restaurants: 0, agents: 0 };
+
+  const inside = { $geoWithin: { $geometry: zone.boundary } };
+  const [restaurants, agents] = await Promise.all([
+    Restaurant.updateMany({ location: inside }, { zoneId: zone._id }),
+    Agent.updateMany({ location: inside }, { zoneId: zone._id }),
+  ]);
+  return { restaurants: restaurants.modifiedCount, agents: agents.modifiedCount };
+};
+
+/**
+ * Sets a restaurant's zoneId from its location. Does not save.
+ */
+exports.tagRestaurantZone = async (restaurant) => {
+  const coordinates = restaurant.location?.coordinates;
+  const zone = coordinates?.length === 2 ? await exports.findZoneAt(coordinates) : null;
+  restaurant.zoneId = zone?._id || null;
+  return zone;
+};
+
+/**
+ * Zone an order belongs to: the restaurant's zone, or the zone of the
+ * delivery address for restaurants outside every zone.
+ */
+exports.resolveOrderZone = async (restaurant, deliveryCoords) => {
+  const zone = await exports.getZone(restaurant.zoneId);
+  return zone || exports.findZoneAt(deliveryCoords);
+};
+
+/**
+ * Periodic zone upkeep: lifts kill switches and surges that reached their end
+ * time, and alerts admins about zones with fewer available agents than their
+ * minimum.
+ *
+ * @returns {Object} - { resumed, surgesEnded, understaffed }
+ */
+exports.monitorZones = async ({ io } = {}) => {
+  const now = new Date();
+
+  const resumed = await Zone.updateMany(
+    { "pause.active": true, "pause.resumeAt": { $ne: null, $lte: now } },
+    { "pause.active": false, "pause.resumeAt": null }
+  );
+  const surgesEnded = await Zone.updateMany(
+    { "surge.active": true, "surge.until": { $ne: null, $lte: now } },
+    { "surge.active": false, "surge.until": null }
+  );
+
+  const zones = await Zone.find({ active: true, minAgentsOnline: { $gt: 0 } })
+    .select("name minAgentsOnline lowAgentsAlertedAt")
+    .lean();
+
+  let understaffed = 0;
+  for (const zone of zones) {
+    const online = await Agent.countDocuments({ zoneId: zone._id, availabilityStatus: "Available" });
+    if (online >= zone.minAgentsOnline) continue;
+    understaffed++;
+
+    if (zone.lowAgentsAlertedAt && now - zone.lowAgentsAlertedAt < LOW_AGENTS_ALERT_INTERVAL_MS) continue;
+
+    await notifyAdmins({
+      io,
+      title: "Zone short of agents",
+      message: `${zone.name} has ${online} available agents (minimum ${zone.minAgentsOnline})`,
+      urgency: "high",
+      metadata: { zoneId: zone._id, online, minAgentsOnline: zone.minAgentsOnline },
+    });
+    await Zone.updateOne({ _id: zone._id }, { lowAgentsAlertedAt: now });
+  }
+
+  return { resumed: resumed.modifiedCount, surgesEnded: surgesEnded.modifiedCount, understaffed };
+};
@@ -5,4 +5,6 @@ module.exports = [
   "orders.manage",          // View, update, and handle orders
   "disputes.manage",        // Handle disputes, refunds, etc.
   "support.manage",         // Customer care - resolve tickets, chat, etc.
+  "settings.manage",        // Delivery pricing, tax rules, dispatch, zones and jobs
+  "payouts.manage",         // Restaurant settlements, agent payouts and incentives
 ];
@@ -0,0 +1,16 @@
+const User = require("../models/userModel");
+const { sendPushNotification } = require("./sendPushNotification");
+
+// Alerts every admin on their admin_<id> socket room and by push notification
+async function notifyAdmins({ io, title, message, urgency = "normal", metadata = {} }) {
+  const admins = await User.find({ userType: { $in: ["admin", "superAdmin"] } }).select("_id").lean();
+
+  for (const admin of admins) {
+    io?.to(`admin_${admin._id}`).emit("adminAlert", { title, message, urgency, metadata });
+    await sendPushNotification(admin._id, title, message, "serviceAlerts");
+  }
+
+  return admins.length;
+}
+
+module.exports = notifyAdmins;
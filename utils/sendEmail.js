@@ -1,6 +1,7 @@
 const nodemailer = require('nodemailer');
 
-exports.sendEmail = async (to, subject, message) => {
+// options: { html, attachments } are passed straight to nodemailer
+exports.sendEmail = async (to, subject, message, options = {}) => {
   const transporter = nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
@@ -16,6 +17,8 @@ exports.sendEmail = async (to, subject, message) => {
     to,
     subject,
     text: message,
+    ...(options.html && { html: options.html }),
+    ...(options.attachments && { attachments: options.attachments }),
   };
 
   await transporter.sendMail(mailOptions);